@@ -4,10 +4,44 @@
  * Zero external dependency Node.js CLI (Node >=18)
  */
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const claudeCli = require('./lib/claude-cli');
+const readline = require('readline');
+const { spawnSync } = require('child_process');
+const backend = require('./lib/backend');
 const storage = require('./lib/storage');
-const { COLOR, println, eprintln, printBanner, help } = require('./lib/ui');
+const profiles = require('./lib/profiles');
+const { DEFAULT_SCOPE } = require('./lib/scope');
+const { isGlob } = require('./lib/match');
+const { runTransaction } = require('./lib/transaction');
+const { CcmcpError, ValidationError, BackendError, OperationError } = require('./lib/errors');
+const {
+  toAddConfig,
+  buildSteps,
+  recordHistory,
+  runRecorded,
+  applyPlan,
+  collectServers,
+  buildUndoSteps,
+  expireServers
+} = require('./lib/operations');
+const api = require('./index');
+const { COLOR, BANNER, TABLE, println, eprintln, printBanner, printTable, printSuggestionsTable, help, printCommandHelp } = require('./lib/ui');
+const { runPicker } = require('./lib/picker');
+const portable = require('./lib/portable');
+const stashEdit = require('./lib/stash-edit');
+const { maskConfig } = require('./lib/secrets');
+const { probeServer } = require('./lib/probe');
+const doctor = require('./lib/doctor');
+const { formatRemaining } = require('./lib/expiry');
+const { formatArgs } = require('./lib/diff');
+const listFormat = require('./lib/list-format');
+const { STATE_FILE, findDesiredState, planDesiredState } = require('./lib/desired-state');
+const history = require('./lib/history');
+const completion = require('./lib/completion');
+const cliArgs = require('./lib/args');
+const config = require('./lib/config');
 
 // Read version from package.json
 const pkg = require(path.join(__dirname, '..', 'package.json'));
@@ -15,247 +49,1740 @@ const VERSION = pkg.version;
 const NAME = pkg.name;
 
 const EX_OK = 0;
+const EX_CHECK_FAILED = 1;
 const EX_NO_MATCH = 2;
+const EX_STORAGE = 3;
 const EX_ERROR = 4;
 
-function parseArgs(argv) {
-  const args = { _: [] };
-  for (let i = 0; i < argv.length; i++) {
-    const a = argv[i];
-    if (a === '--help' || a === '-h') args.help = true;
-    else if (a === '--json') args.json = true;
-    else if (a === '--dry-run') args.dryRun = true;
-    else if (a === '--version' || a === '-v') args.version = true;
-    else if (a === '--no-color') args.noColor = true;
-    else args._.push(a);
-  }
-  return args;
-}
-
-function printListTable(servers, disabledServers, asJson) {
-  if (asJson) {
-    const all = [
-      ...servers.map(s => ({ ...s, status: 'enabled' })),
-      ...disabledServers.map(d => ({ name: d.name, ...d.config, status: 'disabled' }))
-    ];
-    println(JSON.stringify(all, null, 2));
+/**
+ * Names of the environment variables of a server, for the ENV column
+ * @param {Object} entry
+ * @returns {string}
+ */
+function envNames(entry) {
+  return (entry.env || []).map(pair => pair.split('=')[0]).join(',');
+}
+
+/**
+ * Print servers as the list table
+ * @param {Array<Object>} entries - Entries returned by list()
+ * @param {boolean} details - Add the ENV column
+ */
+function printListTable(entries, details = false) {
+  if (entries.length === 0) {
+    println(COLOR.red('No MCP servers found.'));
     return;
   }
 
-  if (servers.length === 0 && disabledServers.length === 0) {
+  // Optional columns: ENV and PROJECT with --details, EXPIRES IN while a temporary disable is running
+  const expiring = entries.some(e => e.expiresAt);
+  const headers = ['STATUS', 'NAME', 'SCOPE', 'TRANSPORT', 'COMMAND/URL'];
+  if (details) headers.push('ENV', 'PROJECT');
+  if (expiring) headers.push('EXPIRES IN');
+
+  const rows = entries.map(entry => {
+    const row = [entry.status, entry.name, entry.scope, entry.transport || 'unknown', listFormat.fieldValue(entry, 'commandOrUrl')];
+    if (details) row.push(envNames(entry), entry.project || '');
+    if (expiring) row.push(entry.expiresAt ? formatRemaining(entry.expiresAt) : '');
+    return row;
+  });
+  printTable(headers, rows, (val, r, i) => {
+    const enabled = entries[r].status === 'enabled';
+    if (i === 0) return enabled ? COLOR.green(val) : COLOR.red(val);
+    if (i === 1) return enabled ? COLOR.cyan(val) : COLOR.dim(val);
+    if (i === 4 && !enabled) return COLOR.dim(val);
+    return val;
+  });
+}
+
+/**
+ * Print the fields chosen with --fields as a table
+ * @param {Array<Object>} entries
+ * @param {Array<string>} fields
+ */
+function printFieldsTable(entries, fields) {
+  if (entries.length === 0) {
     println(COLOR.red('No MCP servers found.'));
     return;
   }
+  const rows = entries.map(entry => fields.map(field => listFormat.fieldText(listFormat.fieldValue(entry, field), field)));
+  printTable(fields.map(field => listFormat.FIELD_TITLES[field]), rows, (val, r, i, raw) => {
+    if (fields[i] === 'status') return raw === 'enabled' ? COLOR.green(val) : COLOR.red(val);
+    if (fields[i] === 'name') return entries[r].status === 'enabled' ? COLOR.cyan(val) : COLOR.dim(val);
+    return val;
+  });
+}
+
+async function actionList(args) {
+  const format = args.format || (args.json ? 'json' : 'table');
+  let fields = null;
+  let entries;
+  try {
+    if (args.json && format !== 'json') throw new ValidationError(`--json cannot be combined with --format ${format}`);
+    if (args.fields !== undefined) {
+      const parsed = listFormat.parseFields(args.fields);
+      if (!parsed.ok) throw new ValidationError(parsed.error);
+      fields = parsed.fields;
+    }
+    entries = await api.list({
+      scope: args.scope,
+      status: args.status,
+      transport: args.transport,
+      sort: args.sort,
+      details: args.details || Boolean(fields && listFormat.needsDetails(fields)),
+      showSecrets: args.showSecrets
+    });
+  } catch (error) {
+    return reportError(args, error);
+  }
 
-  // Print table header
-  println('┌──────────┬──────────────────────┬────────────┬─────────────────────────────────────────────────┐');
-  println('│ STATUS   │ NAME                 │ TRANSPORT  │ COMMAND/URL                                     │');
-  println('├──────────┼──────────────────────┼────────────┼─────────────────────────────────────────────────┤');
+  if (format !== 'table') {
+    const output = listFormat.formatList(entries, format, fields);
+    if (output) println(output);
+  } else if (fields) {
+    printFieldsTable(entries, fields);
+  } else {
+    printListTable(entries, args.details);
+  }
+  return EX_OK;
+}
 
-  // Print enabled servers
-  for (const server of servers) {
-    const status = COLOR.green('enabled');
-    const name = COLOR.cyan(server.name.padEnd(20).substring(0, 20));
-    const transport = server.transport.padEnd(10).substring(0, 10);
-    const cmd = server.commandOrUrl.substring(0, 47);
-    println(`│ ${status}  │ ${name} │ ${transport} │ ${cmd.padEnd(47)} │`);
+/**
+ * Print the fields of one server definition, one per line
+ * @param {Object} config - Masked server configuration
+ */
+function printServerFields(config) {
+  const rows = [
+    ['Scope', config.scope],
+    ['Project', config.project],
+    ['Transport', config.transport],
+    ['Command', config.command],
+    ['Args', formatArgs(config.args || [])],
+    ['URL', config.url],
+    ...(config.env || []).map((pair, i) => [i === 0 ? 'Env' : '', pair]),
+    ...(config.headers || []).map((pair, i) => [i === 0 ? 'Headers' : '', pair]),
+    ['Disabled at', config.disabledAt],
+    ['Expires at', config.expiresAt && `${config.expiresAt} (${formatRemaining(config.expiresAt)})`]
+  ];
+  for (const [label, value] of rows) {
+    if (value) println(`  ${COLOR.dim(label.padEnd(13))}${value}`);
   }
+}
 
-  // Print disabled servers
-  for (const disabled of disabledServers) {
-    const status = COLOR.red('disabled');
-    const name = COLOR.dim(disabled.name.padEnd(20).substring(0, 20));
-    const transport = (disabled.config.transport || 'unknown').padEnd(10).substring(0, 10);
-    const cmd = (disabled.config.url || disabled.config.command || '').substring(0, 47);
-    println(`│ ${status} │ ${name} │ ${transport} │ ${COLOR.dim(cmd.padEnd(47))} │`);
+async function actionShow(name, args) {
+  if (!name) {
+    printProfileError(args, 'show requires a server name', 'Usage: show <name> [--scope <scope>] [--json]');
+    return EX_ERROR;
   }
 
-  println('└──────────┴──────────────────────┴────────────┴─────────────────────────────────────────────────┘');
+  let found;
+  try {
+    found = await api.inspect(name, { scope: args.scope, exact: args.exact, showSecrets: args.showSecrets });
+  } catch (error) {
+    return reportError(args, error, 'Use "list" to see available servers.');
+  }
+
+  if (args.json) {
+    println(JSON.stringify({ ok: true, action: 'show', ...found }, null, 2));
+    return EX_OK;
+  }
+
+  println(`${COLOR.bold(COLOR.cyan(found.name))} ${found.live ? COLOR.green('enabled') : COLOR.red('disabled')}`);
+  if (found.live) printServerFields(found.live);
+
+  for (const entry of found.stashed) {
+    println('');
+    println(COLOR.bold(`Stashed copy (disabled from ${entry.scope} scope)`));
+    printServerFields(entry);
+    if (!entry.diff) continue;
+
+    println('');
+    if (entry.diff.length === 0) {
+      println(COLOR.dim('The stashed copy matches the live server.'));
+      continue;
+    }
+    println(COLOR.bold('Differences between the live server and the stashed copy:'));
+    const rows = entry.diff.map(d => [d.field, d.live === null ? '(none)' : d.live, d.stashed === null ? '(none)' : d.stashed]);
+    printTable(['FIELD', 'LIVE', 'STASHED'], rows, (val, r, i, raw) => {
+      if (raw === '(none)') return COLOR.dim(val);
+      if (i === 1) return COLOR.green(val);
+      if (i === 2) return COLOR.yellow(val);
+      return val;
+    });
+  }
+  return EX_OK;
 }
 
-function actionList(args) {
-  const result = claudeCli.listServers();
-  if (!result.ok) {
-    if (args.json) {
-      println(JSON.stringify({ ok: false, error: result.error }, null, 2));
+/**
+ * Warn about storage files that were found corrupt and moved aside
+ */
+function reportQuarantined() {
+  for (const { file, reason, movedTo } of storage.takeQuarantined()) {
+    eprintln(COLOR.yellow(`Warning: ${path.basename(file)} is corrupt (${reason}).`));
+    eprintln(COLOR.yellow(`It was moved to ${movedTo}; nothing in it was overwritten.`));
+  }
+}
+
+/**
+ * The command line, as recorded in the history
+ * @returns {string}
+ */
+function commandLine() {
+  return process.argv.slice(2).join(' ');
+}
+
+/**
+ * Exit code for an error thrown by the API.
+ * Anything that is not a CcmcpError is a bug and is rethrown.
+ * @param {Error} error
+ * @returns {number}
+ */
+function exitCodeFor(error) {
+  if (!(error instanceof CcmcpError)) throw error;
+  if (error.code === 'NOT_FOUND') return EX_NO_MATCH;
+  // Nothing is wrong with the command: the stash is busy or needs a newer ccmcp
+  if (error.code === 'LOCKED' || error.code === 'UNSUPPORTED_VERSION') return EX_STORAGE;
+  return EX_ERROR;
+}
+
+/**
+ * Print an error thrown by the API. An ambiguous name lists the servers it
+ * matches, an unknown one the closest names.
+ * @param {Object} args - Parsed arguments (json)
+ * @param {Error} error
+ * @param {string} hint - Printed under a "not found" error without suggestions in text mode
+ * @returns {number} Exit code
+ */
+function reportError(args, error, hint) {
+  const code = exitCodeFor(error);
+  const { problems, candidates } = error;
+  const suggestions = error.suggestions && error.suggestions.length > 0 ? error.suggestions : undefined;
+  if (args.json) {
+    println(JSON.stringify({ ok: false, error: error.message, problems, candidates, suggestions }, null, 2));
+    return code;
+  }
+
+  eprintln(COLOR.red(`Error: ${error.message}`));
+  if (candidates) {
+    eprintln(COLOR.yellow('Matching servers:'));
+    printSuggestionsTable(candidates);
+  } else if (suggestions) {
+    eprintln(COLOR.yellow('Did you mean:'));
+    printSuggestionsTable(suggestions);
+  } else if (code === EX_NO_MATCH && hint) {
+    eprintln(COLOR.dim(hint));
+  }
+  return code;
+}
+
+/**
+ * Print the outcome of a transaction in text mode
+ * @param {Object} outcome - Result of runTransaction()
+ */
+function printBatchResults(outcome) {
+  for (const r of outcome.results) {
+    const verb = r.action === 'enable' ? 'Enabled' : 'Disabled';
+    if (r.skipped) {
+      println(COLOR.dim(`Skipped "${r.name}"`));
+    } else if (!r.ok) {
+      eprintln(COLOR.red(`Error ${r.action === 'enable' ? 'enabling' : 'disabling'} "${r.name}": ${r.error}`));
+    } else if (r.rolledBack) {
+      println(COLOR.yellow(`↺ Rolled back "${r.name}"`));
+    } else if (r.rollbackError) {
+      eprintln(COLOR.red(`Error rolling back "${r.name}": ${r.rollbackError}`));
     } else {
-      eprintln(COLOR.red(`Error: ${result.error}`));
+      println(COLOR.green(`✔ ${verb} "${r.name}" (${r.scope} scope)`));
     }
-    return EX_ERROR;
   }
+}
 
-  const disabledServers = storage.listDisabledServers();
-  printListTable(result.servers, disabledServers, args.json);
-  return EX_OK;
+/**
+ * Ask a yes/no question on the terminal
+ * @param {string} question
+ * @returns {Promise<boolean>} Whether the answer was yes
+ */
+function askYesNo(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => {
+    rl.question(`${question} [y/N] `, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Ask before an enable/disable when the confirm setting wants it: always, or
+ * with "bulk" when more than one server (or --all, or a glob) is targeted
+ * @param {string} action - enable or disable
+ * @param {Array<string>} patterns - Names or globs from the command line
+ * @param {Object} options - Options of the api call
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<boolean>} Whether to go ahead
+ */
+async function confirmSwitch(action, patterns, options, args) {
+  const confirm = config.get('confirm');
+  if (confirm === 'never') return true;
+  const { results } = await api[action](patterns, { ...options, dryRun: true });
+  const bulk = args.all || patterns.some(isGlob) || results.length > 1;
+  if (results.length === 0 || (confirm === 'bulk' && !bulk)) return true;
+
+  const names = results.map(r => r.name).join(', ');
+  if (!process.stdin.isTTY) {
+    throw new ValidationError(`Not asking to ${action} ${names} without a terminal (confirm setting: ${confirm}); add --yes`);
+  }
+  return askYesNo(`${action === 'enable' ? 'Enable' : 'Disable'} ${results.length} server(s): ${names}?`);
 }
 
-function findServer(identifier, servers, disabledServers) {
-  // Try exact match in active servers
-  let found = servers.find(s => s.name.toLowerCase() === identifier.toLowerCase());
-  if (found) return { server: found, isDisabled: false };
+/**
+ * Enable or disable one or more servers as a single all-or-nothing batch
+ * @param {string} action - enable or disable
+ * @param {Array<string>} patterns - Names or globs from the command line
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function actionSwitch(action, patterns, args) {
+  // Without --scope, enable follows the enableScope setting
+  const enableScope = action === 'enable' ? config.get('enableScope') : 'original';
+  const options = {
+    all: args.all,
+    scope: args.scope || (enableScope === 'original' ? undefined : enableScope),
+    exact: args.exact,
+    dryRun: args.dryRun,
+    for: args.for,
+    until: args.until,
+    command: commandLine()
+  };
+
+  let result;
+  let failure;
+  try {
+    if (!args.dryRun && !args.yes && !(await confirmSwitch(action, patterns, options, args))) {
+      println(COLOR.yellow('Cancelled, nothing changed.'));
+      return EX_OK;
+    }
+    result = await api[action](patterns, options);
+  } catch (error) {
+    if (!(error instanceof OperationError)) return reportError(args, error, 'Use "list" to see available servers.');
+    failure = error;
+    result = { action, results: error.results };
+  }
+
+  const { expiresAt, results } = result;
+  const until = expiresAt ? ` until ${new Date(expiresAt).toLocaleString()}` : '';
+  // Keep the single-server JSON shape for plain `enable <name>` / `disable <name>`
+  const single = patterns.length === 1 && !isGlob(patterns[0]) && results.length === 1
+    ? { identifier: results[0].name, scope: results[0].scope }
+    : {};
+
+  if (results.length === 0) {
+    if (args.json) {
+      println(JSON.stringify({ ok: true, action, results: [] }, null, 2));
+    } else {
+      println(COLOR.yellow(`No servers to ${action}.`));
+    }
+    return EX_OK;
+  }
 
-  // Try exact match in disabled servers
-  found = disabledServers.find(d => d.name.toLowerCase() === identifier.toLowerCase());
-  if (found) return { server: found, isDisabled: true };
+  if (result.dryRun) {
+    if (args.json) {
+      println(JSON.stringify({ ok: true, action, ...single, expiresAt, dryRun: true, results }, null, 2));
+    } else {
+      for (const r of results) println(COLOR.yellow(`[DRY RUN] Would ${action} "${r.name}" (${r.scope} scope)${until}`));
+    }
+    return EX_OK;
+  }
 
-  return null;
+  if (args.json) {
+    const payload = { ok: !failure, action, ...single, expiresAt, results };
+    if (failure) {
+      payload.error = failure.message;
+      payload.rolledBack = failure.rolledBack;
+    }
+    println(JSON.stringify(payload, null, 2));
+  } else {
+    printBatchResults({ results });
+    if (!failure && action === 'disable') {
+      println(COLOR.dim(expiresAt
+        ? `Configuration saved. It is re-enabled automatically at ${new Date(expiresAt).toLocaleString()}, or use "enable" now.`
+        : 'Configuration saved. Use "enable" to restore it.'));
+    }
+  }
+  return failure ? EX_ERROR : EX_OK;
 }
 
-function actionEnable(identifier, args) {
-  if (!identifier) {
+function printProfileError(args, message, hint) {
+  if (args.json) {
+    println(JSON.stringify({ ok: false, error: message }, null, 2));
+  } else {
+    eprintln(COLOR.red(`Error: ${message}`));
+    if (hint) eprintln(COLOR.dim(hint));
+  }
+}
+
+async function profileSave(name, args) {
+  const result = await backend.listServers();
+  if (!result.ok) {
+    printProfileError(args, result.error);
+    return EX_ERROR;
+  }
+
+  const enabled = result.servers.map(s => s.name);
+  const disabled = storage.listDisabledServers().map(d => d.name);
+
+  if (args.dryRun) {
     if (args.json) {
-      println(JSON.stringify({ ok: false, error: 'enable requires an identifier' }, null, 2));
+      println(JSON.stringify({ ok: true, action: 'profile-save', profile: name, enabled, disabled, dryRun: true }, null, 2));
     } else {
-      eprintln(COLOR.red('Error: enable requires an identifier'));
+      println(COLOR.yellow(`[DRY RUN] Would save profile "${name}" (${enabled.length} enabled, ${disabled.length} disabled)`));
     }
+    return EX_OK;
+  }
+
+  const saved = profiles.saveProfile(name, enabled, disabled);
+  if (args.json) {
+    println(JSON.stringify({ ok: true, action: 'profile-save', profile: name, ...saved }, null, 2));
+  } else {
+    println(COLOR.green(`✔ Saved profile "${name}" (${saved.enabled.length} enabled, ${saved.disabled.length} disabled)`));
+  }
+  return EX_OK;
+}
+
+
+async function profileApply(name, profile, args) {
+  const result = await backend.listServers();
+  if (!result.ok) {
+    printProfileError(args, result.error);
     return EX_ERROR;
   }
 
-  // Check if it's in disabled storage
-  const disabledConfig = storage.getDisabledServer(identifier);
-  if (!disabledConfig) {
+  const disabledServers = storage.listDisabledServers();
+  const plan = profiles.planProfile(
+    profile,
+    result.servers.map(s => s.name),
+    disabledServers.map(d => d.name)
+  );
+
+  if (args.dryRun) {
     if (args.json) {
-      println(JSON.stringify({ ok: false, error: `Server "${identifier}" not found in disabled storage` }, null, 2));
+      println(JSON.stringify({ ok: true, action: 'profile-apply', profile: name, ...plan, dryRun: true }, null, 2));
     } else {
-      eprintln(COLOR.red(`Error: Server "${identifier}" is not disabled or not found.`));
-      eprintln(COLOR.dim('Use "list" to see available servers.'));
+      for (const server of plan.disable) println(COLOR.yellow(`[DRY RUN] Would disable "${server}"`));
+      for (const server of plan.enable) println(COLOR.yellow(`[DRY RUN] Would enable "${server}"`));
+      if (plan.disable.length === 0 && plan.enable.length === 0) {
+        println(COLOR.dim(`[DRY RUN] Profile "${name}" is already applied`));
+      }
+      for (const server of plan.missing) println(COLOR.dim(`Skipping unknown server "${server}"`));
     }
-    return EX_NO_MATCH;
+    return EX_OK;
+  }
+
+  let outcome;
+  try {
+    outcome = await applyPlan(plan, commandLine());
+  } catch (error) {
+    return reportError(args, error);
   }
 
+  if (args.json) {
+    println(JSON.stringify({
+      ok: outcome.ok,
+      action: 'profile-apply',
+      profile: name,
+      results: outcome.results,
+      rolledBack: outcome.rolledBack,
+      unchanged: plan.unchanged,
+      missing: plan.missing
+    }, null, 2));
+  } else {
+    printBatchResults(outcome);
+    for (const server of plan.missing) println(COLOR.dim(`Skipping unknown server "${server}"`));
+    if (outcome.results.length === 0) println(COLOR.dim(`Profile "${name}" is already applied.`));
+    else if (outcome.ok) println(COLOR.green(`✔ Applied profile "${name}"`));
+  }
+  return outcome.ok ? EX_OK : EX_ERROR;
+}
+
+function profileList(args) {
+  const list = profiles.listProfiles();
+  if (args.json) {
+    println(JSON.stringify(list.map(p => ({ name: p.name, ...p.profile })), null, 2));
+    return EX_OK;
+  }
+
+  if (list.length === 0) {
+    println(COLOR.yellow('No profiles saved. Use "profile save <name>" to create one.'));
+    return EX_OK;
+  }
+
+  for (const { name, profile } of list) {
+    println(`${COLOR.cyan(name)} ${COLOR.dim(`(${profile.enabled.length} enabled, ${profile.disabled.length} disabled, saved ${profile.savedAt})`)}`);
+  }
+  return EX_OK;
+}
+
+function profileShow(name, profile, args) {
+  if (args.json) {
+    println(JSON.stringify({ name, ...profile }, null, 2));
+    return EX_OK;
+  }
+
+  println(COLOR.bold(`Profile "${name}"`) + COLOR.dim(` (saved ${profile.savedAt})`));
+  println(COLOR.green('Enabled:'));
+  for (const server of profile.enabled) println(`  ${server}`);
+  if (profile.enabled.length === 0) println(COLOR.dim('  (none)'));
+  println(COLOR.red('Disabled:'));
+  for (const server of profile.disabled) println(`  ${server}`);
+  if (profile.disabled.length === 0) println(COLOR.dim('  (none)'));
+  return EX_OK;
+}
+
+function profileDelete(name, args) {
   if (args.dryRun) {
     if (args.json) {
-      println(JSON.stringify({ ok: true, action: 'enable', identifier, dryRun: true }, null, 2));
+      println(JSON.stringify({ ok: true, action: 'profile-delete', profile: name, dryRun: true }, null, 2));
     } else {
-      println(COLOR.yellow(`[DRY RUN] Would enable "${identifier}"`));
+      println(COLOR.yellow(`[DRY RUN] Would delete profile "${name}"`));
     }
     return EX_OK;
   }
 
-  // Re-add the server using stored config
-  const addConfig = {
-    name: identifier,
-    transport: disabledConfig.transport,
-    commandOrUrl: disabledConfig.url || disabledConfig.command,
-    args: disabledConfig.args || [],
-    env: disabledConfig.env || [],
-    scope: 'user' // Default to user scope
-  };
+  profiles.deleteProfile(name);
+  if (args.json) {
+    println(JSON.stringify({ ok: true, action: 'profile-delete', profile: name }, null, 2));
+  } else {
+    println(COLOR.green(`✔ Deleted profile "${name}"`));
+  }
+  return EX_OK;
+}
+
+async function actionProfile(subcommand, name, args) {
+  if (subcommand === 'list') {
+    return profileList(args);
+  }
+
+  if (!['save', 'apply', 'show', 'delete'].includes(subcommand)) {
+    printProfileError(
+      args,
+      subcommand ? `Unknown profile command: ${subcommand}` : 'profile requires a command',
+      'Usage: profile save|apply|list|delete|show <name>'
+    );
+    return EX_ERROR;
+  }
 
-  const result = claudeCli.addServer(addConfig);
+  if (!name) {
+    printProfileError(args, `profile ${subcommand} requires a profile name`);
+    return EX_ERROR;
+  }
+
+  if (!profiles.isValidProfileName(name)) {
+    printProfileError(args, `Invalid profile name "${name}" (use letters, digits, ".", "_" or "-")`);
+    return EX_ERROR;
+  }
+
+  if (subcommand === 'save') {
+    return profileSave(name, args);
+  }
+
+  const profile = profiles.getProfile(name);
+  if (!profile) {
+    printProfileError(args, `Profile "${name}" not found`, 'Use "profile list" to see saved profiles.');
+    return EX_NO_MATCH;
+  }
+
+  if (subcommand === 'apply') return profileApply(name, profile, args);
+  if (subcommand === 'show') return profileShow(name, profile, args);
+  return profileDelete(name, args);
+}
+
+function printPickSummary(results, dryRun) {
+  const rows = results.map(r => {
+    let status = 'ok';
+    if (dryRun) status = 'dry run';
+    else if (r.skipped) status = 'skipped';
+    else if (!r.ok) status = `failed: ${r.error}`;
+    else if (r.rolledBack) status = 'rolled back';
+    else if (r.rollbackError) status = `rollback failed: ${r.rollbackError}`;
+    return [r.action, r.name, r.scope || '', status];
+  });
+
+  printTable(['ACTION', 'NAME', 'SCOPE', 'RESULT'], rows, (val, r, i, raw) => {
+    if (i === 0) return raw === 'enable' ? COLOR.green(val) : COLOR.red(val);
+    if (i === 1) return COLOR.cyan(val);
+    if (i === 3 && raw !== 'ok' && raw !== 'dry run') return COLOR.yellow(val);
+    return val;
+  });
+}
+
+async function actionPick(args) {
+  if (args.json) {
+    eprintln(COLOR.red('Error: pick is interactive and does not support --json'));
+    return EX_ERROR;
+  }
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    eprintln(COLOR.red('Error: pick needs an interactive terminal (stdin/stdout is not a TTY)'));
+    eprintln(COLOR.dim('Use "enable" and "disable" in scripts.'));
+    return EX_ERROR;
+  }
+
+  const result = await backend.listServers();
   if (!result.ok) {
+    eprintln(COLOR.red(`Error: ${result.error}`));
+    return EX_ERROR;
+  }
+
+  const inScope = item => !args.scope || !item.scope || item.scope === args.scope;
+  const items = [
+    ...result.servers.map(s => ({ name: s.name, scope: s.scope, transport: s.transport, enabled: true })),
+    ...storage.listDisabledServers().map(d => ({ name: d.name, scope: d.scope, transport: d.config.transport, enabled: false }))
+  ]
+    .filter(inScope)
+    .sort((a, b) => a.name.localeCompare(b.name) || (a.scope || '').localeCompare(b.scope || ''));
+
+  const picked = await runPicker(items);
+  if (!picked.applied) {
+    println(COLOR.dim('Cancelled, nothing changed.'));
+    return EX_OK;
+  }
+  if (picked.enable.length === 0 && picked.disable.length === 0) {
+    println(COLOR.dim('No changes.'));
+    return EX_OK;
+  }
+
+  const details = await Promise.all(picked.disable.map(item => backend.getServer(item.name, item.scope)));
+  const disableTargets = [];
+  for (const [i, item] of picked.disable.entries()) {
+    const getResult = details[i];
+    if (!getResult.ok) {
+      eprintln(COLOR.red(`Error: Server "${item.name}" not found.`));
+      return EX_NO_MATCH;
+    }
+    const scope = item.scope || getResult.server.scope || DEFAULT_SCOPE;
+    disableTargets.push({ name: item.name, config: { ...getResult.server, scope }, scope });
+  }
+  const enableTargets = picked.enable.map(item => ({
+    name: item.name,
+    config: storage.getDisabledServer(item.name, item.scope),
+    scope: item.scope
+  }));
+
+  if (args.dryRun) {
+    const planned = [
+      ...disableTargets.map(t => ({ action: 'disable', name: t.name, scope: t.scope })),
+      ...enableTargets.map(t => ({ action: 'enable', name: t.name, scope: t.scope }))
+    ];
+    printPickSummary(planned, true);
+    return EX_OK;
+  }
+
+  const outcome = await runRecorded([
+    ...buildSteps('disable', disableTargets),
+    ...buildSteps('enable', enableTargets)
+  ], commandLine());
+  printPickSummary(outcome.results, false);
+  if (outcome.ok) println(COLOR.green(`✔ Applied ${outcome.results.length} change(s)`));
+  return outcome.ok ? EX_OK : EX_ERROR;
+}
+
+/**
+ * Collect portable entries for active and stashed servers
+ * @param {Array<string>} patterns - Names or globs (every server when empty)
+ * @param {Object} args - Parsed arguments (scope, showSecrets)
+ * @returns {Promise<Array<Object>>} Portable entries
+ * @throws {NotFoundError|BackendError}
+ */
+async function collectExportEntries(patterns, args) {
+  const entries = [];
+  for (const server of await collectServers(patterns, args)) {
+    let config = server.config;
+    if (!args.showSecrets) {
+      config = maskConfig(config);
+    } else if (server.status === 'disabled') {
+      // Stashed secrets are only decrypted when they are going to be printed
+      const revealed = storage.revealSecrets(config);
+      if (!revealed.ok) throw new BackendError(revealed.error);
+      config = revealed.config;
+    }
+    entries.push(portable.toPortable(server.name, config, server.status));
+  }
+  return entries;
+}
+
+/**
+ * Print active and stashed server definitions as a portable JSON document
+ * @param {Array<string>} patterns - Names or globs
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function actionExport(patterns, args) {
+  let entries;
+  try {
+    entries = await collectExportEntries(patterns, args);
+  } catch (error) {
+    // The output is a document, so errors stay on stderr even with --json
+    return reportError({ json: false }, error);
+  }
+  println(JSON.stringify(portable.createDocument(entries), null, 2));
+  if (!args.showSecrets && entries.some(portable.hasMaskedValues)) {
+    eprintln(COLOR.yellow('Secret values were masked; use --show-secrets for a file that can be imported as is.'));
+  }
+  return EX_OK;
+}
+
+/**
+ * Read and validate an import document
+ * @param {string} file - Path, or "-" for stdin
+ * @returns {Object} { ok, doc?, error?, problems? }
+ */
+function readImportFile(file) {
+  const label = file === '-' ? 'standard input' : file;
+  let text;
+  try {
+    text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+  } catch (error) {
+    return { ok: false, error: `Cannot read ${label}: ${error.message}` };
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (error) {
+    return { ok: false, error: `${label} is not valid JSON: ${error.message}` };
+  }
+
+  const problems = portable.validateDocument(doc);
+  if (problems.length > 0) {
+    return { ok: false, error: `${label} is not a valid ${portable.FORMAT} file`, problems };
+  }
+  return { ok: true, doc };
+}
+
+/**
+ * Whether a name is already used in a scope, live or stashed
+ * @param {string} name - Server name
+ * @param {string} scope - Scope
+ * @returns {Promise<boolean>}
+ */
+async function isNameTaken(name, scope) {
+  if (storage.getDisabledServer(name, scope)) return true;
+  const live = await backend.getServer(name, scope);
+  return live.ok && (!live.server.scope || live.server.scope === scope);
+}
+
+/**
+ * Build the transaction step that imports one planned entry.
+ * Overwriting removes the live and stashed definitions in the target scope
+ * first; undo puts them back.
+ * @param {Object} item - Entry of planImport()
+ * @returns {Promise<Object>} Step for runTransaction()
+ */
+async function buildImportStep(item) {
+  const { name, scope, target } = item;
+  const config = { ...portable.fromPortable(item.entry), name, scope };
+  let live = null;
+  let stashed = null;
+  if (item.resolution === 'overwrite') {
+    const current = await backend.getServer(name, scope);
+    if (current.ok && (!current.server.scope || current.server.scope === scope)) live = { ...current.server, scope };
+    stashed = storage.getDisabledServer(name, scope);
+  }
+
+  const restore = () => {
+    if (stashed) storage.storeDisabledServer(name, stashed);
+    return live ? backend.addServer(toAddConfig(name, live, scope)) : { ok: true };
+  };
+
+  return {
+    name,
+    scope,
+    action: 'import',
+    run: async () => {
+      if (live) {
+        const removed = await backend.removeServer(name, scope);
+        if (!removed.ok) return removed;
+      }
+      if (stashed) storage.removeDisabledServer(name, scope);
+
+      if (target === 'stash') {
+        storage.storeDisabledServer(name, config);
+        return { ok: true };
+      }
+      const added = await backend.addServer(toAddConfig(name, config, scope));
+      if (!added.ok) await restore();
+      return added;
+    },
+    undo: async () => {
+      if (target === 'stash') {
+        storage.removeDisabledServer(name, scope);
+      } else {
+        const removed = await backend.removeServer(name, scope);
+        if (!removed.ok) return removed;
+      }
+      return restore();
+    }
+  };
+}
+
+function describeImport(item) {
+  const as = item.name !== item.entry.name ? ` as "${item.name}"` : '';
+  const state = item.target === 'stash' ? 'disabled' : 'enabled';
+  return `"${item.entry.name}"${as} (${state}, ${item.scope} scope)`;
+}
+
+/**
+ * Import server definitions from a portable JSON document
+ * @param {string} file - Path, or "-" for stdin
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function actionImport(file, args) {
+  const fail = (message, problems = []) => {
     if (args.json) {
-      println(JSON.stringify({ ok: false, error: result.error }, null, 2));
+      println(JSON.stringify({ ok: false, error: message, problems: problems.length > 0 ? problems : undefined }, null, 2));
     } else {
-      eprintln(COLOR.red(`Error enabling "${identifier}": ${result.error}`));
+      eprintln(COLOR.red(`Error: ${message}`));
+      for (const problem of problems) eprintln(COLOR.dim(`  - ${problem}`));
     }
     return EX_ERROR;
+  };
+
+  if (!file) return fail('import requires a file (use "-" for stdin)');
+  if (args.stash && args.enable) return fail('--stash and --enable cannot be combined');
+  const onConflict = args.onConflict || 'skip';
+
+  const read = readImportFile(file);
+  if (!read.ok) return fail(read.error, read.problems);
+
+  const plan = await portable.planImport(read.doc, {
+    mode: args.stash ? 'stash' : args.enable ? 'enable' : undefined,
+    scope: args.scope,
+    onConflict,
+    isTaken: isNameTaken
+  });
+  const toImport = plan.filter(item => item.resolution !== 'skip');
+  const skipped = plan.filter(item => item.resolution === 'skip');
+  const summary = item => ({
+    name: item.name,
+    originalName: item.name !== item.entry.name ? item.entry.name : undefined,
+    scope: item.scope,
+    target: item.target,
+    resolution: item.resolution
+  });
+
+  if (args.dryRun) {
+    if (args.json) {
+      println(JSON.stringify({ ok: true, action: 'import', dryRun: true, results: plan.map(summary) }, null, 2));
+    } else {
+      for (const item of toImport) {
+        const verb = item.resolution === 'overwrite' ? 'replace' : 'import';
+        println(COLOR.yellow(`[DRY RUN] Would ${verb} ${describeImport(item)}`));
+      }
+      for (const item of skipped) println(COLOR.dim(`[DRY RUN] Would skip "${item.name}": already exists in ${item.scope} scope`));
+    }
+    return EX_OK;
   }
 
-  // Remove from disabled storage
-  storage.removeDisabledServer(identifier);
+  const outcome = await runTransaction(await Promise.all(toImport.map(buildImportStep)));
 
   if (args.json) {
-    println(JSON.stringify({ ok: true, action: 'enable', identifier }, null, 2));
+    const results = [
+      ...outcome.results.map((r, i) => ({ ...summary(toImport[i]), ...r, action: undefined })),
+      ...skipped.map(item => ({ ...summary(item), ok: true }))
+    ];
+    const payload = { ok: outcome.ok, action: 'import', results };
+    if (!outcome.ok) {
+      payload.error = outcome.results.find(r => !r.ok && !r.skipped).error;
+      payload.rolledBack = outcome.rolledBack;
+    }
+    println(JSON.stringify(payload, null, 2));
+    return outcome.ok ? EX_OK : EX_ERROR;
+  }
+
+  outcome.results.forEach((r, i) => {
+    const item = toImport[i];
+    if (r.skipped) println(COLOR.dim(`Skipped "${r.name}"`));
+    else if (!r.ok) eprintln(COLOR.red(`Error importing "${item.entry.name}": ${r.error}`));
+    else if (r.rolledBack) println(COLOR.yellow(`↺ Rolled back "${r.name}"`));
+    else if (r.rollbackError) eprintln(COLOR.red(`Error rolling back "${r.name}": ${r.rollbackError}`));
+    else println(COLOR.green(`✔ ${item.resolution === 'overwrite' ? 'Replaced' : 'Imported'} ${describeImport(item)}`));
+  });
+  for (const item of skipped) {
+    println(COLOR.dim(`Skipped "${item.name}": already exists in ${item.scope} scope (use --on-conflict overwrite or rename)`));
+  }
+  if (plan.length === 0) println(COLOR.yellow('No servers to import.'));
+  return outcome.ok ? EX_OK : EX_ERROR;
+}
+
+/**
+ * Probe one active or stashed server
+ * @param {Object} server - Entry of collectServers()
+ * @param {number} timeout - Milliseconds for the probe
+ * @returns {Promise<Object>} Probe result with name, scope and status
+ */
+async function checkServer(server, timeout) {
+  const base = { name: server.name, scope: server.scope, status: server.status, transport: server.config.transport };
+  let config = server.config;
+  if (server.status === 'disabled') {
+    // A stashed server has to be started with its real env to be checked
+    const revealed = storage.revealSecrets(config);
+    if (!revealed.ok) return { ...base, ok: false, stage: 'connect', error: revealed.error, latencyMs: 0 };
+    config = revealed.config;
+  }
+  return { ...base, ...(await probeServer(config, { timeout })) };
+}
+
+/**
+ * Print a changed stash entry
+ * @param {string} action - stash-add, stash-set, stash-edit or stash-rename
+ * @param {Object} saved - { name, scope, config } from the API
+ * @param {Array<string>} verbs - [done, planned], e.g. ['Updated', 'update']
+ * @param {Object} args - Parsed arguments
+ * @returns {number} Exit code
+ */
+function printStashChange(action, saved, [done, planned], args) {
+  const what = `stashed server "${saved.name}" (${saved.scope} scope)`;
+  if (args.json) {
+    println(JSON.stringify({ ok: true, action, dryRun: args.dryRun || undefined, ...saved }, null, 2));
+  } else if (args.dryRun) {
+    println(COLOR.yellow(`[DRY RUN] Would ${planned} ${what}`));
   } else {
-    println(COLOR.green(`✔ Enabled "${identifier}"`));
+    println(COLOR.green(`✔ ${done} ${what}`));
   }
   return EX_OK;
 }
 
-function actionDisable(identifier, args) {
-  if (!identifier) {
-    if (args.json) {
-      println(JSON.stringify({ ok: false, error: 'disable requires an identifier' }, null, 2));
-    } else {
-      eprintln(COLOR.red('Error: disable requires an identifier'));
+async function stashAdd(name, rest, args) {
+  const [commandOrUrl, ...positional] = rest;
+  if (!commandOrUrl) {
+    printProfileError(args, 'stash add requires a command or URL', 'Usage: stash add <name> <command|url> [args...]');
+    return EX_ERROR;
+  }
+  const built = stashEdit.newServer({
+    name,
+    scope: args.scope,
+    commandOrUrl,
+    args: [...positional, ...(args.arg || [])],
+    env: args.env,
+    transport: args.transport
+  });
+  try {
+    if (!built.ok) throw new ValidationError(`Invalid server definition: ${built.problems.join('; ')}`, { problems: built.problems });
+    const saved = await api.stash.add(built.config, { dryRun: args.dryRun });
+    return printStashChange('stash-add', saved, ['Added', 'add'], args);
+  } catch (error) {
+    return reportError(args, error);
+  }
+}
+
+async function stashSet(name, args) {
+  const changes = { transport: args.transport, url: args.url, args: args.arg, env: args.env };
+  if (Object.values(changes).every(value => value === undefined)) {
+    printProfileError(args, 'stash set needs at least one of --arg, --env, --url or --transport');
+    return EX_ERROR;
+  }
+  try {
+    const saved = await api.stash.set(name, changes, { scope: args.scope, exact: args.exact, dryRun: args.dryRun });
+    return printStashChange('stash-set', saved, ['Updated', 'update'], args);
+  } catch (error) {
+    return reportError(args, error, 'Use "list" to see disabled servers.');
+  }
+}
+
+async function stashRename(name, newName, args) {
+  try {
+    const saved = await api.stash.rename(name, newName, { scope: args.scope, exact: args.exact, dryRun: args.dryRun });
+    return printStashChange('stash-rename', saved, [`Renamed "${name}" to`, `rename "${name}" to`], args);
+  } catch (error) {
+    return reportError(args, error, 'Use "list" to see disabled servers.');
+  }
+}
+
+/**
+ * Open a stashed server in $VISUAL / $EDITOR and save it when it is valid
+ * @param {string} name - Server name
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function stashEditor(name, args) {
+  if (args.json) {
+    eprintln(COLOR.red('Error: stash edit is interactive and does not support --json'));
+    return EX_ERROR;
+  }
+
+  let entry;
+  try {
+    entry = await api.stash.get(name, { scope: args.scope, exact: args.exact });
+  } catch (error) {
+    return reportError(args, error, 'Use "list" to see disabled servers.');
+  }
+
+  // Sealed secrets show as <encrypted> unless --show-secrets decrypts them
+  const stored = storage.getDisabledServer(entry.name, entry.scope);
+  let shown = stored;
+  if (args.showSecrets) {
+    const revealed = storage.revealSecrets(stored);
+    if (!revealed.ok) return reportError(args, new BackendError(revealed.error));
+    shown = revealed.config;
+  }
+
+  const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+  const before = JSON.stringify(stashEdit.toEditable(shown), null, 2) + '\n';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-edit-'));
+  const file = path.join(dir, `${entry.name.replace(/[^\w.-]/g, '_')}.json`);
+  let after;
+  try {
+    fs.writeFileSync(file, before, { mode: 0o600 });
+    const result = spawnSync(`${editor} "${file}"`, { shell: true, stdio: 'inherit' });
+    if (result.error || result.status !== 0) {
+      eprintln(COLOR.red(`Error: editor "${editor}" failed; nothing was saved`));
+      return EX_ERROR;
     }
+    after = fs.readFileSync(file, 'utf8');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  if (after === before) {
+    println(COLOR.dim(`No changes to "${entry.name}".`));
+    return EX_OK;
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(after);
+  } catch (error) {
+    eprintln(COLOR.red(`Error: the edited server is not valid JSON (${error.message}); nothing was saved`));
     return EX_ERROR;
   }
+  const read = stashEdit.fromEditable(doc, stored);
+  try {
+    if (!read.ok) throw new ValidationError(`Invalid server definition: ${read.problems.join('; ')}`, { problems: read.problems });
+    const saved = await api.stash.update(entry.name, read.config, { scope: entry.scope, dryRun: args.dryRun });
+    return printStashChange('stash-edit', saved, ['Saved', 'save'], args);
+  } catch (error) {
+    return reportError(args, error);
+  }
+}
 
-  // Get server details before removing
-  const getResult = claudeCli.getServer(identifier);
-  if (!getResult.ok) {
+async function actionStash(subcommand, args) {
+  const usage = 'Usage: stash add|edit|set|rename <name> ...';
+  if (!['add', 'edit', 'set', 'rename'].includes(subcommand)) {
+    printProfileError(args, subcommand ? `Unknown stash command: ${subcommand}` : 'stash requires a command', usage);
+    return EX_ERROR;
+  }
+  const [name, ...rest] = args._.slice(2);
+  if (!name) {
+    printProfileError(args, `stash ${subcommand} requires a server name`, usage);
+    return EX_ERROR;
+  }
+
+  if (subcommand === 'rename' && !rest[0]) {
+    printProfileError(args, 'stash rename requires the new name', 'Usage: stash rename <old> <new>');
+    return EX_ERROR;
+  }
+
+  if (subcommand === 'add') return stashAdd(name, rest, args);
+  if (subcommand === 'set') return stashSet(name, args);
+  if (subcommand === 'edit') return stashEditor(name, args);
+  return stashRename(name, rest[0], args);
+}
+
+/**
+ * Run the MCP handshake against active and stashed servers
+ * @param {Array<string>} patterns - Names or globs (every server when empty)
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function actionCheck(patterns, args) {
+  const fail = (message, code) => {
     if (args.json) {
-      println(JSON.stringify({ ok: false, error: `Server "${identifier}" not found` }, null, 2));
+      println(JSON.stringify({ ok: false, error: message }, null, 2));
     } else {
-      eprintln(COLOR.red(`Error: Server "${identifier}" not found.`));
-      eprintln(COLOR.dim('Use "list" to see available servers.'));
+      eprintln(COLOR.red(`Error: ${message}`));
     }
-    return EX_NO_MATCH;
+    return code;
+  };
+
+  const timeout = args.timeout === undefined ? config.get('checkTimeout') : Number(args.timeout);
+  if (!Number.isFinite(timeout) || timeout <= 0) {
+    return fail(`Invalid --timeout "${args.timeout}" (expected milliseconds)`, EX_ERROR);
   }
 
-  if (args.dryRun) {
+  let servers;
+  try {
+    servers = await collectServers(patterns, args);
+  } catch (error) {
+    return reportError(args, error);
+  }
+
+  const results = await Promise.all(servers.map(server => checkServer(server, timeout)));
+  const ok = results.every(r => r.ok);
+
+  if (args.json) {
+    println(JSON.stringify({ ok, action: 'check', results }, null, 2));
+    return ok ? EX_OK : EX_CHECK_FAILED;
+  }
+
+  if (results.length === 0) {
+    println(COLOR.yellow('No MCP servers found.'));
+    return EX_OK;
+  }
+
+  const rows = results.map(r => {
+    const server = r.serverInfo ? `${r.serverInfo.name || '?'} ${r.serverInfo.version || ''}`.trim() : '';
+    const details = r.ok
+      ? `${server ? `${server}, ` : ''}${r.tools.length} tool${r.tools.length === 1 ? '' : 's'}`
+      : `${r.stage}: ${r.error}`;
+    return [r.ok ? '✔' : '✖', r.name, r.scope, r.status, `${r.latencyMs}ms`, details];
+  });
+  printTable(['', 'NAME', 'SCOPE', 'STATUS', 'LATENCY', 'DETAILS'], rows, (val, r, i, raw) => {
+    if (i === 0) return raw === '✔' ? COLOR.green(val) : COLOR.red(val);
+    if (i === 1) return COLOR.cyan(val);
+    if (i === 3 && raw === 'disabled') return COLOR.dim(val);
+    if (i === 5 && !results[r].ok) return COLOR.red(val);
+    return val;
+  });
+  if (!ok) {
+    eprintln(COLOR.red(`${results.filter(r => !r.ok).length} of ${results.length} server(s) failed the check`));
+  }
+  return ok ? EX_OK : EX_CHECK_FAILED;
+}
+
+function printRecoveryResults(results) {
+  for (const r of results) {
+    const what = `interrupted ${r.action} of "${r.name}"`;
+    if (!r.ok) eprintln(COLOR.red(`Error: could not recover ${what}: ${r.error}`));
+    else if (r.resolution === 'completed') eprintln(COLOR.yellow(`Recovered ${what}: completed`));
+    else eprintln(COLOR.yellow(`Recovered ${what}: rolled back`));
+  }
+}
+
+async function actionRecover(args) {
+  const { results, inProgress } = await api.recover({ dryRun: args.dryRun, force: args.force });
+
+  if (args.json) {
+    println(JSON.stringify({
+      ok: results.every(r => r.ok),
+      action: 'recover',
+      dryRun: args.dryRun || undefined,
+      results,
+      inProgress: inProgress.map(op => ({ id: op.id, action: op.action, name: op.name, pid: op.pid, startedAt: op.startedAt }))
+    }, null, 2));
+    return results.every(r => r.ok) ? EX_OK : EX_ERROR;
+  }
+
+  if (results.length === 0 && inProgress.length === 0) {
+    println(COLOR.green('✔ Nothing to recover.'));
+    return EX_OK;
+  }
+
+  for (const r of results) {
+    const what = `interrupted ${r.action} of "${r.name}"`;
+    if (args.dryRun) {
+      println(COLOR.yellow(`[DRY RUN] Would ${r.resolution === 'completed' ? 'complete' : 'roll back'} ${what}`));
+    } else if (!r.ok) {
+      eprintln(COLOR.red(`Error: could not recover ${what}: ${r.error}`));
+    } else {
+      println(COLOR.green(`✔ ${r.resolution === 'completed' ? 'Completed' : 'Rolled back'} ${what}`));
+    }
+  }
+  for (const op of inProgress) {
+    println(COLOR.dim(`${op.action} of "${op.name}" is still running (pid ${op.pid}); use --force to recover it anyway`));
+  }
+  return results.every(r => r.ok) ? EX_OK : EX_ERROR;
+}
+
+/**
+ * Bring the servers in line with the nearest .ccmcp.json (or "ccmcp" key in .mcp.json).
+ * With --check nothing changes and the exit code tells whether they already are.
+ * @param {Object} args - Parsed arguments (check, dryRun, json)
+ * @returns {Promise<number>} Exit code
+ */
+async function actionSync(args) {
+  const fail = (message, code) => {
     if (args.json) {
-      println(JSON.stringify({ ok: true, action: 'disable', identifier, dryRun: true }, null, 2));
+      println(JSON.stringify({ ok: false, action: 'sync', error: message }, null, 2));
     } else {
-      println(COLOR.yellow(`[DRY RUN] Would disable "${identifier}"`));
+      eprintln(COLOR.red(`Error: ${message}`));
+    }
+    return code;
+  };
+
+  const found = findDesiredState();
+  if (!found) {
+    // Not every directory has one; a shell hook must stay quiet there
+    if (args.json) {
+      println(JSON.stringify({ ok: true, action: 'sync', file: null, enable: [], disable: [], unchanged: [], missing: [] }, null, 2));
+    } else if (!args.check) {
+      println(COLOR.dim(`No ${STATE_FILE} (or "ccmcp" key in .mcp.json) in this directory or its parents.`));
     }
     return EX_OK;
   }
+  if (found.error) return fail(found.error, EX_ERROR);
+
+  const result = await backend.listServers();
+  if (!result.ok) return fail(result.error, EX_ERROR);
 
-  // Store config before removing
-  storage.storeDisabledServer(identifier, getResult.server);
+  const plan = planDesiredState(
+    found.state,
+    result.servers.map(s => s.name),
+    storage.listDisabledServers().map(d => d.name)
+  );
+  const inSync = plan.enable.length === 0 && plan.disable.length === 0;
+  const relative = path.relative(process.cwd(), found.file) || found.file;
 
-  // Remove the server
-  const removeResult = claudeCli.removeServer(identifier);
-  if (!removeResult.ok) {
+  if (args.check || args.dryRun) {
     if (args.json) {
-      println(JSON.stringify({ ok: false, error: removeResult.error }, null, 2));
+      println(JSON.stringify({
+        ok: args.check ? inSync : true,
+        action: 'sync',
+        file: found.file,
+        check: args.check || undefined,
+        dryRun: args.dryRun || undefined,
+        inSync,
+        ...plan
+      }, null, 2));
+    } else if (args.check) {
+      if (!inSync) {
+        const wants = [
+          ...plan.enable.map(server => `"${server}" enabled`),
+          ...plan.disable.map(server => `"${server}" disabled`)
+        ];
+        println(COLOR.yellow(`ccmcp: ${relative} wants ${wants.join(', ')}. Run "ccmcp sync" to apply.`));
+      }
+    } else {
+      for (const server of plan.disable) println(COLOR.yellow(`[DRY RUN] Would disable "${server}"`));
+      for (const server of plan.enable) println(COLOR.yellow(`[DRY RUN] Would enable "${server}"`));
+      if (inSync) println(COLOR.dim(`[DRY RUN] Already in sync with ${relative}`));
+      for (const server of plan.missing) println(COLOR.dim(`Skipping unknown server "${server}"`));
+    }
+    return args.check && !inSync ? EX_CHECK_FAILED : EX_OK;
+  }
+
+  let outcome;
+  try {
+    outcome = await applyPlan(plan, commandLine());
+  } catch (error) {
+    return fail(error.message, exitCodeFor(error));
+  }
+
+  if (args.json) {
+    println(JSON.stringify({
+      ok: outcome.ok,
+      action: 'sync',
+      file: found.file,
+      results: outcome.results,
+      rolledBack: outcome.rolledBack,
+      unchanged: plan.unchanged,
+      missing: plan.missing
+    }, null, 2));
+  } else {
+    printBatchResults(outcome);
+    for (const server of plan.missing) println(COLOR.dim(`Skipping unknown server "${server}"`));
+    if (outcome.results.length === 0) println(COLOR.dim(`Already in sync with ${relative}.`));
+    else if (outcome.ok) println(COLOR.green(`✔ Synced with ${relative}`));
+  }
+  return outcome.ok ? EX_OK : EX_ERROR;
+}
+
+/**
+ * Describe the changes of a history entry, e.g. "disable slack, github; enable jira"
+ * @param {Object} entry - History entry
+ * @returns {string}
+ */
+function describeChanges(entry) {
+  const byAction = new Map();
+  for (const step of entry.steps) {
+    if (!byAction.has(step.action)) byAction.set(step.action, []);
+    byAction.get(step.action).push(step.name);
+  }
+  return [...byAction].map(([action, names]) => `${action} ${names.join(', ')}`).join('; ');
+}
+
+function describeResult(entry) {
+  if (entry.undoneBy) return 'undone';
+  if (entry.ok) return 'ok';
+  return entry.steps.some(step => step.rolledBack) ? 'failed, rolled back' : 'failed';
+}
+
+/**
+ * Show recorded operations, newest first
+ * @param {Object} args - Parsed arguments (limit, json, showSecrets)
+ * @returns {number} Exit code
+ */
+function actionHistory(args) {
+  const limit = args.limit === undefined ? undefined : Number(args.limit);
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    const message = `Invalid --limit "${args.limit}" (expected a positive number)`;
+    if (args.json) println(JSON.stringify({ ok: false, error: message }, null, 2));
+    else eprintln(COLOR.red(`Error: ${message}`));
+    return EX_ERROR;
+  }
+
+  const entries = history.listHistory(limit === undefined && !args.json ? 20 : limit);
+  if (args.json) {
+    const mask = { showSecrets: args.showSecrets };
+    println(JSON.stringify({
+      ok: true,
+      action: 'history',
+      entries: entries.map(entry => ({
+        ...entry,
+        steps: entry.steps.map(step => ({
+          ...step,
+          config: step.config && maskConfig(step.config, mask),
+          ...(step.previous ? { previous: maskConfig(step.previous, mask) } : {})
+        }))
+      }))
+    }, null, 2));
+    return EX_OK;
+  }
+
+  if (entries.length === 0) {
+    println(COLOR.yellow('No operations recorded yet.'));
+    return EX_OK;
+  }
+
+  const rows = entries.map(entry => [
+    new Date(entry.timestamp).toLocaleString(),
+    entry.command,
+    describeChanges(entry),
+    [...new Set(entry.steps.map(step => step.scope))].join(', '),
+    describeResult(entry)
+  ]);
+  printTable(['WHEN', 'COMMAND', 'CHANGES', 'SCOPE', 'RESULT'], rows, (val, r, i, raw) => {
+    if (i === 1) return COLOR.cyan(val);
+    if (i === 4) {
+      if (raw === 'ok') return COLOR.green(val);
+      if (raw === 'undone') return COLOR.dim(val);
+      return COLOR.red(val);
+    }
+    return val;
+  });
+  return EX_OK;
+}
+
+/**
+ * Revert the last N recorded operations, newest first. Each operation (a whole
+ * batch) is reverted as one transaction; undo stops at the first that fails.
+ * @param {string} countArg - N from the command line (default 1)
+ * @param {Object} args - Parsed arguments (dryRun, json)
+ * @returns {Promise<number>} Exit code
+ */
+async function actionUndo(countArg, args) {
+  const fail = message => {
+    if (args.json) println(JSON.stringify({ ok: false, action: 'undo', error: message }, null, 2));
+    else eprintln(COLOR.red(`Error: ${message}`));
+    return EX_ERROR;
+  };
+
+  const count = countArg === undefined ? 1 : Number(countArg);
+  if (!Number.isInteger(count) || count <= 0) return fail(`Invalid count "${countArg}" (expected a positive number)`);
+
+  const candidates = history.undoCandidates(count);
+  if (candidates.length === 0) {
+    if (args.json) println(JSON.stringify({ ok: true, action: 'undo', results: [] }, null, 2));
+    else println(COLOR.yellow('Nothing to undo.'));
+    return EX_OK;
+  }
+
+  const results = [];
+  for (const entry of candidates) {
+    const summary = { id: entry.id, timestamp: entry.timestamp, command: entry.command };
+    const { steps, conflicts } = await buildUndoSteps(entry);
+
+    if (conflicts.length > 0) {
+      results.push({ ...summary, ok: false, error: `Cannot undo "${entry.command}": ${conflicts.join('; ')}` });
+      break;
+    }
+    if (args.dryRun) {
+      results.push({ ...summary, ok: true, results: steps.map(step => ({ name: step.name, scope: step.scope, action: step.action })) });
+      continue;
+    }
+
+    const outcome = await runTransaction(steps);
+    const recorded = recordHistory(`undo: ${entry.command}`, steps, outcome, { undoes: [entry.id] });
+    if (outcome.ok) history.markUndone([entry.id], recorded.id);
+    results.push({ ...summary, ok: outcome.ok, results: outcome.results, rolledBack: outcome.rolledBack });
+    if (!outcome.ok) break;
+  }
+  const ok = results.every(r => r.ok);
+
+  if (args.json) {
+    println(JSON.stringify({ ok, action: 'undo', dryRun: args.dryRun || undefined, results }, null, 2));
+    return ok ? EX_OK : EX_ERROR;
+  }
+
+  for (const r of results) {
+    if (r.error) {
+      eprintln(COLOR.red(`Error: ${r.error}`));
+    } else if (args.dryRun) {
+      const changes = r.results.map(step => `${step.action} "${step.name}" (${step.scope} scope)`).join(', ');
+      println(COLOR.yellow(`[DRY RUN] Would undo "${r.command}": ${changes}`));
     } else {
-      eprintln(COLOR.red(`Error disabling "${identifier}": ${removeResult.error}`));
+      printBatchResults({ results: r.results });
+      if (r.ok) println(COLOR.green(`✔ Undid "${r.command}"`));
     }
+  }
+  if (candidates.length < count && ok) {
+    println(COLOR.dim(`Only ${candidates.length} operation(s) could be undone.`));
+  }
+  return ok ? EX_OK : EX_ERROR;
+}
+
+function printExpiryResults(results) {
+  for (const r of results) {
+    if (r.ok) eprintln(COLOR.yellow(`Re-enabled "${r.name}" (${r.scope} scope): temporary disable expired`));
+    else eprintln(COLOR.red(`Error: could not re-enable expired "${r.name}": ${r.error}`));
+  }
+}
+
+/**
+ * Re-enable expired servers explicitly (for cron jobs and shell hooks).
+ * Prints nothing when no server is due.
+ * @param {Object} args - Parsed arguments (dryRun, json)
+ * @returns {Promise<number>} Exit code
+ */
+async function actionExpire(args) {
+  const results = await expireServers({ dryRun: args.dryRun, command: commandLine() });
+  const ok = results.every(r => r.ok);
+
+  if (args.json) {
+    println(JSON.stringify({ ok, action: 'expire', dryRun: args.dryRun || undefined, results }, null, 2));
+    return ok ? EX_OK : EX_ERROR;
+  }
+
+  for (const r of results) {
+    if (args.dryRun) println(COLOR.yellow(`[DRY RUN] Would re-enable "${r.name}" (${r.scope} scope)`));
+    else if (r.ok) println(COLOR.green(`✔ Re-enabled "${r.name}" (${r.scope} scope)`));
+    else eprintln(COLOR.red(`Error re-enabling "${r.name}": ${r.error}`));
+  }
+  return ok ? EX_OK : EX_ERROR;
+}
+
+/**
+ * Diagnose the environment and stored state, optionally applying safe fixes
+ * @param {Object} args - Parsed arguments (fix, dryRun)
+ * @returns {Promise<number>} Exit code (1 when errors remain)
+ */
+async function actionDoctor(args) {
+  const findings = await doctor.diagnose();
+  if (args.fix && !args.dryRun) await doctor.applyFixes(findings);
+
+  const open = findings.filter(f => f.level !== 'ok' && !f.fixed);
+  const ok = !open.some(f => f.level === 'error');
+
+  if (args.json) {
+    println(JSON.stringify({
+      ok,
+      action: 'doctor',
+      findings: findings.map(({ fix, ...f }) => ({ ...f, fixable: Boolean(fix) }))
+    }, null, 2));
+    return ok ? EX_OK : EX_CHECK_FAILED;
+  }
+
+  for (const f of findings) {
+    if (f.fixed) {
+      println(COLOR.green(`✔ Fixed: ${f.message}`));
+      continue;
+    }
+    if (f.level === 'ok') println(`${COLOR.green('✔')} ${f.message}`);
+    else if (f.level === 'warning') println(`${COLOR.yellow('⚠')} ${f.message}`);
+    else println(`${COLOR.red('✖')} ${f.message}`);
+    if (f.fixError) println(COLOR.red(`    fix failed: ${f.fixError}`));
+    if (f.suggestion) {
+      const hint = f.fix && !args.fix ? ' (--fix)' : '';
+      println(COLOR.dim(`    → ${f.suggestion}${hint}`));
+    }
+  }
+
+  println('');
+  if (open.length === 0) {
+    println(COLOR.green('No problems found.'));
+  } else {
+    const fixable = open.filter(f => f.fix && !f.fixError).length;
+    const summary = `${open.length} problem(s) found` + (fixable > 0 && !args.fix ? `, ${fixable} fixable with "ccmcp doctor --fix"` : '');
+    println(ok ? COLOR.yellow(summary) : COLOR.red(summary));
+  }
+  return ok ? EX_OK : EX_CHECK_FAILED;
+}
+
+/**
+ * Print completion candidates, one per line, for the scripts of `ccmcp completion`:
+ * `__complete --current=<word> -- <words before it>`. Never fails: a broken
+ * completion must not disturb the prompt.
+ * @param {Array<string>} argv - Arguments after __complete
+ * @returns {Promise<number>} Exit code
+ */
+async function actionComplete(argv) {
+  try {
+    if (argv[0] === '--refresh') {
+      await completion.refreshActiveNames();
+      return EX_OK;
+    }
+    const current = argv[0] && argv[0].startsWith('--current=') ? argv[0].slice('--current='.length) : '';
+    const separator = argv.indexOf('--');
+    const candidates = await completion.complete(separator === -1 ? [] : argv.slice(separator + 1), current);
+    if (candidates.length > 0) println(candidates.join('\n'));
+  } catch (error) {
+    // No candidates
+  }
+  return EX_OK;
+}
+
+/**
+ * Print the completion script of a shell
+ * @param {string} shell - bash, zsh, fish or powershell
+ * @param {Object} args - Parsed arguments
+ * @returns {number} Exit code
+ */
+function actionCompletion(shell, args) {
+  const script = shell && completion.script(shell);
+  if (!script) {
+    const error = shell ? `Unknown shell: ${shell}` : 'completion requires a shell';
+    printProfileError(args, error, `Usage: completion ${completion.SHELLS.join('|')}`);
     return EX_ERROR;
   }
+  process.stdout.write(script);
+  return EX_OK;
+}
+
+/**
+ * Describe where a setting comes from, for `config list`
+ * @param {Object} entry - Entry of config.list()
+ * @returns {string}
+ */
+function settingSource(entry) {
+  if (entry.source === 'env') return `env (${entry.variable})`;
+  if (entry.source === 'project') return `project (${entry.file})`;
+  return entry.source;
+}
 
+function configList(args) {
+  const { settings, problems } = config.list();
   if (args.json) {
-    println(JSON.stringify({ ok: true, action: 'disable', identifier }, null, 2));
+    println(JSON.stringify({ ok: true, settings, problems }, null, 2));
+    return EX_OK;
+  }
+  printTable(
+    ['SETTING', 'VALUE', 'SOURCE'],
+    settings.map(entry => [entry.key, String(entry.value), settingSource(entry)]),
+    (val, r, i) => (i === 2 && settings[r].source === 'default' ? COLOR.dim(val) : val)
+  );
+  for (const problem of problems) eprintln(COLOR.yellow(`⚠ Ignored ${problem}`));
+  return EX_OK;
+}
+
+function configGet(key, args) {
+  if (!config.KEYS.includes(key)) throw new ValidationError(config.unknownKey(key));
+  const entry = config.list().settings.find(e => e.key === key);
+  if (args.json) {
+    println(JSON.stringify({ ok: true, key, value: entry.value, source: entry.source }, null, 2));
   } else {
-    println(COLOR.green(`✔ Disabled "${identifier}"`));
-    println(COLOR.dim('Configuration saved. Use "enable" to restore it.'));
+    println(String(entry.value));
   }
   return EX_OK;
 }
 
-function main() {
-  const args = parseArgs(process.argv.slice(2));
+// A stronger source hides a value saved in the user file: say so
+function overriddenBy(key) {
+  const entry = config.list().settings.find(e => e.key === key);
+  if (entry.source === 'env') return entry.variable;
+  if (entry.source === 'project') return entry.file;
+  return undefined;
+}
+
+function configSet(key, value, args) {
+  if (value === undefined) {
+    printProfileError(args, 'config set requires a key and a value', 'Usage: config set <key> <value>');
+    return EX_ERROR;
+  }
+  const saved = config.set(key, value);
+  if (!saved.ok) throw new ValidationError(saved.error);
+  const overrider = overriddenBy(key);
+  if (args.json) {
+    println(JSON.stringify({ ok: true, action: 'set', key, value: saved.value, file: saved.file, overriddenBy: overrider }, null, 2));
+    return EX_OK;
+  }
+  println(COLOR.green(`✔ Set ${key} to ${saved.value} in ${saved.file}`));
+  if (overrider) println(COLOR.yellow(`${overrider} overrides it here.`));
+  return EX_OK;
+}
+
+function configUnset(key, args) {
+  const removed = config.unset(key);
+  if (!removed.ok) throw new ValidationError(removed.error);
+  if (args.json) {
+    println(JSON.stringify({ ok: true, action: 'unset', key, removed: removed.removed, file: removed.file }, null, 2));
+  } else if (removed.removed) {
+    println(COLOR.green(`✔ Removed ${key} from ${removed.file}`));
+  } else {
+    println(COLOR.yellow(`${key} was not set in ${removed.file}`));
+  }
+  return EX_OK;
+}
+
+/**
+ * Show and change the settings saved in ~/.claude-mcp-switch/config.json
+ * @param {string} subcommand - list (default), get, set or unset
+ * @param {Array<string>} rest - Key, and the value for set
+ * @param {Object} args - Parsed arguments
+ * @returns {number} Exit code
+ */
+function actionConfig(subcommand = 'list', rest, args) {
+  const usage = 'Usage: config list | get <key> | set <key> <value> | unset <key>';
+  if (!['list', 'get', 'set', 'unset'].includes(subcommand)) {
+    printProfileError(args, `Unknown config command: ${subcommand}`, usage);
+    return EX_ERROR;
+  }
+  const [key, value] = rest;
+  if (subcommand !== 'list' && !key) {
+    printProfileError(args, `config ${subcommand} requires a setting name`, `Settings: ${config.KEYS.join(', ')}`);
+    return EX_ERROR;
+  }
+
+  try {
+    if (subcommand === 'list') return configList(args);
+    if (subcommand === 'get') return configGet(key, args);
+    if (subcommand === 'set') return configSet(key, value, args);
+    return configUnset(key, args);
+  } catch (error) {
+    return reportError(args, error);
+  }
+}
+
+/**
+ * Parse command-line arguments; kept for scripts that require ccmcp.js
+ * @param {Array<string>} argv - Arguments, without node and the script
+ * @returns {Object} The words in `_` and every option given under its camelCase name
+ * @throws {ValidationError} On an unknown option or a missing value
+ */
+function parseArgs(argv) {
+  const parsed = cliArgs.parse(argv);
+  if (!parsed.ok) throw new ValidationError(parsed.error);
+  return parsed.args;
+}
+
+async function main() {
+  // Runs on every Tab: answer before anything else
+  if (process.argv[2] === '__complete') return actionComplete(process.argv.slice(3));
+
+  const parsed = cliArgs.parse(process.argv.slice(2));
+  if (!parsed.ok) {
+    // Nothing was parsed: look for --json and --no-color among the raw words
+    const argv = process.argv.slice(2);
+    if (argv.includes('--no-color') || process.env.NO_COLOR) COLOR.enabled = false;
+    printProfileError({ json: argv.includes('--json') }, parsed.error, parsed.hint);
+    return EX_ERROR;
+  }
+  const args = parsed.args;
 
-  // Handle --no-color
-  if (args.noColor || process.env.NO_COLOR) {
+  // Handle --no-color and the color and banner settings
+  if (args.noColor || process.env.NO_COLOR || !config.get('color')) {
     COLOR.enabled = false;
   }
+  BANNER.enabled = config.get('banner');
 
   // Handle --json (implies no color)
   if (args.json) {
     COLOR.enabled = false;
   }
 
+  // Handle --wide: tables keep every cell whole, even past the terminal width
+  TABLE.wide = Boolean(args.wide);
+
   // Handle --version
   if (args.version) {
     println(`${NAME} ${VERSION}`);
     return EX_OK;
   }
 
-  // Handle --help
+  // Handle --help: `ccmcp <command> --help` describes that command
   if (args.help || args._.length === 0) {
-    help();
+    const spec = cliArgs.describeCommand(args._[0]);
+    if (spec) printCommandHelp(spec);
+    else help();
     return EX_OK;
   }
 
   const [command, identifier] = args._;
 
-  // Print banner for non-JSON output
-  if (!args.json) {
+  // --backend was checked by the parser, CCMCP_BACKEND was not
+  try {
+    backend.select(args.backend || process.env.CCMCP_BACKEND || 'auto');
+  } catch (error) {
+    if (args.json) {
+      println(JSON.stringify({ ok: false, error: error.message }, null, 2));
+    } else {
+      eprintln(COLOR.red(`Error: ${error.message}`));
+    }
+    return EX_ERROR;
+  }
+
+  // Completion scripts are sourced by shell startup files: no banner, no
+  // recovery and no expiry
+  if (command === 'completion') return actionCompletion(identifier, args);
+
+  // Settings are read and written as they are, without banner or recovery
+  if (command === 'config') return actionConfig(identifier, args._.slice(2), args);
+
+  // `list` prints the format setting unless told otherwise; `list --format json`
+  // reports errors as JSON too
+  if (command === 'list' && args.format === undefined && !args.json) args.format = config.get('format');
+  if (command === 'list' && args.format === 'json') args.json = true;
+
+  // Print banner for non-JSON output (export prints a JSON document, list
+  // formats other than the table are piped or pasted, expire and sync --check
+  // run from cron jobs and shell hooks)
+  const quiet = command === 'export' || command === 'expire' || (command === 'sync' && args.check)
+    || (command === 'list' && args.format !== undefined && args.format !== 'table');
+  if (!args.json && !quiet) {
     printBanner();
   }
 
+  // Finish or undo operations left behind by an interrupted run
+  // (doctor reports them instead)
+  if (command !== 'recover' && command !== 'doctor') {
+    const recovered = await api.recover();
+    if (!args.json) printRecoveryResults(recovered.results);
+  }
+
+  // Bring back servers whose temporary disable ran out (not during a dry run)
+  if (command !== 'expire' && command !== 'doctor' && command !== 'recover' && !args.dryRun) {
+    const expired = await expireServers({ command: 'expire (automatic)' });
+    if (!args.json) printExpiryResults(expired);
+  }
+
   // Route commands
   if (command === 'list') {
     return actionList(args);
-  } else if (command === 'enable') {
-    return actionEnable(identifier, args);
-  } else if (command === 'disable') {
-    return actionDisable(identifier, args);
+  } else if (command === 'enable' || command === 'disable') {
+    return actionSwitch(command, args._.slice(1), args);
+  } else if (command === 'pick') {
+    return actionPick(args);
+  } else if (command === 'recover') {
+    return actionRecover(args);
+  } else if (command === 'profile') {
+    return actionProfile(identifier, args._[2], args);
+  } else if (command === 'show') {
+    return actionShow(identifier, args);
+  } else if (command === 'stash') {
+    return actionStash(identifier, args);
+  } else if (command === 'sync') {
+    return actionSync(args);
+  } else if (command === 'history') {
+    return actionHistory(args);
+  } else if (command === 'undo') {
+    return actionUndo(identifier, args);
+  } else if (command === 'expire') {
+    return actionExpire(args);
+  } else if (command === 'doctor') {
+    return actionDoctor(args);
+  } else if (command === 'check') {
+    return actionCheck(args._.slice(1), args);
+  } else if (command === 'export') {
+    return actionExport(args._.slice(1), args);
+  } else if (command === 'import') {
+    return actionImport(identifier, args);
   } else {
     if (args.json) {
       println(JSON.stringify({ ok: false, error: `Unknown command: ${command}` }, null, 2));
@@ -268,8 +1795,17 @@ function main() {
 }
 
 if (require.main === module) {
-  const exitCode = main();
-  process.exit(exitCode);
+  Promise.resolve()
+    .then(main)
+    .then(exitCode => {
+      reportQuarantined();
+      process.exit(exitCode);
+    })
+    .catch(error => {
+      reportQuarantined();
+      eprintln(COLOR.red(`Error: ${error.message}`));
+      process.exit(error instanceof CcmcpError ? exitCodeFor(error) : EX_ERROR);
+    });
 }
 
 module.exports = { main, parseArgs };
@@ -0,0 +1,201 @@
+// Type definitions for the claude-mcp-switch programmatic API
+
+export type Scope = 'user' | 'local' | 'project';
+export type Transport = 'stdio' | 'sse' | 'http';
+export type ServerStatus = 'enabled' | 'disabled';
+export type BackendName = 'cli' | 'file' | 'auto';
+
+/** A server definition. env holds "KEY=value" pairs, headers "Name: value" pairs. */
+export interface ServerConfig {
+  name: string;
+  scope?: Scope;
+  transport?: Transport;
+  command?: string;
+  url?: string;
+  args?: string[];
+  env?: string[];
+  headers?: string[];
+  /** Set on stashed servers */
+  disabledAt?: string;
+  /** Set on temporarily disabled servers */
+  expiresAt?: string;
+}
+
+/** One entry of list(): an active server summary or a stashed definition */
+export interface ListedServer extends ServerConfig {
+  status: ServerStatus;
+  /** Active servers: command line or URL as reported by Claude Code */
+  commandOrUrl?: string;
+}
+
+export interface ServerDetails {
+  name: string;
+  scope: Scope;
+  status: ServerStatus;
+  config: ServerConfig;
+}
+
+export interface FieldDiff {
+  /** "scope", "transport", "command", "args", "url", "env.NAME" or "headers.Name" */
+  field: string;
+  live: string | null;
+  stashed: string | null;
+}
+
+export interface ServerInspection {
+  name: string;
+  status: ServerStatus;
+  live: ServerConfig | null;
+  /** Every stashed copy; diff is set when the server is live too */
+  stashed: Array<ServerConfig & { diff?: FieldDiff[] }>;
+}
+
+export interface StashEntry {
+  name: string;
+  scope: Scope;
+  config: ServerConfig;
+}
+
+export interface ReadOptions {
+  scope?: Scope;
+  /** list(): only active or only stashed servers */
+  status?: ServerStatus;
+  /** list(): only servers using this transport */
+  transport?: Transport;
+  /** list(): order of the servers (default: active servers first) */
+  sort?: 'name' | 'status' | 'transport' | 'disabledAt';
+  /** Only accept the exact name, not a case-insensitive match or unique prefix */
+  exact?: boolean;
+  /** list(): also fetch scope, args and env of every active server */
+  details?: boolean;
+  /** Return plaintext values. Secrets sealed in the stash stay hidden. */
+  showSecrets?: boolean;
+}
+
+export interface SwitchOptions {
+  scope?: Scope;
+  /** Only accept exact names, not case-insensitive matches or unique prefixes */
+  exact?: boolean;
+  /** Every stashed (enable) or active (disable) server instead of names */
+  all?: boolean;
+  /** Resolve the servers without changing anything */
+  dryRun?: boolean;
+  /** Text recorded in the operation history (defaults to the equivalent ccmcp command) */
+  command?: string;
+}
+
+export interface DisableOptions extends SwitchOptions {
+  /** Re-enable after a duration such as "90m", "2h" or "1h30m" */
+  for?: string;
+  /** Re-enable at "HH:MM" or an ISO date */
+  until?: string;
+}
+
+/** stash.set() changes. args replaces the arguments; env holds "KEY=value" to set or "KEY" to remove. */
+export interface StashChanges {
+  transport?: Transport;
+  url?: string;
+  args?: string[];
+  env?: string[];
+}
+
+export interface StepResult {
+  name: string;
+  scope: Scope;
+  action: 'enable' | 'disable';
+  ok?: boolean;
+  error?: string;
+  skipped?: boolean;
+  rolledBack?: boolean;
+  rollbackError?: string;
+}
+
+export interface SwitchResult {
+  action: 'enable' | 'disable';
+  dryRun?: boolean;
+  expiresAt?: string;
+  results: StepResult[];
+}
+
+export interface RecoveryResult {
+  results: Array<{
+    id: string;
+    action: 'enable' | 'disable';
+    name: string;
+    scope: Scope;
+    startedAt: string;
+    resolution: 'completed' | 'rolled-back';
+    ok: boolean;
+    error?: string;
+  }>;
+  /** Operations whose process is still running */
+  inProgress: Array<{ id: string; action: 'enable' | 'disable'; name: string; scope: Scope; pid: number; startedAt: string }>;
+}
+
+export function list(options?: ReadOptions): Promise<ListedServer[]>;
+export function getServer(name: string, options?: ReadOptions): Promise<ServerDetails>;
+export function inspect(name: string, options?: ReadOptions): Promise<ServerInspection>;
+export function enable(names: string | string[], options?: SwitchOptions): Promise<SwitchResult>;
+export function disable(names: string | string[], options?: DisableOptions): Promise<SwitchResult>;
+export function recover(options?: { dryRun?: boolean; force?: boolean }): Promise<RecoveryResult>;
+export function useBackend(name: BackendName): 'cli' | 'file';
+
+export const stash: {
+  list(options?: ReadOptions): Promise<StashEntry[]>;
+  get(name: string, options?: ReadOptions): Promise<StashEntry>;
+  add(config: ServerConfig, options?: { dryRun?: boolean }): Promise<StashEntry>;
+  set(name: string, changes: StashChanges, options?: { scope?: Scope; exact?: boolean; dryRun?: boolean }): Promise<StashEntry>;
+  update(name: string, config: ServerConfig, options?: { scope?: Scope; exact?: boolean; dryRun?: boolean }): Promise<StashEntry>;
+  rename(name: string, newName: string, options?: { scope?: Scope; exact?: boolean; dryRun?: boolean }): Promise<StashEntry>;
+};
+
+/** A server offered by a NotFoundError or AmbiguousError */
+export interface ServerSuggestion {
+  status: ServerStatus;
+  name: string;
+  scope?: Scope;
+  transport?: Transport;
+  commandOrUrl: string;
+}
+
+export type ErrorCode =
+  | 'ERROR'
+  | 'INVALID_ARGUMENT'
+  | 'NOT_FOUND'
+  | 'AMBIGUOUS'
+  | 'CONFLICT'
+  | 'BACKEND_ERROR'
+  | 'OPERATION_FAILED';
+
+export class CcmcpError extends Error {
+  code: ErrorCode;
+  constructor(message: string, code?: ErrorCode, details?: object);
+}
+export class ValidationError extends CcmcpError {
+  code: 'INVALID_ARGUMENT';
+  /** Set when a server definition is invalid */
+  problems?: string[];
+}
+export class NotFoundError extends CcmcpError {
+  code: 'NOT_FOUND';
+  /** Servers whose names are close to the one asked for */
+  suggestions?: ServerSuggestion[];
+}
+export class AmbiguousError extends CcmcpError {
+  code: 'AMBIGUOUS';
+  scopes?: Scope[];
+  /** Servers matched by a name that is not exact */
+  candidates?: ServerSuggestion[];
+}
+export class ConflictError extends CcmcpError {
+  code: 'CONFLICT';
+}
+export class BackendError extends CcmcpError {
+  code: 'BACKEND_ERROR';
+}
+export class OperationError extends CcmcpError {
+  code: 'OPERATION_FAILED';
+  action: 'enable' | 'disable';
+  results: StepResult[];
+  rolledBack: boolean;
+}
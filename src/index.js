@@ -0,0 +1,430 @@
+/* claude-mcp-switch - programmatic API
+ * const ccmcp = require('claude-mcp-switch');
+ * await ccmcp.disable('github', { for: '2h' });
+ *
+ * The same operations as the CLI, returning structured results instead of
+ * printing. Failures throw the errors from ./lib/errors, each with a stable code.
+ */
+
+const backend = require('./lib/backend');
+const storage = require('./lib/storage');
+const operations = require('./lib/operations');
+const stashEdit = require('./lib/stash-edit');
+const errors = require('./lib/errors');
+const { SCOPES, DEFAULT_SCOPE, isValidScope } = require('./lib/scope');
+const { maskConfig } = require('./lib/secrets');
+const { flattenConfig, changedFields } = require('./lib/diff');
+const { resolveExpiry } = require('./lib/expiry');
+const { recoverPending } = require('./lib/recovery');
+const listFormat = require('./lib/list-format');
+const cliArgs = require('./lib/args');
+
+const { ValidationError, NotFoundError, AmbiguousError, ConflictError, BackendError, OperationError } = errors;
+
+let recovered = false;
+
+function checkScope(scope) {
+  if (scope !== undefined && !isValidScope(scope)) {
+    throw new ValidationError(`Invalid scope "${scope}" (expected ${SCOPES.join(', ')})`);
+  }
+}
+
+// The choices are those the command line accepts for the option of the same name
+function checkChoice(option, value) {
+  const { choices } = cliArgs.OPTIONS[option];
+  if (value !== undefined && !choices.includes(value)) {
+    throw new ValidationError(`Invalid ${option} "${value}" (expected ${choices.join(', ')})`);
+  }
+}
+
+function toNames(names) {
+  if (names === undefined || names === null) return [];
+  return Array.isArray(names) ? names : [names];
+}
+
+/**
+ * The command line that would have done the same, as recorded in the history
+ * @param {string} action - enable or disable
+ * @param {Array<string>} names
+ * @param {Object} options
+ * @returns {string}
+ */
+function describeCommand(action, names, options) {
+  const parts = [action, ...(options.all ? ['--all'] : names)];
+  if (options.scope) parts.push('--scope', options.scope);
+  if (options.for !== undefined) parts.push('--for', options.for);
+  if (options.until !== undefined) parts.push('--until', options.until);
+  if (options.exact) parts.push('--exact');
+  return parts.join(' ');
+}
+
+/**
+ * Select the backend: "cli" (claude mcp commands), "file" (edit the config
+ * files directly) or "auto". Defaults to $CCMCP_BACKEND, then auto.
+ * @param {string} name
+ * @returns {string} Name of the selected backend
+ */
+function useBackend(name) {
+  try {
+    return backend.select(name);
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+}
+
+/**
+ * Finish or undo operations left behind by an interrupted run.
+ * enable() and disable() do this once per process before their first change.
+ * @param {Object} options - { dryRun, force }
+ * @returns {Promise<Object>} { results[], inProgress[] }
+ */
+async function recover({ dryRun = false, force = false } = {}) {
+  if (!dryRun) recovered = true;
+  return recoverPending({ dryRun, force });
+}
+
+async function recoverOnce() {
+  if (recovered) return;
+  recovered = true;
+  await recoverPending();
+}
+
+/**
+ * List active and disabled servers, like `ccmcp list --json`
+ * @param {Object} options - { scope, status, transport, sort, details, showSecrets }
+ * @param {string} options.status - Only "enabled" or only "disabled" servers
+ * @param {string} options.sort - name, status, transport or disabledAt (default: active servers first)
+ * @param {boolean} options.details - Also fetch scope, args and env of every active server
+ * @returns {Promise<Array<Object>>} Servers with a status of "enabled" or "disabled"
+ */
+async function list({ scope, status, transport, sort, details = false, showSecrets = false } = {}) {
+  checkScope(scope);
+  checkChoice('status', status);
+  checkChoice('transport', transport);
+  checkChoice('sort', sort);
+
+  // Stashed servers alone do not need the (slow) claude CLI
+  let servers = [];
+  if (status !== 'disabled') {
+    const result = await backend.listServers();
+    if (!result.ok) throw new BackendError(result.error);
+    servers = result.servers;
+  }
+  let stashed = status === 'enabled' ? [] : storage.listDisabledServers();
+  if (details || scope) {
+    // `claude mcp list` only gives a summary, so look each server up (in parallel)
+    servers = await Promise.all(servers.map(async server => {
+      if (server.scope && !details) return server;
+      const found = await backend.getServer(server.name, server.scope);
+      if (!found.ok) return server;
+      return details ? { ...server, ...found.server } : { ...server, scope: found.server.scope };
+    }));
+  }
+  if (scope) {
+    servers = servers.filter(server => server.scope === scope);
+    stashed = stashed.filter(d => d.scope === scope);
+  }
+  if (transport) {
+    servers = servers.filter(server => server.transport === transport);
+    stashed = stashed.filter(d => (d.config.transport || 'stdio') === transport);
+  }
+
+  const mask = { showSecrets };
+  const entries = [
+    ...servers.map(server => ({ ...maskConfig(server, mask), status: 'enabled' })),
+    ...stashed.map(d => ({ name: d.name, ...maskConfig(d.config, mask), status: 'disabled' }))
+  ];
+  return sort ? listFormat.sortEntries(entries, sort) : entries;
+}
+
+/**
+ * Full configuration of one server. An active server wins over a stashed one.
+ * @param {string} query - Server name; a case-insensitive match or unique prefix also works unless exact is set
+ * @param {Object} options - { scope, exact, showSecrets }
+ * @returns {Promise<Object>} { name, scope, status, config }
+ * @throws {NotFoundError|AmbiguousError}
+ */
+async function getServer(query, { scope, exact = false, showSecrets = false } = {}) {
+  if (!query) throw new ValidationError('getServer requires a server name');
+  checkScope(scope);
+  const mask = { showSecrets };
+  const name = await operations.resolveAnyName(query, { scope, exact });
+
+  const live = await backend.getServer(name, scope);
+  if (live.ok && (!scope || !live.server.scope || live.server.scope === scope)) {
+    const config = { ...live.server, scope: live.server.scope || scope || DEFAULT_SCOPE };
+    return { name, scope: config.scope, status: 'enabled', config: maskConfig(config, mask) };
+  }
+
+  const entry = getStashEntry(name, scope, true);
+  return { name, scope: entry.scope, status: 'disabled', config: maskConfig(entry.config, mask) };
+}
+
+/**
+ * Everything known about one server: its live definition, every stashed copy
+ * (with the scope it was disabled from) and, when it is both live and
+ * stashed, which fields differ
+ * @param {string} query - Server name, resolved like getServer()
+ * @param {Object} options - { scope, exact, showSecrets }
+ * @returns {Promise<Object>} { name, status, live, stashed[] }; stashed entries
+ *   carry diff[] ({ field, live, stashed }) when the server is live too
+ * @throws {NotFoundError|AmbiguousError}
+ */
+async function inspect(query, { scope, exact = false, showSecrets = false } = {}) {
+  if (!query) throw new ValidationError('inspect requires a server name');
+  checkScope(scope);
+  const mask = { showSecrets };
+  const name = await operations.resolveAnyName(query, { scope, exact });
+
+  const found = await backend.getServer(name, scope);
+  const live = found.ok && (!scope || !found.server.scope || found.server.scope === scope)
+    ? { ...found.server, scope: found.server.scope || scope || DEFAULT_SCOPE }
+    : null;
+  const entries = storage.findDisabledServers(name).filter(d => !scope || d.scope === scope);
+  if (!live && entries.length === 0) {
+    throw new NotFoundError(`Server "${name}" not found${scope ? ` in ${scope} scope` : ''}.`);
+  }
+
+  const stashed = entries.map(d => {
+    const config = maskConfig(d.config, mask);
+    if (!live) return config;
+    // Compare plaintext values, print masked ones (sealed values stay sealed when the key is missing)
+    const revealed = storage.revealSecrets(d.config);
+    const shownLive = flattenConfig(maskConfig(live, mask));
+    const shownStashed = flattenConfig(config);
+    const diff = changedFields(live, revealed.ok ? revealed.config : d.config).map(field => ({
+      field,
+      live: shownLive[field] === undefined ? null : shownLive[field],
+      stashed: shownStashed[field] === undefined ? null : shownStashed[field]
+    }));
+    return { ...config, diff };
+  });
+
+  return { name, status: live ? 'enabled' : 'disabled', live: live && maskConfig(live, mask), stashed };
+}
+
+function getStashEntry(query, scope, exact) {
+  const name = operations.resolveStashedName(query, {
+    scope,
+    exact,
+    notFound: `Server "${query}" not found${scope ? ` in ${scope} scope` : ''}.`
+  });
+  const entries = storage.findDisabledServers(name).filter(d => !scope || d.scope === scope);
+  if (entries.length > 1) {
+    throw new AmbiguousError(
+      `Server "${name}" is disabled in several scopes (${entries.map(d => d.scope).join(', ')}); pass a scope to pick one`,
+      { scopes: entries.map(d => d.scope) }
+    );
+  }
+  return entries[0];
+}
+
+function invalidServer(problems) {
+  return new ValidationError(`Invalid server definition: ${problems.join('; ')}`, { problems });
+}
+
+async function checkNameFree(name, scope) {
+  if (storage.getDisabledServer(name, scope)) {
+    throw new ConflictError(`Server "${name}" is already disabled in ${scope} scope`);
+  }
+  if (await operations.isLive(name, scope)) {
+    throw new ConflictError(`Server "${name}" is already active in ${scope} scope`);
+  }
+}
+
+/**
+ * Write a changed stash entry over the old one. Moving it to another name or
+ * scope must not collide with a server there.
+ * @param {Object} entry - Current { name, scope, config }
+ * @param {Object} config - New configuration
+ * @param {boolean} dryRun
+ * @returns {Promise<Object>} { name, scope, config } with secrets masked
+ */
+async function saveStashEntry(entry, config, dryRun) {
+  if (config.name !== entry.name || config.scope !== entry.scope) await checkNameFree(config.name, config.scope);
+  if (!dryRun) {
+    const result = storage.replaceDisabledServer(entry.name, entry.scope, config);
+    if (!result.ok) throw new ConflictError(result.error);
+  }
+  return { name: config.name, scope: config.scope, config: maskConfig(config) };
+}
+
+/**
+ * Run an enable or disable batch
+ * @param {string} action - enable or disable
+ * @param {string|Array<string>} names - Names or globs
+ * @param {Object} options - { scope, all, exact, dryRun, for, until, command }
+ * @returns {Promise<Object>} { action, dryRun?, expiresAt?, results[] }
+ */
+async function switchServers(action, names, options) {
+  const patterns = toNames(names);
+  if (patterns.length === 0 && !options.all) throw new ValidationError(`${action} requires an identifier`);
+  if (patterns.length > 0 && options.all) throw new ValidationError('--all cannot be combined with server names');
+  checkScope(options.scope);
+
+  const expiry = resolveExpiry(options);
+  if (!expiry.ok) throw new ValidationError(expiry.error);
+  if (action === 'enable' && expiry.expiresAt) throw new ValidationError('--for and --until only apply to disable');
+
+  await recoverOnce();
+
+  const resolved = action === 'enable'
+    ? operations.resolveEnableTargets(patterns, options)
+    : await operations.resolveDisableTargets(patterns, options);
+
+  // A temporary disable travels with the stashed config
+  const { expiresAt } = expiry;
+  const targets = expiresAt
+    ? resolved.map(t => ({ ...t, config: { ...t.config, expiresAt } }))
+    : resolved;
+
+  if (targets.length === 0) return { action, results: [] };
+
+  if (options.dryRun) {
+    return { action, dryRun: true, expiresAt, results: targets.map(t => ({ name: t.name, scope: t.scope, action })) };
+  }
+
+  const command = options.command || describeCommand(action, patterns, options);
+  const outcome = await operations.runRecorded(operations.buildSteps(action, targets), command);
+  if (!outcome.ok) {
+    const failed = outcome.results.find(r => !r.ok && !r.skipped);
+    throw new OperationError(failed.error, { action, results: outcome.results, rolledBack: outcome.rolledBack });
+  }
+  return { action, expiresAt, results: outcome.results };
+}
+
+/**
+ * Re-enable stashed servers. The batch is all-or-nothing.
+ * @param {string|Array<string>} names - Names or globs
+ * @param {Object} options - { scope, all, exact, dryRun }
+ * @returns {Promise<Object>} { action, dryRun?, results[] }
+ * @throws {ValidationError|NotFoundError|AmbiguousError|OperationError}
+ */
+async function enable(names, options = {}) {
+  return switchServers('enable', names, options);
+}
+
+/**
+ * Stash active servers and remove them from Claude Code. The batch is all-or-nothing.
+ * @param {string|Array<string>} names - Names or globs
+ * @param {Object} options - { scope, all, exact, dryRun, for, until }
+ * @returns {Promise<Object>} { action, dryRun?, expiresAt?, results[] }
+ * @throws {ValidationError|NotFoundError|AmbiguousError|BackendError|OperationError}
+ */
+async function disable(names, options = {}) {
+  return switchServers('disable', names, options);
+}
+
+const stash = {
+  /**
+   * List disabled servers
+   * @param {Object} options - { scope, showSecrets }
+   * @returns {Promise<Array<Object>>} { name, scope, config }
+   */
+  async list({ scope, showSecrets = false } = {}) {
+    checkScope(scope);
+    return storage.listDisabledServers()
+      .filter(d => !scope || d.scope === scope)
+      .map(d => ({ name: d.name, scope: d.scope, config: maskConfig(d.config, { showSecrets }) }));
+  },
+
+  /**
+   * One disabled server
+   * @param {string} name - Server name
+   * @param {Object} options - { scope, exact, showSecrets }
+   * @returns {Promise<Object>} { name, scope, config }
+   * @throws {NotFoundError|AmbiguousError}
+   */
+  async get(name, { scope, exact = false, showSecrets = false } = {}) {
+    if (!name) throw new ValidationError('stash.get requires a server name');
+    checkScope(scope);
+    const entry = getStashEntry(name, scope, exact);
+    return { name: entry.name, scope: entry.scope, config: maskConfig(entry.config, { showSecrets }) };
+  },
+
+  /**
+   * Stash a new server without adding it to Claude Code
+   * @param {Object} config - { name, scope, transport, command, args, url, env, headers }
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} { name, scope, config }
+   * @throws {ValidationError|ConflictError}
+   */
+  async add(config, { dryRun = false } = {}) {
+    if (!config || !config.name) throw new ValidationError('stash.add requires a server name');
+    checkScope(config.scope);
+    const checked = stashEdit.checkConfig({ ...config, scope: config.scope || DEFAULT_SCOPE });
+    if (!checked.ok) throw invalidServer(checked.problems);
+
+    const { name, scope } = checked.config;
+    await checkNameFree(name, scope);
+    if (dryRun) return { name, scope, config: maskConfig(checked.config) };
+    storage.storeDisabledServer(name, checked.config);
+    return { name, scope, config: maskConfig(storage.getDisabledServer(name, scope)) };
+  },
+
+  /**
+   * Change fields of a stashed server
+   * @param {string} name - Server name
+   * @param {Object} changes - { transport, url, args, env }; args replaces the
+   *   arguments, env entries are "KEY=value" to set or "KEY" to remove
+   * @param {Object} options - { scope, exact, dryRun }
+   * @returns {Promise<Object>} { name, scope, config }
+   * @throws {ValidationError|NotFoundError|AmbiguousError}
+   */
+  async set(name, changes, { scope, exact = false, dryRun = false } = {}) {
+    if (!name) throw new ValidationError('stash.set requires a server name');
+    checkScope(scope);
+    const entry = getStashEntry(name, scope, exact);
+    const result = stashEdit.applySettings(entry.config, changes);
+    if (!result.ok) throw invalidServer(result.problems);
+    return saveStashEntry(entry, result.config, dryRun);
+  },
+
+  /**
+   * Replace the definition of a stashed server. A different name or scope in
+   * the new definition moves the entry.
+   * @param {string} name - Server name
+   * @param {Object} config - New configuration
+   * @param {Object} options - { scope, exact, dryRun }
+   * @returns {Promise<Object>} { name, scope, config }
+   * @throws {ValidationError|NotFoundError|AmbiguousError|ConflictError}
+   */
+  async update(name, config, { scope, exact = false, dryRun = false } = {}) {
+    if (!name) throw new ValidationError('stash.update requires a server name');
+    checkScope(scope);
+    const entry = getStashEntry(name, scope, exact);
+    const checked = stashEdit.checkConfig({ ...config, scope: config.scope || entry.scope }, entry.config);
+    if (!checked.ok) throw invalidServer(checked.problems);
+    return saveStashEntry(entry, checked.config, dryRun);
+  },
+
+  /**
+   * Rename a stashed server
+   * @param {string} name - Current name
+   * @param {string} newName - New name
+   * @param {Object} options - { scope, exact, dryRun }
+   * @returns {Promise<Object>} { name, scope, config }
+   * @throws {ValidationError|NotFoundError|AmbiguousError|ConflictError}
+   */
+  async rename(name, newName, { scope, exact = false, dryRun = false } = {}) {
+    if (!name || typeof newName !== 'string' || newName.trim() === '') {
+      throw new ValidationError('stash.rename requires the current and the new name');
+    }
+    checkScope(scope);
+    const entry = getStashEntry(name, scope, exact);
+    if (newName === entry.name) throw new ValidationError(`Server "${name}" is already called "${newName}"`);
+    return saveStashEntry(entry, { ...entry.config, name: newName }, dryRun);
+  }
+};
+
+module.exports = {
+  list,
+  getServer,
+  inspect,
+  enable,
+  disable,
+  stash,
+  recover,
+  useBackend,
+  ...errors
+};
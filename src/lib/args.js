@@ -0,0 +1,349 @@
+const { SCOPES } = require('./scope');
+const { editDistance } = require('./match');
+const { FORMATS, SORT_KEYS, LIST_FIELDS } = require('./list-format');
+const { CONFLICT_POLICIES } = require('./portable');
+
+/**
+ * Command-line parsing. Every option is declared once in OPTIONS; each command
+ * lists the ones it accepts, so the parser, `ccmcp <command> --help` and shell
+ * completion all read the same schema. Options take `--opt value`,
+ * `--opt=value`, bundled short flags (`-an`, `-suser`) and stop at `--`.
+ */
+
+// type: flag (no value), value (one string) or list (repeatable, collected in order);
+// choices: the values parse() accepts (each item of a `separator`-joined value)
+const OPTIONS = {
+  help: { short: 'h', type: 'flag', description: 'Show help' },
+  version: { short: 'v', type: 'flag', description: 'Print the version' },
+  json: { type: 'flag', description: 'Print machine-readable JSON' },
+  'no-color': { type: 'flag', description: 'Disable colors (also NO_COLOR)' },
+  backend: {
+    type: 'value',
+    value: 'backend',
+    choices: ['auto', 'cli', 'file'],
+    description: 'cli (wrap `claude mcp`), file (edit ~/.claude.json and .mcp.json directly) or auto (default: file when ~/.claude.json is readable). Env: CCMCP_BACKEND'
+  },
+  wide: { type: 'flag', description: 'Print table cells in full instead of shortening them to fit the terminal' },
+  all: { short: 'a', type: 'flag', description: 'Target every server' },
+  scope: { short: 's', type: 'value', value: 'scope', choices: SCOPES, description: 'user, local or project' },
+  exact: { type: 'flag', description: 'Only accept exact server names, no case-insensitive or prefix matching (for scripts)' },
+  'dry-run': { short: 'n', type: 'flag', description: 'Show what would change without changing anything' },
+  yes: { short: 'y', type: 'flag', description: 'Do not ask for confirmation (see the confirm setting)' },
+  'show-secrets': { type: 'flag', description: 'Print tokens, passwords and keys instead of masking them' },
+  for: { type: 'value', value: 'duration', description: 'Re-enable after 45s, 90m, 2h, 1h30m, 1d...' },
+  until: { type: 'value', value: 'time', description: 'Re-enable at HH:MM (next occurrence) or an ISO date' },
+  force: { type: 'flag', description: 'Recover even while another ccmcp seems to be running' },
+  fix: { type: 'flag', description: 'Repair what can be repaired' },
+  check: { type: 'flag', description: 'Change nothing, exit 1 when servers differ from .ccmcp.json' },
+  limit: { type: 'value', value: 'n', description: 'Number of operations to show (default 20)' },
+  timeout: { type: 'value', value: 'ms', description: 'Time allowed per server (default: the checkTimeout setting, 10000)' },
+  status: { type: 'value', value: 'status', choices: ['enabled', 'disabled'], description: 'Only enabled or only disabled servers' },
+  transport: { type: 'value', value: 'transport', choices: ['stdio', 'sse', 'http'], description: 'stdio, sse or http' },
+  sort: { type: 'value', value: 'key', choices: SORT_KEYS, description: `Sort by ${SORT_KEYS.join(', ')}` },
+  fields: { type: 'value', value: 'list', choices: LIST_FIELDS, separator: ',', description: `Columns to print, comma-separated: ${LIST_FIELDS.join(', ')}` },
+  format: { type: 'value', value: 'format', choices: FORMATS, description: `${FORMATS.join(', ')} (default: the format setting, table)` },
+  details: { type: 'flag', description: 'Look every active server up for its scope and environment variables' },
+  url: { type: 'value', value: 'url', description: 'Server URL (sse and http transports)' },
+  arg: { type: 'list', value: 'arg', description: 'Command argument; repeat for each one, replaces all of them' },
+  env: { type: 'list', value: 'KEY=value', description: 'Set an environment variable (KEY alone removes it); repeatable' },
+  stash: { type: 'flag', description: 'Add every server disabled' },
+  enable: { type: 'flag', description: 'Add every server enabled' },
+  'on-conflict': {
+    type: 'value',
+    value: 'how',
+    choices: CONFLICT_POLICIES,
+    description: 'skip (default), overwrite or rename servers whose name is already used in the target scope'
+  }
+};
+
+// Accepted by every command
+const GLOBAL_OPTIONS = ['help', 'version', 'json', 'no-color', 'backend', 'wide'];
+
+// usage: argument synopsis (one line per subcommand); describe: per-command
+// wording of an option, when the generic one would be vague
+const COMMANDS = {
+  list: {
+    summary: 'List all MCP servers (active and disabled)',
+    usage: [''],
+    options: ['status', 'transport', 'scope', 'sort', 'fields', 'format', 'details', 'show-secrets'],
+    describe: { scope: 'Only servers of this scope (user, local or project)' }
+  },
+  show: {
+    summary: 'Show every field of one server; diffs the live and stashed copies',
+    usage: ['<name>'],
+    options: ['scope', 'exact', 'show-secrets'],
+    describe: { scope: 'Pick the copy of this scope when the name is used in several' }
+  },
+  enable: {
+    summary: 'Re-enable previously disabled servers',
+    usage: ['<name|glob>... | --all'],
+    options: ['all', 'scope', 'exact', 'dry-run', 'yes'],
+    describe: {
+      all: 'Enable every disabled server',
+      scope: 'Re-enable into this scope instead of the one it was disabled from (default: the enableScope setting)'
+    }
+  },
+  disable: {
+    summary: 'Disable servers (stores config for later re-enabling)',
+    usage: ['<name|glob>... | --all'],
+    options: ['all', 'scope', 'exact', 'for', 'until', 'dry-run', 'yes'],
+    describe: {
+      all: 'Disable every active server',
+      scope: 'Only servers of this scope (user, local or project)'
+    }
+  },
+  profile: {
+    summary: 'Save and apply named sets of enabled/disabled servers',
+    usage: ['save|apply|show|delete <profile>', 'list'],
+    options: ['dry-run']
+  },
+  stash: {
+    summary: 'Add, edit, change or rename disabled servers without enabling them',
+    usage: ['add <name> <command|url> [options] [-- args...]', 'set <name>', 'rename <old> <new>', 'edit <name>'],
+    options: ['scope', 'exact', 'transport', 'url', 'arg', 'env', 'show-secrets', 'dry-run'],
+    describe: { scope: 'Pick the stashed entry of this scope' }
+  },
+  pick: {
+    summary: 'Interactively choose which servers are enabled (needs a TTY)',
+    usage: [''],
+    options: ['scope', 'dry-run']
+  },
+  recover: {
+    summary: 'Complete or roll back operations interrupted by a crash',
+    usage: [''],
+    options: ['force', 'dry-run']
+  },
+  expire: {
+    summary: 'Re-enable servers whose temporary disable has run out (cron, shell hooks)',
+    usage: [''],
+    options: ['dry-run']
+  },
+  history: {
+    summary: 'Show recorded enable/disable operations, newest first',
+    usage: [''],
+    options: ['limit', 'show-secrets']
+  },
+  undo: {
+    summary: 'Revert the last n operations (default 1); a batch is reverted as a whole',
+    usage: ['[<n>]'],
+    options: ['dry-run']
+  },
+  sync: {
+    summary: "Enable/disable servers as declared by the repository's .ccmcp.json",
+    usage: [''],
+    options: ['check', 'dry-run']
+  },
+  doctor: {
+    summary: 'Diagnose the claude binary, stored state and permissions',
+    usage: [''],
+    options: ['fix', 'dry-run']
+  },
+  check: {
+    summary: 'Start/connect to servers and run the MCP handshake (active and disabled)',
+    usage: ['[<name|glob>...]'],
+    options: ['scope', 'timeout']
+  },
+  export: {
+    summary: 'Print active and disabled server definitions as portable JSON',
+    usage: ['[<name|glob>...]'],
+    options: ['scope', 'show-secrets']
+  },
+  import: {
+    summary: 'Add servers from an export file (as enabled, or disabled with --stash)',
+    usage: ['<file|->'],
+    options: ['stash', 'enable', 'scope', 'on-conflict', 'dry-run'],
+    describe: { scope: 'Add every server to this scope' }
+  },
+  completion: {
+    summary: 'Print a shell completion script (subcommands, flags and server names)',
+    usage: ['bash|zsh|fish|powershell'],
+    options: []
+  },
+  config: {
+    summary: 'Show and change the settings of ~/.claude-mcp-switch/config.json',
+    usage: ['list', 'get <key>', 'set <key> <value>', 'unset <key>'],
+    options: []
+  }
+};
+
+function isCommand(command) {
+  return typeof command === 'string' && Object.hasOwn(COMMANDS, command);
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Names of the options a command accepts, global ones included. Unknown
+ * commands accept every option, so that "Unknown command" is what gets reported.
+ * @param {string} [command]
+ * @returns {Array<string>}
+ */
+function optionsOf(command) {
+  if (!command) return GLOBAL_OPTIONS;
+  if (!isCommand(command)) return Object.keys(OPTIONS);
+  return [...COMMANDS[command].options, ...GLOBAL_OPTIONS];
+}
+
+// The command is the first word that is neither an option nor an option's value
+function findCommand(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (token === '--') return argv[i + 1];
+    if (!token.startsWith('-') || token === '-') return token;
+    // `--opt value`, or a short bundle ending with an option that takes a value
+    const name = token.startsWith('--')
+      ? token.slice(2)
+      : Object.keys(OPTIONS).find(n => OPTIONS[n].short === token[token.length - 1]);
+    if (name && Object.hasOwn(OPTIONS, name) && OPTIONS[name].type !== 'flag') i++;
+  }
+  return undefined;
+}
+
+function closest(word, candidates) {
+  let best = null;
+  let bestDistance = Math.max(1, Math.floor(word.length / 3)) + 1;
+  for (const candidate of candidates) {
+    const distance = editDistance(word, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function unknownOption(token, command, allowed) {
+  const where = isCommand(command) ? ` for ${command}` : '';
+  let message = `Unknown option "${token}"${where}`;
+  if (token.startsWith('--')) {
+    const suggestion = closest(token.slice(2), allowed);
+    if (suggestion) message += ` (did you mean --${suggestion}?)`;
+  }
+  const hint = command === 'stash'
+    ? 'Put server arguments that start with "-" after "--": ccmcp stash add <name> <command> -- <args...>'
+    : `Run "ccmcp ${where ? `${command} ` : ''}--help" for the accepted options.`;
+  return { ok: false, command, error: message, hint };
+}
+
+/**
+ * Check a value against the choices its option declares
+ * @param {string} name - Option name
+ * @param {string} value
+ * @returns {string|null} Problem, or null when the value is accepted
+ */
+function checkChoice(name, value) {
+  const { choices, separator } = OPTIONS[name];
+  if (!choices) return null;
+  const values = separator ? value.split(separator).map(v => v.trim()).filter(Boolean) : [value];
+  const invalid = values.find(v => !choices.includes(v));
+  return invalid === undefined ? null : `Invalid --${name} "${invalid}" (expected ${choices.join(', ')})`;
+}
+
+function store(args, name, value) {
+  const key = camelCase(name);
+  if (OPTIONS[name].type === 'list') args[key] = [...(args[key] || []), value];
+  else args[key] = value;
+}
+
+/**
+ * Parse command-line arguments against the schema of their command
+ * @param {Array<string>} argv - Arguments, without node and the script
+ * @returns {Object} { ok, args?, command?, error?, hint? } - args has the words
+ *   in `_` and every option given under its camelCase name
+ */
+function parse(argv) {
+  const command = findCommand(argv);
+  const allowed = optionsOf(command);
+  const shorts = new Map(allowed.filter(name => OPTIONS[name].short).map(name => [OPTIONS[name].short, name]));
+  const args = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (token === '--') {
+      args._.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (token.startsWith('--')) {
+      const eq = token.indexOf('=');
+      const name = eq === -1 ? token.slice(2) : token.slice(2, eq);
+      if (!allowed.includes(name)) return unknownOption(`--${name}`, command, allowed);
+      if (OPTIONS[name].type === 'flag') {
+        if (eq !== -1) return { ok: false, command, error: `--${name} does not take a value` };
+        args[camelCase(name)] = true;
+      } else if (eq === -1 && i + 1 >= argv.length) {
+        return { ok: false, command, error: `--${name} requires a value (<${OPTIONS[name].value}>)` };
+      } else {
+        const value = eq === -1 ? argv[++i] : token.slice(eq + 1);
+        const problem = checkChoice(name, value);
+        if (problem) return { ok: false, command, error: problem };
+        store(args, name, value);
+      }
+      continue;
+    }
+
+    if (!token.startsWith('-') || token === '-') {
+      args._.push(token);
+      continue;
+    }
+
+    // Short flags, possibly bundled; one taking a value ends the bundle
+    for (let j = 1; j < token.length; j++) {
+      const name = shorts.get(token[j]);
+      if (!name) return unknownOption(`-${token[j]}`, command, allowed);
+      if (OPTIONS[name].type === 'flag') {
+        args[camelCase(name)] = true;
+        continue;
+      }
+      const attached = token.slice(j + 1).replace(/^=/, '');
+      if (!attached && i + 1 >= argv.length) {
+        return { ok: false, command, error: `-${token[j]} requires a value (<${OPTIONS[name].value}>)` };
+      }
+      const value = attached || argv[++i];
+      const problem = checkChoice(name, value);
+      if (problem) return { ok: false, command, error: problem };
+      store(args, name, value);
+      break;
+    }
+  }
+
+  return { ok: true, args };
+}
+
+/**
+ * Usage lines and option table of one command, for `ccmcp <command> --help`
+ * @param {string} command - One of COMMANDS
+ * @returns {Object|null} { summary, usage: Array<string>, options: Array<[flags, description]> }
+ */
+function describeCommand(command) {
+  if (!isCommand(command)) return null;
+  const spec = COMMANDS[command];
+  const flags = name => {
+    const option = OPTIONS[name];
+    const long = `--${name}${option.type === 'flag' ? '' : ` <${option.value}>`}`;
+    return option.short ? `-${option.short}, ${long}` : `    ${long}`;
+  };
+  const describe = name => {
+    const text = (spec.describe && spec.describe[name]) || OPTIONS[name].description;
+    return OPTIONS[name].type === 'list' && !/repeat/i.test(text) ? `${text} (repeatable)` : text;
+  };
+  return {
+    summary: spec.summary,
+    usage: spec.usage.map(line => {
+      const synopsis = line.includes('[options]') ? line : `${line} [options]`.trim();
+      return `ccmcp ${command} ${synopsis}`;
+    }),
+    options: [...spec.options, ...GLOBAL_OPTIONS.filter(name => name !== 'version')].map(name => [flags(name), describe(name)])
+  };
+}
+
+module.exports = {
+  OPTIONS,
+  GLOBAL_OPTIONS,
+  COMMANDS,
+  optionsOf,
+  parse,
+  describeCommand
+};
@@ -0,0 +1,55 @@
+const claudeCli = require('./claude-cli');
+const configFile = require('./config-file');
+
+/**
+ * Backend selection. Both backends expose the same functions:
+ * - cli:  wraps `claude mcp` commands (always in sync with Claude Code, slower)
+ * - file: reads/writes ~/.claude.json and .mcp.json directly
+ * "auto" picks the file backend when the user config file is readable.
+ * Through this module every function is async, whichever backend is active.
+ */
+
+const BACKENDS = {
+  cli: claudeCli,
+  file: configFile
+};
+
+let current = null;
+
+/**
+ * Select the backend used by subsequent calls
+ * @param {string} name - cli, file or auto
+ * @returns {string} Name of the selected backend
+ */
+function select(name = 'auto') {
+  if (name === 'auto') {
+    name = configFile.isAvailable() ? 'file' : 'cli';
+  }
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown backend "${name}" (expected cli, file or auto)`);
+  }
+  current = name;
+  return current;
+}
+
+/**
+ * Name of the backend in use
+ * @returns {string}
+ */
+function name() {
+  if (!current) select(process.env.CCMCP_BACKEND || 'auto');
+  return current;
+}
+
+function active() {
+  return BACKENDS[name()];
+}
+
+module.exports = {
+  select,
+  name,
+  listServers: async (...args) => active().listServers(...args),
+  getServer: async (...args) => active().getServer(...args),
+  removeServer: async (...args) => active().removeServer(...args),
+  addServer: async (...args) => active().addServer(...args)
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const { storagePath, ensureStorageDir, writeFileAtomic } = require('./storage');
+
+/**
+ * Short-lived cache of claude CLI results in ~/.claude-mcp-switch/cache.json,
+ * so ccmcp runs a few seconds apart (shell hooks, completion, `list` then
+ * `disable`) do not spawn claude again. Entries are { at, value } keyed by
+ * the caller; the file is disposable, so a damaged one is simply ignored.
+ * Entries are kept for at least KEEP_FOR so shell completion can reuse an
+ * older `claude mcp list` than other commands accept.
+ */
+
+const CACHE_FILE = 'cache.json';
+const KEEP_FOR = 10 * 60 * 1000;
+
+function readCache() {
+  try {
+    const data = JSON.parse(fs.readFileSync(storagePath(CACHE_FILE), 'utf8'));
+    return data !== null && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function isFresh(entry, ttl, now) {
+  return Boolean(entry) && entry.at <= now && now - entry.at < ttl;
+}
+
+/**
+ * Read a cached value
+ * @param {string} key
+ * @param {number} ttl - Maximum age in milliseconds
+ * @returns {*} The value, or undefined when missing or too old
+ */
+function get(key, ttl) {
+  if (!(ttl > 0)) return undefined;
+  const entry = readCache()[key];
+  return isFresh(entry, ttl, Date.now()) ? entry.value : undefined;
+}
+
+/**
+ * Store a value, dropping entries older than the TTL (and KEEP_FOR)
+ * @param {string} key
+ * @param {*} value - JSON-serializable value
+ * @param {number} ttl - Maximum age in milliseconds
+ */
+function set(key, value, ttl) {
+  if (!(ttl > 0)) return;
+  const now = Date.now();
+  const entries = {};
+  for (const [k, entry] of Object.entries(readCache())) {
+    if (isFresh(entry, Math.max(ttl, KEEP_FOR), now)) entries[k] = entry;
+  }
+  entries[key] = { at: now, value };
+  try {
+    ensureStorageDir();
+    writeFileAtomic(storagePath(CACHE_FILE), JSON.stringify(entries));
+  } catch (error) {
+    // A cache that cannot be written only costs speed
+  }
+}
+
+/**
+ * Forget everything, after a change
+ */
+function clear() {
+  fs.rmSync(storagePath(CACHE_FILE), { force: true });
+}
+
+module.exports = {
+  CACHE_FILE,
+  KEEP_FOR,
+  get,
+  set,
+  clear
+};
@@ -1,33 +1,179 @@
-const { execSync } = require('child_process');
+const { spawn } = require('child_process');
+const config = require('./config');
+const cache = require('./cache');
+const storage = require('./storage');
+const { createPool } = require('./pool');
+const { normalizeScope } = require('./scope');
 
 /**
- * Wrapper for claude mcp CLI commands
+ * Wrapper for claude mcp CLI commands.
+ * The binary is spawned with an argv array, never through a shell string,
+ * so names, args and env values are passed through unchanged.
+ * Every function is async; at most `concurrency` claude processes run at
+ * once, and `mcp list` / `mcp get` results are cached for a few seconds.
  */
 
-function exec(command) {
-  try {
-    const output = execSync(command, {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-      maxBuffer: 10 * 1024 * 1024
+const MAX_OUTPUT = 10 * 1024 * 1024;
+
+/**
+ * Path of the claude binary: CCMCP_CLAUDE_BIN, then the claudeBin setting
+ * @returns {string}
+ */
+function claudeBin() {
+  return config.get('claudeBin');
+}
+
+/**
+ * Timeout in milliseconds for a claude invocation: CCMCP_TIMEOUT, then the timeout setting
+ * @returns {number}
+ */
+function defaultTimeout() {
+  return config.get('timeout');
+}
+
+/**
+ * How long `mcp list` / `mcp get` results are reused: CCMCP_CACHE_TTL, then the cacheTtl setting (0 disables)
+ * @returns {number} Milliseconds
+ */
+function cacheTtl() {
+  return config.get('cacheTtl');
+}
+
+let pool = null;
+
+/**
+ * Run a task in the process pool, sized by CCMCP_CONCURRENCY or the concurrency setting
+ * @param {Function} task - Async function
+ * @returns {Promise<*>}
+ */
+function limited(task) {
+  if (!pool) pool = createPool(config.get('concurrency'));
+  return pool(task);
+}
+
+/**
+ * Quote an argument for cmd.exe. Only used on Windows, where npm installs
+ * claude as a .cmd shim that cannot be spawned without a shell.
+ * cmd.exe still expands %VAR% inside quotes; there is no portable escape for it.
+ * @param {string} arg
+ * @returns {string}
+ */
+function quoteWindowsArg(arg) {
+  if (arg !== '' && !/[\s"^&|<>()]/.test(arg)) return arg;
+  const escaped = arg.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\+)$/, '$1$1');
+  return `"${escaped}"`;
+}
+
+/**
+ * Spawn claude once and collect its output
+ * @param {Array<string>} args - Arguments after the binary
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} { ok, output?, error?, stdout?, stderr? }
+ */
+function spawnClaude(args, timeout) {
+  const bin = claudeBin();
+  const useShell = process.platform === 'win32' && !/\.exe$/i.test(bin);
+
+  return new Promise(resolve => {
+    const child = spawn(useShell ? quoteWindowsArg(bin) : bin, useShell ? args.map(quoteWindowsArg) : args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      shell: useShell,
+      windowsHide: true
     });
-    return { ok: true, output: output.trim() };
-  } catch (error) {
-    return {
-      ok: false,
-      error: error.message,
-      stderr: error.stderr ? error.stderr.toString().trim() : '',
-      stdout: error.stdout ? error.stdout.toString().trim() : ''
+
+    const chunks = { stdout: [], stderr: [] };
+    let size = 0;
+    let failure = null;
+    const stop = error => {
+      if (!failure) failure = error;
+      child.kill();
     };
-  }
+    const timer = setTimeout(() => stop(`claude ${args.join(' ')} timed out after ${timeout}ms`), timeout);
+
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_OUTPUT) stop(`claude ${args.join(' ')} printed more than ${MAX_OUTPUT} bytes`);
+        else chunks[stream].push(chunk);
+      });
+    }
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      failure = error.code === 'ENOENT'
+        ? `claude binary not found: ${bin} (set CCMCP_CLAUDE_BIN or the claudeBin setting)`
+        : error.message;
+      resolve({ ok: false, error: failure, stdout: '', stderr: '' });
+    });
+
+    child.on('close', (status, signal) => {
+      clearTimeout(timer);
+      const stdout = Buffer.concat(chunks.stdout).toString('utf8').trim();
+      const stderr = Buffer.concat(chunks.stderr).toString('utf8').trim();
+
+      if (failure) {
+        resolve({ ok: false, error: failure, stdout, stderr });
+      } else if (status !== 0) {
+        const reason = signal ? `killed by ${signal}` : `exited with code ${status}`;
+        resolve({ ok: false, error: stderr || stdout || `claude ${reason}`, stdout, stderr });
+      } else {
+        // claude prints some messages on stderr; keep both like `2>&1` did
+        resolve({ ok: true, output: [stdout, stderr].filter(Boolean).join('\n') });
+      }
+    });
+  });
+}
+
+/**
+ * Run claude with the given arguments, waiting for a free slot in the pool
+ * @param {Array<string>} args - Arguments after the binary
+ * @param {Object} options
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} { ok, output?, error?, stdout?, stderr? }
+ */
+function exec(args, { timeout = defaultTimeout() } = {}) {
+  return limited(() => spawnClaude(args, timeout));
+}
+
+/**
+ * Cache key of a read-only command. local and project servers depend on the
+ * working directory, so it is part of the key.
+ * @param {Array<string>} args
+ * @returns {string}
+ */
+function cacheKey(args) {
+  return JSON.stringify([claudeBin(), process.cwd(), ...args]);
+}
+
+/**
+ * Version reported by `claude --version`
+ * @returns {Promise<Object>} { ok, version?, error? }
+ */
+async function version() {
+  const result = await exec(['--version'], { timeout: Math.min(defaultTimeout(), 15000) });
+  if (!result.ok) return result;
+  return { ok: true, version: result.output.split('\n')[0].trim() };
+}
+
+/**
+ * The last `claude mcp list` result, without running claude
+ * @param {number} maxAge - Oldest result accepted, in milliseconds
+ * @returns {Array<Object>|undefined} Servers, or undefined when none is cached
+ */
+function cachedServers(maxAge) {
+  return cache.get(cacheKey(['mcp', 'list']), maxAge);
 }
 
 /**
  * List all MCP servers
- * @returns {Object} { ok, servers[], error? }
+ * @returns {Promise<Object>} { ok, servers[], error? }
  */
-function listServers() {
-  const result = exec('claude mcp list 2>&1');
+async function listServers() {
+  const key = cacheKey(['mcp', 'list']);
+  const cached = cache.get(key, cacheTtl());
+  if (cached) return { ok: true, servers: cached };
+
+  const result = await exec(['mcp', 'list']);
   if (!result.ok) {
     return { ok: false, error: result.error, servers: [] };
   }
@@ -66,26 +212,47 @@ function listServers() {
     }
   }
 
+  cache.set(key, servers, cacheTtl());
   return { ok: true, servers };
 }
 
 /**
  * Get detailed info about a specific server
  * @param {string} name - Server name
- * @returns {Object} { ok, server?, error? }
+ * @returns {Promise<Object>} { ok, server?, error? }
  */
-function getServer(name) {
-  const result = exec(`claude mcp get "${name}" 2>&1`);
+async function getServer(name) {
+  // The cached copy has its env values sealed like the stash
+  const key = cacheKey(['mcp', 'get', name]);
+  const cached = cache.get(key, cacheTtl());
+  if (cached) {
+    const revealed = storage.revealSecrets(cached);
+    if (revealed.ok) return { ok: true, server: revealed.config };
+  }
+
+  const result = await exec(['mcp', 'get', name]);
   if (!result.ok) {
     return { ok: false, error: result.error };
   }
 
   const lines = result.output.split('\n');
   const server = { name };
+  let inEnvironment = false;
 
   for (const line of lines) {
+    // Environment variables may follow on their own indented lines
+    if (inEnvironment) {
+      const envMatch = line.match(/^\s+([A-Za-z_][A-Za-z0-9_]*=.*)$/);
+      if (envMatch) {
+        server.env = [...(server.env || []), envMatch[1].trimEnd()];
+        continue;
+      }
+      inEnvironment = false;
+    }
+
     if (line.includes('Scope:')) {
-      server.scope = line.split('Scope:')[1].trim();
+      const rawScope = line.split('Scope:')[1].trim();
+      server.scope = normalizeScope(rawScope) || rawScope;
     } else if (line.includes('Status:')) {
       server.status = line.split('Status:')[1].trim();
       server.connected = server.status.includes('✓') || server.status.includes('Connected');
@@ -100,11 +267,15 @@ function getServer(name) {
     } else if (line.includes('Environment:')) {
       const envLine = line.split('Environment:')[1];
       if (envLine && envLine.trim()) {
-        server.env = envLine.trim().split(/\s+/);
+        // Only split where a new KEY= starts, so values keep their spaces
+        server.env = envLine.trim().split(/\s+(?=[A-Za-z_][A-Za-z0-9_]*=)/);
+      } else {
+        inEnvironment = true;
       }
     }
   }
 
+  cache.set(key, storage.sealSecrets(server), cacheTtl());
   return { ok: true, server };
 }
 
@@ -112,11 +283,14 @@ function getServer(name) {
  * Remove an MCP server
  * @param {string} name - Server name
  * @param {string} scope - Optional scope (user, local, project)
- * @returns {Object} { ok, error? }
+ * @returns {Promise<Object>} { ok, error? }
  */
-function removeServer(name, scope) {
-  const scopeArg = scope ? ` -s ${scope}` : '';
-  const result = exec(`claude mcp remove "${name}"${scopeArg} 2>&1`);
+async function removeServer(name, scope) {
+  const args = ['mcp', 'remove', name];
+  if (scope) args.push('-s', scope);
+  const result = await exec(args);
+  // Cached listings are stale now, even when claude failed half-way
+  cache.clear();
   return result;
 }
 
@@ -128,29 +302,40 @@ function removeServer(name, scope) {
  * @param {string} config.commandOrUrl - Command or URL
  * @param {Array<string>} config.args - Arguments (for stdio)
  * @param {Array<string>} config.env - Environment variables
+ * @param {Array<string>} config.headers - HTTP headers ("Name: value", for sse/http)
  * @param {string} config.scope - Scope (user, local, project)
- * @returns {Object} { ok, error? }
+ * @returns {Promise<Object>} { ok, error? }
  */
-function addServer(config) {
-  const { name, transport, commandOrUrl, args = [], env = [], scope = 'user' } = config;
+async function addServer(config) {
+  const { name, transport, commandOrUrl, args = [], env = [], headers = [], scope = 'user' } = config;
 
-  let command = `claude mcp add -s ${scope} -t ${transport} "${name}" "${commandOrUrl}"`;
+  const argv = ['mcp', 'add', '-s', scope, '-t', transport];
 
-  if (args.length > 0) {
-    command += ' -- ' + args.join(' ');
+  // Options must come before "--", everything after it is passed to the server
+  for (const envVar of env) {
+    argv.push('-e', envVar);
   }
 
-  if (env.length > 0) {
-    for (const envVar of env) {
-      command += ` -e "${envVar}"`;
-    }
+  for (const header of headers) {
+    argv.push('-H', header);
+  }
+
+  argv.push(name, commandOrUrl);
+
+  if (args.length > 0) {
+    argv.push('--', ...args);
   }
 
-  const result = exec(command + ' 2>&1');
+  const result = await exec(argv);
+  cache.clear();
   return result;
 }
 
 module.exports = {
+  claudeBin,
+  quoteWindowsArg,
+  version,
+  cachedServers,
   listServers,
   getServer,
   removeServer,
@@ -0,0 +1,230 @@
+const path = require('path');
+const { spawn } = require('child_process');
+const storage = require('./storage');
+const profiles = require('./profiles');
+const cache = require('./cache');
+const claudeCli = require('./claude-cli');
+const configFile = require('./config-file');
+const config = require('./config');
+const { OPTIONS, optionsOf } = require('./args');
+
+/**
+ * Shell completion. `ccmcp completion <shell>` prints a script that asks
+ * `ccmcp __complete --current=<word> -- <words before it>` for candidates on
+ * every Tab, so subcommands, flags and names are only known here.
+ * Completion must stay fast: active names come from the config files, or from
+ * the last cached `claude mcp list` (refreshed in the background), never from
+ * a `claude mcp list` health check on the spot.
+ */
+
+const SHELLS = ['bash', 'zsh', 'fish', 'powershell'];
+
+// How old a cached `claude mcp list` completion still offers names from
+const NAMES_MAX_AGE = cache.KEEP_FOR;
+// Minimum time between two background refreshes
+const REFRESH_INTERVAL = 30 * 1000;
+const REFRESH_KEY = 'completion:refresh';
+
+// Flags followed by a value, with the values worth offering
+const VALUE_FLAGS = {};
+for (const [name, option] of Object.entries(OPTIONS)) {
+  if (option.type === 'flag') continue;
+  VALUE_FLAGS[`--${name}`] = option.choices || [];
+  if (option.short) VALUE_FLAGS[`-${option.short}`] = option.choices || [];
+}
+
+const flagsOf = command => optionsOf(command).map(name => `--${name}`);
+
+// Flags come from the option schema; names: which server names a command
+// takes (active, stashed, all, profiles or settings)
+const COMMANDS = {
+  list: {},
+  show: { names: 'all' },
+  enable: { names: 'stashed', repeat: true },
+  disable: { names: 'active', repeat: true },
+  profile: { subcommands: { save: 'profiles', apply: 'profiles', show: 'profiles', delete: 'profiles', list: null } },
+  stash: { subcommands: { add: null, set: 'stashed', rename: 'stashed', edit: 'stashed' } },
+  pick: {},
+  recover: {},
+  expire: {},
+  history: {},
+  undo: {},
+  sync: {},
+  doctor: {},
+  check: { names: 'all', repeat: true },
+  export: { names: 'all', repeat: true },
+  import: {},
+  completion: { subcommands: Object.fromEntries(SHELLS.map(shell => [shell, null])) },
+  config: { subcommands: { list: null, get: 'settings', set: 'settings', unset: 'settings' } }
+};
+
+function matching(candidates, prefix) {
+  return candidates.filter(candidate => candidate.startsWith(prefix));
+}
+
+function unique(names) {
+  return [...new Set(names)].sort();
+}
+
+// Run `claude mcp list` in a detached process so the next Tab finds it cached
+function refreshInBackground() {
+  if (cache.get(REFRESH_KEY, REFRESH_INTERVAL)) return;
+  cache.set(REFRESH_KEY, true, REFRESH_INTERVAL);
+  try {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'ccmcp.js'), '__complete', '--refresh'], {
+      detached: true,
+      stdio: 'ignore'
+    });
+    child.on('error', () => {});
+    child.unref();
+  } catch (error) {
+    // Completion works without active names
+  }
+}
+
+/**
+ * Fill the `claude mcp list` cache, for `ccmcp __complete --refresh`
+ * @returns {Promise<void>}
+ */
+async function refreshActiveNames() {
+  await claudeCli.listServers();
+}
+
+/**
+ * Names of the active servers, without running a `claude mcp list` health check
+ * @returns {Promise<Array<string>>}
+ */
+async function activeNames() {
+  if (configFile.isAvailable()) {
+    const result = await configFile.listServers();
+    return result.ok ? unique(result.servers.map(server => server.name)) : [];
+  }
+  if (!claudeCli.cachedServers(REFRESH_INTERVAL)) refreshInBackground();
+  const cached = claudeCli.cachedServers(NAMES_MAX_AGE) || [];
+  return unique(cached.map(server => server.name));
+}
+
+async function namesOf(kind) {
+  if (kind === 'stashed') return unique(storage.listDisabledServers().map(d => d.name));
+  if (kind === 'active') return activeNames();
+  if (kind === 'profiles') return profiles.listProfiles().map(p => p.name);
+  if (kind === 'settings') return config.KEYS;
+  return unique([...(await activeNames()), ...storage.listDisabledServers().map(d => d.name)]);
+}
+
+function valuesFor(flag, prefix) {
+  const values = VALUE_FLAGS[flag] || [];
+  if (flag !== '--fields') return matching(values, prefix);
+  // Comma-separated list: complete the last field
+  const done = prefix.slice(0, prefix.lastIndexOf(',') + 1);
+  const chosen = done.split(',');
+  return matching(values.filter(v => !chosen.includes(v)).map(v => done + v), prefix);
+}
+
+/**
+ * Candidates for the word being completed
+ * @param {Array<string>} previous - Words before it, without "ccmcp"
+ * @param {string} current - Word under the cursor (possibly empty)
+ * @returns {Promise<Array<string>>}
+ */
+async function complete(previous, current) {
+  const eq = current.indexOf('=');
+  if (current.startsWith('--') && eq !== -1) {
+    const flag = current.slice(0, eq);
+    return valuesFor(flag, current.slice(eq + 1)).map(value => `${flag}=${value}`);
+  }
+  if (previous.length > 0 && VALUE_FLAGS[previous[previous.length - 1]]) {
+    return valuesFor(previous[previous.length - 1], current);
+  }
+
+  // Words that are not flags or flag values
+  const positionals = [];
+  for (let i = 0; i < previous.length; i++) {
+    if (VALUE_FLAGS[previous[i]]) i++;
+    else if (!previous[i].startsWith('-')) positionals.push(previous[i]);
+  }
+  const [command, ...rest] = positionals;
+
+  if (!command) return matching(current.startsWith('-') ? flagsOf() : Object.keys(COMMANDS), current);
+  const spec = Object.hasOwn(COMMANDS, command) && COMMANDS[command];
+  if (!spec) return [];
+  if (current.startsWith('-')) return matching(unique(flagsOf(command)), current);
+
+  let kind = spec.names;
+  let taken = rest;
+  if (spec.subcommands) {
+    if (rest.length === 0) return matching(Object.keys(spec.subcommands), current);
+    kind = spec.subcommands[rest[0]];
+    taken = rest.slice(1);
+  }
+  if (!kind || (taken.length > 0 && !spec.repeat)) return [];
+  return matching((await namesOf(kind)).filter(name => !taken.includes(name)), current);
+}
+
+const SCRIPTS = {
+  bash: `# ccmcp completion for bash
+# Install: ccmcp completion bash > ~/.local/share/bash-completion/completions/ccmcp
+#      or: echo 'source <(ccmcp completion bash)' >> ~/.bashrc
+_ccmcp_complete() {
+  local IFS=$'\\n'
+  local cur="\${COMP_WORDS[COMP_CWORD]}"
+  COMPREPLY=($(ccmcp __complete "--current=$cur" -- "\${COMP_WORDS[@]:1:COMP_CWORD-1}" 2>/dev/null))
+}
+complete -o default -F _ccmcp_complete ccmcp
+`,
+  zsh: `#compdef ccmcp
+# ccmcp completion for zsh
+# Install: ccmcp completion zsh > "\${fpath[1]}/_ccmcp"
+#      or: echo 'source <(ccmcp completion zsh)' >> ~/.zshrc
+_ccmcp() {
+  local -a candidates
+  candidates=(\${(f)"$(ccmcp __complete "--current=\${words[CURRENT]}" -- "\${(@)words[2,CURRENT-1]}" 2>/dev/null)"})
+  if (( \${#candidates} )); then
+    compadd -a candidates
+  else
+    _files
+  fi
+}
+if [ "$funcstack[1]" = "_ccmcp" ]; then
+  _ccmcp "$@"
+else
+  compdef _ccmcp ccmcp
+fi
+`,
+  fish: `# ccmcp completion for fish
+# Install: ccmcp completion fish > ~/.config/fish/completions/ccmcp.fish
+function __ccmcp_complete
+    set -l words (commandline -opc)
+    ccmcp __complete "--current="(commandline -ct) -- $words[2..-1] 2>/dev/null
+end
+complete -c ccmcp -f -a '(__ccmcp_complete)'
+complete -c ccmcp -n '__fish_seen_subcommand_from import' -F
+`,
+  powershell: `# ccmcp completion for PowerShell
+# Install: ccmcp completion powershell >> $PROFILE
+Register-ArgumentCompleter -Native -CommandName ccmcp -ScriptBlock {
+    param($wordToComplete, $commandAst, $cursorPosition)
+    $previous = @($commandAst.CommandElements | Select-Object -Skip 1 |
+        Where-Object { $_.Extent.EndOffset -lt $cursorPosition } | ForEach-Object { $_.ToString() })
+    ccmcp __complete "--current=$wordToComplete" -- @previous 2>$null | ForEach-Object {
+        [System.Management.Automation.CompletionResult]::new($_, $_, 'ParameterValue', $_)
+    }
+}
+`
+};
+
+/**
+ * Completion script for a shell
+ * @param {string} shell - One of SHELLS
+ * @returns {string|undefined}
+ */
+function script(shell) {
+  return SCRIPTS[shell];
+}
+
+module.exports = {
+  SHELLS,
+  complete,
+  refreshActiveNames,
+  script
+};
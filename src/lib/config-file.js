@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { SCOPES, normalizeScope } = require('./scope');
+const { withLock, writeFileAtomic } = require('./storage');
+
+/**
+ * Direct access to Claude Code config files, as an alternative to parsing
+ * `claude mcp` output.
+ *
+ * - user scope:    mcpServers in ~/.claude.json
+ * - local scope:   projects[<project dir>].mcpServers in ~/.claude.json
+ * - project scope: mcpServers in <project dir>/.mcp.json
+ *
+ * Functions mirror claude-cli.js and return { ok, ... , error? } objects.
+ */
+
+// Same precedence as Claude Code when a name exists in several scopes
+const PRECEDENCE = ['local', 'project', 'user'];
+
+/**
+ * Path of the user config file. Honors CLAUDE_CONFIG_DIR like Claude Code.
+ * @returns {string}
+ */
+function userConfigPath() {
+  const dir = process.env.CLAUDE_CONFIG_DIR || os.homedir();
+  return path.join(dir, '.claude.json');
+}
+
+/**
+ * Find the nearest .mcp.json walking up from a directory
+ * @param {string} cwd - Start directory
+ * @returns {string|null} Path of .mcp.json or null if none exists
+ */
+function findProjectConfig(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const candidate = path.join(dir, '.mcp.json');
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function readJson(file) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(file, data) {
+  // Write to a temp file and rename so Claude Code never sees a partial file.
+  // ~/.claude.json holds credentials: keep the permissions the file already had
+  const mode = fs.existsSync(file)
+    ? fs.statSync(file).mode & 0o777
+    : file === userConfigPath() ? 0o600 : 0o644;
+  writeFileAtomic(file, JSON.stringify(data, null, 2) + '\n', mode);
+}
+
+function samePath(a, b) {
+  const norm = p => path.resolve(p).replace(/\\/g, '/').replace(/\/+$/, '');
+  return process.platform === 'win32' ? norm(a).toLowerCase() === norm(b).toLowerCase() : norm(a) === norm(b);
+}
+
+/**
+ * Find the projects[] key in ~/.claude.json for the current directory,
+ * falling back to the closest parent directory Claude Code knows about
+ * @param {Object} userConfig - Parsed ~/.claude.json
+ * @param {string} cwd - Current directory
+ * @returns {string|null}
+ */
+function findProjectKey(userConfig, cwd = process.cwd()) {
+  const keys = Object.keys(userConfig.projects || {});
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const key = keys.find(k => samePath(k, dir));
+    if (key) return key;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Convert a config file entry into the server shape used across ccmcp
+ * @param {string} name - Server name
+ * @param {Object} entry - Raw mcpServers entry
+ * @param {string} scope - Scope the entry was read from
+ * @returns {Object}
+ */
+function fromEntry(name, entry, scope) {
+  const transport = entry.type || (entry.url ? 'http' : 'stdio');
+  const server = { name, scope, transport };
+  if (entry.url) server.url = entry.url;
+  if (entry.command) server.command = entry.command;
+  if (Array.isArray(entry.args) && entry.args.length > 0) server.args = entry.args.map(String);
+  if (entry.env && Object.keys(entry.env).length > 0) {
+    server.env = Object.entries(entry.env).map(([k, v]) => `${k}=${v}`);
+  }
+  if (entry.headers && Object.keys(entry.headers).length > 0) {
+    server.headers = Object.entries(entry.headers).map(([k, v]) => `${k}: ${v}`);
+  }
+  return server;
+}
+
+/**
+ * Convert an addServer() config into a config file entry
+ * @param {Object} config - Server configuration
+ * @returns {Object}
+ */
+function toEntry(config) {
+  const { transport = 'stdio', commandOrUrl, args = [], env = [], headers = [] } = config;
+  if (transport === 'stdio') {
+    const entry = { type: 'stdio', command: commandOrUrl, args: [...args], env: {} };
+    for (const pair of env) {
+      const idx = pair.indexOf('=');
+      if (idx > 0) entry.env[pair.slice(0, idx)] = pair.slice(idx + 1);
+    }
+    return entry;
+  }
+
+  const entry = { type: transport, url: commandOrUrl };
+  if (headers.length > 0) {
+    entry.headers = {};
+    for (const header of headers) {
+      const idx = header.indexOf(':');
+      if (idx > 0) entry.headers[header.slice(0, idx).trim()] = header.slice(idx + 1).trim();
+    }
+  }
+  return entry;
+}
+
+/**
+ * Entries of an mcpServers value. Older configs used an array of
+ * { id|name, ...entry } objects instead of an object keyed by name.
+ * @param {Object|Array} mcpServers
+ * @returns {Array} Array of [name, entry] pairs
+ */
+function serverEntries(mcpServers) {
+  if (!mcpServers) return [];
+  if (Array.isArray(mcpServers)) {
+    return mcpServers
+      .filter(entry => entry && entry.enabled !== false)
+      .map(entry => [entry.id || entry.name, entry])
+      .filter(([name]) => name);
+  }
+  return Object.entries(mcpServers);
+}
+
+function setServer(container, name, entry) {
+  if (Array.isArray(container.mcpServers)) {
+    const idx = container.mcpServers.findIndex(e => (e.id || e.name) === name);
+    const value = { id: name, ...entry };
+    if (idx >= 0) container.mcpServers[idx] = value;
+    else container.mcpServers.push(value);
+    return;
+  }
+  container.mcpServers = { ...(container.mcpServers || {}), [name]: entry };
+}
+
+function deleteServer(container, name) {
+  if (Array.isArray(container.mcpServers)) {
+    const idx = container.mcpServers.findIndex(e => (e.id || e.name) === name);
+    if (idx < 0) return false;
+    container.mcpServers.splice(idx, 1);
+    return true;
+  }
+  if (!container.mcpServers || !(name in container.mcpServers)) return false;
+  delete container.mcpServers[name];
+  return true;
+}
+
+/**
+ * Read every configured server from all scopes
+ * @returns {Array} Servers in Claude Code precedence order
+ */
+function readAllServers() {
+  const userConfig = readJson(userConfigPath());
+  const servers = [];
+
+  const projectKey = findProjectKey(userConfig);
+  if (projectKey) {
+    for (const [name, entry] of serverEntries(userConfig.projects[projectKey].mcpServers)) {
+      servers.push(fromEntry(name, entry, 'local'));
+    }
+  }
+
+  const projectFile = findProjectConfig();
+  if (projectFile) {
+    for (const [name, entry] of serverEntries(readJson(projectFile).mcpServers)) {
+      servers.push(fromEntry(name, entry, 'project'));
+    }
+  }
+
+  for (const [name, entry] of serverEntries(userConfig.mcpServers)) {
+    servers.push(fromEntry(name, entry, 'user'));
+  }
+
+  return servers;
+}
+
+/**
+ * Whether the config file backend can be used (user config exists and parses)
+ * @returns {boolean}
+ */
+function isAvailable() {
+  try {
+    return fs.existsSync(userConfigPath()) && typeof readJson(userConfigPath()) === 'object';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * List all MCP servers
+ * @returns {Object} { ok, servers[], error? }
+ */
+function listServers() {
+  try {
+    const servers = readAllServers().map(server => ({
+      name: server.name,
+      commandOrUrl: server.url || [server.command, ...(server.args || [])].join(' '),
+      transport: server.transport,
+      scope: server.scope,
+      status: 'enabled',
+      // Config files do not tell whether the server is reachable
+      connected: null
+    }));
+    return { ok: true, servers };
+  } catch (error) {
+    return { ok: false, error: error.message, servers: [] };
+  }
+}
+
+/**
+ * Get detailed info about a specific server
+ * @param {string} name - Server name
+ * @param {string} scope - Optional scope; defaults to the entry Claude Code would use
+ * @returns {Object} { ok, server?, error? }
+ */
+function getServer(name, scope) {
+  try {
+    const matches = readAllServers().filter(s => s.name === name);
+    const server = scope
+      ? matches.find(s => s.scope === scope)
+      : matches.sort((a, b) => PRECEDENCE.indexOf(a.scope) - PRECEDENCE.indexOf(b.scope))[0];
+    if (!server) {
+      return { ok: false, error: `No MCP server found with name: ${name}${scope ? ` in ${scope} scope` : ''}` };
+    }
+    return { ok: true, server };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Config file that holds the servers of a scope
+ * @param {string} scope - user, local or project
+ * @returns {string}
+ */
+function scopeFile(scope) {
+  if (scope === 'project') return findProjectConfig() || path.join(process.cwd(), '.mcp.json');
+  return userConfigPath();
+}
+
+/**
+ * Project directory that local or project servers belong to from the current
+ * directory: the projects[] key in ~/.claude.json for local scope, the
+ * directory of the nearest .mcp.json for project scope
+ * @param {string} scope - user, local or project
+ * @returns {string|null} null for user scope
+ */
+function projectDir(scope) {
+  if (scope === 'project') return path.dirname(scopeFile('project'));
+  if (scope !== 'local') return null;
+  try {
+    return findProjectKey(readJson(userConfigPath())) || path.resolve(process.cwd());
+  } catch (error) {
+    // An unreadable ~/.claude.json has no projects to match
+    return path.resolve(process.cwd());
+  }
+}
+
+/**
+ * Load the config container for a scope
+ * @param {string} scope - user, local or project
+ * @returns {Object} { file, data, container }
+ */
+function openScope(scope) {
+  const file = scopeFile(scope);
+  const data = readJson(file);
+  if (scope === 'project') return { file, data, container: data };
+
+  if (scope === 'local') {
+    const key = findProjectKey(data) || path.resolve(process.cwd());
+    data.projects = data.projects || {};
+    data.projects[key] = data.projects[key] || {};
+    return { file, data, container: data.projects[key] };
+  }
+  return { file, data, container: data };
+}
+
+/**
+ * Remove an MCP server
+ * @param {string} name - Server name
+ * @param {string} scope - Optional scope (user, local, project)
+ * @returns {Object} { ok, error? }
+ */
+function removeServer(name, scope) {
+  try {
+    let target = normalizeScope(scope);
+    if (!target) {
+      const scopes = SCOPES.filter(s => readAllServers().some(server => server.name === name && server.scope === s));
+      if (scopes.length > 1) {
+        return { ok: false, error: `MCP server "${name}" exists in multiple scopes (${scopes.join(', ')}); specify a scope` };
+      }
+      target = scopes[0];
+    }
+    if (!target) {
+      return { ok: false, error: `No MCP server found with name: ${name}` };
+    }
+
+    // Read-modify-write under the same lock as the stash, so two ccmcp runs
+    // cannot drop each other's changes
+    return withLock(scopeFile(target), () => {
+      const { file, data, container } = openScope(target);
+      if (!deleteServer(container, name)) {
+        return { ok: false, error: `No MCP server found with name: ${name} in ${target} scope` };
+      }
+      writeJson(file, data);
+      return { ok: true };
+    });
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Add an MCP server
+ * @param {Object} config - Server configuration (see claude-cli addServer)
+ * @returns {Object} { ok, error? }
+ */
+function addServer(config) {
+  const { name, scope = 'user' } = config;
+  try {
+    return withLock(scopeFile(scope), () => {
+      const { file, data, container } = openScope(scope);
+      const exists = serverEntries(container.mcpServers).some(([existing]) => existing === name);
+      if (exists) {
+        return { ok: false, error: `MCP server ${name} already exists in ${scope} config` };
+      }
+      setServer(container, name, toEntry(config));
+      writeJson(file, data);
+      return { ok: true };
+    });
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+module.exports = {
+  userConfigPath,
+  findProjectConfig,
+  projectDir,
+  isAvailable,
+  listServers,
+  getServer,
+  removeServer,
+  addServer
+};
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storage');
+const { SCOPES } = require('./scope');
+const { editDistance } = require('./match');
+const { FORMATS } = require('./list-format');
+
+/**
+ * User settings. Each value comes from the first of:
+ * - the CCMCP_* environment variable of the setting
+ * - "settings" in the nearest .ccmcp.json, walking up from the working directory
+ * - ~/.claude-mcp-switch/config.json (written by `ccmcp config set`)
+ * - the default below
+ * Command-line flags still win over all of them. A value that does not fit the
+ * setting is skipped, so a typo never stops ccmcp from starting.
+ */
+
+const PROJECT_FILE = '.ccmcp.json';
+
+// project: false keeps a setting out of project files, which come with
+// whatever repository was cloned: it must not choose the binary ccmcp runs,
+// nor move servers (and their secrets) into the shared .mcp.json
+const SETTINGS = {
+  enableScope: {
+    type: 'choice',
+    choices: ['original', ...SCOPES],
+    default: 'original',
+    env: 'CCMCP_ENABLE_SCOPE',
+    project: false,
+    description: 'Scope enable re-adds servers into without --scope (original: the scope they were disabled from)'
+  },
+  claudeBin: {
+    type: 'string',
+    default: 'claude',
+    env: 'CCMCP_CLAUDE_BIN',
+    project: false,
+    description: 'Path of the claude binary'
+  },
+  format: {
+    type: 'choice',
+    choices: FORMATS,
+    default: 'table',
+    env: 'CCMCP_FORMAT',
+    description: 'Output format of list without --format or --json'
+  },
+  color: { type: 'boolean', default: true, env: 'CCMCP_COLOR', description: 'Colored output (NO_COLOR and --no-color turn it off too)' },
+  banner: { type: 'boolean', default: true, env: 'CCMCP_BANNER', description: 'Print the banner above text output' },
+  timeout: {
+    type: 'number',
+    min: 1,
+    default: 60 * 1000,
+    env: 'CCMCP_TIMEOUT',
+    description: 'Timeout for each claude call, in milliseconds'
+  },
+  checkTimeout: {
+    type: 'number',
+    min: 1,
+    default: 10 * 1000,
+    env: 'CCMCP_CHECK_TIMEOUT',
+    description: 'Time check allows each server without --timeout, in milliseconds'
+  },
+  concurrency: {
+    type: 'number',
+    min: 1,
+    integer: true,
+    default: 4,
+    env: 'CCMCP_CONCURRENCY',
+    description: 'How many claude processes may run at once'
+  },
+  cacheTtl: {
+    type: 'number',
+    min: 0,
+    default: 5 * 1000,
+    env: 'CCMCP_CACHE_TTL',
+    description: 'How long claude mcp list/get results are reused, in milliseconds (0 disables)'
+  },
+  confirm: {
+    type: 'choice',
+    choices: ['never', 'bulk', 'always'],
+    default: 'never',
+    env: 'CCMCP_CONFIRM',
+    description: 'Ask before enable/disable: never, bulk (more than one server or --all) or always'
+  }
+};
+
+const KEYS = Object.keys(SETTINGS);
+
+function userFile() {
+  return storage.storagePath('config.json');
+}
+
+function readSettingsFile(file, pick) {
+  if (!fs.existsSync(file)) return { settings: {} };
+  try {
+    const data = pick(JSON.parse(fs.readFileSync(file, 'utf8')));
+    if (data === undefined) return { settings: {} };
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      return { settings: {}, problem: `${file}: expected a JSON object` };
+    }
+    return { settings: data };
+  } catch (error) {
+    return { settings: {}, problem: `${file} is not valid JSON: ${error.message}` };
+  }
+}
+
+/**
+ * Nearest .ccmcp.json walking up from a directory, whether or not it has settings
+ * @param {string} cwd - Start directory
+ * @returns {string|null}
+ */
+function findProjectFile(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const file = path.join(dir, PROJECT_FILE);
+    if (fs.existsSync(file)) return file;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Check a value read from a settings file
+ * @param {string} key - One of KEYS
+ * @param {*} value
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkValue(key, value) {
+  const setting = SETTINGS[key];
+  switch (setting.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key} must be true or false`;
+    case 'number': {
+      const valid = typeof value === 'number' && Number.isFinite(value) && value >= setting.min
+        && (!setting.integer || Number.isInteger(value));
+      return valid ? null : `${key} must be ${setting.integer ? 'an integer' : 'a number'} of at least ${setting.min}`;
+    }
+    case 'choice':
+      return setting.choices.includes(value) ? null : `${key} must be one of ${setting.choices.join(', ')}`;
+    default:
+      return typeof value === 'string' && value !== '' ? null : `${key} must be a non-empty string`;
+  }
+}
+
+/**
+ * Convert a value typed on the command line or in an environment variable
+ * @param {string} key - One of KEYS
+ * @param {string} text
+ * @returns {Object} { ok, value?, error? }
+ */
+function parseValue(key, text) {
+  let value = String(text).trim();
+  if (SETTINGS[key].type === 'boolean') {
+    if (/^(true|1|yes|on)$/i.test(value)) value = true;
+    else if (/^(false|0|no|off)$/i.test(value)) value = false;
+  } else if (SETTINGS[key].type === 'number' && value !== '') {
+    value = Number(value);
+  }
+  const problem = checkValue(key, value);
+  return problem ? { ok: false, error: problem } : { ok: true, value };
+}
+
+/**
+ * Explain an unknown setting name, suggesting the closest known one
+ * @param {string} key
+ * @returns {string}
+ */
+function unknownKey(key) {
+  const [closest] = KEYS
+    .map(known => ({ known, distance: editDistance(key.toLowerCase(), known.toLowerCase()) }))
+    .sort((a, b) => a.distance - b.distance);
+  const hint = closest.distance <= 3 ? ` (did you mean ${closest.known}?)` : '';
+  return `Unknown setting "${key}"${hint}. Settings: ${KEYS.join(', ')}`;
+}
+
+/**
+ * Every setting with its value and where the value comes from
+ * @returns {Object} { settings: Array<{ key, value, source: env|project|user|default, file?, variable?, description }>,
+ *   problems: Array<string> } - problems lists the values that were skipped
+ */
+function list() {
+  const user = readSettingsFile(userFile(), data => data);
+  const projectFile = findProjectFile();
+  const project = projectFile
+    ? readSettingsFile(projectFile, data => (data && typeof data === 'object' ? data.settings : undefined))
+    : { settings: {} };
+  const problems = [user.problem, project.problem].filter(Boolean);
+
+  const settings = KEYS.map(key => {
+    const setting = SETTINGS[key];
+    const entry = source => ({ key, ...source, description: setting.description });
+
+    const envText = process.env[setting.env];
+    if (envText !== undefined && envText !== '') {
+      const parsed = parseValue(key, envText);
+      if (parsed.ok) return entry({ value: parsed.value, source: 'env', variable: setting.env });
+      problems.push(`${setting.env}: ${parsed.error}`);
+    }
+    if (project.settings[key] !== undefined) {
+      const problem = setting.project === false
+        ? `${key} cannot be set in a project file`
+        : checkValue(key, project.settings[key]);
+      if (!problem) return entry({ value: project.settings[key], source: 'project', file: projectFile });
+      problems.push(`${projectFile}: ${problem}`);
+    }
+    if (user.settings[key] !== undefined) {
+      const problem = checkValue(key, user.settings[key]);
+      if (!problem) return entry({ value: user.settings[key], source: 'user', file: userFile() });
+      problems.push(`${userFile()}: ${problem}`);
+    }
+    return entry({ value: setting.default, source: 'default' });
+  });
+  return { settings, problems };
+}
+
+/**
+ * Get a setting
+ * @param {string} key - One of KEYS
+ * @returns {*} The value from the environment, the project, the user file or the default
+ */
+function get(key) {
+  if (!Object.hasOwn(SETTINGS, key)) throw new Error(unknownKey(key));
+  return list().settings.find(entry => entry.key === key).value;
+}
+
+function updateUserFile(fn) {
+  const file = userFile();
+  return storage.withLock(file, () => {
+    const current = readSettingsFile(file, data => data);
+    if (current.problem) return { ok: false, error: `${current.problem}; fix or remove it first` };
+    const settings = fn({ ...current.settings });
+    if (fs.existsSync(file) && JSON.stringify(settings) === JSON.stringify(current.settings)) return { ok: true, file };
+    storage.ensureStorageDir();
+    storage.writeFileAtomic(file, JSON.stringify(settings, null, 2) + '\n');
+    return { ok: true, file };
+  });
+}
+
+/**
+ * Save a setting in ~/.claude-mcp-switch/config.json
+ * @param {string} key - One of KEYS
+ * @param {string} text - Value as typed
+ * @returns {Object} { ok, value?, file?, error? }
+ */
+function set(key, text) {
+  if (!Object.hasOwn(SETTINGS, key)) return { ok: false, error: unknownKey(key) };
+  const parsed = parseValue(key, text);
+  if (!parsed.ok) return parsed;
+  const saved = updateUserFile(settings => ({ ...settings, [key]: parsed.value }));
+  return saved.ok ? { ...saved, value: parsed.value } : saved;
+}
+
+/**
+ * Remove a setting from ~/.claude-mcp-switch/config.json
+ * @param {string} key - One of KEYS
+ * @returns {Object} { ok, removed?, file?, error? }
+ */
+function unset(key) {
+  if (!Object.hasOwn(SETTINGS, key)) return { ok: false, error: unknownKey(key) };
+  let removed = false;
+  const saved = updateUserFile(settings => {
+    removed = settings[key] !== undefined;
+    delete settings[key];
+    return settings;
+  });
+  return saved.ok ? { ...saved, removed } : saved;
+}
+
+module.exports = {
+  SETTINGS,
+  KEYS,
+  findProjectFile,
+  parseValue,
+  unknownKey,
+  list,
+  get,
+  set,
+  unset
+};
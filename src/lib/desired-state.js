@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { isGlob, globToRegExp } = require('./match');
+const { planProfile } = require('./profiles');
+
+/**
+ * Per-repository desired state for `ccmcp sync`.
+ * A committed .ccmcp.json, or a "ccmcp" key in .mcp.json, lists the servers
+ * that should be on or off while working in that repository:
+ *   { "enabled": ["github"], "disabled": ["playwright", "slack-*"] }
+ * Entries are names or globs; servers the file does not mention are left alone.
+ */
+
+const STATE_FILE = '.ccmcp.json';
+const MCP_FILE = '.mcp.json';
+// "settings" belongs to config.js; anything else is a typo that would make sync do nothing
+const KNOWN_KEYS = ['enabled', 'disabled', 'settings'];
+
+/**
+ * Check the shape of a desired state
+ * @param {*} data - Parsed JSON
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateDesiredState(data) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) return 'expected a JSON object';
+  const unknown = Object.keys(data).filter(key => !KNOWN_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return `unknown key${unknown.length > 1 ? 's' : ''} ${unknown.map(key => `"${key}"`).join(', ')} (expected enabled, disabled or settings)`;
+  }
+  for (const key of ['enabled', 'disabled']) {
+    const list = data[key];
+    if (list === undefined) continue;
+    if (!Array.isArray(list) || list.some(name => typeof name !== 'string' || !name)) {
+      return `"${key}" must be an array of server names`;
+    }
+  }
+  const both = (data.enabled || []).filter(name => (data.disabled || []).includes(name));
+  if (both.length > 0) return `listed as both enabled and disabled: ${both.join(', ')}`;
+  return null;
+}
+
+function readState(file, fromMcpFile) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return { file, error: `${file} is not valid JSON: ${error.message}` };
+  }
+  if (fromMcpFile) {
+    if (!data || typeof data !== 'object' || data.ccmcp === undefined) return null;
+    data = data.ccmcp;
+  }
+  const problem = validateDesiredState(data);
+  if (problem) return { file, error: `${fromMcpFile ? `"ccmcp" in ${file}` : file}: ${problem}` };
+  return { file, state: { enabled: data.enabled || [], disabled: data.disabled || [] } };
+}
+
+/**
+ * Find the nearest desired state walking up from a directory.
+ * In each directory .ccmcp.json wins over a "ccmcp" key in .mcp.json.
+ * @param {string} cwd - Start directory
+ * @returns {Object|null} { file, state? , error? } or null when there is none
+ */
+function findDesiredState(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const stateFile = path.join(dir, STATE_FILE);
+    if (fs.existsSync(stateFile)) return readState(stateFile, false);
+    const mcpFile = path.join(dir, MCP_FILE);
+    if (fs.existsSync(mcpFile)) {
+      const found = readState(mcpFile, true);
+      if (found) return found;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Compute the changes that bring the current servers to a desired state.
+ * Exact names win over globs, and globs in "enabled" win over globs in "disabled".
+ * @param {Object} state - { enabled[], disabled[] }
+ * @param {Array<string>} activeNames - Names of currently active servers
+ * @param {Array<string>} stashedNames - Names of currently disabled (stashed) servers
+ * @returns {Object} { enable[], disable[], unchanged[], missing[] } like planProfile()
+ */
+function planDesiredState(state, activeNames, stashedNames) {
+  const known = [...new Set([...activeNames, ...stashedNames])];
+  const wanted = new Map();
+  const exact = list => list.filter(p => !isGlob(p));
+  const globs = list => list.filter(isGlob).map(globToRegExp);
+
+  for (const name of exact(state.enabled)) wanted.set(name, true);
+  for (const name of exact(state.disabled)) wanted.set(name, false);
+  for (const [list, value] of [[state.enabled, true], [state.disabled, false]]) {
+    for (const re of globs(list)) {
+      for (const name of known) {
+        if (!wanted.has(name) && re.test(name)) wanted.set(name, value);
+      }
+    }
+  }
+
+  const names = [...wanted.keys()];
+  return planProfile(
+    { enabled: names.filter(name => wanted.get(name)), disabled: names.filter(name => !wanted.get(name)) },
+    activeNames,
+    stashedNames
+  );
+}
+
+module.exports = {
+  STATE_FILE,
+  validateDesiredState,
+  findDesiredState,
+  planDesiredState
+};
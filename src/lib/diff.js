@@ -0,0 +1,65 @@
+/**
+ * Field-level comparison of server configurations, for `ccmcp show`.
+ * A configuration is flattened to one value per field: env variables and
+ * headers each get their own field ("env.TOKEN", "headers.Authorization"),
+ * the arguments are one field.
+ */
+
+const FIELDS = ['scope', 'transport', 'command', 'args', 'url'];
+
+/**
+ * Print arguments on one line, quoting the ones a shell would split
+ * @param {Array<string>} args
+ * @returns {string}
+ */
+function formatArgs(args) {
+  return args.map(arg => (arg === '' || /[\s"'\\]/.test(arg) ? JSON.stringify(arg) : arg)).join(' ');
+}
+
+function addPairs(fields, prefix, pairs, separator) {
+  for (const pair of pairs || []) {
+    const idx = pair.indexOf(separator);
+    if (idx <= 0) continue;
+    const value = pair.slice(idx + 1);
+    fields[`${prefix}.${pair.slice(0, idx).trim()}`] = separator === ':' ? value.trim() : value;
+  }
+}
+
+/**
+ * Flatten a configuration to { field: string value }
+ * @param {Object} config - Server configuration
+ * @returns {Object}
+ */
+function flattenConfig(config) {
+  const fields = {};
+  for (const field of FIELDS) {
+    const value = config[field];
+    if (Array.isArray(value)) {
+      if (value.length > 0) fields[field] = formatArgs(value);
+    } else if (value) {
+      fields[field] = value;
+    }
+  }
+  addPairs(fields, 'env', config.env, '=');
+  addPairs(fields, 'headers', config.headers, ':');
+  return fields;
+}
+
+/**
+ * Fields whose values differ between two configurations
+ * @param {Object} a - Server configuration
+ * @param {Object} b - Server configuration
+ * @returns {Array<string>} Field names, in the order of a then b
+ */
+function changedFields(a, b) {
+  const flatA = flattenConfig(a);
+  const flatB = flattenConfig(b);
+  const fields = [...new Set([...Object.keys(flatA), ...Object.keys(flatB)])];
+  return fields.filter(field => flatA[field] !== flatB[field]);
+}
+
+module.exports = {
+  formatArgs,
+  flattenConfig,
+  changedFields
+};
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const backend = require('./backend');
+const claudeCli = require('./claude-cli');
+const storage = require('./storage');
+const secrets = require('./secrets');
+const { recoverPending } = require('./recovery');
+
+/**
+ * Diagnostics for `ccmcp doctor`.
+ * Every check returns findings { check, level, message, suggestion?, fix? }
+ * where level is ok, warning or error, and fix (when present) is a repair that
+ * is safe to run without asking: it never drops information that exists nowhere else.
+ */
+
+const TRANSPORTS = ['stdio', 'sse', 'http'];
+const PRIVATE_FILES = ['disabled-servers.json', 'secret.key', 'journal.json', 'profiles.json', 'history.json', 'cache.json'];
+
+/**
+ * Locate an executable the way the shell would
+ * @param {string} bin - Name or path
+ * @returns {string|null} Full path, or null when not found
+ */
+function findExecutable(bin) {
+  const exts = process.platform === 'win32'
+    ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')]
+    : [''];
+  const candidates = bin.includes('/') || bin.includes(path.sep)
+    ? exts.map(ext => path.resolve(bin + ext))
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).flatMap(dir => exts.map(ext => path.join(dir, bin + ext)));
+  return candidates.find(file => {
+    try {
+      return fs.statSync(file).isFile();
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
+
+async function checkClaude() {
+  const bin = claudeCli.claudeBin();
+  // The file backend works without claude, so a missing binary is only a warning there
+  const level = backend.name() === 'cli' ? 'error' : 'warning';
+  const location = findExecutable(bin);
+  if (!location) {
+    return [{
+      check: 'claude',
+      level,
+      message: `claude binary "${bin}" not found on PATH`,
+      suggestion: 'Install Claude Code, or point CCMCP_CLAUDE_BIN (or the claudeBin setting) at the binary'
+    }];
+  }
+  const result = await claudeCli.version();
+  if (!result.ok) {
+    return [{ check: 'claude', level, message: `${location} does not run: ${result.error}`, suggestion: 'Reinstall Claude Code' }];
+  }
+  return [{ check: 'claude', level: 'ok', message: `claude ${result.version} (${location})` }];
+}
+
+function checkEntry(key, config) {
+  const finding = (message, suggestion, fix) => ({ check: 'stash-entry', level: 'error', message: `Stashed "${key}" ${message}`, suggestion, fix });
+  const name = config.name;
+  const scope = config.scope;
+
+  if (!config.transport) {
+    if (config.command) {
+      return [finding('has no transport', 'Set its transport to "stdio" (it has a command)',
+        () => storage.patchDisabledServer(name, scope, { transport: 'stdio' }, config.project))];
+    }
+    if (config.url) {
+      return [finding('has no transport', `Set "transport" to "http" or "sse" for "${key}" in ${storage.storagePath('disabled-servers.json')}`)];
+    }
+    return [finding('has no transport, command or url', 'Remove the entry and add the server again with "claude mcp add"')];
+  }
+  if (!TRANSPORTS.includes(config.transport)) {
+    return [finding(`has an unknown transport "${config.transport}"`, `Use one of ${TRANSPORTS.join(', ')}`)];
+  }
+  if (config.transport === 'stdio' && !config.command) {
+    return [finding('has no command', 'Remove the entry and add the server again with "claude mcp add"')];
+  }
+  if (config.transport !== 'stdio' && !config.url) {
+    return [finding('has no url', 'Remove the entry and add the server again with "claude mcp add"')];
+  }
+  return [];
+}
+
+function secretValues(config) {
+  const values = [];
+  secrets.mapSecretValues(config, value => {
+    values.push(value);
+    return value;
+  });
+  return values;
+}
+
+function checkStorage() {
+  const info = storage.inspectStorage();
+  const file = path.basename(info.file);
+  if (!info.exists) {
+    return { findings: [{ check: 'storage', level: 'ok', message: `${file}: no servers disabled yet` }], servers: {} };
+  }
+  if (info.problem) {
+    return {
+      findings: [{
+        check: 'storage',
+        level: 'error',
+        message: `${file} is invalid: ${info.problem}`,
+        suggestion: 'Move it aside (kept as .corrupt-<timestamp>) and start with an empty stash',
+        fix: () => storage.quarantine(info.file, info.problem)
+      }],
+      servers: {}
+    };
+  }
+  if (!info.servers) {
+    return {
+      findings: [{
+        check: 'storage',
+        level: 'error',
+        message: `${file} uses schema version ${info.schemaVersion}, newer than this ccmcp supports (${storage.SCHEMA_VERSION})`,
+        suggestion: 'Upgrade claude-mcp-switch'
+      }],
+      servers: {}
+    };
+  }
+
+  const findings = [];
+  const entries = Object.entries(info.servers);
+  const values = entries.flatMap(([, config]) => secretValues(config));
+
+  if (info.schemaVersion < storage.SCHEMA_VERSION) {
+    findings.push({
+      check: 'storage',
+      level: 'warning',
+      message: `${file} uses schema version ${info.schemaVersion} (current: ${storage.SCHEMA_VERSION})`,
+      suggestion: 'Rewrite it in the current format',
+      fix: storage.rewriteStorage
+    });
+  } else if (values.some(value => !secrets.isEncrypted(value))) {
+    findings.push({
+      check: 'storage',
+      level: 'warning',
+      message: `${file} holds unencrypted secrets (env, header, argument or URL values)`,
+      suggestion: 'Rewrite it so the values are encrypted',
+      fix: storage.rewriteStorage
+    });
+  }
+  findings.push({ check: 'storage', level: 'ok', message: `${file}: schema version ${info.schemaVersion}, ${entries.length} disabled server(s)` });
+
+  if (values.some(value => secrets.encryptionKind(value) === 'key') && !fs.existsSync(storage.storagePath('secret.key'))) {
+    findings.push({
+      check: 'secrets',
+      level: 'error',
+      message: 'secret.key is missing: stashed secrets cannot be decrypted',
+      suggestion: 'Restore secret.key from a backup, or re-add the affected servers by hand'
+    });
+  }
+  if (values.some(value => secrets.encryptionKind(value) === 'pass') && !process.env.CCMCP_PASSPHRASE) {
+    findings.push({
+      check: 'secrets',
+      level: 'warning',
+      message: 'Some stashed secrets are encrypted with a passphrase',
+      suggestion: 'Set CCMCP_PASSPHRASE before enabling those servers'
+    });
+  }
+
+  for (const [key, config] of entries) findings.push(...checkEntry(key, config));
+  return { findings, servers: info.servers };
+}
+
+function sameDefinition(a, b) {
+  return a.transport === b.transport &&
+    (a.command || '') === (b.command || '') &&
+    (a.url || '') === (b.url || '') &&
+    JSON.stringify(a.args || []) === JSON.stringify(b.args || []);
+}
+
+async function checkDuplicates(servers) {
+  // Stashed local and project servers of other projects cannot clash with the active ones
+  const stashed = Object.values(servers).filter(config => storage.isInCurrentProject(config));
+  if (stashed.length === 0) return [];
+
+  const result = await backend.listServers();
+  if (!result.ok) {
+    return [{ check: 'duplicates', level: 'warning', message: `Cannot list active servers: ${result.error}` }];
+  }
+
+  const findings = [];
+  const activeNames = new Set(result.servers.map(s => s.name));
+  const candidates = stashed.filter(e => activeNames.has(e.name));
+  const lives = await Promise.all(candidates.map(entry => backend.getServer(entry.name, entry.scope)));
+  for (const [i, entry] of candidates.entries()) {
+    const live = lives[i];
+    if (!live.ok || (live.server.scope && live.server.scope !== entry.scope)) continue;
+
+    const finding = {
+      check: 'duplicates',
+      level: 'warning',
+      message: `"${entry.name}" is active and also disabled in ${entry.scope} scope`
+    };
+    // Sealed arguments and URLs are compared in plaintext
+    const revealed = storage.revealSecrets(entry);
+    if (sameDefinition(live.server, revealed.ok ? revealed.config : entry)) {
+      finding.suggestion = 'Drop the stash entry (it matches the active server)';
+      finding.fix = () => storage.removeDisabledServer(entry.name, entry.scope, entry.project);
+    } else {
+      finding.suggestion = `The two definitions differ: "ccmcp disable ${entry.name} --scope ${entry.scope}" keeps the active one, ` +
+        `removing the active server and running "ccmcp enable ${entry.name} --scope ${entry.scope}" keeps the stashed one`;
+    }
+    findings.push(finding);
+  }
+  if (findings.length === 0) {
+    findings.push({ check: 'duplicates', level: 'ok', message: 'No server is both active and disabled' });
+  }
+  return findings;
+}
+
+async function checkJournal() {
+  const { results, inProgress } = await recoverPending({ dryRun: true });
+  const findings = [];
+  if (results.length > 0) {
+    findings.push({
+      check: 'journal',
+      level: 'warning',
+      message: `${results.length} interrupted operation(s) in journal.json`,
+      suggestion: 'Complete or roll them back with "ccmcp recover"',
+      fix: () => recoverPending()
+    });
+  }
+  if (inProgress.length > 0) {
+    findings.push({ check: 'journal', level: 'ok', message: `${inProgress.length} operation(s) running in other ccmcp processes` });
+  }
+  return findings;
+}
+
+function checkPermissions() {
+  if (process.platform === 'win32') return [];
+  const findings = [];
+  const dir = storage.storageDir();
+  const loose = (file, wanted) => {
+    try {
+      const mode = fs.statSync(file).mode & 0o777;
+      if ((mode & 0o077) === 0) return;
+      findings.push({
+        check: 'permissions',
+        level: 'warning',
+        message: `${file} is accessible by other users (mode ${mode.toString(8)})`,
+        suggestion: `chmod ${wanted.toString(8)} ${file}`,
+        fix: () => fs.chmodSync(file, wanted)
+      });
+    } catch (error) {
+      // missing files are fine
+    }
+  };
+  loose(dir, 0o700);
+  for (const file of PRIVATE_FILES) loose(path.join(dir, file), 0o600);
+  return findings;
+}
+
+/**
+ * Run every check
+ * @returns {Promise<Array<Object>>} Findings
+ */
+async function diagnose() {
+  const { findings: storageFindings, servers } = checkStorage();
+  return [
+    ...(await checkClaude()),
+    ...storageFindings,
+    ...(await checkDuplicates(servers)),
+    ...(await checkJournal()),
+    ...checkPermissions()
+  ];
+}
+
+/**
+ * Apply the safe fixes of the given findings (in place)
+ * @param {Array<Object>} findings - Result of diagnose()
+ * @returns {Promise<Array<Object>>} The same findings with fixed / fixError set
+ */
+async function applyFixes(findings) {
+  for (const finding of findings.filter(f => f.fix)) {
+    try {
+      await finding.fix();
+      finding.fixed = true;
+    } catch (error) {
+      finding.fixError = error.message;
+    }
+  }
+  return findings;
+}
+
+module.exports = {
+  findExecutable,
+  diagnose,
+  applyFixes
+};
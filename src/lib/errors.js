@@ -0,0 +1,89 @@
+/**
+ * Errors thrown by the programmatic API (src/index.js).
+ * Each carries a stable `code` to branch on; the CLI maps them to exit codes.
+ */
+
+class CcmcpError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - Stable error code
+   * @param {Object} details - Extra fields copied onto the error
+   */
+  constructor(message, code = 'ERROR', details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/** An argument or option is invalid */
+class ValidationError extends CcmcpError {
+  constructor(message, details) {
+    super(message, 'INVALID_ARGUMENT', details);
+  }
+}
+
+/** No server matches a name or pattern */
+class NotFoundError extends CcmcpError {
+  constructor(message, details) {
+    super(message, 'NOT_FOUND', details);
+  }
+}
+
+/** A name matches servers in several scopes and no scope was given */
+class AmbiguousError extends CcmcpError {
+  constructor(message, details) {
+    super(message, 'AMBIGUOUS', details);
+  }
+}
+
+/** The name is already used by another server in that scope */
+class ConflictError extends CcmcpError {
+  constructor(message, details) {
+    super(message, 'CONFLICT', details);
+  }
+}
+
+/** The backend (claude CLI or config files) or the stash could not be read or written */
+class BackendError extends CcmcpError {
+  constructor(message, details) {
+    super(message, 'BACKEND_ERROR', details);
+  }
+}
+
+/** Another ccmcp process kept a storage file locked for too long */
+class LockError extends CcmcpError {
+  constructor(message, details) {
+    super(message, 'LOCKED', details);
+  }
+}
+
+/** A storage file was written by a newer ccmcp */
+class StorageVersionError extends CcmcpError {
+  constructor(message, details) {
+    super(message, 'UNSUPPORTED_VERSION', details);
+  }
+}
+
+/**
+ * A batch failed part-way and was rolled back.
+ * `results` holds the outcome for every server, `rolledBack` whether anything was undone.
+ */
+class OperationError extends CcmcpError {
+  constructor(message, details) {
+    super(message, 'OPERATION_FAILED', details);
+  }
+}
+
+module.exports = {
+  CcmcpError,
+  ValidationError,
+  NotFoundError,
+  AmbiguousError,
+  ConflictError,
+  BackendError,
+  LockError,
+  StorageVersionError,
+  OperationError
+};
@@ -0,0 +1,105 @@
+/**
+ * Expiry of temporary disables (`disable --for 90m`, `disable --until 18:00`).
+ * The expiry is stored as an ISO timestamp in the stash entry (expiresAt,
+ * next to disabledAt); expired entries are re-enabled by the next ccmcp run.
+ */
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration such as "90m", "2h", "1h30m" or "1d"
+ * @param {string} text
+ * @returns {number|null} Milliseconds, or null when invalid
+ */
+function parseDuration(text) {
+  const value = String(text || '').trim().toLowerCase();
+  if (!/^(\d+(\.\d+)?[smhd])+$/.test(value)) return null;
+  let total = 0;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)([smhd])/g)) {
+    total += Number(amount) * UNITS[unit];
+  }
+  return total > 0 ? Math.round(total) : null;
+}
+
+/**
+ * Parse a point in time: "18:00" (the next time the clock shows it) or a date
+ * @param {string} text - "HH:MM", "HH:MM:SS" or anything Date understands
+ * @param {Date} now
+ * @returns {Date|null} null when invalid
+ */
+function parseUntil(text, now = new Date()) {
+  const value = String(text || '').trim();
+  const clock = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (clock) {
+    const [hours, minutes, seconds] = [clock[1], clock[2], clock[3] || '0'].map(Number);
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    const at = new Date(now);
+    at.setHours(hours, minutes, seconds, 0);
+    if (at <= now) at.setDate(at.getDate() + 1);
+    return at;
+  }
+  if (!/\d{4}-\d{2}-\d{2}/.test(value)) return null;
+  const at = new Date(value);
+  return Number.isNaN(at.getTime()) ? null : at;
+}
+
+/**
+ * Work out the expiry requested with --for / --until
+ * @param {Object} args - Parsed arguments (for, until)
+ * @param {Date} now
+ * @returns {Object} { ok, expiresAt?, error? } (expiresAt is undefined when neither is given)
+ */
+function resolveExpiry(args, now = new Date()) {
+  if (args.for !== undefined && args.until !== undefined) {
+    return { ok: false, error: '--for and --until cannot be combined' };
+  }
+  if (args.for !== undefined) {
+    const ms = parseDuration(args.for);
+    if (ms === null) return { ok: false, error: `Invalid --for "${args.for}" (expected e.g. 45s, 90m, 2h, 1h30m or 1d)` };
+    return { ok: true, expiresAt: new Date(now.getTime() + ms).toISOString() };
+  }
+  if (args.until !== undefined) {
+    const at = parseUntil(args.until, now);
+    if (!at) return { ok: false, error: `Invalid --until "${args.until}" (expected HH:MM or an ISO date)` };
+    if (at <= now) return { ok: false, error: `--until "${args.until}" is in the past` };
+    return { ok: true, expiresAt: at.toISOString() };
+  }
+  return { ok: true };
+}
+
+/**
+ * Whether a stash entry is due to be re-enabled
+ * @param {Object} config - Stash entry
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isExpired(config, now = new Date()) {
+  return Boolean(config.expiresAt) && new Date(config.expiresAt) <= now;
+}
+
+/**
+ * Time left until an expiry, e.g. "45s", "1h 29m", "2d 3h"
+ * @param {string} expiresAt - ISO timestamp
+ * @param {Date} now
+ * @returns {string} "due" once the expiry has passed
+ */
+function formatRemaining(expiresAt, now = new Date()) {
+  const ms = new Date(expiresAt).getTime() - now.getTime();
+  if (!(ms > 0)) return 'due';
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+  const days = Math.floor(hours / 24);
+  return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+}
+
+module.exports = {
+  parseDuration,
+  parseUntil,
+  resolveExpiry,
+  isExpired,
+  formatRemaining
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { storagePath, ensureStorageDir, withLock, writeFileAtomic, readJsonFile, sealSecrets } = require('./storage');
+
+/**
+ * Operation history, stored in ~/.claude-mcp-switch/history.json as an array
+ * of entries, oldest first:
+ *   { id, timestamp, command, ok, steps[], undoes?, undoneBy?, undoneAt? }
+ * Each step records one server switch:
+ *   { action, name, scope, stashScope, config, previous?, ok, error?, rolledBack?, skipped? }
+ * where scope is the live scope the server left (disable) or entered (enable),
+ * config is the configuration that moved and previous is the stash entry a
+ * disable replaced. Configurations are stored with their secrets sealed.
+ */
+
+const MAX_ENTRIES = 200;
+
+function validateHistory(data) {
+  return Array.isArray(data) ? null : 'expected a JSON array';
+}
+
+function readHistory() {
+  ensureStorageDir();
+  return readJsonFile(storagePath('history.json'), [], validateHistory);
+}
+
+/**
+ * Read-modify-write the history under the storage lock
+ * @param {Function} fn - Receives the entries and modifies them in place
+ * @returns {*} Return value of fn
+ */
+function updateHistory(fn) {
+  const file = storagePath('history.json');
+  return withLock(file, () => {
+    const entries = readHistory();
+    const result = fn(entries);
+    writeFileAtomic(file, JSON.stringify(entries.slice(-MAX_ENTRIES), null, 2));
+    return result;
+  });
+}
+
+/**
+ * Append an operation to the history
+ * @param {Object} entry - { command, ok, steps[], undoes? }
+ * @returns {Object} The stored entry
+ */
+function recordOperation(entry) {
+  const stored = {
+    id: crypto.randomBytes(6).toString('hex'),
+    timestamp: new Date().toISOString(),
+    ...entry,
+    steps: entry.steps.map(step => ({
+      ...step,
+      config: step.config && sealSecrets(step.config),
+      ...(step.previous ? { previous: sealSecrets(step.previous) } : {})
+    }))
+  };
+  updateHistory(entries => {
+    entries.push(stored);
+  });
+  return stored;
+}
+
+/**
+ * Mark entries as undone
+ * @param {Array<string>} ids - Entry ids
+ * @param {string} undoneBy - Id of the undo entry
+ */
+function markUndone(ids, undoneBy) {
+  const undoneAt = new Date().toISOString();
+  updateHistory(entries => {
+    for (const entry of entries) {
+      if (ids.includes(entry.id)) Object.assign(entry, { undoneBy, undoneAt });
+    }
+  });
+}
+
+/**
+ * List history entries, newest first
+ * @param {number} limit - Maximum number of entries (all when omitted)
+ * @returns {Array<Object>}
+ */
+function listHistory(limit) {
+  const entries = readHistory().reverse();
+  return limit === undefined ? entries : entries.slice(0, limit);
+}
+
+/**
+ * Steps of an entry that changed something (succeeded and were not rolled back)
+ * @param {Object} entry - History entry
+ * @returns {Array<Object>}
+ */
+function effectiveSteps(entry) {
+  return entry.steps.filter(step => step.ok && !step.rolledBack);
+}
+
+/**
+ * The entries `undo N` reverts: the newest N operations that changed
+ * something and are not undone yet. Undo entries themselves are not undone.
+ * @param {number} count
+ * @returns {Array<Object>} Newest first
+ */
+function undoCandidates(count) {
+  return listHistory()
+    .filter(entry => !entry.undoes && !entry.undoneBy && effectiveSteps(entry).length > 0)
+    .slice(0, count);
+}
+
+module.exports = {
+  MAX_ENTRIES,
+  recordOperation,
+  markUndone,
+  listHistory,
+  effectiveSteps,
+  undoCandidates
+};
@@ -0,0 +1,208 @@
+const { formatArgs } = require('./diff');
+
+/**
+ * Output of `ccmcp list`: sorting, field selection and the machine formats
+ * (json, ndjson, csv, tsv, markdown, yaml). The box-drawn table is printed by
+ * ccmcp.js; everything here returns strings so it stays easy to test.
+ */
+
+const FORMATS = ['table', 'json', 'ndjson', 'csv', 'tsv', 'markdown', 'yaml'];
+const SORT_KEYS = ['name', 'status', 'transport', 'disabledAt'];
+
+// Selectable fields and their column titles
+const FIELD_TITLES = {
+  status: 'STATUS',
+  name: 'NAME',
+  scope: 'SCOPE',
+  project: 'PROJECT',
+  transport: 'TRANSPORT',
+  commandOrUrl: 'COMMAND/URL',
+  command: 'COMMAND',
+  args: 'ARGS',
+  url: 'URL',
+  env: 'ENV',
+  headers: 'HEADERS',
+  disabledAt: 'DISABLED AT',
+  expiresAt: 'EXPIRES AT'
+};
+const LIST_FIELDS = Object.keys(FIELD_TITLES);
+const DEFAULT_FIELDS = ['status', 'name', 'scope', 'transport', 'commandOrUrl'];
+
+// `claude mcp list` only summarizes active servers: these need a lookup each
+const DETAIL_FIELDS = ['scope', 'command', 'args', 'env', 'headers'];
+
+/**
+ * Parse a --fields value such as "name,transport,url"
+ * @param {string} spec - Comma-separated field names
+ * @returns {Object} { ok, fields?, error? }
+ */
+function parseFields(spec) {
+  const fields = String(spec || '').split(',').map(f => f.trim()).filter(Boolean);
+  if (fields.length === 0) return { ok: false, error: `--fields needs at least one of ${LIST_FIELDS.join(', ')}` };
+  const unknown = fields.filter(f => !LIST_FIELDS.includes(f));
+  if (unknown.length > 0) {
+    return { ok: false, error: `Unknown field "${unknown[0]}" (expected ${LIST_FIELDS.join(', ')})` };
+  }
+  return { ok: true, fields: [...new Set(fields)] };
+}
+
+/**
+ * Whether some of the fields are only known after looking each active server up
+ * @param {Array<string>} fields
+ * @returns {boolean}
+ */
+function needsDetails(fields) {
+  return fields.some(f => DETAIL_FIELDS.includes(f));
+}
+
+/**
+ * Value of one field of a list entry. Active servers listed without details
+ * only carry a command line, so their URL is taken from it.
+ * @param {Object} entry - Entry returned by list()
+ * @param {string} field - One of LIST_FIELDS
+ * @returns {string|Array<string>|null}
+ */
+function fieldValue(entry, field) {
+  const remote = entry.transport === 'sse' || entry.transport === 'http';
+  switch (field) {
+    case 'commandOrUrl':
+      return entry.commandOrUrl || entry.url || [entry.command, ...(entry.args || [])].filter(Boolean).join(' ') || null;
+    case 'url':
+      return entry.url || (remote && entry.commandOrUrl) || null;
+    default:
+      return entry[field] === undefined || entry[field] === '' ? null : entry[field];
+  }
+}
+
+/**
+ * A field value on one line, for tables and delimited formats
+ * @param {*} value - Value returned by fieldValue()
+ * @param {string} field
+ * @returns {string}
+ */
+function fieldText(value, field) {
+  if (value == null) return '';
+  if (!Array.isArray(value)) return String(value);
+  return field === 'args' ? formatArgs(value) : value.join(', ');
+}
+
+/**
+ * Sort list entries; ties are broken by name. Active servers have no
+ * disabledAt and sort after every disabled one.
+ * @param {Array<Object>} entries
+ * @param {string} key - One of SORT_KEYS
+ * @returns {Array<Object>} A sorted copy
+ */
+function sortEntries(entries, key) {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const compare = {
+    name: byName,
+    status: (a, b) => (a.status === b.status ? 0 : a.status === 'enabled' ? -1 : 1),
+    transport: (a, b) => (a.transport || '').localeCompare(b.transport || ''),
+    disabledAt: (a, b) => (a.disabledAt ? 0 : 1) - (b.disabledAt ? 0 : 1) || (a.disabledAt || '').localeCompare(b.disabledAt || '')
+  }[key];
+  return [...entries].sort((a, b) => compare(a, b) || byName(a, b));
+}
+
+/**
+ * Keep the selected fields of every entry, in order; missing values are null
+ * @param {Array<Object>} entries
+ * @param {Array<string>} fields
+ * @returns {Array<Object>}
+ */
+function pickFields(entries, fields) {
+  return entries.map(entry => Object.fromEntries(fields.map(field => [field, fieldValue(entry, field)])));
+}
+
+function csvCell(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function delimited(rows, fields, cell, separator) {
+  const lines = [fields.map(cell).join(separator)];
+  for (const row of rows) lines.push(fields.map(f => cell(fieldText(row[f], f))).join(separator));
+  return lines.join('\n');
+}
+
+function markdown(rows, fields) {
+  const cell = text => text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const line = cells => `| ${cells.join(' | ')} |`;
+  return [
+    line(fields.map(f => FIELD_TITLES[f])),
+    line(fields.map(() => '---')),
+    ...rows.map(row => line(fields.map(f => cell(fieldText(row[f], f)))))
+  ].join('\n');
+}
+
+// Plain YAML scalars that read back as the same string; anything else is
+// written as a JSON string, which YAML accepts as a double-quoted scalar
+function yamlScalar(value) {
+  if (value === null) return 'null';
+  if (typeof value !== 'string') return String(value);
+  const plain = /^[A-Za-z_/][\w/.@+=~-]*(:[\w/.@+=~-]+)*$/.test(value)
+    && !/^(true|false|yes|no|on|off|null|y|n)$/i.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+function yaml(rows) {
+  if (rows.length === 0) return '[]';
+  const lines = [];
+  for (const row of rows) {
+    Object.entries(row).forEach(([key, value], i) => {
+      const prefix = i === 0 ? '- ' : '  ';
+      if (!Array.isArray(value)) {
+        lines.push(`${prefix}${key}: ${yamlScalar(value)}`);
+      } else if (value.length === 0) {
+        lines.push(`${prefix}${key}: []`);
+      } else {
+        lines.push(`${prefix}${key}:`);
+        for (const item of value) lines.push(`    - ${yamlScalar(item)}`);
+      }
+    });
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render entries in one of the machine formats. Without fields, json, ndjson
+ * and yaml print whole entries and the tabular formats the table columns.
+ * @param {Array<Object>} entries - Entries returned by list()
+ * @param {string} format - One of FORMATS except table
+ * @param {Array<string>} fields - Selected fields, or null
+ * @returns {string}
+ */
+function formatList(entries, format, fields) {
+  const rows = fields ? pickFields(entries, fields) : entries;
+  const columns = fields || DEFAULT_FIELDS;
+  switch (format) {
+    case 'json':
+      return JSON.stringify(rows, null, 2);
+    case 'ndjson':
+      return rows.map(row => JSON.stringify(row)).join('\n');
+    case 'csv':
+      return delimited(pickFields(entries, columns), columns, csvCell, ',');
+    case 'tsv':
+      return delimited(pickFields(entries, columns), columns, text => text.replace(/[\t\r\n]+/g, ' '), '\t');
+    case 'markdown':
+      return markdown(pickFields(entries, columns), columns);
+    case 'yaml':
+      return yaml(rows);
+    default:
+      throw new Error(`Unknown format "${format}"`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  SORT_KEYS,
+  LIST_FIELDS,
+  DEFAULT_FIELDS,
+  FIELD_TITLES,
+  parseFields,
+  needsDetails,
+  fieldValue,
+  fieldText,
+  sortEntries,
+  pickFields,
+  formatList
+};
@@ -0,0 +1,127 @@
+/**
+ * Server name matching for batch operations.
+ * Patterns are exact names or shell-style globs (*, ? and [...] classes).
+ * A single name typed by a user is resolved in tiers by resolveName().
+ */
+
+/**
+ * Whether a pattern contains glob characters
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function isGlob(pattern) {
+  return /[*?[]/.test(pattern);
+}
+
+/**
+ * Convert a glob pattern into an anchored RegExp
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      source += '.*';
+    } else if (ch === '?') {
+      source += '.';
+    } else if (ch === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let cls = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+      if (cls.startsWith('!')) cls = '^' + cls.slice(1);
+      source += `[${cls}]`;
+      i = end;
+    } else {
+      source += ch.replace(/[.+^${}()|\\\]]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Match patterns against a list of names
+ * @param {Array<string>} patterns - Exact names or globs
+ * @param {Array<string>} names - Candidate names
+ * @returns {Object} { matched[] (unique, in candidate order), unmatched[] (patterns with no match) }
+ */
+function matchNames(patterns, names) {
+  const matched = new Set();
+  const unmatched = [];
+
+  for (const pattern of patterns) {
+    const re = isGlob(pattern) ? globToRegExp(pattern) : null;
+    const hits = names.filter(name => (re ? re.test(name) : name === pattern));
+    if (hits.length === 0) unmatched.push(pattern);
+    for (const hit of hits) matched.add(hit);
+  }
+
+  return { matched: names.filter(name => matched.has(name)), unmatched };
+}
+
+/**
+ * Edit distance (insertions, deletions, substitutions) between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Resolve a name typed by a user: an exact match, then a case-insensitive
+ * one, then a unique prefix. Several hits in a tier are ambiguous. Names
+ * within a few typos are only suggested, never picked.
+ * @param {string} query - Typed name
+ * @param {Array<string>} names - Candidate names
+ * @param {Object} options
+ * @param {boolean} options.exact - Stop after the exact match
+ * @returns {Object} { name } on a match, { candidates[] } when ambiguous, otherwise { suggestions[] }
+ */
+function resolveName(query, names, { exact = false } = {}) {
+  const unique = [...new Set(names)];
+  if (unique.includes(query)) return { name: query };
+
+  const lower = query.toLowerCase();
+  if (!exact) {
+    const tiers = [
+      unique.filter(name => name.toLowerCase() === lower),
+      unique.filter(name => name.toLowerCase().startsWith(lower))
+    ];
+    for (const hits of tiers) {
+      if (hits.length === 1) return { name: hits[0] };
+      if (hits.length > 1) return { candidates: hits };
+    }
+  }
+
+  // Allow about one typo per three characters
+  const limit = Math.max(1, Math.floor(query.length / 3));
+  const suggestions = unique
+    .map(name => ({ name, distance: editDistance(lower, name.toLowerCase()) }))
+    .filter(({ distance }) => distance <= limit)
+    .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+    .map(({ name }) => name);
+  return { suggestions };
+}
+
+module.exports = {
+  isGlob,
+  globToRegExp,
+  matchNames,
+  editDistance,
+  resolveName
+};
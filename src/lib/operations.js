@@ -0,0 +1,586 @@
+const backend = require('./backend');
+const storage = require('./storage');
+const history = require('./history');
+const { DEFAULT_SCOPE } = require('./scope');
+const { isGlob, globToRegExp, matchNames, resolveName } = require('./match');
+const { runTransaction } = require('./transaction');
+const { isExpired } = require('./expiry');
+const { NotFoundError, AmbiguousError, BackendError } = require('./errors');
+const { maskCommandLine } = require('./secrets');
+
+/**
+ * Server switching shared by the CLI and the programmatic API.
+ * Moving one server is a step ({ ok, error? } like the backend functions);
+ * resolving names to servers throws the errors from ./errors.
+ */
+
+/**
+ * Build the backend addServer() argument from a stored server configuration
+ * @param {string} name - Server name
+ * @param {Object} config - Stored configuration
+ * @param {string} scope - Scope to add the server to
+ * @returns {Object}
+ */
+function toAddConfig(name, config, scope) {
+  return {
+    name,
+    transport: config.transport,
+    commandOrUrl: config.url || config.command,
+    args: config.args || [],
+    env: config.env || [],
+    headers: config.headers || [],
+    scope
+  };
+}
+
+/**
+ * Re-add a stashed server and drop it from disabled storage
+ * @param {string} name - Server name
+ * @param {Object} disabledConfig - Stored configuration
+ * @param {string} targetScope - Optional scope to enable into (defaults to the original scope)
+ * @returns {Promise<Object>} { ok, scope?, error? }
+ */
+async function enableServer(name, disabledConfig, targetScope) {
+  const scope = targetScope || disabledConfig.scope || DEFAULT_SCOPE;
+
+  // Stashed env/header values are encrypted; only claude gets the plaintext
+  const revealed = storage.revealSecrets(disabledConfig);
+  if (!revealed.ok) return revealed;
+
+  // Re-add the server using stored config
+  const addConfig = toAddConfig(name, revealed.config, scope);
+
+  const stashScope = disabledConfig.scope || DEFAULT_SCOPE;
+  const operation = storage.beginOperation({
+    action: 'enable',
+    name,
+    scope,
+    config: { ...disabledConfig, scope: stashScope }
+  });
+
+  const result = await backend.addServer(addConfig);
+  if (result.ok) {
+    // Remove from disabled storage
+    storage.removeDisabledServer(name, stashScope, disabledConfig.project);
+  }
+
+  storage.endOperation(operation);
+  return result.ok ? { ok: true, scope } : result;
+}
+
+/**
+ * Stash an active server's configuration and remove it from claude
+ * @param {string} name - Server name
+ * @param {Object} serverConfig - Configuration from claude mcp get
+ * @param {Object} stashConfig - Configuration to stash (defaults to serverConfig)
+ * @returns {Promise<Object>} { ok, error? }
+ */
+async function disableServer(name, serverConfig, stashConfig = serverConfig) {
+  const stashScope = stashConfig.scope || DEFAULT_SCOPE;
+  const previous = storage.getDisabledServer(name, stashScope, stashConfig.project);
+  const operation = storage.beginOperation({
+    action: 'disable',
+    name,
+    scope: serverConfig.scope,
+    config: { ...stashConfig, scope: stashScope },
+    previous
+  });
+
+  // Store config before removing
+  storage.storeDisabledServer(name, stashConfig);
+
+  // Remove the server from the scope it was configured in
+  const result = await backend.removeServer(name, serverConfig.scope);
+  if (!result.ok) {
+    // The server is still active: put the stash back the way it was
+    if (previous) storage.storeDisabledServer(name, previous);
+    else storage.removeDisabledServer(name, stashScope, stashConfig.project);
+  }
+
+  storage.endOperation(operation);
+  return result;
+}
+
+/**
+ * Revert a disable: put the server back, then the stash entry the disable replaced
+ * @param {string} name - Server name
+ * @param {Object} config - Configuration the disable stashed
+ * @param {string} scope - Scope to re-enable into
+ * @param {Object|null} previous - Stash entry the disable overwrote
+ * @returns {Promise<Object>} Result of enableServer()
+ */
+async function undoDisable(name, config, scope, previous) {
+  const enabled = await enableServer(name, config, scope);
+  if (enabled.ok && previous) storage.storeDisabledServer(name, previous);
+  return enabled;
+}
+
+/**
+ * Pick the stashed entry to enable.
+ * With a scope, an entry stashed from that scope wins; a single entry from
+ * another scope is moved into the requested scope.
+ * @param {string} name - Server name
+ * @param {string} scope - Optional scope from --scope
+ * @returns {Object} { config?, error?, ambiguous? }
+ */
+function selectDisabledEntry(name, scope) {
+  const entries = storage.findDisabledServers(name);
+  if (entries.length === 0) return {};
+
+  if (scope) {
+    const exact = entries.find(e => e.scope === scope);
+    if (exact) return { config: exact.config };
+  }
+  if (entries.length === 1) return { config: entries[0].config };
+
+  return {
+    ambiguous: true,
+    error: `Server "${name}" is disabled in several scopes (${entries.map(e => e.scope).join(', ')}); use --scope to pick one`
+  };
+}
+
+/**
+ * A row of the suggestions table
+ * @param {Object} server - Active server summary or stashed configuration
+ * @param {string} status - enabled or disabled
+ * @returns {Object} { status, name, scope, transport, commandOrUrl }
+ */
+function suggestionRow(server, status) {
+  const commandOrUrl = server.commandOrUrl || server.url || [server.command, ...(server.args || [])].filter(Boolean).join(' ');
+  return {
+    status,
+    name: server.name,
+    scope: server.scope || '',
+    transport: server.transport || '',
+    commandOrUrl: maskCommandLine(commandOrUrl)
+  };
+}
+
+function stashedRows(scope) {
+  return storage.listDisabledServers()
+    .filter(d => !scope || d.scope === scope)
+    .map(d => suggestionRow(d.config, 'disabled'));
+}
+
+/**
+ * Resolve a name typed by a user among servers (tiers in match.resolveName)
+ * @param {string} query - Typed name
+ * @param {Array<Object>} rows - suggestionRow() of every candidate
+ * @param {Object} options
+ * @param {boolean} options.exact - Only accept an exact match
+ * @param {string} options.notFound - Message when nothing matches
+ * @returns {string} Matched name
+ * @throws {NotFoundError|AmbiguousError} carrying suggestions[] or candidates[] rows
+ */
+function resolveServerName(query, rows, { exact = false, notFound }) {
+  const result = resolveName(query, rows.map(row => row.name), { exact });
+  if (result.name) return result.name;
+
+  const rowsFor = names => rows.filter(row => names.includes(row.name));
+  if (result.candidates) {
+    throw new AmbiguousError(
+      `"${query}" matches several servers (${result.candidates.join(', ')}); use the full name`,
+      { candidates: rowsFor(result.candidates) }
+    );
+  }
+  throw new NotFoundError(notFound, { suggestions: rowsFor(result.suggestions) });
+}
+
+/**
+ * Resolve a typed name among stashed servers
+ * @param {string} query - Typed name
+ * @param {Object} options - { scope, exact, notFound }
+ * @returns {string} Matched name
+ * @throws {NotFoundError|AmbiguousError}
+ */
+function resolveStashedName(query, { scope, exact, notFound }) {
+  return resolveServerName(query, stashedRows(scope), { exact, notFound });
+}
+
+/**
+ * Resolve a typed name among active and stashed servers. Exact names are
+ * looked up directly, since listing is slow with the cli backend.
+ * @param {string} query - Typed name
+ * @param {Object} options - { scope, exact }
+ * @returns {Promise<string>} Matched name
+ * @throws {NotFoundError|AmbiguousError}
+ */
+async function resolveAnyName(query, { scope, exact } = {}) {
+  const stashed = stashedRows(scope);
+  if (stashed.some(row => row.name === query)) return query;
+  if ((await backend.getServer(query, scope)).ok) return query;
+
+  const result = await backend.listServers();
+  const active = result.ok ? result.servers.map(server => suggestionRow(server, 'enabled')) : [];
+  return resolveServerName(query, [...active, ...stashed], {
+    exact,
+    notFound: `Server "${query}" not found${scope ? ` in ${scope} scope` : ''}.`
+  });
+}
+
+/**
+ * Explain that a name is only stashed for other projects
+ * @param {string} name - Server name
+ * @returns {string|null} Message, or null when the name is not stashed elsewhere
+ */
+function otherProjectsNote(name) {
+  const elsewhere = storage.listDisabledServers({ allProjects: true })
+    .filter(d => d.name === name && !storage.isInCurrentProject(d.config));
+  if (elsewhere.length === 0) return null;
+  const places = elsewhere.map(d => `${d.scope} scope of ${d.project}`).join(', ');
+  return `Server "${name}" is disabled in ${places}; enable it from that project.`;
+}
+
+/**
+ * Resolve enable targets among stashed servers
+ * @param {Array<string>} patterns - Names, typed names (see resolveName) or globs
+ * @param {Object} options - { all, scope, exact }
+ * @returns {Array<Object>} Targets { name, config, scope }
+ * @throws {NotFoundError|AmbiguousError}
+ */
+function resolveEnableTargets(patterns, { all, scope, exact } = {}) {
+  const entries = storage.listDisabledServers();
+  const inScope = scope ? entries.filter(e => e.scope === scope) : entries;
+  const targets = [];
+
+  if (all) {
+    for (const entry of inScope) targets.push({ name: entry.name, config: entry.config, scope: entry.scope });
+    return targets;
+  }
+
+  for (const pattern of patterns) {
+    if (isGlob(pattern)) {
+      const re = globToRegExp(pattern);
+      const hits = inScope.filter(e => re.test(e.name));
+      if (hits.length === 0) {
+        throw new NotFoundError(`No disabled servers match "${pattern}"`);
+      }
+      for (const entry of hits) targets.push({ name: entry.name, config: entry.config, scope: entry.scope });
+      continue;
+    }
+
+    // Any stashed entry counts: with --scope, an entry from another scope is moved
+    const name = resolveStashedName(pattern, {
+      exact,
+      notFound: otherProjectsNote(pattern) || `Server "${pattern}" is not disabled or not found.`
+    });
+    const selected = selectDisabledEntry(name, scope);
+    if (selected.ambiguous) {
+      throw new AmbiguousError(selected.error);
+    }
+    targets.push({ name, config: selected.config, scope: scope || selected.config.scope || DEFAULT_SCOPE });
+  }
+
+  return uniqueTargets(targets);
+}
+
+/**
+ * Resolve disable targets among active servers
+ * @param {Array<string>} patterns - Names, typed names (see resolveName) or globs
+ * @param {Object} options - { all, scope, exact }
+ * @returns {Promise<Array<Object>>} Targets { name, config, scope }
+ * @throws {NotFoundError|AmbiguousError|BackendError}
+ */
+async function resolveDisableTargets(patterns, { all, scope, exact } = {}) {
+  const names = [];
+  const explicitNames = new Set();
+  let active = null;
+
+  // Only list servers when needed: `claude mcp list` health-checks every server
+  const listActive = async () => {
+    if (!active) {
+      const result = await backend.listServers();
+      if (!result.ok) throw new BackendError(result.error);
+      active = result.servers;
+    }
+    return active;
+  };
+
+  if (all) {
+    names.push(...(await listActive()).map(s => s.name));
+  } else {
+    for (const pattern of patterns) {
+      if (!isGlob(pattern)) {
+        const name = (await backend.getServer(pattern, scope)).ok
+          ? pattern
+          : resolveServerName(pattern, (await listActive()).map(s => suggestionRow(s, 'enabled')), {
+            exact,
+            notFound: `Server "${pattern}" not found.`
+          });
+        explicitNames.add(name);
+        names.push(name);
+        continue;
+      }
+      const { matched } = matchNames([pattern], [...new Set((await listActive()).map(s => s.name))]);
+      if (matched.length === 0) {
+        throw new NotFoundError(`No active servers match "${pattern}"`);
+      }
+      names.push(...matched);
+    }
+  }
+
+  // Get server details before removing
+  const unique = [...new Set(names)];
+  const details = await Promise.all(unique.map(name => backend.getServer(name, scope)));
+
+  const targets = [];
+  for (const [i, name] of unique.entries()) {
+    const explicit = explicitNames.has(name);
+    const getResult = details[i];
+    if (!getResult.ok) {
+      if (explicit) throw new NotFoundError(`Server "${name}" not found.`);
+      continue;
+    }
+
+    const server = getResult.server;
+    if (scope && server.scope && server.scope !== scope) {
+      if (explicit) {
+        throw new NotFoundError(`Server "${name}" is configured in ${server.scope} scope, not ${scope}.`);
+      }
+      continue;
+    }
+    const targetScope = scope || server.scope || DEFAULT_SCOPE;
+    targets.push({ name, config: { ...server, scope: targetScope }, scope: targetScope });
+  }
+
+  return targets;
+}
+
+function uniqueTargets(targets) {
+  const seen = new Set();
+  return targets.filter(t => {
+    const key = `${t.scope}:${t.name}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Build transaction steps for enable/disable targets
+ * @param {string} action - enable or disable
+ * @param {Array<Object>} targets - { name, config, scope }
+ * @returns {Array<Object>} Steps for runTransaction()
+ */
+function buildSteps(action, targets) {
+  return targets.map(({ name, config, scope }) => {
+    if (action === 'enable') {
+      return {
+        name,
+        scope,
+        action,
+        record: { stashScope: config.scope || DEFAULT_SCOPE, config },
+        run: () => enableServer(name, config, scope),
+        undo: () => disableServer(name, { ...config, scope }, config)
+      };
+    }
+    const stashScope = config.scope || DEFAULT_SCOPE;
+    const previous = storage.getDisabledServer(name, stashScope);
+    return {
+      name,
+      scope,
+      action,
+      record: { stashScope, config, previous },
+      run: () => disableServer(name, config),
+      undo: () => undoDisable(name, config, scope, previous)
+    };
+  });
+}
+
+/**
+ * Record the outcome of a transaction in the history
+ * @param {string} command - Command line to record
+ * @param {Array<Object>} steps - Steps built by buildSteps() (with their record)
+ * @param {Object} outcome - Result of runTransaction()
+ * @param {Object} extra - More fields for the entry (undoes)
+ * @returns {Object|null} The history entry, or null when nothing was attempted
+ */
+function recordHistory(command, steps, outcome, extra = {}) {
+  if (outcome.results.length === 0) return null;
+  return history.recordOperation({
+    command,
+    ok: outcome.ok,
+    ...extra,
+    steps: outcome.results.map((result, i) => ({ ...result, ...steps[i].record }))
+  });
+}
+
+/**
+ * Run enable/disable steps as a transaction and record it in the history
+ * @param {Array<Object>} steps - Steps built by buildSteps()
+ * @param {string} command - Command line to record
+ * @returns {Promise<Object>} Result of runTransaction()
+ */
+async function runRecorded(steps, command) {
+  const outcome = await runTransaction(steps);
+  recordHistory(command, steps, outcome);
+  return outcome;
+}
+
+/**
+ * Apply an enable/disable plan (see profiles.planProfile) as one batch
+ * @param {Object} plan - { enable[], disable[] } server names
+ * @param {string} command - Command line to record
+ * @returns {Promise<Object>} Result of runTransaction()
+ * @throws {NotFoundError|AmbiguousError|BackendError}
+ */
+async function applyPlan(plan, command) {
+  const disableTargets = await resolveDisableTargets(plan.disable);
+  // Same rules as enable: a name stashed from several scopes needs picking by hand
+  const enableTargets = resolveEnableTargets(plan.enable, { exact: true });
+
+  return runRecorded([
+    ...buildSteps('disable', disableTargets),
+    ...buildSteps('enable', enableTargets)
+  ], command);
+}
+
+/**
+ * Collect the full configuration of active and stashed servers
+ * @param {Array<string>} patterns - Names or globs (every server when empty)
+ * @param {Object} options - { scope }
+ * @returns {Promise<Array<Object>>} { name, scope, status, config }
+ * @throws {NotFoundError|BackendError}
+ */
+async function collectServers(patterns, { scope } = {}) {
+  const result = await backend.listServers();
+  if (!result.ok) throw new BackendError(result.error);
+
+  const stashed = storage.listDisabledServers();
+  const allNames = [...new Set([...result.servers.map(s => s.name), ...stashed.map(d => d.name)])];
+  let selected = new Set(allNames);
+  if (patterns.length > 0) {
+    const { matched, unmatched } = matchNames(patterns, allNames);
+    if (unmatched.length > 0) {
+      throw new NotFoundError(`No servers match ${unmatched.map(p => `"${p}"`).join(', ')}`);
+    }
+    selected = new Set(matched);
+  }
+
+  // `claude mcp list` only gives a summary; args and env come from getServer
+  const active = result.servers.filter(s => selected.has(s.name));
+  const allDetails = await Promise.all(active.map(server => backend.getServer(server.name, server.scope)));
+
+  const servers = [];
+  const seen = new Set();
+  for (const [i, server] of active.entries()) {
+    const details = allDetails[i];
+    if (!details.ok) throw new BackendError(`Cannot read "${server.name}": ${details.error}`);
+    const config = { ...details.server, scope: details.server.scope || server.scope || DEFAULT_SCOPE };
+    const key = `${config.scope}:${server.name}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    servers.push({ name: server.name, scope: config.scope, status: 'enabled', config });
+  }
+  for (const entry of stashed.filter(d => selected.has(d.name))) {
+    servers.push({ name: entry.name, scope: entry.scope, status: 'disabled', config: entry.config });
+  }
+
+  return scope ? servers.filter(s => s.scope === scope) : servers;
+}
+
+/**
+ * Whether a server is live in a scope
+ * @param {string} name
+ * @param {string} scope
+ * @returns {Promise<boolean>}
+ */
+async function isLive(name, scope) {
+  const result = await backend.getServer(name, scope);
+  return result.ok && (!result.server.scope || result.server.scope === scope);
+}
+
+/**
+ * Steps that revert a history entry, last change first, using the recorded configs
+ * @param {Object} entry - History entry
+ * @returns {Promise<Object>} { steps[], conflicts[] }
+ */
+async function buildUndoSteps(entry) {
+  const changes = history.effectiveSteps(entry).reverse();
+  const live = await Promise.all(changes.map(({ name, scope }) => isLive(name, scope)));
+  const conflicts = [];
+  const steps = changes.map(({ action, name, scope, stashScope, config, previous }, i) => {
+    if (action === 'disable') {
+      // Put the server back, and the stash entry the disable replaced
+      if (live[i]) conflicts.push(`"${name}" is active again in ${scope} scope`);
+      return {
+        name,
+        scope,
+        action: 'enable',
+        record: { stashScope, config },
+        run: () => undoDisable(name, config, scope, previous),
+        undo: () => disableServer(name, { ...config, scope }, config)
+      };
+    }
+
+    // An expiry that has already passed would re-enable the server right away
+    const { expiresAt, ...permanent } = config;
+    const stashConfig = isExpired(config) ? permanent : config;
+    if (!live[i]) conflicts.push(`"${name}" is no longer active in ${scope} scope`);
+    const replaced = storage.getDisabledServer(name, stashScope, stashConfig.project);
+    return {
+      name,
+      scope,
+      action: 'disable',
+      record: { stashScope, config: stashConfig, previous: replaced },
+      run: () => disableServer(name, { ...stashConfig, scope }, stashConfig),
+      undo: () => undoDisable(name, stashConfig, scope, replaced)
+    };
+  });
+  return { steps, conflicts };
+}
+
+/**
+ * Re-enable every stashed server whose temporary disable has expired.
+ * Each server is enabled on its own: one failure does not hold back the others,
+ * and a server that fails stays stashed so the next run tries again.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what is due
+ * @param {string} options.command - Command line to record in the history
+ * @returns {Promise<Array<Object>>} { name, scope, expiresAt, ok, error? }
+ */
+async function expireServers({ dryRun = false, command = 'expire' } = {}) {
+  const now = new Date();
+  const due = storage.listDisabledServers().filter(d => isExpired(d.config, now));
+  const results = [];
+  for (const { name, scope, config } of due) {
+    const result = dryRun ? { ok: true } : await enableServer(name, config, scope);
+    results.push({ name, scope, expiresAt: config.expiresAt, ok: result.ok, ...(result.ok ? {} : { error: result.error }) });
+  }
+  if (!dryRun && results.length > 0) {
+    history.recordOperation({
+      command,
+      ok: results.every(r => r.ok),
+      steps: due.map(({ name, scope, config }, i) => ({
+        name,
+        scope,
+        action: 'enable',
+        ok: results[i].ok,
+        ...(results[i].error ? { error: results[i].error } : {}),
+        stashScope: scope,
+        config
+      }))
+    });
+  }
+  return results;
+}
+
+module.exports = {
+  toAddConfig,
+  enableServer,
+  disableServer,
+  selectDisabledEntry,
+  suggestionRow,
+  resolveStashedName,
+  resolveAnyName,
+  resolveEnableTargets,
+  resolveDisableTargets,
+  buildSteps,
+  recordHistory,
+  runRecorded,
+  applyPlan,
+  collectServers,
+  isLive,
+  buildUndoSteps,
+  expireServers
+};
@@ -0,0 +1,173 @@
+const readline = require('readline');
+const { COLOR, displayWidth, padDisplay } = require('./ui');
+
+/**
+ * Interactive checkbox picker on raw-mode stdin (no dependencies).
+ * A checked item should end up enabled, an unchecked one disabled.
+ *
+ * Keys: ↑/↓ or k/j move, space toggles, a toggles all, enter applies,
+ * q / esc / ctrl+c cancel.
+ */
+
+const HELP_LINE = '↑/↓ move · space toggle · a all · enter apply · q cancel';
+
+/**
+ * Create the initial picker state
+ * @param {Array<Object>} items - { name, scope?, transport?, enabled }
+ * @returns {Object} { items, cursor, checked[] }
+ */
+function createState(items) {
+  return {
+    items,
+    cursor: 0,
+    checked: items.map(item => item.enabled)
+  };
+}
+
+/**
+ * Apply a keypress to the picker state
+ * @param {Object} state - Current state (not modified)
+ * @param {Object} key - readline keypress info ({ name, ctrl, sequence })
+ * @returns {Object} { state, done? } where done is 'apply' or 'cancel'
+ */
+function handleKey(state, key) {
+  const count = state.items.length;
+  const name = key.name || key.sequence;
+
+  if ((key.ctrl && name === 'c') || name === 'escape' || name === 'q') {
+    return { state, done: 'cancel' };
+  }
+  if (name === 'return' || name === 'enter') {
+    return { state, done: 'apply' };
+  }
+  if (count === 0) return { state };
+
+  if (name === 'up' || name === 'k') {
+    return { state: { ...state, cursor: (state.cursor - 1 + count) % count } };
+  }
+  if (name === 'down' || name === 'j') {
+    return { state: { ...state, cursor: (state.cursor + 1) % count } };
+  }
+  if (name === 'home') return { state: { ...state, cursor: 0 } };
+  if (name === 'end') return { state: { ...state, cursor: count - 1 } };
+
+  if (name === 'space') {
+    const checked = [...state.checked];
+    checked[state.cursor] = !checked[state.cursor];
+    return { state: { ...state, checked } };
+  }
+  if (name === 'a') {
+    const all = state.checked.every(Boolean);
+    return { state: { ...state, checked: state.checked.map(() => !all) } };
+  }
+
+  return { state };
+}
+
+/**
+ * Items whose checkbox differs from their current status
+ * @param {Object} state - Picker state
+ * @returns {Object} { enable[], disable[] } lists of items
+ */
+function pendingChanges(state) {
+  const enable = [];
+  const disable = [];
+  state.items.forEach((item, i) => {
+    if (state.checked[i] && !item.enabled) enable.push(item);
+    if (!state.checked[i] && item.enabled) disable.push(item);
+  });
+  return { enable, disable };
+}
+
+/**
+ * Render the picker as lines of text
+ * @param {Object} state - Picker state
+ * @param {number} maxRows - Rows available for items (the list scrolls)
+ * @returns {Array<string>}
+ */
+function render(state, maxRows = Infinity) {
+  const lines = [COLOR.bold('Select the MCP servers to keep enabled') + COLOR.dim(`  ${HELP_LINE}`)];
+  if (state.items.length === 0) {
+    lines.push(COLOR.yellow('No MCP servers found.'));
+    return lines;
+  }
+
+  const nameWidth = Math.max(...state.items.map(item => displayWidth(item.name)));
+  const scopeWidth = Math.max(...state.items.map(item => (item.scope || '').length));
+  const rows = Math.max(1, Math.min(maxRows, state.items.length));
+  const start = Math.min(Math.max(0, state.cursor - rows + 1), state.items.length - rows);
+
+  for (let i = start; i < start + rows; i++) {
+    const item = state.items[i];
+    const pointer = i === state.cursor ? COLOR.cyan('❯') : ' ';
+    const box = state.checked[i] ? COLOR.green('[x]') : '[ ]';
+    const changed = state.checked[i] !== item.enabled;
+    let label = padDisplay(item.name, nameWidth);
+    label = changed ? COLOR.yellow(label) : i === state.cursor ? COLOR.cyan(label) : label;
+    const scope = COLOR.dim((item.scope || '').padEnd(scopeWidth));
+    const note = changed ? COLOR.yellow(state.checked[i] ? ' (enable)' : ' (disable)') : '';
+    lines.push(`${pointer} ${box} ${label}  ${scope}  ${COLOR.dim(item.transport || '')}${note}`);
+  }
+
+  if (rows < state.items.length) {
+    lines.push(COLOR.dim(`  ${state.cursor + 1}/${state.items.length}`));
+  }
+  return lines;
+}
+
+/**
+ * Run the picker on a TTY
+ * @param {Array<Object>} items - See createState()
+ * @param {Object} options
+ * @param {Object} options.input - Readable TTY stream (default process.stdin)
+ * @param {Object} options.output - Writable TTY stream (default process.stdout)
+ * @returns {Promise<Object>} { applied, enable[], disable[] }
+ */
+function runPicker(items, { input = process.stdin, output = process.stdout } = {}) {
+  return new Promise(resolve => {
+    let state = createState(items);
+    let drawn = 0;
+
+    const draw = () => {
+      const maxRows = (output.rows || 24) - 3;
+      const lines = render(state, maxRows);
+      if (drawn > 0) output.write(`\x1b[${drawn}A\x1b[0J`);
+      output.write(lines.join('\n') + '\n');
+      drawn = lines.length;
+    };
+
+    const finish = done => {
+      input.removeListener('keypress', onKeypress);
+      if (input.isTTY) input.setRawMode(false);
+      input.pause();
+      output.write('\x1b[?25h');
+      const changes = pendingChanges(state);
+      resolve({ applied: done === 'apply', ...changes });
+    };
+
+    const onKeypress = (str, key) => {
+      const result = handleKey(state, key || { sequence: str });
+      state = result.state;
+      if (result.done) {
+        finish(result.done);
+        return;
+      }
+      draw();
+    };
+
+    readline.emitKeypressEvents(input);
+    if (input.isTTY) input.setRawMode(true);
+    input.resume();
+    input.on('keypress', onKeypress);
+    output.write('\x1b[?25l');
+    draw();
+  });
+}
+
+module.exports = {
+  createState,
+  handleKey,
+  pendingChanges,
+  render,
+  runPicker
+};
@@ -0,0 +1,39 @@
+/**
+ * Bounded concurrency: at most `limit` tasks run at once, the rest wait in
+ * the order they were submitted.
+ */
+
+/**
+ * Create a pool
+ * @param {number} limit - Maximum number of tasks running at the same time
+ * @returns {Function} run(task) - Runs an async function when a slot is free and resolves with its result
+ */
+function createPool(limit) {
+  const size = Math.max(1, Math.floor(limit) || 1);
+  const waiting = [];
+  let running = 0;
+
+  function next() {
+    if (running >= size || waiting.length === 0) return;
+    const { task, resolve, reject } = waiting.shift();
+    running++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+  }
+
+  return function run(task) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      next();
+    });
+  };
+}
+
+module.exports = {
+  createPool
+};
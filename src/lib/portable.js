@@ -0,0 +1,225 @@
+const { SCOPES, DEFAULT_SCOPE } = require('./scope');
+const { MASK, ENCRYPTED_LABEL } = require('./secrets');
+
+/**
+ * Portable server definitions for `ccmcp export` / `ccmcp import`.
+ * The format is documented in doc/PORTABLE_FORMAT.md.
+ */
+
+const FORMAT = 'claude-mcp-switch/servers';
+const FORMAT_VERSION = 1;
+const TRANSPORTS = ['stdio', 'sse', 'http'];
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'rename'];
+
+// Split "KEY=value" / "Name: value" pairs on the first separator only,
+// so values may contain the separator themselves
+function pairsToObject(pairs, separator) {
+  const out = {};
+  for (const pair of pairs || []) {
+    const idx = pair.indexOf(separator);
+    if (idx <= 0) continue;
+    const value = pair.slice(idx + 1);
+    out[pair.slice(0, idx).trim()] = separator === ':' ? value.trim() : value;
+  }
+  return out;
+}
+
+/**
+ * Convert a server config (as stored or returned by getServer) to a portable entry
+ * @param {string} name - Server name
+ * @param {Object} config - Server configuration
+ * @param {string} status - enabled or disabled
+ * @returns {Object}
+ */
+function toPortable(name, config, status) {
+  const entry = {
+    name,
+    status,
+    scope: config.scope || DEFAULT_SCOPE,
+    transport: config.transport || (config.url ? 'http' : 'stdio')
+  };
+  if (entry.transport === 'stdio') {
+    entry.command = config.command;
+    entry.args = config.args || [];
+  } else {
+    entry.url = config.url;
+  }
+  const env = pairsToObject(config.env, '=');
+  if (Object.keys(env).length > 0) entry.env = env;
+  const headers = pairsToObject(config.headers, ':');
+  if (Object.keys(headers).length > 0) entry.headers = headers;
+  return entry;
+}
+
+/**
+ * Convert a portable entry back to the server config shape used by ccmcp
+ * @param {Object} entry - Portable entry
+ * @returns {Object}
+ */
+function fromPortable(entry) {
+  const config = { name: entry.name, scope: entry.scope || DEFAULT_SCOPE, transport: entry.transport };
+  if (entry.transport === 'stdio') {
+    config.command = entry.command;
+    config.args = entry.args || [];
+  } else {
+    config.url = entry.url;
+  }
+  if (entry.env) config.env = Object.entries(entry.env).map(([k, v]) => `${k}=${v}`);
+  if (entry.headers) config.headers = Object.entries(entry.headers).map(([k, v]) => `${k}: ${v}`);
+  return config;
+}
+
+/**
+ * Build an export document
+ * @param {Array<Object>} entries - Portable entries
+ * @returns {Object}
+ */
+function createDocument(entries) {
+  return {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    servers: entries
+  };
+}
+
+/**
+ * Whether an entry contains values masked by an export without --show-secrets
+ * @param {Object} entry - Portable entry
+ * @returns {boolean}
+ */
+function hasMaskedValues(entry) {
+  const values = [
+    ...Object.values(entry.env || {}),
+    ...Object.values(entry.headers || {}),
+    ...(entry.args || []),
+    entry.url || ''
+  ];
+  return values.some(v => typeof v === 'string' && (v.includes(MASK) || v.includes(ENCRYPTED_LABEL)));
+}
+
+function isStringMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(v => typeof v === 'string');
+}
+
+/**
+ * Validate one server entry
+ * @param {*} entry - Portable entry
+ * @param {string} where - How problems refer to the entry, e.g. "servers[2]"
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateEntry(entry, where) {
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) return [`${where} must be an object`];
+  const errors = [];
+  if (typeof entry.name !== 'string' || entry.name.trim() === '') {
+    errors.push(`${where}.name must be a non-empty string`);
+  }
+  if (!TRANSPORTS.includes(entry.transport)) {
+    errors.push(`${where}.transport must be one of ${TRANSPORTS.join(', ')}`);
+  } else if (entry.transport === 'stdio' && (typeof entry.command !== 'string' || entry.command === '')) {
+    errors.push(`${where}.command is required for stdio servers`);
+  } else if (entry.transport !== 'stdio' && (typeof entry.url !== 'string' || entry.url === '')) {
+    errors.push(`${where}.url is required for ${entry.transport} servers`);
+  }
+  if (entry.args !== undefined && (!Array.isArray(entry.args) || !entry.args.every(a => typeof a === 'string'))) {
+    errors.push(`${where}.args must be an array of strings`);
+  }
+  if (entry.env !== undefined && !isStringMap(entry.env)) {
+    errors.push(`${where}.env must map names to string values`);
+  }
+  if (entry.headers !== undefined && !isStringMap(entry.headers)) {
+    errors.push(`${where}.headers must map names to string values`);
+  }
+  if (entry.scope !== undefined && !SCOPES.includes(entry.scope)) {
+    errors.push(`${where}.scope must be one of ${SCOPES.join(', ')}`);
+  }
+  if (entry.status !== undefined && !['enabled', 'disabled'].includes(entry.status)) {
+    errors.push(`${where}.status must be "enabled" or "disabled"`);
+  }
+
+  if (errors.length === 0 && hasMaskedValues(entry)) {
+    errors.push(`${where} ("${entry.name}") contains masked secrets; export with --show-secrets`);
+  }
+  return errors;
+}
+
+/**
+ * Validate an import document
+ * @param {*} doc - Parsed JSON
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateDocument(doc) {
+  if (doc === null || typeof doc !== 'object' || Array.isArray(doc)) return ['file must contain a JSON object'];
+  const errors = [];
+  if (doc.format !== FORMAT) errors.push(`"format" must be "${FORMAT}"`);
+  if (doc.version !== FORMAT_VERSION) errors.push(`unsupported "version" ${JSON.stringify(doc.version)} (expected ${FORMAT_VERSION})`);
+  if (!Array.isArray(doc.servers)) {
+    errors.push('"servers" must be an array');
+    return errors;
+  }
+
+  const seen = new Set();
+  doc.servers.forEach((entry, i) => {
+    const problems = validateEntry(entry, `servers[${i}]`);
+    errors.push(...problems);
+    if (entry === null || typeof entry !== 'object') return;
+
+    const key = `${entry.scope || DEFAULT_SCOPE}:${entry.name}`;
+    if (seen.has(key)) errors.push(`servers[${i}] duplicates "${entry.name}" in ${entry.scope || DEFAULT_SCOPE} scope`);
+    seen.add(key);
+  });
+
+  return errors;
+}
+
+/**
+ * Decide what to do with each entry of a valid document
+ * @param {Object} doc - Validated document
+ * @param {Object} options
+ * @param {string} options.mode - "stash", "enable" or undefined (use each entry's status)
+ * @param {string} options.scope - Scope overriding the entries' scopes
+ * @param {string} options.onConflict - skip, overwrite or rename
+ * @param {Function} options.isTaken - async (name, scope) => whether the name is already used
+ * @returns {Promise<Array<Object>>} { entry, name, scope, target, conflict, resolution }
+ */
+async function planImport(doc, { mode, scope, onConflict = 'skip', isTaken }) {
+  const claimed = new Set();
+  const taken = async (name, s) => claimed.has(`${s}:${name}`) || isTaken(name, s);
+
+  // One entry at a time: a rename must see the names claimed before it
+  const plan = [];
+  for (const entry of doc.servers) {
+    const targetScope = scope || entry.scope || DEFAULT_SCOPE;
+    const target = mode || (entry.status === 'disabled' ? 'stash' : 'enable');
+    const conflict = await taken(entry.name, targetScope);
+    let name = entry.name;
+    let resolution = 'new';
+
+    if (conflict) {
+      resolution = onConflict;
+      if (onConflict === 'rename') {
+        let n = 2;
+        while (await taken(`${entry.name}-${n}`, targetScope)) n++;
+        name = `${entry.name}-${n}`;
+      }
+    }
+
+    if (resolution !== 'skip') claimed.add(`${targetScope}:${name}`);
+    plan.push({ entry, name, scope: targetScope, target, conflict, resolution });
+  }
+  return plan;
+}
+
+module.exports = {
+  FORMAT,
+  FORMAT_VERSION,
+  CONFLICT_POLICIES,
+  toPortable,
+  fromPortable,
+  createDocument,
+  hasMaskedValues,
+  validateEntry,
+  validateDocument,
+  planImport
+};
@@ -0,0 +1,322 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const { quoteWindowsArg } = require('./claude-cli');
+
+/**
+ * Native MCP health probe (no claude involved).
+ * Starts a stdio server or connects to an SSE/HTTP one, runs the `initialize`
+ * handshake and `tools/list`, and reports how it went.
+ */
+
+const PROTOCOL_VERSION = '2025-03-26';
+const DEFAULT_PROBE_TIMEOUT = 10 * 1000;
+const STDERR_TAIL = 500;
+
+const pkg = require(path.join(__dirname, '..', '..', 'package.json'));
+
+function request(id, method, params = {}) {
+  return { jsonrpc: '2.0', id, method, params };
+}
+
+// "KEY=value" env pairs keep their value as is, "Name: value" headers are trimmed
+function pairsToObject(pairs, separator) {
+  const out = {};
+  for (const pair of pairs || []) {
+    const idx = pair.indexOf(separator);
+    if (idx <= 0) continue;
+    const value = pair.slice(idx + 1);
+    out[pair.slice(0, idx).trim()] = separator === ':' ? value.trim() : value;
+  }
+  return out;
+}
+
+// fetch() only says "fetch failed"; the reason is in error.cause
+function describeFetchError(error, url) {
+  if (!error.cause) return error.message;
+  return `cannot connect to ${url}: ${error.cause.code || error.cause.message}`;
+}
+
+/**
+ * Parse a text/event-stream body, calling onEvent({ event, data }) per event
+ * @param {ReadableStream} body - fetch() response body
+ * @param {Function} onEvent
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+async function readEventStream(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+    let idx;
+    while ((idx = buffer.indexOf('\n\n')) >= 0) {
+      const block = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      const event = { event: 'message', data: '' };
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event.event = line.slice(6).trim();
+        else if (line.startsWith('data:')) event.data += (event.data ? '\n' : '') + line.slice(5).replace(/^ /, '');
+      }
+      onEvent(event);
+    }
+  }
+}
+
+function parseMessages(text, onMessage) {
+  const parsed = JSON.parse(text);
+  for (const message of Array.isArray(parsed) ? parsed : [parsed]) onMessage(message);
+}
+
+/**
+ * stdio transport: newline-delimited JSON-RPC over the child's stdin/stdout
+ * @param {Object} config - { command, args, env }
+ * @returns {Object} Transport
+ */
+function stdioTransport(config) {
+  let child = null;
+  let stderr = '';
+
+  return {
+    open(onMessage, onError) {
+      return new Promise((resolve, reject) => {
+        const useShell = process.platform === 'win32';
+        const args = config.args || [];
+        child = spawn(useShell ? quoteWindowsArg(config.command) : config.command, useShell ? args.map(quoteWindowsArg) : args, {
+          env: { ...process.env, ...pairsToObject(config.env, '=') },
+          stdio: ['pipe', 'pipe', 'pipe'],
+          shell: useShell,
+          windowsHide: true
+        });
+
+        let buffer = '';
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', chunk => {
+          buffer += chunk;
+          let idx;
+          while ((idx = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, idx).trim();
+            buffer = buffer.slice(idx + 1);
+            // Servers sometimes log to stdout; only JSON lines are messages
+            if (line.startsWith('{') || line.startsWith('[')) {
+              try {
+                parseMessages(line, onMessage);
+              } catch (error) {
+                // not JSON-RPC after all
+              }
+            }
+          }
+        });
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', chunk => {
+          stderr = (stderr + chunk).slice(-STDERR_TAIL);
+        });
+        child.stdin.on('error', () => {});
+
+        child.once('spawn', resolve);
+        child.once('error', error => {
+          reject(new Error(error.code === 'ENOENT' ? `command not found: ${config.command}` : error.message));
+        });
+        child.once('close', (code, signal) => {
+          const detail = stderr.trim() ? `: ${stderr.trim().split('\n').pop()}` : '';
+          onError(`server exited with ${signal || `code ${code}`}${detail}`);
+        });
+      });
+    },
+    send(message) {
+      return new Promise((resolve, reject) => {
+        child.stdin.write(JSON.stringify(message) + '\n', error => (error ? reject(error) : resolve()));
+      });
+    },
+    close() {
+      if (child && child.exitCode === null && child.signalCode === null) child.kill();
+    }
+  };
+}
+
+/**
+ * Streamable HTTP transport: every message is POSTed, responses come back as
+ * JSON or as an event stream
+ * @param {Object} config - { url, headers }
+ * @returns {Object} Transport
+ */
+function httpTransport(config) {
+  const controller = new AbortController();
+  const headers = pairsToObject(config.headers, ':');
+  let sessionId = null;
+  let handler = null;
+
+  return {
+    open(onMessage) {
+      handler = onMessage;
+      return Promise.resolve();
+    },
+    async send(message) {
+      let res;
+      try {
+        res = await fetch(config.url, {
+          method: 'POST',
+          headers: {
+            ...headers,
+            'Content-Type': 'application/json',
+            Accept: 'application/json, text/event-stream',
+            ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {})
+          },
+          body: JSON.stringify(message),
+          signal: controller.signal
+        });
+      } catch (error) {
+        throw new Error(describeFetchError(error, config.url));
+      }
+      sessionId = res.headers.get('mcp-session-id') || sessionId;
+      if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`.trim());
+      if (message.id === undefined) return;
+
+      if ((res.headers.get('content-type') || '').includes('text/event-stream')) {
+        await readEventStream(res.body, event => {
+          if (event.data) parseMessages(event.data, handler);
+        });
+      } else {
+        const text = await res.text();
+        if (text.trim()) parseMessages(text, handler);
+      }
+    },
+    close() {
+      controller.abort();
+    }
+  };
+}
+
+/**
+ * Legacy HTTP+SSE transport: a GET event stream announces an endpoint to POST
+ * messages to, and carries the responses
+ * @param {Object} config - { url, headers }
+ * @returns {Object} Transport
+ */
+function sseTransport(config) {
+  const controller = new AbortController();
+  const headers = pairsToObject(config.headers, ':');
+  let endpoint = null;
+
+  return {
+    open(onMessage, onError) {
+      return new Promise((resolve, reject) => {
+        fetch(config.url, { headers: { ...headers, Accept: 'text/event-stream' }, signal: controller.signal })
+          .catch(error => {
+            throw new Error(describeFetchError(error, config.url));
+          })
+          .then(res => {
+            if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`.trim());
+            return readEventStream(res.body, event => {
+              if (event.event === 'endpoint') {
+                endpoint = new URL(event.data, config.url).href;
+                resolve();
+              } else if (event.data) {
+                try {
+                  parseMessages(event.data, onMessage);
+                } catch (error) {
+                  // ignore events that are not JSON-RPC
+                }
+              }
+            });
+          })
+          .then(() => onError('event stream closed by the server'))
+          .catch(error => {
+            reject(error);
+            onError(error.message);
+          });
+      });
+    },
+    async send(message) {
+      let res;
+      try {
+        res = await fetch(endpoint, {
+          method: 'POST',
+          headers: { ...headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify(message),
+          signal: controller.signal
+        });
+      } catch (error) {
+        throw new Error(describeFetchError(error, endpoint));
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`.trim());
+    },
+    close() {
+      controller.abort();
+    }
+  };
+}
+
+/**
+ * Run initialize + tools/list over a transport
+ * @param {Object} transport - { open(onMessage, onError), send(message), close() }
+ * @param {number} timeout - Milliseconds for the whole probe
+ * @returns {Promise<Object>} { ok, latencyMs, stage?, error?, serverInfo?, protocolVersion?, tools? }
+ */
+function handshake(transport, timeout) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    let stage = 'connect';
+    let done = false;
+    const info = {};
+
+    const finish = result => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      transport.close();
+      resolve({ ...result, latencyMs: Date.now() - started });
+    };
+    const fail = error => finish({ ok: false, stage, error });
+    const timer = setTimeout(() => fail(`timed out after ${timeout}ms`), timeout);
+
+    const onMessage = message => {
+      if (done || !message || message.id === undefined || message.method) return;
+      if (message.error) {
+        fail(`${stage} failed: ${message.error.message || JSON.stringify(message.error)}`);
+      } else if (message.id === 1 && stage === 'initialize') {
+        const result = message.result || {};
+        info.serverInfo = result.serverInfo || null;
+        info.protocolVersion = result.protocolVersion;
+        stage = 'tools/list';
+        transport.send({ jsonrpc: '2.0', method: 'notifications/initialized' })
+          .then(() => transport.send(request(2, 'tools/list')))
+          .catch(error => fail(error.message));
+      } else if (message.id === 2 && stage === 'tools/list') {
+        const tools = (message.result && message.result.tools) || [];
+        finish({ ok: true, ...info, tools: tools.map(tool => tool.name) });
+      }
+    };
+
+    transport.open(onMessage, fail)
+      .then(() => {
+        stage = 'initialize';
+        return transport.send(request(1, 'initialize', {
+          protocolVersion: PROTOCOL_VERSION,
+          capabilities: {},
+          clientInfo: { name: pkg.name, version: pkg.version }
+        }));
+      })
+      .catch(error => fail(error.message));
+  });
+}
+
+/**
+ * Probe a server
+ * @param {Object} config - Server configuration (plaintext env/headers)
+ * @param {Object} options
+ * @param {number} options.timeout - Milliseconds for the whole probe
+ * @returns {Promise<Object>} See handshake()
+ */
+function probeServer(config, { timeout = DEFAULT_PROBE_TIMEOUT } = {}) {
+  const transport = config.transport || (config.url ? 'http' : 'stdio');
+  if (transport === 'stdio') {
+    if (!config.command) return Promise.resolve({ ok: false, stage: 'connect', error: 'no command configured', latencyMs: 0 });
+    return handshake(stdioTransport(config), timeout);
+  }
+  if (!config.url) return Promise.resolve({ ok: false, stage: 'connect', error: 'no URL configured', latencyMs: 0 });
+  return handshake(transport === 'sse' ? sseTransport(config) : httpTransport(config), timeout);
+}
+
+module.exports = {
+  DEFAULT_PROBE_TIMEOUT,
+  probeServer
+};
@@ -0,0 +1,132 @@
+const { storagePath, ensureStorageDir, withLock, writeFileAtomic, readJsonFile } = require('./storage');
+
+/**
+ * Named profiles: saved sets of active and disabled servers
+ * Stored in ~/.claude-mcp-switch/profiles.json as
+ * { "<profile>": { enabled: [names], disabled: [names], savedAt } }
+ */
+
+const PROFILE_NAME_RE = /^[A-Za-z0-9._-]+$/;
+
+// Profile names are user input: a prototype-less object keeps names such as
+// __proto__ and constructor ordinary keys
+function readProfiles() {
+  ensureStorageDir();
+  const data = readJsonFile(storagePath('profiles.json'), {}, value =>
+    value !== null && typeof value === 'object' && !Array.isArray(value) ? null : 'expected a JSON object'
+  );
+  return Object.assign(Object.create(null), data);
+}
+
+/**
+ * Read-modify-write profiles under the storage lock
+ * @param {Function} fn - Receives the profiles and modifies them in place
+ * @returns {*} Return value of fn
+ */
+function updateProfiles(fn) {
+  const file = storagePath('profiles.json');
+  return withLock(file, () => {
+    const profiles = readProfiles();
+    const result = fn(profiles);
+    writeFileAtomic(file, JSON.stringify(profiles, null, 2));
+    return result;
+  });
+}
+
+/**
+ * Check whether a profile name is acceptable
+ * @param {string} name - Profile name
+ * @returns {boolean}
+ */
+function isValidProfileName(name) {
+  return typeof name === 'string' && PROFILE_NAME_RE.test(name);
+}
+
+/**
+ * Save a profile, replacing any existing profile with the same name
+ * @param {string} name - Profile name
+ * @param {Array<string>} enabled - Names of servers that should be active
+ * @param {Array<string>} disabled - Names of servers that should be stashed
+ * @returns {Object} The saved profile
+ */
+function saveProfile(name, enabled, disabled) {
+  return updateProfiles(profiles => {
+    profiles[name] = {
+      enabled: [...new Set(enabled)].sort(),
+      disabled: [...new Set(disabled)].sort(),
+      savedAt: new Date().toISOString()
+    };
+    return profiles[name];
+  });
+}
+
+/**
+ * Get a profile
+ * @param {string} name - Profile name
+ * @returns {Object|null} Profile or null if not found
+ */
+function getProfile(name) {
+  const profiles = readProfiles();
+  return Object.hasOwn(profiles, name) ? profiles[name] : null;
+}
+
+/**
+ * Delete a profile
+ * @param {string} name - Profile name
+ * @returns {boolean} true if the profile existed
+ */
+function deleteProfile(name) {
+  return updateProfiles(profiles => {
+    if (!Object.hasOwn(profiles, name)) return false;
+    delete profiles[name];
+    return true;
+  });
+}
+
+/**
+ * List all profiles
+ * @returns {Array} Array of {name, profile} objects sorted by name
+ */
+function listProfiles() {
+  const profiles = readProfiles();
+  return Object.keys(profiles)
+    .sort()
+    .map(name => ({ name, profile: profiles[name] }));
+}
+
+/**
+ * Compute the changes needed to move the current state to a profile.
+ * Servers the profile does not mention are left alone.
+ * @param {Object} profile - Profile ({ enabled, disabled })
+ * @param {Array<string>} activeNames - Names of currently active servers
+ * @param {Array<string>} stashedNames - Names of currently disabled (stashed) servers
+ * @returns {Object} { enable[], disable[], unchanged[], missing[] }
+ */
+function planProfile(profile, activeNames, stashedNames) {
+  const active = new Set(activeNames);
+  const stashed = new Set(stashedNames);
+  const plan = { enable: [], disable: [], unchanged: [], missing: [] };
+
+  for (const name of profile.enabled || []) {
+    if (active.has(name)) plan.unchanged.push(name);
+    else if (stashed.has(name)) plan.enable.push(name);
+    else plan.missing.push(name);
+  }
+
+  for (const name of profile.disabled || []) {
+    if (active.has(name)) plan.disable.push(name);
+    else if (stashed.has(name)) plan.unchanged.push(name);
+    else plan.missing.push(name);
+  }
+
+  return plan;
+}
+
+module.exports = {
+  isValidProfileName,
+  saveProfile,
+  getProfile,
+  deleteProfile,
+  listProfiles,
+  planProfile
+};
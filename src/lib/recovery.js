@@ -0,0 +1,114 @@
+const os = require('os');
+const backend = require('./backend');
+const storage = require('./storage');
+
+/**
+ * Recovery of operations left in the journal by an interrupted run.
+ *
+ * disable: the stash is written, then the server is removed.
+ *   - server still live  -> roll back (restore the previous stash entry)
+ *   - server gone        -> complete (make sure the stash holds the config)
+ * enable: the server is added, then its stash entry is dropped.
+ *   - server live        -> complete (drop the stash entry)
+ *   - server not live    -> roll back (make sure the stash holds the config)
+ */
+
+/**
+ * Whether the process that started an operation may still be running.
+ * Operations from other hosts cannot be checked and are treated as running.
+ * @param {Object} operation - Journal entry
+ * @returns {boolean}
+ */
+function isOwnerAlive(operation) {
+  if (operation.hostname && operation.hostname !== os.hostname()) return true;
+  if (operation.pid === process.pid) return true;
+  try {
+    process.kill(operation.pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Decide how to resolve an interrupted operation
+ * @param {Object} operation - Journal entry
+ * @returns {Promise<string>} completed or rolled-back
+ */
+async function planResolution(operation) {
+  const live = (await backend.getServer(operation.name, operation.scope)).ok;
+  if (operation.action === 'disable') return live ? 'rolled-back' : 'completed';
+  return live ? 'completed' : 'rolled-back';
+}
+
+function ensureStashed(name, config) {
+  if (!storage.getDisabledServer(name, config.scope, config.project)) {
+    storage.storeDisabledServer(name, config);
+  }
+}
+
+/**
+ * Apply a resolution to the stash
+ * @param {Object} operation - Journal entry
+ * @param {string} resolution - completed or rolled-back
+ */
+function applyResolution(operation, resolution) {
+  const { action, name, config } = operation;
+
+  if (action === 'disable' && resolution === 'completed') {
+    ensureStashed(name, config);
+  } else if (action === 'disable') {
+    if (operation.previous) storage.storeDisabledServer(name, operation.previous);
+    else storage.removeDisabledServer(name, config.scope, config.project);
+  } else if (resolution === 'completed') {
+    storage.removeDisabledServer(name, config.scope, config.project);
+  } else {
+    ensureStashed(name, config);
+  }
+}
+
+/**
+ * Resolve interrupted operations found in the journal
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would be done
+ * @param {boolean} options.force - Also resolve operations whose process may still be running
+ * @returns {Promise<Object>} { results[], inProgress[] }
+ */
+async function recoverPending({ dryRun = false, force = false } = {}) {
+  const results = [];
+  const inProgress = [];
+
+  for (const operation of storage.listPendingOperations()) {
+    if (!force && isOwnerAlive(operation)) {
+      inProgress.push(operation);
+      continue;
+    }
+
+    const result = {
+      id: operation.id,
+      action: operation.action,
+      name: operation.name,
+      scope: operation.scope,
+      startedAt: operation.startedAt
+    };
+    try {
+      result.resolution = await planResolution(operation);
+      if (!dryRun) {
+        applyResolution(operation, result.resolution);
+        storage.endOperation(operation.id);
+      }
+      result.ok = true;
+    } catch (error) {
+      result.ok = false;
+      result.error = error.message;
+    }
+    results.push(result);
+  }
+
+  return { results, inProgress };
+}
+
+module.exports = {
+  recoverPending
+};
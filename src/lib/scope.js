@@ -0,0 +1,41 @@
+/**
+ * Claude Code configuration scopes
+ * - user:    ~/.claude.json, available in all projects
+ * - local:   ~/.claude.json, private to you in the current project
+ * - project: .mcp.json, shared with everyone working on the project
+ */
+
+const SCOPES = ['user', 'local', 'project'];
+const DEFAULT_SCOPE = 'user';
+
+/**
+ * Normalize a scope as printed by `claude mcp get`
+ * ("User config (available in all your projects)") or given by the user
+ * @param {string} raw - Raw scope value
+ * @returns {string|null} One of SCOPES, or null if unrecognized
+ */
+function normalizeScope(raw) {
+  if (!raw) return null;
+  const value = String(raw).trim().toLowerCase();
+  // "global" is what older claude versions called the user scope
+  if (value.startsWith('user') || value.startsWith('global')) return 'user';
+  if (value.startsWith('local')) return 'local';
+  if (value.startsWith('project')) return 'project';
+  return null;
+}
+
+/**
+ * Check whether a value is an exact scope name
+ * @param {string} value - Scope to check
+ * @returns {boolean}
+ */
+function isValidScope(value) {
+  return SCOPES.includes(value);
+}
+
+module.exports = {
+  SCOPES,
+  DEFAULT_SCOPE,
+  normalizeScope,
+  isValidScope
+};
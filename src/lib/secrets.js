@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+
+/**
+ * Secret handling for server configurations.
+ *
+ * Masking: values that look like credentials are replaced before they are
+ * printed (env values, headers, arguments, URL passwords and query params).
+ *
+ * Encryption: stashed env and header values, and the secret parts of args and
+ * URLs (the ones masking hides), are sealed with AES-256-GCM. Sealed values
+ * are strings, so the stash keeps its "KEY=value" and "--token=x" shapes:
+ *   ccmcp-enc:1:key:<iv>:<tag>:<data>          (random key from a key file)
+ *   ccmcp-enc:1:pass:<salt>:<iv>:<tag>:<data>  (key derived from a passphrase)
+ * Key management lives in storage.js; this module only does the crypto.
+ */
+
+const MASK = '****';
+const ENCRYPTED_LABEL = '<encrypted>';
+const PREFIX = 'ccmcp-enc:1:';
+
+const SECRET_NAME_RE = /(token|secret|passw(or)?d|pwd|api[-_]?key|access[-_]?key|private[-_]?key|credential|auth|session|cookie)/i;
+const SECRET_VALUE_RES = [
+  /^gh[pousr]_[A-Za-z0-9]{20,}$/,
+  /^github_pat_[A-Za-z0-9_]{20,}$/,
+  /^sk-[A-Za-z0-9_-]{16,}$/,
+  /^xox[abpr]-[A-Za-z0-9-]{10,}$/,
+  /^AKIA[0-9A-Z]{16}$/,
+  /^glpat-[A-Za-z0-9_-]{16,}$/,
+  /^eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/
+];
+const AUTH_SCHEME_RE = /^(Bearer|Basic|Token)\s+\S/i;
+
+/**
+ * Whether a variable, header or option name suggests a credential
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isSecretName(name) {
+  return SECRET_NAME_RE.test(name || '');
+}
+
+/**
+ * Whether a value has the shape of a well-known token
+ * @param {string} value
+ * @returns {boolean}
+ */
+function looksSecret(value) {
+  return typeof value === 'string' && (AUTH_SCHEME_RE.test(value) || SECRET_VALUE_RES.some(re => re.test(value)));
+}
+
+/**
+ * Whether a value was sealed by encryptValue()
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * How a sealed value was encrypted
+ * @param {string} value
+ * @returns {string|null} "key", "pass" or null for plaintext
+ */
+function encryptionKind(value) {
+  if (!isEncrypted(value)) return null;
+  return value.slice(PREFIX.length).split(':')[0];
+}
+
+/**
+ * Mask a single value, keeping an auth scheme such as "Bearer"
+ * @param {string} value
+ * @returns {string}
+ */
+function maskValue(value) {
+  if (isEncrypted(value)) return ENCRYPTED_LABEL;
+  if (!value) return value;
+  const scheme = value.match(AUTH_SCHEME_RE);
+  return scheme ? `${scheme[1]} ${MASK}` : MASK;
+}
+
+/**
+ * Mask the value of a "KEY=value" or "Name: value" pair when it looks secret
+ * @param {string} pair
+ * @param {string} separator - "=" or ":"
+ * @param {boolean} showSecrets - Only hide sealed values
+ * @returns {string}
+ */
+function maskPair(pair, separator, showSecrets = false) {
+  const idx = pair.indexOf(separator);
+  if (idx <= 0) return pair;
+  const key = pair.slice(0, idx);
+  const rest = pair.slice(idx + 1);
+  const value = rest.trimStart();
+  const hide = isEncrypted(value) || (!showSecrets && (isSecretName(key) || looksSecret(value)));
+  return hide ? `${key}${separator}${rest.slice(0, rest.length - value.length)}${maskValue(value)}` : pair;
+}
+
+// Which values of args and URLs are secret, given the name they go with.
+// Sealed values always are, so they are found again to be opened or hidden.
+const isSecretPart = (name, value) => isEncrypted(value) || isSecretName(name) || looksSecret(value);
+const isSealedPart = (name, value) => isEncrypted(value);
+
+// A sealed password may contain "/", which ends a plaintext one
+const URL_PASSWORD_RE = /^([a-z][a-z0-9+.-]*:\/\/[^/:@\s]*):(ccmcp-enc:1:[^@\s]+|[^@/\s]+)@/i;
+
+/**
+ * Apply fn to the password and the secret query parameter values of a URL
+ * @param {string} url
+ * @param {Function} fn - (value) => new value
+ * @param {Function} isSecret - (name, value) => whether to apply fn
+ * @returns {string}
+ */
+function mapUrlSecrets(url, fn, isSecret = isSecretPart) {
+  if (typeof url !== 'string') return url;
+  return url
+    .replace(URL_PASSWORD_RE, (match, prefix, password) =>
+      isSecret('password', password) ? `${prefix}:${fn(password)}@` : match
+    )
+    .replace(/([?&])([^=&#\s]+)=([^&#\s]+)/g, (match, sep, key, value) =>
+      isSecret(key, value) ? `${sep}${key}=${fn(value)}` : match
+    );
+}
+
+/**
+ * Apply fn to the secret parts of arguments: the value of "--token=x", the
+ * argument after "--api-key", bare tokens and the secrets of URLs
+ * @param {Array<string>} args
+ * @param {Function} fn - (value) => new value
+ * @param {Function} isSecret - (name, value) => whether to apply fn
+ * @returns {Array<string>}
+ */
+function mapArgSecrets(args, fn, isSecret = isSecretPart) {
+  return (args || []).map((arg, i) => {
+    const prev = i > 0 ? args[i - 1] : '';
+    if (/^-/.test(prev) && !prev.includes('=') && !/^-/.test(arg) && isSecret(prev, arg)) return fn(arg);
+    const option = arg.match(/^(--?[^=\s]+)=(.+)$/);
+    if (option && isSecret(option[1], option[2])) return `${option[1]}=${fn(option[2])}`;
+    if (isSecret('', arg)) return fn(arg);
+    return /:\/\//.test(arg) ? mapUrlSecrets(arg, fn, isSecret) : arg;
+  });
+}
+
+/**
+ * Mask the password and secret query parameters of a URL
+ * @param {string} url
+ * @param {boolean} showSecrets - Only hide sealed values
+ * @returns {string}
+ */
+function maskUrl(url, showSecrets = false) {
+  return mapUrlSecrets(url, maskValue, showSecrets ? isSealedPart : isSecretPart);
+}
+
+/**
+ * Mask secret-looking arguments: "--token=x", "--api-key x", bare tokens and URLs
+ * @param {Array<string>} args
+ * @param {boolean} showSecrets - Only hide sealed values
+ * @returns {Array<string>}
+ */
+function maskArgs(args, showSecrets = false) {
+  return mapArgSecrets(args, maskValue, showSecrets ? isSealedPart : isSecretPart);
+}
+
+/**
+ * Mask a space-separated command line (the COMMAND/URL column of `list`)
+ * @param {string} text
+ * @returns {string}
+ */
+function maskCommandLine(text) {
+  if (!text) return text;
+  return maskArgs(text.split(' ')).join(' ');
+}
+
+/**
+ * Copy of a server configuration that is safe to print
+ * @param {Object} config - Server configuration
+ * @param {Object} options
+ * @param {boolean} options.showSecrets - Print plaintext values (sealed ones stay hidden)
+ * @returns {Object}
+ */
+function maskConfig(config, { showSecrets = false } = {}) {
+  const masked = { ...config };
+  if (Array.isArray(config.env)) masked.env = config.env.map(pair => maskPair(pair, '=', showSecrets));
+  if (Array.isArray(config.headers)) masked.headers = config.headers.map(pair => maskPair(pair, ':', showSecrets));
+  if (Array.isArray(config.args)) masked.args = maskArgs(config.args, showSecrets);
+  if (config.url) masked.url = maskUrl(config.url, showSecrets);
+  if (config.commandOrUrl && !showSecrets) masked.commandOrUrl = maskCommandLine(config.commandOrUrl);
+  return masked;
+}
+
+/**
+ * Derive a key from a passphrase
+ * @param {string} passphrase
+ * @param {Buffer} salt
+ * @returns {Buffer} 32-byte key
+ */
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * Seal a value
+ * @param {string} value - Plaintext
+ * @param {Object} key - { key: Buffer, salt?: Buffer } (salt set for passphrase keys)
+ * @returns {string}
+ */
+function encryptValue(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key.key, iv);
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  const parts = [iv, cipher.getAuthTag(), data].map(b => b.toString('base64'));
+  return key.salt
+    ? `${PREFIX}pass:${key.salt.toString('base64')}:${parts.join(':')}`
+    : `${PREFIX}key:${parts.join(':')}`;
+}
+
+/**
+ * Open a sealed value
+ * @param {string} value - Sealed value
+ * @param {Object} keys
+ * @param {Function} keys.keyFile - () => Buffer, the key file key
+ * @param {Function} keys.passphrase - (salt) => Buffer, the passphrase key for a salt
+ * @returns {string} Plaintext
+ */
+function decryptValue(value, keys) {
+  const parts = value.slice(PREFIX.length).split(':');
+  const kind = parts.shift();
+  let key;
+  if (kind === 'key') key = keys.keyFile();
+  else if (kind === 'pass') key = keys.passphrase(Buffer.from(parts.shift(), 'base64'));
+  else throw new Error(`unknown encryption "${kind}"`);
+
+  const [iv, tag, data] = parts.map(p => Buffer.from(p, 'base64'));
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error(kind === 'pass' ? 'wrong passphrase or damaged value' : 'wrong key file or damaged value');
+  }
+}
+
+/**
+ * Apply fn to the value of every env and header pair, and to the secret parts
+ * of args and the URL (see mapArgSecrets)
+ * @param {Object} config - Server configuration
+ * @param {Function} fn - (value) => new value
+ * @returns {Object} New configuration
+ */
+function mapSecretValues(config, fn) {
+  const mapPairs = (pairs, separator) => pairs.map(pair => {
+    const idx = pair.indexOf(separator);
+    if (idx <= 0) return pair;
+    const rest = pair.slice(idx + 1);
+    const value = separator === ':' ? rest.trimStart() : rest;
+    return pair.slice(0, idx + 1) + rest.slice(0, rest.length - value.length) + fn(value);
+  });
+
+  const result = { ...config };
+  if (Array.isArray(config.env)) result.env = mapPairs(config.env, '=');
+  if (Array.isArray(config.headers)) result.headers = mapPairs(config.headers, ':');
+  if (Array.isArray(config.args)) result.args = mapArgSecrets(config.args, fn);
+  if (typeof config.url === 'string') result.url = mapUrlSecrets(config.url, fn);
+  return result;
+}
+
+module.exports = {
+  MASK,
+  ENCRYPTED_LABEL,
+  isSecretName,
+  looksSecret,
+  isEncrypted,
+  encryptionKind,
+  maskValue,
+  maskUrl,
+  maskArgs,
+  maskCommandLine,
+  maskConfig,
+  deriveKey,
+  encryptValue,
+  decryptValue,
+  mapSecretValues
+};
@@ -0,0 +1,184 @@
+const portable = require('./portable');
+const { DEFAULT_SCOPE } = require('./scope');
+const { ENCRYPTED_LABEL, isEncrypted, mapSecretValues } = require('./secrets');
+
+/**
+ * Changes to stashed servers: `stash edit`, `stash set` and `stash add`.
+ * A stashed server is edited as an entry of the portable format
+ * (doc/PORTABLE_FORMAT.md). Sealed values (env, headers and the secrets of
+ * args and the URL) show as <encrypted> and keep their stored value unless
+ * they are replaced.
+ */
+
+const TRANSPORTS = ['stdio', 'sse', 'http'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Validate a portable entry and turn it into a stash configuration, keeping
+// the stash-only fields (disabledAt, expiresAt) of the entry it replaces
+function toStashConfig(entry, original) {
+  const problems = portable.validateEntry(entry, 'server');
+  if (problems.length > 0) return { ok: false, problems };
+
+  const config = portable.fromPortable(entry);
+  if (original.disabledAt) config.disabledAt = original.disabledAt;
+  if (original.expiresAt) config.expiresAt = original.expiresAt;
+  return { ok: true, config };
+}
+
+/**
+ * Validate a server configuration and normalize it for the stash: fields
+ * that do not belong to its transport are dropped
+ * @param {Object} config - Server configuration
+ * @param {Object} original - Stashed configuration it replaces, or {} for a new server
+ * @returns {Object} { ok, config?, problems? }
+ */
+function checkConfig(config, original = {}) {
+  return toStashConfig(portable.toPortable(config.name, config, 'disabled'), original);
+}
+
+// Sealed values replaced by <encrypted>, the rest as stored
+function sealedOnly(config) {
+  return mapSecretValues(config, value => (isEncrypted(value) ? ENCRYPTED_LABEL : value));
+}
+
+/**
+ * The document shown in the editor for a stashed server
+ * @param {Object} config - Stashed configuration (sealed, or revealed with --show-secrets)
+ * @returns {Object} Portable entry without a status
+ */
+function toEditable(config) {
+  const { status, ...entry } = portable.toPortable(config.name, sealedOnly(config), 'disabled');
+  return entry;
+}
+
+/**
+ * Read back an edited document. <encrypted> values are swapped for the sealed
+ * values stored under the same name; an argument or URL that still shows
+ * <encrypted> gets back the stored one it was shown for.
+ * @param {*} entry - Parsed document
+ * @param {Object} original - Stashed configuration that was edited
+ * @returns {Object} { ok, config?, problems? }
+ */
+function fromEditable(entry, original) {
+  if (!isPlainObject(entry)) return { ok: false, problems: ['the file must contain a JSON object'] };
+
+  const stored = portable.toPortable(original.name, original, 'disabled');
+  const problems = [];
+  const restored = { ...entry };
+  for (const field of ['env', 'headers']) {
+    if (!isPlainObject(entry[field])) continue;
+    restored[field] = {};
+    for (const [key, value] of Object.entries(entry[field])) {
+      const sealed = stored[field] && stored[field][key];
+      if (value !== ENCRYPTED_LABEL) restored[field][key] = value;
+      else if (isEncrypted(sealed)) restored[field][key] = sealed;
+      else problems.push(`server.${field}.${key} is ${ENCRYPTED_LABEL} but nothing is stored for it; enter the value`);
+    }
+  }
+
+  const shown = sealedOnly(original);
+  if (Array.isArray(entry.args)) {
+    const unused = (shown.args || []).map((arg, i) => i);
+    restored.args = entry.args.map((arg, i) => {
+      if (typeof arg !== 'string' || !arg.includes(ENCRYPTED_LABEL)) return arg;
+      const at = unused.findIndex(j => shown.args[j] === arg);
+      if (at === -1) {
+        problems.push(`server.args[${i}] shows ${ENCRYPTED_LABEL} but nothing is stored for it; enter the value`);
+        return arg;
+      }
+      return original.args[unused.splice(at, 1)[0]];
+    });
+  }
+  if (typeof entry.url === 'string' && entry.url.includes(ENCRYPTED_LABEL)) {
+    if (entry.url === shown.url) restored.url = original.url;
+    else problems.push(`server.url shows ${ENCRYPTED_LABEL} but is not the stored URL; enter the values`);
+  }
+  if (problems.length > 0) return { ok: false, problems };
+  return toStashConfig(restored, original);
+}
+
+// Set or remove "KEY=value" pairs: "KEY=value" sets, a bare "KEY" removes
+function applyEnv(pairs, changes, problems) {
+  const env = [...(pairs || [])];
+  for (const change of changes) {
+    const idx = change.indexOf('=');
+    const key = idx === -1 ? change : change.slice(0, idx);
+    if (key === '') {
+      problems.push(`--env "${change}" needs a variable name (KEY=value, or KEY to remove it)`);
+      continue;
+    }
+    const at = env.findIndex(pair => pair.split('=')[0] === key);
+    if (idx === -1) {
+      if (at !== -1) env.splice(at, 1);
+    } else if (at === -1) {
+      env.push(change);
+    } else {
+      env[at] = change;
+    }
+  }
+  return env;
+}
+
+/**
+ * Change fields of a stashed server, as `stash set` does
+ * @param {Object} config - Stashed configuration
+ * @param {Object} settings - { transport, url, args, env }; args replaces the
+ *   arguments, env entries are "KEY=value" to set or "KEY" to remove
+ * @returns {Object} { ok, config?, problems? }
+ */
+function applySettings(config, { transport, url, args, env } = {}) {
+  const problems = [];
+  if (transport !== undefined && !TRANSPORTS.includes(transport)) {
+    return { ok: false, problems: [`--transport must be one of ${TRANSPORTS.join(', ')}`] };
+  }
+  const next = { ...config };
+  if (transport !== undefined) next.transport = transport;
+  if (url !== undefined) next.url = url;
+  if (args !== undefined) next.args = args;
+  if (env !== undefined) next.env = applyEnv(config.env, env, problems);
+
+  const isStdio = (next.transport || 'stdio') === 'stdio';
+  if (url !== undefined && isStdio) problems.push('--url only applies to sse and http servers (add --transport http or sse)');
+  if (args !== undefined && !isStdio) problems.push('--arg only applies to stdio servers');
+  if (!isStdio && transport !== undefined && !next.url) problems.push(`${transport} servers need a URL (add --url)`);
+  if (problems.length > 0) return { ok: false, problems };
+
+  return checkConfig(next, config);
+}
+
+/**
+ * A new server for `stash add`. The transport defaults to http for a URL and
+ * stdio for a command.
+ * @param {Object} options - { name, scope, commandOrUrl, args, env, transport }
+ * @returns {Object} { ok, config?, problems? }
+ */
+function newServer({ name, scope, commandOrUrl, args = [], env = [], transport }) {
+  const problems = [];
+  const kind = transport || (/^https?:\/\//i.test(commandOrUrl || '') ? 'http' : 'stdio');
+  if (transport !== undefined && !TRANSPORTS.includes(transport)) {
+    problems.push(`--transport must be one of ${TRANSPORTS.join(', ')}`);
+  }
+  if (kind !== 'stdio' && args.length > 0) problems.push(`${kind} servers take a URL and no arguments`);
+  const pairs = applyEnv([], env, problems);
+  if (problems.length > 0) return { ok: false, problems };
+
+  const config = { name, scope: scope || DEFAULT_SCOPE, transport: kind, env: pairs };
+  if (kind === 'stdio') {
+    config.command = commandOrUrl;
+    config.args = args;
+  } else {
+    config.url = commandOrUrl;
+  }
+  return checkConfig(config);
+}
+
+module.exports = {
+  checkConfig,
+  toEditable,
+  fromEditable,
+  applySettings,
+  newServer
+};
@@ -1,6 +1,10 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const { DEFAULT_SCOPE, normalizeScope } = require('./scope');
+const secrets = require('./secrets');
+const { LockError, StorageVersionError } = require('./errors');
 
 /**
  * Storage for disabled MCP server configurations
@@ -8,82 +12,735 @@ const os = require('os');
  * and restore it when re-enabling via `claude mcp add`
  */
 
-const STORAGE_DIR = path.join(os.homedir(), '.claude-mcp-switch');
-const STORAGE_FILE = path.join(STORAGE_DIR, 'disabled-servers.json');
+/**
+ * Resolve the storage directory. CCMCP_HOME overrides the default location
+ * (mainly useful for tests and sandboxed setups).
+ * @returns {string}
+ */
+function storageDir() {
+  return process.env.CCMCP_HOME || path.join(os.homedir(), '.claude-mcp-switch');
+}
+
+/**
+ * Resolve a file inside the storage directory
+ * @param {string} file - File name
+ * @returns {string}
+ */
+function storagePath(file) {
+  return path.join(storageDir(), file);
+}
 
 function ensureStorageDir() {
-  if (!fs.existsSync(STORAGE_DIR)) {
-    fs.mkdirSync(STORAGE_DIR, { recursive: true });
+  const dir = storageDir();
+  if (!fs.existsSync(dir)) {
+    // Stashed configs hold credentials: keep the directory private
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
   }
 }
 
-function readStorage() {
+const STORAGE_FILE = 'disabled-servers.json';
+const KEY_FILE = 'secret.key';
+const SCHEMA_VERSION = 4;
+
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_RETRY_MS = 50;
+
+// Locks held by this process, so nested withLock() calls do not deadlock
+const heldLocks = new Map();
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Content of a lock file, which identifies its owner
+ * @param {string} lockFile - Lock file path
+ * @returns {string|null} null when the lock cannot be read (usually: it is gone)
+ */
+function readLock(lockFile) {
+  try {
+    return fs.readFileSync(lockFile, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether an existing lock file was left behind by a dead process
+ * @param {string} lockFile - Lock file path
+ * @param {string} content - Lock file content, from readLock()
+ * @returns {boolean}
+ */
+function isStaleLock(lockFile, content) {
+  try {
+    const owner = JSON.parse(content);
+    if (owner.hostname === os.hostname() && !isProcessAlive(owner.pid)) return true;
+  } catch (error) {
+    // Half-written lock: fall back to its age
+  }
+  try {
+    return Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Remove a stale lock, unless another process replaced it in the meantime.
+ * Renaming the lock away succeeds for one process only; when what it moved
+ * is not the lock judged stale (another process took over first), it is put back.
+ * @param {string} lockFile - Lock file path
+ * @param {string} staleContent - Content of the lock judged stale
+ */
+function takeOverLock(lockFile, staleContent) {
+  const moved = `${lockFile}.${process.pid}.${Math.random().toString(36).slice(2, 8)}.stale`;
+  try {
+    fs.renameSync(lockFile, moved);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  if (readLock(moved) !== staleContent) {
+    try {
+      fs.linkSync(moved, lockFile);
+    } catch (error) {
+      // Yet another process holds the lock now; the one moved was released meanwhile
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+  fs.rmSync(moved, { force: true });
+}
+
+/**
+ * Run fn while holding an exclusive lock on a storage file (<file>.lock).
+ * Other ccmcp processes wait for the lock; stale locks are taken over.
+ * @param {string} file - Path of the file to lock
+ * @param {Function} fn - Callback run with the lock held
+ * @returns {*} Return value of fn
+ * @throws {LockError} when another process holds the lock for LOCK_TIMEOUT_MS
+ */
+function withLock(file, fn) {
+  const lockFile = `${file}.lock`;
+  if (heldLocks.has(lockFile)) {
+    heldLocks.set(lockFile, heldLocks.get(lockFile) + 1);
+    try {
+      return fn();
+    } finally {
+      heldLocks.set(lockFile, heldLocks.get(lockFile) - 1);
+    }
+  }
+
   ensureStorageDir();
-  if (!fs.existsSync(STORAGE_FILE)) {
-    return {};
+  // The id tells this lock apart from one a later process takes after a takeover
+  const owner = JSON.stringify({
+    pid: process.pid,
+    hostname: os.hostname(),
+    createdAt: new Date().toISOString(),
+    id: crypto.randomBytes(8).toString('hex')
+  });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockFile, 'wx');
+      fs.writeSync(fd, owner);
+      fs.closeSync(fd);
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const content = readLock(lockFile);
+      if (content !== null && isStaleLock(lockFile, content)) {
+        takeOverLock(lockFile, content);
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new LockError(`Timed out waiting for ${lockFile}; remove it if no other ccmcp is running`, { file: lockFile });
+      }
+      sleep(LOCK_RETRY_MS);
+    }
   }
+
+  heldLocks.set(lockFile, 1);
   try {
-    const data = fs.readFileSync(STORAGE_FILE, 'utf8');
-    return JSON.parse(data);
+    return fn();
+  } finally {
+    heldLocks.delete(lockFile);
+    // Leave the lock alone if another process took it over
+    if (readLock(lockFile) === owner) fs.rmSync(lockFile, { force: true });
+  }
+}
+
+/**
+ * Write a file atomically: write a temp file next to it, then rename over it
+ * @param {string} file - Destination path
+ * @param {string} content - File content
+ * @param {number} mode - Permissions of the written file (default: owner only)
+ */
+function writeFileAtomic(file, content, mode = 0o600) {
+  const tmp = `${file}.${process.pid}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+  try {
+    // The rename keeps the temp file's mode; chmod because the umask applies on create
+    fs.writeFileSync(tmp, content, { encoding: 'utf8', mode });
+    fs.chmodSync(tmp, mode);
+    fs.renameSync(tmp, file);
+  } catch (error) {
+    fs.rmSync(tmp, { force: true });
+    throw error;
+  }
+}
+
+// Files readJsonFile() moved aside, until the caller reports them (takeQuarantined)
+const quarantined = [];
+
+/**
+ * Move an unreadable file aside so it is never overwritten
+ * @param {string} file - Corrupt file
+ * @param {string} reason - Why it was rejected
+ * @returns {string} Path the file was moved to
+ */
+function quarantine(file, reason) {
+  const dest = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  fs.renameSync(file, dest);
+  return dest;
+}
+
+/**
+ * Files found corrupt and moved aside by readJsonFile() since the last call
+ * @returns {Array<Object>} { file, reason, movedTo }
+ */
+function takeQuarantined() {
+  return quarantined.splice(0);
+}
+
+/**
+ * Read a JSON storage file. Corrupt files are quarantined (see takeQuarantined)
+ * and the fallback is returned.
+ * @param {string} file - File path
+ * @param {*} fallback - Value for a missing or corrupt file
+ * @param {Function} validate - Optional (data) => error message or null
+ * @returns {*}
+ */
+function readJsonFile(file, fallback, validate) {
+  if (!fs.existsSync(file)) {
+    return fallback;
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
   } catch (error) {
-    return {};
+    quarantined.push({ file, reason: error.message, movedTo: quarantine(file, error.message) });
+    return fallback;
+  }
+  const problem = validate ? validate(data) : null;
+  if (problem) {
+    quarantined.push({ file, reason: problem, movedTo: quarantine(file, problem) });
+    return fallback;
   }
+  return data;
 }
 
-function writeStorage(data) {
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check the shape of disabled-servers.json (any schema version)
+ * @param {*} data - Parsed file content
+ * @returns {string|null} Problem description or null if valid
+ */
+function validateStorageData(data) {
+  if (!isPlainObject(data)) return 'expected a JSON object';
+  if (data.schemaVersion === undefined) {
+    const bad = Object.keys(data).find(key => !isPlainObject(data[key]));
+    return bad ? `entry "${bad}" is not an object` : null;
+  }
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) return 'invalid schemaVersion';
+  if (data.schemaVersion > SCHEMA_VERSION) return null;
+  if (!isPlainObject(data.servers)) return '"servers" is not an object';
+  const bad = Object.keys(data.servers).find(key => !isPlainObject(data.servers[key]));
+  return bad ? `entry "${bad}" is not an object` : null;
+}
+
+/**
+ * Migrations, keyed by the schema version they upgrade from
+ * - 1: flat map of configs keyed by name (or "scope:name"), no schemaVersion
+ * - 2: { schemaVersion, servers: { "scope:name": config } }
+ * - 3: same shape, env and header values sealed (entries are sealed on write)
+ * - 4: local and project entries record their project directory and are keyed
+ *   "scope:project:name"; entries from older versions keep "scope:name"
+ */
+const MIGRATIONS = {
+  1: data => ({ schemaVersion: 2, servers: normalizeEntries(data) }),
+  2: data => ({ ...data, schemaVersion: 3 }),
+  3: data => ({ ...data, schemaVersion: 4 })
+};
+
+/**
+ * Bring storage data up to the current schema version
+ * @param {Object} data - Parsed file content
+ * @returns {Object} Data at SCHEMA_VERSION
+ * @throws {StorageVersionError} when the data comes from a newer ccmcp
+ */
+function migrate(data) {
+  let current = data;
+  let version = current.schemaVersion || 1;
+  if (version > SCHEMA_VERSION) {
+    throw new StorageVersionError(
+      `${STORAGE_FILE} uses schema version ${version}, but this ccmcp only supports up to ${SCHEMA_VERSION}; please upgrade ccmcp`,
+      { schemaVersion: version }
+    );
+  }
+  while (version < SCHEMA_VERSION) {
+    current = MIGRATIONS[version](current);
+    version = current.schemaVersion;
+  }
+  return current;
+}
+
+/**
+ * Look at disabled-servers.json without migrating or quarantining it
+ * @returns {Object} { file, exists, problem?, schemaVersion?, servers? }
+ */
+function inspectStorage() {
+  const file = storagePath(STORAGE_FILE);
+  if (!fs.existsSync(file)) return { file, exists: false };
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return { file, exists: true, problem: error.message };
+  }
+  const problem = validateStorageData(data);
+  if (problem) return { file, exists: true, problem };
+  const schemaVersion = data.schemaVersion || 1;
+  if (schemaVersion > SCHEMA_VERSION) return { file, exists: true, schemaVersion };
+  return { file, exists: true, schemaVersion, servers: migrate(data).servers };
+}
+
+/**
+ * Rewrite disabled-servers.json at the current schema version, sealing any
+ * plaintext secrets left by older versions
+ */
+function rewriteStorage() {
+  updateStorage(() => {});
+}
+
+/**
+ * Read stashed servers
+ * @returns {Object} Entries keyed by entryKey()
+ */
+function readStorage() {
   ensureStorageDir();
-  fs.writeFileSync(STORAGE_FILE, JSON.stringify(data, null, 2), 'utf8');
+  const data = readJsonFile(storagePath(STORAGE_FILE), null, validateStorageData);
+  return data ? migrate(data).servers : {};
+}
+
+function writeStorage(servers) {
+  ensureStorageDir();
+  const sealed = {};
+  for (const [key, config] of Object.entries(servers)) sealed[key] = sealSecrets(config);
+  writeFileAtomic(storagePath(STORAGE_FILE), JSON.stringify({ schemaVersion: SCHEMA_VERSION, servers: sealed }, null, 2));
+}
+
+/**
+ * Read-modify-write stashed servers under the storage lock
+ * @param {Function} fn - Receives the entries and modifies them in place
+ */
+function updateStorage(fn) {
+  withLock(storagePath(STORAGE_FILE), () => {
+    const servers = readStorage();
+    fn(servers);
+    writeStorage(servers);
+  });
+}
+
+/**
+ * Encryption keys for stashed secrets.
+ * By default a random key is kept in ~/.claude-mcp-switch/secret.key (mode 0600).
+ * When CCMCP_PASSPHRASE is set, new values are sealed with a key derived from it
+ * instead, and the passphrase is needed again to enable those servers.
+ */
+
+// One passphrase salt per process, and derived keys cached by salt (scrypt is slow)
+let sealingSalt = null;
+const passphraseKeys = new Map();
+
+function keyFileKey(create) {
+  const file = storagePath(KEY_FILE);
+  if (!fs.existsSync(file)) {
+    if (!create) throw new Error(`key file ${file} is missing`);
+    ensureStorageDir();
+    try {
+      fs.writeFileSync(file, crypto.randomBytes(32).toString('base64') + '\n', { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+      // Another process created it first
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+  const key = Buffer.from(fs.readFileSync(file, 'utf8').trim(), 'base64');
+  if (key.length !== 32) throw new Error(`${file} is not a valid key file`);
+  return key;
+}
+
+function passphraseKey(salt) {
+  const passphrase = process.env.CCMCP_PASSPHRASE;
+  if (!passphrase) throw new Error('the values were encrypted with a passphrase; set CCMCP_PASSPHRASE');
+  const id = salt.toString('base64');
+  if (!passphraseKeys.has(id)) passphraseKeys.set(id, secrets.deriveKey(passphrase, salt));
+  return passphraseKeys.get(id);
+}
+
+function sealingKey() {
+  if (!process.env.CCMCP_PASSPHRASE) return { key: keyFileKey(true) };
+  if (!sealingSalt) sealingSalt = crypto.randomBytes(16);
+  return { key: passphraseKey(sealingSalt), salt: sealingSalt };
+}
+
+/**
+ * Encrypt the env and header values of a configuration, and the secrets in
+ * its args and URL (sealed values are kept)
+ * @param {Object} config - Server configuration
+ * @returns {Object} New configuration
+ */
+function sealSecrets(config) {
+  let key = null;
+  return secrets.mapSecretValues(config, value => {
+    if (secrets.isEncrypted(value)) return value;
+    key = key || sealingKey();
+    return secrets.encryptValue(value, key);
+  });
+}
+
+/**
+ * Decrypt the sealed values of a stashed configuration.
+ * Only call this right before handing the configuration back to Claude Code.
+ * @param {Object} config - Stashed configuration
+ * @returns {Object} { ok, config?, error? }
+ */
+function revealSecrets(config) {
+  const keys = { keyFile: () => keyFileKey(false), passphrase: passphraseKey };
+  try {
+    return {
+      ok: true,
+      config: secrets.mapSecretValues(config, value =>
+        secrets.isEncrypted(value) ? secrets.decryptValue(value, keys) : value
+      )
+    };
+  } catch (error) {
+    return { ok: false, error: `Cannot decrypt the stored secrets of "${config.name}": ${error.message}` };
+  }
+}
+
+/**
+ * Storage key for a disabled server. The same name may be stashed once per
+ * scope, and once per project for the local and project scopes.
+ * @param {string} name - Server name
+ * @param {string} scope - Scope (user, local, project)
+ * @param {string} project - Project directory (local and project scopes)
+ * @returns {string}
+ */
+function entryKey(name, scope, project) {
+  return project ? `${scope}:${project}:${name}` : `${scope}:${name}`;
+}
+
+/**
+ * Project directory a local or project entry belongs to from the current directory
+ * @param {string} scope - Scope (user, local, project)
+ * @returns {string|null} null for user scope
+ */
+function currentProject(scope) {
+  // Required here: config-file.js needs this module for its locks
+  return require('./config-file').projectDir(scope);
+}
+
+/**
+ * Storage key of an entry, and the key older versions used for it
+ * @param {string} name - Server name
+ * @param {string} scope - Scope the entry was stashed from
+ * @param {string} project - Project directory (default: the current one)
+ * @returns {Object} { key, legacyKey, project }
+ */
+function locateEntry(name, scope, project) {
+  const normalized = normalizeScope(scope) || DEFAULT_SCOPE;
+  const dir = normalized === 'user' ? null : project || currentProject(normalized);
+  return { key: entryKey(name, normalized, dir), legacyKey: entryKey(name, normalized), project: dir };
+}
+
+/**
+ * Set or drop the project field of a configuration
+ * @param {Object} config - Server configuration
+ * @param {string|null} project - Project directory, null for user scope
+ * @returns {Object} New configuration
+ */
+function withProject(config, project) {
+  const result = { ...config };
+  delete result.project;
+  if (project) result.project = project;
+  return result;
+}
+
+/**
+ * Whether a stashed entry can be enabled from the current directory. Entries
+ * stashed before projects were recorded belong to every project.
+ * @param {Object} config - Stashed configuration
+ * @param {Object} projects - Current project directory by scope (cache)
+ * @returns {boolean}
+ */
+function isInCurrentProject(config, projects = {}) {
+  if (!config.project || config.scope === 'user') return true;
+  if (!(config.scope in projects)) projects[config.scope] = currentProject(config.scope);
+  return config.project === projects[config.scope];
 }
 
 /**
- * Store a disabled server's configuration
+ * Normalize raw storage data so that every entry is keyed by scope and name.
+ * Entries written by older versions were keyed by name only.
+ * @param {Object} data - Raw storage data
+ * @returns {Object} Storage keyed by entryKey()
+ */
+function normalizeEntries(data) {
+  const entries = {};
+  for (const [key, config] of Object.entries(data)) {
+    const scope = normalizeScope(config.scope) || DEFAULT_SCOPE;
+    const name = config.name || key;
+    entries[entryKey(name, scope)] = { ...config, name, scope };
+  }
+  return entries;
+}
+
+/**
+ * Store a disabled server's configuration. Local and project entries record
+ * their project directory (config.project, or the current one).
  * @param {string} name - Server name
- * @param {Object} config - Server configuration from claude mcp get
+ * @param {Object} config - Server configuration from claude mcp get; an
+ *   expiresAt timestamp (temporary disable) is kept next to disabledAt
  */
 function storeDisabledServer(name, config) {
-  const storage = readStorage();
-  storage[name] = {
-    ...config,
-    disabledAt: new Date().toISOString()
-  };
-  writeStorage(storage);
+  const scope = normalizeScope(config.scope) || DEFAULT_SCOPE;
+  const { key, legacyKey, project } = locateEntry(name, scope, config.project);
+  updateStorage(storage => {
+    // An entry from an older version stood for this one
+    delete storage[legacyKey];
+    storage[key] = withProject({ ...config, name, scope, disabledAt: new Date().toISOString() }, project);
+  });
+}
+
+/**
+ * Find every stashed entry for a server name, across scopes
+ * @param {string} name - Server name
+ * @returns {Array} Array of {name, scope, project, config} objects
+ */
+function findDisabledServers(name) {
+  return listDisabledServers().filter(d => d.name === name);
 }
 
 /**
  * Get a disabled server's configuration
  * @param {string} name - Server name
+ * @param {string} scope - Optional scope; when omitted the first match is returned
+ * @param {string} project - Project directory (default: the current one)
  * @returns {Object|null} Server config or null if not found
  */
-function getDisabledServer(name) {
-  const storage = readStorage();
-  return storage[name] || null;
+function getDisabledServer(name, scope, project) {
+  if (scope) {
+    const storage = readStorage();
+    const { key, legacyKey } = locateEntry(name, scope, project);
+    return storage[key] || storage[legacyKey] || null;
+  }
+  const [found] = findDisabledServers(name);
+  return found ? found.config : null;
+}
+
+/**
+ * Key of an existing entry, or null
+ * @param {Object} storage - Entries keyed by entryKey()
+ * @param {Object} location - Result of locateEntry()
+ * @returns {string|null}
+ */
+function existingKey(storage, { key, legacyKey }) {
+  if (storage[key]) return key;
+  return storage[legacyKey] ? legacyKey : null;
+}
+
+/**
+ * Change fields of a stashed entry in place (disabledAt is kept)
+ * @param {string} name - Server name
+ * @param {string} scope - Scope the entry was stashed from
+ * @param {Object} changes - Fields to set
+ * @param {string} project - Project directory (default: the current one)
+ * @returns {boolean} true if the entry existed
+ */
+function patchDisabledServer(name, scope, changes, project) {
+  const location = locateEntry(name, scope, project);
+  let found = false;
+  updateStorage(storage => {
+    const key = existingKey(storage, location);
+    if (!key) return;
+    storage[key] = { ...storage[key], ...changes };
+    found = true;
+  });
+  return found;
+}
+
+/**
+ * Replace a stashed entry of the current project, possibly under another name or scope
+ * @param {string} name - Current server name
+ * @param {string} scope - Scope the entry was stashed from
+ * @param {Object} config - New configuration; its name and scope say where it goes
+ * @returns {Object} { ok, error? }
+ */
+function replaceDisabledServer(name, scope, config) {
+  const targetScope = normalizeScope(config.scope) || DEFAULT_SCOPE;
+  const from = locateEntry(name, scope);
+  const to = locateEntry(config.name, targetScope);
+  let result = { ok: false, error: `Server "${name}" is not disabled in ${scope} scope` };
+  updateStorage(storage => {
+    const fromKey = existingKey(storage, from);
+    if (!fromKey) return;
+    const toKey = existingKey(storage, to);
+    if (toKey && toKey !== fromKey) {
+      result = { ok: false, error: `Server "${config.name}" is already disabled in ${targetScope} scope` };
+      return;
+    }
+    delete storage[fromKey];
+    storage[to.key] = withProject({ ...config, scope: targetScope }, to.project);
+    result = { ok: true };
+  });
+  return result;
 }
 
 /**
  * Remove a disabled server's configuration
  * @param {string} name - Server name
+ * @param {string} scope - Scope the entry was stashed from
+ * @param {string} project - Project directory (default: the current one)
  */
-function removeDisabledServer(name) {
-  const storage = readStorage();
-  delete storage[name];
-  writeStorage(storage);
+function removeDisabledServer(name, scope, project) {
+  const location = locateEntry(name, scope, project);
+  updateStorage(storage => {
+    const key = existingKey(storage, location);
+    if (key) delete storage[key];
+  });
 }
 
 /**
- * List all disabled servers
- * @returns {Array} Array of {name, config} objects
+ * List the disabled servers that can be enabled from the current directory:
+ * user entries, and local and project entries of the current project
+ * @param {Object} options
+ * @param {boolean} options.allProjects - Include the entries of other projects
+ * @returns {Array} Array of {name, scope, project, config} objects
  */
-function listDisabledServers() {
+function listDisabledServers({ allProjects = false } = {}) {
   const storage = readStorage();
-  return Object.entries(storage).map(([name, config]) => ({
-    name,
-    config
-  }));
+  const projects = {};
+  return Object.values(storage)
+    .filter(config => allProjects || isInCurrentProject(config, projects))
+    .map(config => ({
+      name: config.name,
+      scope: config.scope,
+      project: config.project || null,
+      config
+    }));
+}
+
+/**
+ * Write-ahead journal of enable/disable operations.
+ * An operation is recorded before the stash or Claude config is touched and
+ * cleared once both sides agree, so an interrupted run can be detected and
+ * completed or rolled back later (see lib/recovery.js).
+ */
+
+function readJournal() {
+  ensureStorageDir();
+  return readJsonFile(storagePath('journal.json'), [], data => (Array.isArray(data) ? null : 'expected a JSON array'));
+}
+
+function writeJournal(operations) {
+  ensureStorageDir();
+  const file = storagePath('journal.json');
+  if (operations.length === 0) {
+    fs.rmSync(file, { force: true });
+    return;
+  }
+  writeFileAtomic(file, JSON.stringify(operations, null, 2));
+}
+
+function updateJournal(fn) {
+  withLock(storagePath('journal.json'), () => writeJournal(fn(readJournal())));
+}
+
+/**
+ * Record a pending operation
+ * @param {Object} operation - { action, name, scope, config, previous? }
+ * @returns {string} Operation id
+ */
+function beginOperation(operation) {
+  const id = `${Date.now().toString(36)}-${process.pid}-${Math.random().toString(36).slice(2, 8)}`;
+  // The journal holds configs too, so it gets the same protection as the stash
+  const sealed = { ...operation, config: operation.config && sealSecrets(operation.config) };
+  if (operation.previous) sealed.previous = sealSecrets(operation.previous);
+  updateJournal(operations => [
+    ...operations,
+    {
+      id,
+      ...sealed,
+      pid: process.pid,
+      hostname: os.hostname(),
+      startedAt: new Date().toISOString()
+    }
+  ]);
+  return id;
+}
+
+/**
+ * Clear a finished operation from the journal
+ * @param {string} id - Operation id from beginOperation()
+ */
+function endOperation(id) {
+  updateJournal(operations => operations.filter(op => op.id !== id));
+}
+
+/**
+ * List operations that were started but never finished
+ * @returns {Array} Journal entries, oldest first
+ */
+function listPendingOperations() {
+  return readJournal();
 }
 
 module.exports = {
+  SCHEMA_VERSION,
+  storageDir,
+  storagePath,
+  ensureStorageDir,
+  withLock,
+  writeFileAtomic,
+  readJsonFile,
+  quarantine,
+  takeQuarantined,
+  validateStorageData,
+  inspectStorage,
+  rewriteStorage,
+  sealSecrets,
+  revealSecrets,
   storeDisabledServer,
   getDisabledServer,
+  findDisabledServers,
+  patchDisabledServer,
+  replaceDisabledServer,
   removeDisabledServer,
-  listDisabledServers
+  listDisabledServers,
+  isInCurrentProject,
+  beginOperation,
+  endOperation,
+  listPendingOperations
 };
@@ -0,0 +1,59 @@
+/**
+ * All-or-nothing execution of a list of steps.
+ * Each step is { name, scope?, action, run(), undo() } where run/undo resolve
+ * to { ok, error? } like the backend functions; a step that throws counts as
+ * failed. Steps run one after another. When a step fails, the steps that
+ * already succeeded are undone in reverse order.
+ */
+
+/**
+ * Call run() or undo() of a step, turning a thrown error into a failed outcome
+ * @param {Function} fn - step.run or step.undo
+ * @returns {Promise<Object>} { ok, error? }
+ */
+async function attempt(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Run steps as a transaction
+ * @param {Array<Object>} steps - Steps to run
+ * @returns {Promise<Object>} { ok, results[], rolledBack }
+ */
+async function runTransaction(steps) {
+  const results = [];
+  const done = [];
+
+  for (const step of steps) {
+    const outcome = await attempt(() => step.run());
+    const result = { name: step.name, scope: step.scope, action: step.action, ok: outcome.ok };
+    if (!outcome.ok) result.error = outcome.error;
+    results.push(result);
+
+    if (!outcome.ok) {
+      // Restore servers that were already switched
+      for (const [doneStep, doneResult] of done.reverse()) {
+        const undo = await attempt(() => doneStep.undo());
+        doneResult.rolledBack = undo.ok;
+        if (!undo.ok) doneResult.rollbackError = undo.error;
+      }
+      // Steps after the failure were never attempted
+      for (const skipped of steps.slice(steps.indexOf(step) + 1)) {
+        results.push({ name: skipped.name, scope: skipped.scope, action: skipped.action, ok: false, skipped: true });
+      }
+      return { ok: false, results, rolledBack: done.length > 0 };
+    }
+
+    done.push([step, result]);
+  }
+
+  return { ok: true, results, rolledBack: false };
+}
+
+module.exports = {
+  runTransaction
+};
@@ -41,7 +41,13 @@ function eprintln(s = "") {
   process.stderr.write(String(s) + "\n");
 }
 
+// Banner above text output; off with the banner setting
+const BANNER = {
+  enabled: true,
+};
+
 function printBanner() {
+  if (!BANNER.enabled) return;
   const logo = [
     "   ____    ____  __  __  ____  ____  ",
     "  / ___|  / ___||  \\/  |/ ___||  _ \\ ",
@@ -55,100 +61,147 @@ function printBanner() {
   println(COLOR.dim("──────────────────────────────────────────────────────"));
 }
 
-function printList(list, asJson) {
-  if (asJson) {
-    const out = list.map((it) => ({
-      status: it.status,
-      key: it.key,
-      id: it.id,
-      name: it.name,
-      command: it.command,
-      transport: it.transport,
-      container: it.container,
-    }));
-    println(JSON.stringify(out, null, 2));
-    return;
-  }
-  if (list.length === 0) {
-    println(COLOR.yellow("No MCP servers found."));
-    return;
-  }
-  const headers = ["STATUS", "KEY", "ID", "NAME", "COMMAND/TRANSPORT"];
-  const rowsRaw = list.map((it) => [
-    it.status,
-    it.key || "",
-    it.id || "",
-    it.name || "",
-    it.command || it.transport || "",
-  ]);
-  const widths = headers.map((h, i) => {
-    return Math.max(h.length, ...rowsRaw.map((r) => (r[i] || "").length));
-  });
+// Table layout: `wide` (--wide) lets tables grow past the terminal width
+// instead of shortening cells
+const TABLE = {
+  wide: false,
+};
 
-  const borderTop = "┌" + widths.map((w) => "─".repeat(w + 2)).join("┬") + "┐";
-  const borderMid = "├" + widths.map((w) => "─".repeat(w + 2)).join("┼") + "┤";
-  const borderBot = "└" + widths.map((w) => "─".repeat(w + 2)).join("┴") + "┘";
+const segmenter = typeof Intl.Segmenter === "function" ? new Intl.Segmenter(undefined, { granularity: "grapheme" }) : null;
 
-  const pad = (s, w) => String(s).padEnd(w, " ");
+// User-perceived characters: an emoji with modifiers or a letter with
+// combining accents is one grapheme
+function graphemes(s) {
+  return segmenter ? Array.from(segmenter.segment(s), (g) => g.segment) : Array.from(s);
+}
 
-  const headerCols = headers.map((col, i) =>
-    COLOR.bold(COLOR.cyan(pad(col, widths[i])))
-  );
-  const headerLine = "│ " + headerCols.join(" │ ") + " │";
+// East Asian wide and fullwidth ranges (CJK, Hangul, fullwidth forms)
+const WIDE_RANGES = [
+  [0x1100, 0x115f],
+  [0x2e80, 0x303e],
+  [0x3041, 0x33ff],
+  [0x3400, 0x4dbf],
+  [0x4e00, 0x9fff],
+  [0xa000, 0xa4cf],
+  [0xac00, 0xd7a3],
+  [0xf900, 0xfaff],
+  [0xfe30, 0xfe4f],
+  [0xff00, 0xff60],
+  [0xffe0, 0xffe6],
+  [0x20000, 0x3fffd],
+];
 
-  println(borderTop);
-  println(headerLine);
-  println(borderMid);
+function graphemeWidth(g) {
+  const cp = g.codePointAt(0);
+  if (cp < 0x20 || (cp >= 0x7f && cp < 0xa0)) return 0;
+  if (/^[\p{Mn}\p{Me}\p{Cf}]+$/u.test(g)) return 0;
+  if (/\p{Emoji_Presentation}|\uFE0F/u.test(g)) return 2;
+  return WIDE_RANGES.some(([lo, hi]) => cp >= lo && cp <= hi) ? 2 : 1;
+}
 
-  for (const raw of rowsRaw) {
-    const colored = raw.map((col, i) => {
-      let val = pad(col, widths[i]);
-      if (i === 0) {
-        val = col === "enabled" ? COLOR.green(val) : COLOR.red(val);
-      } else if (i === 1) {
-        val = COLOR.yellow(val);
-      } else if (i === 2) {
-        val = COLOR.magenta(val);
-      } else if (i === 3) {
-        val = COLOR.cyan(val);
-      } else if (i === 4) {
-        val = COLOR.gray(val);
-      }
-      return val;
-    });
-    const line = "│ " + colored.join(" │ ") + " │";
-    println(line);
-  }
+/**
+ * Number of terminal columns a string takes
+ * @param {string} s - Text without ANSI codes
+ * @returns {number}
+ */
+function displayWidth(s) {
+  let width = 0;
+  for (const g of graphemes(String(s))) width += graphemeWidth(g);
+  return width;
+}
 
-  println(borderBot);
+/**
+ * Pad a string with spaces to a display width
+ * @param {string} s
+ * @param {number} width
+ * @returns {string}
+ */
+function padDisplay(s, width) {
+  const text = String(s);
+  return text + " ".repeat(Math.max(0, width - displayWidth(text)));
 }
 
-function printSuggestionsTable(suggestions) {
-  const list = suggestions || [];
-  if (list.length === 0) {
-    println(COLOR.yellow("No suggestions."));
-    return;
+/**
+ * Shorten a string to a width by cutting out its middle, so both the start
+ * and the end (the path of a URL, the last arguments) stay visible
+ * @param {string} s
+ * @param {number} width - Maximum display width
+ * @returns {string}
+ */
+function truncateMiddle(s, width) {
+  const text = String(s);
+  if (displayWidth(text) <= width) return text;
+  if (width <= 1) return width === 1 ? "…" : "";
+
+  const parts = graphemes(text);
+  const fit = (list, room) => {
+    const kept = [];
+    for (const g of list) {
+      room -= graphemeWidth(g);
+      if (room < 0) break;
+      kept.push(g);
+    }
+    return kept;
+  };
+  const room = width - 1;
+  const head = fit(parts, Math.floor(room / 2));
+  const used = head.reduce((sum, g) => sum + graphemeWidth(g), 0);
+  const tail = fit([...parts].reverse(), room - used).reverse();
+  return head.join("") + "…" + tail.join("");
+}
+
+/**
+ * Width available to tables: the terminal, $COLUMNS when output is not a
+ * terminal, otherwise unlimited
+ * @returns {number}
+ */
+function terminalWidth() {
+  if (process.stdout.isTTY && process.stdout.columns) return process.stdout.columns;
+  const columns = Number(process.env.COLUMNS);
+  return columns > 0 ? columns : Infinity;
+}
+
+// Shrink the widest columns one step at a time until the table fits. A column
+// keeps at least the width of its header (up to 8) so it stays recognizable.
+function fitWidths(widths, minimums, available) {
+  const fitted = [...widths];
+  const chrome = 3 * widths.length + 1;
+  let total = fitted.reduce((sum, w) => sum + w, 0) + chrome;
+  while (total > available) {
+    let widest = -1;
+    fitted.forEach((w, i) => {
+      if (w > minimums[i] && (widest === -1 || w > fitted[widest])) widest = i;
+    });
+    if (widest === -1) break;
+    fitted[widest]--;
+    total--;
   }
-  const headers = ["STATUS", "KEY", "ID", "NAME", "CONTAINER"];
-  const rowsRaw = list.map((it) => [
-    it.status,
-    it.key || "",
-    it.id || "",
-    it.name || "",
-    it.container || "",
-  ]);
-  const widths = headers.map((h, i) =>
-    Math.max(h.length, ...rowsRaw.map((r) => (r[i] || "").length))
+  return fitted;
+}
+
+/**
+ * Print a box-drawn table sized to its content and, unless TABLE.wide is
+ * set, to the terminal: cells of the widest columns are shortened in the middle
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Raw (uncolored) cell values
+ * @param {Function} colorize - Optional (value, rowIndex, colIndex, raw) => colored value
+ */
+function printTable(headers, rows, colorize) {
+  const rowsRaw = rows.map((r) => headers.map((h, i) => (r[i] == null ? "" : String(r[i]))));
+  const natural = headers.map((h, i) =>
+    Math.max(displayWidth(h), ...rowsRaw.map((r) => displayWidth(r[i])))
   );
+  const minimums = headers.map((h, i) => Math.min(natural[i], Math.max(displayWidth(h), 8)));
+  const widths = TABLE.wide ? natural : fitWidths(natural, minimums, terminalWidth());
 
   const borderTop = "┌" + widths.map((w) => "─".repeat(w + 2)).join("┬") + "┐";
   const borderMid = "├" + widths.map((w) => "─".repeat(w + 2)).join("┼") + "┤";
   const borderBot = "└" + widths.map((w) => "─".repeat(w + 2)).join("┴") + "┘";
 
-  const pad = (s, w) => String(s).padEnd(w, " ");
+  const cell = (s, w) => padDisplay(truncateMiddle(s, w), w);
 
   const headerCols = headers.map((col, i) =>
-    COLOR.bold(COLOR.cyan(pad(col, widths[i])))
+    COLOR.bold(COLOR.cyan(cell(col, widths[i])))
   );
   const headerLine = "│ " + headerCols.join(" │ ") + " │";
 
@@ -156,65 +209,229 @@ function printSuggestionsTable(suggestions) {
   println(headerLine);
   println(borderMid);
 
-  for (const raw of rowsRaw) {
+  rowsRaw.forEach((raw, r) => {
     const colored = raw.map((col, i) => {
-      let val = pad(col, widths[i]);
-      if (i === 0) val = col === "enabled" ? COLOR.green(val) : COLOR.red(val);
-      else if (i === 1) val = COLOR.yellow(val);
-      else if (i === 2) val = COLOR.magenta(val);
-      else if (i === 3) val = COLOR.cyan(val);
-      else if (i === 4) val = COLOR.gray(val);
-      return val;
+      const val = cell(col, widths[i]);
+      return colorize ? colorize(val, r, i, col) : val;
     });
     println("│ " + colored.join(" │ ") + " │");
-  }
+  });
 
   println(borderBot);
 }
 
+function colorizeServerRow(val, r, i, raw) {
+  if (i === 0) return raw === "enabled" ? COLOR.green(val) : COLOR.red(val);
+  if (i === 1) return COLOR.yellow(val);
+  if (i === 2) return COLOR.magenta(val);
+  if (i === 3) return COLOR.cyan(val);
+  if (i === 4) return COLOR.gray(val);
+  return val;
+}
+
+function printSuggestionsTable(suggestions) {
+  const list = suggestions || [];
+  if (list.length === 0) {
+    println(COLOR.yellow("No suggestions."));
+    return;
+  }
+  const headers = ["STATUS", "NAME", "SCOPE", "TRANSPORT", "COMMAND/URL"];
+  const rows = list.map((it) => [
+    it.status,
+    it.name,
+    it.scope || "",
+    it.transport || "",
+    it.commandOrUrl || "",
+  ]);
+  printTable(headers, rows, colorizeServerRow);
+}
+
 function help(args) {
   printBanner();
   const msg = `
 ${COLOR.bold("Usage:")}
-  ccmcp list [--json] [--no-color]
-  ccmcp enable <name> [--dry-run] [--json] [--no-color]
-  ccmcp disable <name> [--dry-run] [--json] [--no-color]
+  ccmcp list [--status <status>] [--transport <transport>] [--scope <scope>]
+             [--sort <key>] [--fields <list>] [--format <format>] [--details] [--wide] [--json]
+  ccmcp show <name> [--scope <scope>] [--show-secrets] [--json]
+  ccmcp enable <name|glob>... | --all [--scope <scope>] [--dry-run] [--json]
+  ccmcp disable <name|glob>... | --all [--scope <scope>] [--for <duration> | --until <time>]
+                [--dry-run] [--json]
+  ccmcp profile save|apply|show|delete <profile> [--dry-run] [--json]
+  ccmcp profile list [--json]
+  ccmcp stash add <name> <command|url> [--transport <t>] [--env KEY=value]... [-- args...]
+  ccmcp stash set <name> [--arg <arg>]... [--env KEY=value|KEY]... [--url <url>]
+                  [--transport stdio|sse|http] [--dry-run] [--json]
+  ccmcp stash rename <old> <new> [--dry-run] [--json]
+  ccmcp stash edit <name> [--show-secrets]
+  ccmcp pick [--scope <scope>] [--dry-run]
+  ccmcp recover [--force] [--dry-run] [--json]
+  ccmcp expire [--dry-run] [--json]
+  ccmcp history [--limit <n>] [--json]
+  ccmcp undo [<n>] [--dry-run] [--json]
+  ccmcp sync [--check] [--dry-run] [--json]
+  ccmcp doctor [--fix] [--dry-run] [--json]
+  ccmcp check [<name|glob>...] [--scope <scope>] [--timeout <ms>] [--json]
+  ccmcp export [<name|glob>...] [--scope <scope>] [--show-secrets] > servers.json
+  ccmcp import <file|-> [--stash|--enable] [--scope <scope>]
+               [--on-conflict skip|overwrite|rename] [--dry-run] [--json]
+  ccmcp completion bash|zsh|fish|powershell
+  ccmcp config list | get <key> | set <key> <value> | unset <key>
+  ccmcp <command> --help
   ccmcp --help | --version
 
 ${COLOR.bold("Commands:")}
-  list      List all MCP servers (active and disabled)
-  enable    Re-enable a previously disabled server
-  disable   Disable a server (stores config for later re-enabling)
+  list       List all MCP servers (active and disabled)
+  show       Show every field of one server; diffs the live and stashed copies
+  enable     Re-enable previously disabled servers
+  disable    Disable servers (stores config for later re-enabling)
+  profile    Save and apply named sets of enabled/disabled servers
+  stash      Add, edit, change or rename disabled servers without enabling them
+  pick       Interactively choose which servers are enabled (needs a TTY)
+  recover    Complete or roll back operations interrupted by a crash
+  sync       Enable/disable servers as declared by the repository's .ccmcp.json
+  history    Show recorded enable/disable operations, newest first
+  undo       Revert the last n operations (default 1); a batch is reverted as a whole
+  expire     Re-enable servers whose temporary disable has run out (cron, shell hooks)
+  doctor     Diagnose the claude binary, stored state and permissions (--fix repairs)
+  check      Start/connect to servers and run the MCP handshake (active and disabled)
+  export     Print active and disabled server definitions as portable JSON
+  import     Add servers from an export file (as enabled, or disabled with --stash)
+  completion Print a shell completion script (subcommands, flags and server names)
+  config     Show and change settings (defaults for scope, format, colors, timeouts...)
+
+${COLOR.bold("Options:")}
+  -a, --all            Target every disabled (enable) or active (disable) server
+  -s, --scope <scope>  user, local or project. Servers are re-enabled into the
+                       scope they were disabled from unless --scope is given
+  --backend <backend>  cli (wrap \`claude mcp\`), file (edit ~/.claude.json and
+                       .mcp.json directly) or auto (default: file when
+                       ~/.claude.json is readable). Env: CCMCP_BACKEND
+  --stash, --enable    import: add every server disabled or enabled (default:
+                       the status recorded in the file)
+  --on-conflict <how>  import: skip (default), overwrite or rename servers whose
+                       name is already used in the target scope
+  --for <duration>     disable: re-enable after 45s, 90m, 2h, 1h30m, 1d...
+  --until <time>       disable: re-enable at HH:MM (next occurrence) or an ISO date.
+                       Expired servers come back on the next ccmcp run or \`ccmcp expire\`
+  --limit <n>          history: number of operations to show (default 20)
+  --check              sync: change nothing, exit 1 when servers differ from .ccmcp.json
+  --timeout <ms>       check: time allowed per server (default 10000)
+  --status <status>    list: only enabled or only disabled servers
+  --transport <name>   list: only stdio, sse or http servers
+  --sort <key>         list: sort by name, status, transport or disabledAt
+  --fields <list>      list: columns to print, e.g. name,transport,url (also status,
+                       scope, commandOrUrl, command, args, env, headers, expiresAt)
+  --format <format>    list: table (default), json, ndjson, csv, tsv, markdown or yaml
+  --wide               Print table cells in full instead of shortening them to
+                       fit the terminal
+  --exact              Only accept exact server names, no case-insensitive or
+                       prefix matching (for scripts)
+  --show-secrets       Print tokens, passwords and keys instead of masking them
+                       (values encrypted in the stash stay hidden, except in export)
+  -n, --dry-run        Show what would change without changing anything
+  -y, --yes            enable/disable: do not ask for confirmation (confirm setting)
+
+Options take their value as \`--opt value\` or \`--opt=value\`; short flags can be
+bundled (\`-an\`) and \`--\` ends the options. Unknown options are rejected.
+Run \`ccmcp <command> --help\` for the options of one command.
+
+Several servers are switched as one batch: if one fails, the servers already
+switched are restored.
+
+${COLOR.bold("Environment:")}
+  CCMCP_CLAUDE_BIN     Path of the claude binary (default: claude from PATH)
+  CCMCP_TIMEOUT        Timeout for each claude call in milliseconds (default 60000)
+  CCMCP_HOME           State directory (default ~/.claude-mcp-switch)
+  CCMCP_<SETTING>      Override a setting of \`ccmcp config\`, e.g. CCMCP_CONFIRM=bulk
+  CCMCP_PASSPHRASE     Encrypt stashed secrets with this passphrase instead of
+                       the key file; needed again to enable those servers
 
 ${COLOR.bold("How it works:")}
-  - Uses ${COLOR.cyan("claude mcp")} CLI commands as source of truth
-  - Disabled server configs stored in ${COLOR.dim("~/.claude-mcp-switch/")}
+  - Reads Claude Code config files directly, or uses ${COLOR.cyan("claude mcp")} CLI commands
+  - Disabled server configs stored in ${COLOR.dim("~/.claude-mcp-switch/")}, env and
+    header values encrypted
+  - Every enable/disable is journaled; interrupted ones are repaired on the next run
   - Always in sync with your actual Claude Code configuration
 
 ${COLOR.bold("Requirements:")}
   - Node.js >= 18
-  - ${COLOR.cyan("claude")} CLI installed and available in PATH
+  - ${COLOR.cyan("claude")} CLI installed and available in PATH (cli backend)
 
 ${COLOR.bold("Exit codes:")}
   0 success
+  1 check: at least one server failed; doctor: problems remain;
+    sync --check: servers differ from .ccmcp.json
   2 server not found
+  3 stash storage error (locked, corrupt or newer schema)
   4 error executing claude CLI command
 
 ${COLOR.bold("Examples:")}
   ccmcp list
   ccmcp disable playwright
   ccmcp enable playwright --dry-run
+  ccmcp disable 'playwright*' github slack
+  ccmcp disable playwright --for 90m
   ccmcp list --json
+  ccmcp profile save frontend
+  ccmcp profile apply minimal --dry-run
+  ccmcp check --json
+  ccmcp doctor --fix
+  ccmcp sync --check
+  ccmcp undo
+  ccmcp export 'github*' > servers.json
+  ccmcp import servers.json --stash --on-conflict rename
 `.trim();
   println(msg);
 }
 
+// Break text into lines of at most `width` characters, at spaces
+function wrap(text, width) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(" ")) {
+    if (line && line.length + 1 + word.length > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Print the help of one command, e.g. for `ccmcp disable --help`
+ * @param {Object} spec - { summary, usage, options } from describeCommand()
+ */
+function printCommandHelp(spec) {
+  const flagsWidth = Math.max(...spec.options.map(([flags]) => flags.length));
+  const descriptionWidth = Math.max(30, 78 - flagsWidth - 4);
+  println(spec.summary);
+  println("");
+  println(COLOR.bold("Usage:"));
+  for (const line of spec.usage) println(`  ${line}`);
+  println("");
+  println(COLOR.bold("Options:"));
+  for (const [flags, description] of spec.options) {
+    wrap(description, descriptionWidth).forEach((line, i) => {
+      println(`  ${(i === 0 ? flags : "").padEnd(flagsWidth)}  ${line}`);
+    });
+  }
+}
+
 module.exports = {
   COLOR,
   println,
   eprintln,
   printBanner,
-  printList,
+  BANNER,
+  TABLE,
+  displayWidth,
+  padDisplay,
+  truncateMiddle,
+  printTable,
   printSuggestionsTable,
   help,
+  printCommandHelp,
 };
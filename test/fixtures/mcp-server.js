@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Minimal MCP server for probe tests.
+ *
+ * Run directly, it speaks newline-delimited JSON-RPC on stdio.
+ *   MCP_STUB_MODE  normal (default), hang (never answers), crash (exits at once),
+ *                  error (initialize returns a JSON-RPC error)
+ *   MCP_STUB_TOOLS comma-separated tool names (default: echo,add)
+ *
+ * Required, it exports startHttpServer({ sse }) which serves the same
+ * handshake over streamable HTTP, or over the legacy HTTP+SSE transport.
+ */
+
+const http = require('http');
+
+function tools() {
+  return (process.env.MCP_STUB_TOOLS || 'echo,add').split(',').filter(Boolean).map(name => ({
+    name,
+    description: `${name} tool`,
+    inputSchema: { type: 'object' }
+  }));
+}
+
+/**
+ * Answer one JSON-RPC message
+ * @param {Object} message
+ * @returns {Object|null} Response, or null for notifications
+ */
+function respond(message) {
+  if (message.id === undefined) return null;
+  if (message.method === 'initialize') {
+    if (process.env.MCP_STUB_MODE === 'error') {
+      return { jsonrpc: '2.0', id: message.id, error: { code: -32603, message: 'stub refuses to start' } };
+    }
+    return {
+      jsonrpc: '2.0',
+      id: message.id,
+      result: {
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: {} },
+        serverInfo: { name: 'stub-server', version: '1.2.3' }
+      }
+    };
+  }
+  if (message.method === 'tools/list') {
+    return { jsonrpc: '2.0', id: message.id, result: { tools: tools() } };
+  }
+  return { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } };
+}
+
+function runStdio() {
+  const mode = process.env.MCP_STUB_MODE;
+  if (mode === 'crash') {
+    process.stderr.write('stub crashed on purpose\n');
+    process.exit(3);
+  }
+
+  process.stdout.write('stub server starting (not JSON)\n');
+  let buffer = '';
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', chunk => {
+    buffer += chunk;
+    let idx;
+    while ((idx = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 1);
+      if (!line.trim() || mode === 'hang') continue;
+      const response = respond(JSON.parse(line));
+      if (response) process.stdout.write(JSON.stringify(response) + '\n');
+    }
+  });
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+}
+
+/**
+ * Start an HTTP MCP server on a random local port
+ * @param {Object} options
+ * @param {boolean} options.sse - Use the legacy HTTP+SSE transport
+ * @returns {Promise<Object>} { url, close() }
+ */
+function startHttpServer({ sse = false } = {}) {
+  const streams = new Set();
+  const server = http.createServer(async (req, res) => {
+    if (sse && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('event: endpoint\ndata: /messages\n\n');
+      streams.add(res);
+      req.on('close', () => streams.delete(res));
+      return;
+    }
+
+    const response = respond(JSON.parse(await readBody(req)));
+    if (sse) {
+      res.writeHead(202).end();
+      for (const stream of streams) {
+        if (response) stream.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+      }
+      return;
+    }
+    if (!response) {
+      res.writeHead(202).end();
+      return;
+    }
+    // Answer tools/list as an event stream to exercise both response styles
+    if (response.result && response.result.tools) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Mcp-Session-Id': 'stub-session' });
+      res.end(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'stub-session' });
+    res.end(JSON.stringify(response));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/mcp`,
+        close: () => new Promise(done => {
+          for (const stream of streams) stream.end();
+          server.closeAllConnections && server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  runStdio();
+}
+
+module.exports = { startHttpServer };
@@ -0,0 +1,183 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const claudeCli = require('../../src/lib/claude-cli');
+const cache = require('../../src/lib/cache');
+const { complete } = require('../../src/lib/completion');
+
+const STUB_DIR = path.join(__dirname, '..', 'fixtures', 'bin');
+const CLI_PATH = path.join(__dirname, '..', '..', 'src', 'ccmcp.js');
+
+// The stub is a POSIX script; Windows would need a .cmd shim
+describe('claude CLI wrapper (stub claude)', { skip: process.platform === 'win32' }, () => {
+  let tmpDir;
+  let stateFile;
+  let logFile;
+  const previousEnv = {};
+
+  function setState(servers) {
+    fs.writeFileSync(stateFile, JSON.stringify({ servers }));
+  }
+
+  function readState() {
+    return JSON.parse(fs.readFileSync(stateFile, 'utf8')).servers;
+  }
+
+  function loggedArgv() {
+    return fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-stub-'));
+    stateFile = path.join(tmpDir, 'state.json');
+    logFile = path.join(tmpDir, 'argv.log');
+    for (const key of ['PATH', 'CCMCP_CLAUDE_BIN', 'CCMCP_TIMEOUT', 'CCMCP_HOME', 'CLAUDE_STUB_STATE', 'CLAUDE_STUB_LOG', 'CLAUDE_STUB_SLEEP', 'CCMCP_CACHE_TTL', 'CCMCP_CONCURRENCY']) {
+      previousEnv[key] = process.env[key];
+    }
+    process.env.PATH = `${STUB_DIR}${path.delimiter}${process.env.PATH}`;
+    process.env.CCMCP_HOME = path.join(tmpDir, 'state');
+    process.env.CLAUDE_STUB_STATE = stateFile;
+    process.env.CLAUDE_STUB_LOG = logFile;
+    delete process.env.CCMCP_CLAUDE_BIN;
+    delete process.env.CCMCP_TIMEOUT;
+    // The stub state changes between calls; the cache has its own test
+    process.env.CCMCP_CACHE_TTL = '0';
+  });
+
+  after(() => {
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    setState({});
+    fs.rmSync(logFile, { force: true });
+    delete process.env.CLAUDE_STUB_SLEEP;
+  });
+
+  it('should find claude on PATH', async () => {
+    setState({ github: { scope: 'user', type: 'stdio', command: 'npx', args: ['gh-mcp'] } });
+    const result = await claudeCli.listServers();
+    assert.ok(result.ok);
+    assert.deepStrictEqual(result.servers.map(s => s.name), ['github']);
+  });
+
+  it('should pass args with spaces, quotes and $ through unchanged', async () => {
+    const tricky = ['--dir', '/Users/me/My Projects', 'it\'s "quoted"', '$HOME', '`whoami`', 'a;b|c&&d', ''];
+    const result = await claudeCli.addServer({
+      name: 'weird name',
+      transport: 'stdio',
+      commandOrUrl: 'node',
+      args: tricky,
+      env: ['GREETING=hello world', 'PRICE=$5'],
+      scope: 'user'
+    });
+    assert.ok(result.ok, result.error);
+
+    const [argv] = loggedArgv();
+    assert.deepStrictEqual(argv, [
+      'mcp', 'add', '-s', 'user', '-t', 'stdio',
+      '-e', 'GREETING=hello world', '-e', 'PRICE=$5',
+      'weird name', 'node', '--', ...tricky
+    ]);
+    assert.deepStrictEqual(readState()['weird name'].args, tricky);
+  });
+
+  it('should pass scope to remove as separate arguments', async () => {
+    setState({ 'my server': { scope: 'project', type: 'stdio', command: 'npx' } });
+    assert.ok((await claudeCli.removeServer('my server', 'project')).ok);
+    assert.deepStrictEqual(loggedArgv()[0], ['mcp', 'remove', 'my server', '-s', 'project']);
+  });
+
+  it('should keep spaces in environment values from claude mcp get', async () => {
+    setState({ github: { scope: 'local', type: 'stdio', command: 'npx', env: ['TOKEN=abc def', 'EMPTY='] } });
+    const result = await claudeCli.getServer('github');
+    assert.ok(result.ok);
+    assert.strictEqual(result.server.scope, 'local');
+    assert.deepStrictEqual(result.server.env, ['TOKEN=abc def', 'EMPTY=']);
+  });
+
+  it('should report stderr when claude fails', async () => {
+    const result = await claudeCli.getServer('missing');
+    assert.strictEqual(result.ok, false);
+    assert.ok(result.error.includes('No MCP server found'));
+  });
+
+  it('should use CCMCP_CLAUDE_BIN', async () => {
+    process.env.CCMCP_CLAUDE_BIN = path.join(tmpDir, 'does-not-exist');
+    try {
+      const result = await claudeCli.listServers();
+      assert.strictEqual(result.ok, false);
+      assert.ok(result.error.includes('claude binary not found'));
+    } finally {
+      delete process.env.CCMCP_CLAUDE_BIN;
+    }
+  });
+
+  it('should time out slow calls', async () => {
+    process.env.CLAUDE_STUB_SLEEP = '2000';
+    process.env.CCMCP_TIMEOUT = '200';
+    try {
+      const result = await claudeCli.listServers();
+      assert.strictEqual(result.ok, false);
+      assert.ok(result.error.includes('timed out after 200ms'));
+    } finally {
+      delete process.env.CCMCP_TIMEOUT;
+    }
+  });
+
+  it('should round-trip a server through the CLI with the cli backend', async () => {
+    setState({ 'fs server': { scope: 'project', type: 'stdio', command: 'npx', args: ['fs-mcp'], env: ['ROOT=/tmp/my dir'] } });
+    const run = args => execSync(`node "${CLI_PATH}" ${args} --backend cli --json`, { encoding: 'utf8', env: process.env });
+
+    assert.strictEqual(JSON.parse(run('disable "fs server"')).scope, 'project');
+    assert.deepStrictEqual(readState(), {});
+
+    assert.ok(JSON.parse(run('enable "fs server"')).ok);
+    const server = readState()['fs server'];
+    assert.strictEqual(server.scope, 'project');
+    assert.deepStrictEqual(server.env, ['ROOT=/tmp/my dir']);
+  });
+
+  it('should reuse a recent listing and forget it after a change', async () => {
+    process.env.CCMCP_CACHE_TTL = '60000';
+    try {
+      setState({ github: { scope: 'user', type: 'stdio', command: 'npx', env: ['TOKEN=ghp_secret'] } });
+      assert.deepStrictEqual((await claudeCli.listServers()).servers.map(s => s.name), ['github']);
+      assert.deepStrictEqual((await claudeCli.listServers()).servers.map(s => s.name), ['github']);
+      assert.deepStrictEqual((await claudeCli.getServer('github')).server.env, ['TOKEN=ghp_secret']);
+      assert.deepStrictEqual((await claudeCli.getServer('github')).server.env, ['TOKEN=ghp_secret']);
+      assert.deepStrictEqual(loggedArgv().map(argv => argv[1]), ['list', 'get']);
+      assert.ok(!fs.readFileSync(path.join(tmpDir, 'state', 'cache.json'), 'utf8').includes('ghp_secret'));
+
+      assert.ok((await claudeCli.removeServer('github', 'user')).ok);
+      assert.deepStrictEqual((await claudeCli.listServers()).servers, []);
+    } finally {
+      process.env.CCMCP_CACHE_TTL = '0';
+    }
+  });
+
+  it('should complete active names from the cached listing without running claude', async () => {
+    const previousConfigDir = process.env.CLAUDE_CONFIG_DIR;
+    process.env.CCMCP_CACHE_TTL = '60000';
+    // No readable ~/.claude.json: completion has to rely on claude
+    process.env.CLAUDE_CONFIG_DIR = path.join(tmpDir, 'no-config');
+    try {
+      setState({ github: { scope: 'user', type: 'stdio', command: 'npx' } });
+      cache.clear();
+      await claudeCli.listServers();
+      assert.deepStrictEqual(await complete(['disable'], ''), ['github']);
+      assert.deepStrictEqual(loggedArgv(), [['mcp', 'list']]);
+    } finally {
+      process.env.CCMCP_CACHE_TTL = '0';
+      if (previousConfigDir === undefined) delete process.env.CLAUDE_CONFIG_DIR;
+      else process.env.CLAUDE_CONFIG_DIR = previousConfigDir;
+    }
+  });
+});
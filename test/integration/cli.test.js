@@ -1,19 +1,30 @@
-const { describe, it } = require('node:test');
+const { describe, it, after } = require('node:test');
 const assert = require('node:assert');
-const { execSync } = require('child_process');
+const { execSync, spawnSync } = require('child_process');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
 
 const CLI_PATH = path.join(__dirname, '..', '..', 'src', 'ccmcp.js');
+// Tests that do not set their own CCMCP_HOME still must not write the stash,
+// history or cache into the home directory of whoever runs them
+const DEFAULT_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-home-'));
+
+after(() => {
+  fs.rmSync(DEFAULT_HOME, { recursive: true, force: true });
+});
 
 function runCLI(args, options = {}) {
-  const env = { ...process.env, NO_COLOR: '1', ...options.env };
+  const { env: extraEnv, ...rest } = options;
+  const env = { ...process.env, NO_COLOR: '1', CCMCP_HOME: DEFAULT_HOME, ...extraEnv };
   const cmd = `node "${CLI_PATH}" ${args}`;
 
   try {
     const result = execSync(cmd, {
       encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
       env,
-      ...options
+      ...rest
     });
     return { stdout: result, stderr: '', exitCode: 0 };
   } catch (error) {
@@ -31,6 +42,7 @@ describe('CLI Integration', () => {
       const result = runCLI('--help');
       assert.strictEqual(result.exitCode, 0);
       assert.ok(result.stdout.includes('Usage:'));
+      assert.ok(result.stdout.includes('3 stash storage error (locked, corrupt or newer schema)'));
     });
   });
 
@@ -72,10 +84,861 @@ describe('CLI Integration', () => {
       assert.ok(result.stderr.includes('identifier') || result.stdout.includes('identifier'));
     });
 
+    it('should refuse to run the picker without a TTY', () => {
+      const result = runCLI('pick');
+      assert.strictEqual(result.exitCode, 4);
+      assert.ok(result.stderr.includes('TTY'));
+    });
+
     it('should error when disable command missing identifier', () => {
       const result = runCLI('disable');
       assert.strictEqual(result.exitCode, 4);
       assert.ok(result.stderr.includes('identifier') || result.stdout.includes('identifier'));
     });
+
+    it('should reject an unknown option with a suggestion', () => {
+      let result = runCLI('disable playwright --dryrun');
+      assert.strictEqual(result.exitCode, 4);
+      assert.match(result.stderr, /Unknown option "--dryrun" for disable \(did you mean --dry-run\?\)/);
+      assert.match(result.stderr, /ccmcp disable --help/);
+
+      result = runCLI('list --json=yes --json');
+      assert.strictEqual(result.exitCode, 4);
+      assert.strictEqual(JSON.parse(result.stdout).error, '--json does not take a value');
+    });
+
+    it('should print the options of one command', () => {
+      const result = runCLI('disable --help');
+      assert.strictEqual(result.exitCode, 0);
+      assert.match(result.stdout, /ccmcp disable <name\|glob>\.\.\. \| --all \[options\]/);
+      assert.match(result.stdout, /-n, --dry-run/);
+      assert.match(result.stdout, /--for <duration>/);
+      assert.ok(!result.stdout.includes('--on-conflict'));
+    });
+
+    it('should exit with 3 when the stash was written by a newer version', () => {
+      const home = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+      fs.writeFileSync(path.join(home, 'disabled-servers.json'), JSON.stringify({ schemaVersion: 99, servers: {} }));
+      try {
+        const result = runCLI('list --status disabled', { env: { CCMCP_HOME: home } });
+        assert.strictEqual(result.exitCode, 3);
+        assert.match(result.stderr, /schema version 99/);
+      } finally {
+        fs.rmSync(home, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('profile command', () => {
+    const ccmcpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+    const env = { CCMCP_HOME: ccmcpHome };
+
+    after(() => {
+      fs.rmSync(ccmcpHome, { recursive: true, force: true });
+    });
+
+    it('should list no profiles on a fresh install', () => {
+      const result = runCLI('profile list --json', { env });
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(JSON.parse(result.stdout), []);
+    });
+
+    it('should exit 2 for an unknown profile', () => {
+      const result = runCLI('profile apply nope --json', { env });
+      assert.strictEqual(result.exitCode, 2);
+      assert.strictEqual(JSON.parse(result.stdout).ok, false);
+    });
+
+    it('should reject invalid profile names', () => {
+      const result = runCLI('profile save ../evil', { env });
+      assert.strictEqual(result.exitCode, 4);
+      assert.ok(result.stderr.includes('Invalid profile name'));
+    });
+
+    it('should error on unknown profile subcommands', () => {
+      const result = runCLI('profile rename x', { env });
+      assert.strictEqual(result.exitCode, 4);
+      assert.ok(result.stderr.includes('Unknown profile command'));
+    });
+  });
+
+  describe('scopes', () => {
+    const ccmcpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+    const env = { CCMCP_HOME: ccmcpHome };
+
+    fs.writeFileSync(path.join(ccmcpHome, 'disabled-servers.json'), JSON.stringify({
+      'user:github': { name: 'github', scope: 'user', transport: 'stdio', command: 'npx' },
+      'project:github': { name: 'github', scope: 'project', transport: 'stdio', command: 'docker' },
+      'project:playwright': { name: 'playwright', scope: 'project', transport: 'stdio', command: 'npx' }
+    }));
+
+    after(() => {
+      fs.rmSync(ccmcpHome, { recursive: true, force: true });
+    });
+
+    it('should reject an invalid --scope', () => {
+      const result = runCLI('enable github --scope global', { env });
+      assert.strictEqual(result.exitCode, 4);
+      assert.ok(result.stderr.includes('Invalid --scope "global" (expected user, local, project)'));
+    });
+
+    it('should re-enable into the original scope', () => {
+      const result = runCLI('enable playwright --dry-run --json', { env });
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(JSON.parse(result.stdout).scope, 'project');
+    });
+
+    it('should enable into the scope given with --scope', () => {
+      const result = runCLI('enable playwright --scope local --dry-run --json', { env });
+      assert.strictEqual(JSON.parse(result.stdout).scope, 'local');
+    });
+
+    it('should refuse to guess when a name is stashed in several scopes', () => {
+      const result = runCLI('enable github --dry-run --json', { env });
+      assert.strictEqual(result.exitCode, 4);
+      assert.ok(JSON.parse(result.stdout).error.includes('--scope'));
+    });
+
+    it('should pick the stashed entry matching --scope', () => {
+      const result = runCLI('enable github --scope=project --dry-run --json', { env });
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(JSON.parse(result.stdout).scope, 'project');
+    });
+  });
+
+  describe('file backend', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+    const configPath = path.join(tmpDir, '.claude.json');
+    const options = {
+      cwd: tmpDir,
+      env: { CCMCP_HOME: path.join(tmpDir, 'state'), CLAUDE_CONFIG_DIR: tmpDir, CCMCP_BACKEND: 'file' }
+    };
+
+    fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'config-object.json'), configPath);
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should reject unknown backends', () => {
+      let result = runCLI('list --backend nope', options);
+      assert.strictEqual(result.exitCode, 4);
+      assert.ok(result.stderr.includes('Invalid --backend "nope" (expected auto, cli, file)'));
+
+      result = runCLI('list', { ...options, env: { ...options.env, CCMCP_BACKEND: 'nope' } });
+      assert.strictEqual(result.exitCode, 4);
+      assert.ok(result.stderr.includes('Unknown backend'));
+    });
+
+    it('should list servers from the config file', () => {
+      const result = runCLI('list --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      const names = JSON.parse(result.stdout).map(s => s.name);
+      assert.deepStrictEqual(names, ['github', 'slack']);
+    });
+
+    it('should show scope and args with --details', () => {
+      const github = JSON.parse(runCLI('list --details --json', options).stdout).find(s => s.name === 'github');
+      assert.strictEqual(github.scope, 'user');
+      assert.deepStrictEqual(github.args, ['-y', '@anthropic-ai/mcp-server-github']);
+      assert.ok(runCLI('list --details', options).stdout.includes('│ ENV '));
+    });
+
+    it('should print completion scripts and complete server names', () => {
+      const result = runCLI('completion bash', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.match(result.stdout, /^# ccmcp completion for bash/);
+      assert.strictEqual(runCLI('completion tcsh', options).exitCode, 4);
+
+      assert.strictEqual(runCLI('__complete --current=gi -- disable', options).stdout, 'github\n');
+      assert.strictEqual(runCLI('__complete --current=--wi -- list', options).stdout, '--wide\n');
+    });
+
+    it('should fit the list table to the terminal unless --wide is given', () => {
+      const narrow = { ...options, env: { ...options.env, COLUMNS: '60' } };
+      const lines = runCLI('list', narrow).stdout.split('\n').filter(line => /^[┌│└]/.test(line));
+      assert.ok(lines.every(line => line.length <= 60));
+      assert.ok(lines.some(line => line.includes('…')));
+      assert.match(runCLI('list --wide', narrow).stdout, /npx -y @anthropic-ai\/mcp-server-github/);
+    });
+
+    it('should filter, sort and print the chosen fields in other formats', () => {
+      let result = runCLI('list --sort name --fields name,transport,args --format csv', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(result.stdout, 'name,transport,args\ngithub,stdio,-y @anthropic-ai/mcp-server-github\nslack,stdio,-y @anthropic-ai/mcp-server-slack\n');
+
+      result = runCLI('list --transport stdio --status enabled --format ndjson --fields name,status', options);
+      assert.strictEqual(result.stdout, '{"name":"github","status":"enabled"}\n{"name":"slack","status":"enabled"}\n');
+      assert.strictEqual(runCLI('list --transport sse --format ndjson', options).stdout, '');
+
+      assert.strictEqual(runCLI('list --status disabled --format json', options).stdout.trim(), '[]');
+      assert.match(runCLI('list --format markdown', options).stdout, /^\| STATUS \| NAME \|/);
+      assert.strictEqual(runCLI('list --format xml', options).exitCode, 4);
+      assert.strictEqual(runCLI('list --sort size --json', options).exitCode, 4);
+    });
+
+    it('should disable and re-enable a server', () => {
+      let result = runCLI('disable slack --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.ok(!('slack' in JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers));
+
+      result = runCLI('list --json', options);
+      const slack = JSON.parse(result.stdout).find(s => s.name === 'slack');
+      assert.strictEqual(slack.status, 'disabled');
+      assert.strictEqual(slack.scope, 'user');
+
+      result = runCLI('enable slack --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      const entry = JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers.slack;
+      assert.deepStrictEqual(entry.args, ['-y', '@anthropic-ai/mcp-server-slack']);
+    });
+
+    it('should refuse to apply a profile whose server is stashed in several scopes', () => {
+      assert.strictEqual(runCLI('stash add twice npx --scope user', options).exitCode, 0);
+      assert.strictEqual(runCLI('stash add twice npx --scope project', options).exitCode, 0);
+      fs.writeFileSync(path.join(tmpDir, 'state', 'profiles.json'), JSON.stringify({
+        both: { enabled: ['github', 'slack', 'twice'], disabled: [], savedAt: new Date().toISOString() }
+      }));
+
+      const result = runCLI('profile apply both --json', options);
+      assert.strictEqual(result.exitCode, 4);
+      assert.match(JSON.parse(result.stdout).error, /"twice" is disabled in several scopes \(user, project\)/);
+      assert.strictEqual(JSON.parse(runCLI('list --status disabled --json', options).stdout).length, 2);
+    });
+
+    it('should only enable a local server in the project it was disabled from', () => {
+      const projectA = fs.realpathSync(fs.mkdtempSync(path.join(tmpDir, 'a-')));
+      const projectB = fs.realpathSync(fs.mkdtempSync(path.join(tmpDir, 'b-')));
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      config.projects = { [projectA]: { mcpServers: { jira: { type: 'stdio', command: 'jira-mcp', args: [], env: {} } } } };
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      const inA = { ...options, cwd: projectA };
+      const inB = { ...options, cwd: projectB };
+
+      assert.strictEqual(runCLI('disable jira', inA).exitCode, 0);
+      const shown = JSON.parse(runCLI('show jira --json', inA).stdout);
+      assert.strictEqual(shown.stashed[0].project, projectA);
+      assert.ok(runCLI('list --details --status disabled', inA).stdout.includes(projectA));
+      assert.ok(!JSON.parse(runCLI('list --status disabled --json', inB).stdout).some(s => s.name === 'jira'));
+
+      const result = runCLI('enable jira', inB);
+      assert.strictEqual(result.exitCode, 2);
+      assert.ok(result.stderr.includes(`disabled in local scope of ${projectA}`));
+
+      assert.strictEqual(runCLI('enable jira', inA).exitCode, 0);
+      const projects = JSON.parse(fs.readFileSync(configPath, 'utf8')).projects;
+      assert.ok(projects[projectA].mcpServers.jira);
+      assert.ok(!projects[projectB]);
+    });
+  });
+
+  describe('batch operations', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+    const configPath = path.join(tmpDir, '.claude.json');
+    const options = {
+      cwd: tmpDir,
+      env: { CCMCP_HOME: path.join(tmpDir, 'state'), CLAUDE_CONFIG_DIR: tmpDir, CCMCP_BACKEND: 'file' }
+    };
+    const servers = () => Object.keys(JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers).sort();
+
+    fs.writeFileSync(configPath, JSON.stringify({
+      mcpServers: {
+        'playwright': { type: 'stdio', command: 'npx', args: ['@playwright/mcp'] },
+        'playwright-beta': { type: 'stdio', command: 'npx', args: ['@playwright/mcp@next'] },
+        'github': { type: 'stdio', command: 'npx', args: ['gh-mcp'] },
+        'slack': { type: 'sse', url: 'https://slack.example.com/sse' }
+      }
+    }));
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should disable names and globs in one call', () => {
+      const result = runCLI('disable "playwright*" github --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      const output = JSON.parse(result.stdout);
+      assert.deepStrictEqual(output.results.map(r => r.name), ['playwright', 'playwright-beta', 'github']);
+      assert.deepStrictEqual(servers(), ['slack']);
+    });
+
+    it('should fail without changes when a name does not match', () => {
+      const result = runCLI('enable github nope --json', options);
+      assert.strictEqual(result.exitCode, 2);
+      assert.deepStrictEqual(servers(), ['slack']);
+    });
+
+    it('should roll back when a step fails', () => {
+      // Re-adding "github" fails because an active entry with that name exists
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      config.mcpServers.github = { type: 'stdio', command: 'other' };
+      fs.writeFileSync(configPath, JSON.stringify(config));
+
+      const result = runCLI('enable playwright github --json', options);
+      assert.strictEqual(result.exitCode, 4);
+      const output = JSON.parse(result.stdout);
+      assert.strictEqual(output.rolledBack, true);
+      assert.strictEqual(output.results[0].rolledBack, true);
+      assert.deepStrictEqual(servers(), ['github', 'slack']);
+
+      const list = JSON.parse(runCLI('list --json', options).stdout);
+      assert.strictEqual(list.find(s => s.name === 'playwright').status, 'disabled');
+    });
+
+    it('should enable everything with --all', () => {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      delete config.mcpServers.github;
+      fs.writeFileSync(configPath, JSON.stringify(config));
+
+      const result = runCLI('enable --all --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(JSON.parse(result.stdout).results.length, 3);
+      assert.deepStrictEqual(servers(), ['github', 'playwright', 'playwright-beta', 'slack']);
+    });
+
+    it('should leave no pending operations behind', () => {
+      const result = runCLI('recover --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(JSON.parse(result.stdout).results, []);
+    });
+
+    it('should reject --all combined with names', () => {
+      const result = runCLI('disable --all github', options);
+      assert.strictEqual(result.exitCode, 4);
+    });
+
+    it('should accept another case or a unique prefix but not a typo', () => {
+      let result = runCLI('disable GITHUB sl --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(JSON.parse(result.stdout).results.map(r => r.name), ['github', 'slack']);
+
+      result = runCLI('enable githb', options);
+      assert.strictEqual(result.exitCode, 2);
+      assert.match(result.stderr, /Did you mean/);
+      assert.match(result.stdout, /github/);
+
+      result = runCLI('disable play --json', options);
+      assert.strictEqual(result.exitCode, 4);
+      assert.deepStrictEqual(JSON.parse(result.stdout).candidates.map(c => c.name).sort(), ['playwright', 'playwright-beta']);
+
+      assert.strictEqual(runCLI('enable Github --exact', options).exitCode, 2);
+      assert.strictEqual(runCLI('enable Github sla', options).exitCode, 0);
+      assert.deepStrictEqual(servers(), ['github', 'playwright', 'playwright-beta', 'slack']);
+    });
+  });
+
+  describe('export and import', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+    const configPath = path.join(tmpDir, '.claude.json');
+    const exportPath = path.join(tmpDir, 'servers.json');
+    const options = {
+      cwd: tmpDir,
+      env: { CCMCP_HOME: path.join(tmpDir, 'state'), CLAUDE_CONFIG_DIR: tmpDir, CCMCP_BACKEND: 'file' }
+    };
+    const servers = () => JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers;
+
+    fs.writeFileSync(configPath, JSON.stringify({
+      mcpServers: {
+        github: { type: 'stdio', command: 'npx', args: ['gh-mcp'], env: { TOKEN: 'a=b' } },
+        slack: { type: 'sse', url: 'https://slack.example.com/sse' }
+      }
+    }));
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should export active and disabled servers', () => {
+      runCLI('disable slack', options);
+      const result = runCLI('export --show-secrets', options);
+      assert.strictEqual(result.exitCode, 0);
+      fs.writeFileSync(exportPath, result.stdout);
+
+      const doc = JSON.parse(result.stdout);
+      assert.strictEqual(doc.format, 'claude-mcp-switch/servers');
+      const github = doc.servers.find(s => s.name === 'github');
+      assert.strictEqual(github.status, 'enabled');
+      assert.deepStrictEqual(github.env, { TOKEN: 'a=b' });
+      assert.strictEqual(doc.servers.find(s => s.name === 'slack').status, 'disabled');
+    });
+
+    it('should mask secrets unless --show-secrets is given', () => {
+      const result = runCLI('export github', options);
+      const [github] = JSON.parse(result.stdout).servers;
+      assert.deepStrictEqual(github.env, { TOKEN: '****' });
+
+      const maskedPath = path.join(tmpDir, 'masked.json');
+      fs.writeFileSync(maskedPath, result.stdout);
+      assert.strictEqual(runCLI(`import "${maskedPath}" --on-conflict rename`, options).exitCode, 4);
+
+      const list = JSON.parse(runCLI('list --json', options).stdout);
+      assert.ok(!JSON.stringify(list).includes('a=b'));
+    });
+
+    it('should export only the named servers', () => {
+      const result = runCLI('export github', options);
+      assert.deepStrictEqual(JSON.parse(result.stdout).servers.map(s => s.name), ['github']);
+      assert.strictEqual(runCLI('export nope', options).exitCode, 2);
+    });
+
+    it('should skip conflicting names by default', () => {
+      const result = runCLI(`import "${exportPath}" --json`, options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(JSON.parse(result.stdout).results.map(r => r.resolution), ['skip', 'skip']);
+    });
+
+    it('should rename on conflict', () => {
+      const result = runCLI(`import "${exportPath}" --on-conflict rename --json`, options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(servers()['github-2'].env, { TOKEN: 'a=b' });
+
+      const list = JSON.parse(runCLI('list --json', options).stdout);
+      assert.strictEqual(list.find(s => s.name === 'slack-2').status, 'disabled');
+    });
+
+    it('should import everything into the stash with --stash', () => {
+      fs.writeFileSync(configPath, JSON.stringify({ mcpServers: {} }));
+      const result = runCLI(`import "${exportPath}" --stash --scope local --json`, options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(servers(), {});
+
+      const list = JSON.parse(runCLI('list --json --scope local', options).stdout);
+      assert.deepStrictEqual(list.map(s => s.name).sort(), ['github', 'slack']);
+    });
+
+    it('should not change anything with --dry-run', () => {
+      const result = runCLI(`import "${exportPath}" --enable --dry-run --json`, options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(JSON.parse(result.stdout).dryRun, true);
+      assert.deepStrictEqual(servers(), {});
+    });
+
+    it('should reject invalid files', () => {
+      const badPath = path.join(tmpDir, 'bad.json');
+      fs.writeFileSync(badPath, JSON.stringify({ format: 'claude-mcp-switch/servers', version: 1, servers: [{ name: 'x' }] }));
+      const result = runCLI(`import "${badPath}" --json`, options);
+      assert.strictEqual(result.exitCode, 4);
+      assert.ok(JSON.parse(result.stdout).problems.some(p => p.includes('transport')));
+    });
+  });
+
+  describe('check command', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+    const stub = path.join(__dirname, '..', 'fixtures', 'mcp-server.js');
+    const options = {
+      cwd: tmpDir,
+      env: { CCMCP_HOME: path.join(tmpDir, 'state'), CLAUDE_CONFIG_DIR: tmpDir, CCMCP_BACKEND: 'file' }
+    };
+
+    fs.writeFileSync(path.join(tmpDir, '.claude.json'), JSON.stringify({
+      mcpServers: {
+        good: { type: 'stdio', command: process.execPath, args: [stub] },
+        broken: { type: 'stdio', command: process.execPath, args: [stub], env: { MCP_STUB_MODE: 'crash' } },
+        stashed: { type: 'stdio', command: process.execPath, args: [stub], env: { MCP_STUB_TOOLS: 'one' } }
+      }
+    }));
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should check active and stashed servers', () => {
+      runCLI('disable stashed', options);
+      const result = runCLI('check good stashed --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      const output = JSON.parse(result.stdout);
+      assert.deepStrictEqual(output.results.map(r => [r.name, r.status, r.ok]), [
+        ['good', 'enabled', true],
+        ['stashed', 'disabled', true]
+      ]);
+      assert.deepStrictEqual(output.results[1].tools, ['one']);
+    });
+
+    it('should exit with 1 when a server fails', () => {
+      const result = runCLI('check --json', options);
+      assert.strictEqual(result.exitCode, 1);
+      const broken = JSON.parse(result.stdout).results.find(r => r.name === 'broken');
+      assert.strictEqual(broken.ok, false);
+      assert.match(broken.error, /exited/);
+    });
+
+    it('should reject an invalid timeout', () => {
+      assert.strictEqual(runCLI('check good --timeout soon', options).exitCode, 4);
+    });
+  });
+
+  describe('doctor command', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+    const stateDir = path.join(tmpDir, 'state');
+    const options = {
+      cwd: tmpDir,
+      env: {
+        CCMCP_HOME: stateDir,
+        CLAUDE_CONFIG_DIR: tmpDir,
+        CCMCP_BACKEND: 'file',
+        CCMCP_CLAUDE_BIN: path.join(tmpDir, 'no-claude')
+      }
+    };
+
+    fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'config-object.json'), path.join(tmpDir, '.claude.json'));
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should pass with warnings only', () => {
+      const result = runCLI('doctor --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      const output = JSON.parse(result.stdout);
+      assert.strictEqual(output.ok, true);
+      assert.strictEqual(output.findings.find(f => f.check === 'claude').level, 'warning');
+    });
+
+    it('should fail on a corrupt stash until --fix repairs it', () => {
+      fs.mkdirSync(stateDir, { recursive: true });
+      fs.writeFileSync(path.join(stateDir, 'disabled-servers.json'), '{ nope');
+
+      let result = runCLI('doctor', options);
+      assert.strictEqual(result.exitCode, 1);
+      assert.match(result.stdout, /disabled-servers\.json is invalid/);
+      assert.match(result.stdout, /--fix/);
+
+      result = runCLI('doctor --fix --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.ok(JSON.parse(result.stdout).findings.some(f => f.fixed));
+      assert.ok(fs.readdirSync(stateDir).some(f => f.startsWith('disabled-servers.json.corrupt-')));
+    });
+
+    it('should warn on stderr when a corrupt stash is moved aside', () => {
+      fs.writeFileSync(path.join(stateDir, 'disabled-servers.json'), '{ nope');
+      // runCLI only captures stderr on failure
+      const result = spawnSync(process.execPath, [CLI_PATH, 'list', '--status', 'disabled', '--json'], {
+        encoding: 'utf8',
+        cwd: options.cwd,
+        env: { ...process.env, NO_COLOR: '1', CCMCP_HOME: DEFAULT_HOME, ...options.env }
+      });
+      assert.strictEqual(result.status, 0);
+      assert.deepStrictEqual(JSON.parse(result.stdout), []);
+      assert.match(result.stderr, /Warning: disabled-servers\.json is corrupt .*\n.*It was moved to .*disabled-servers\.json\.corrupt-/);
+    });
+  });
+
+  describe('temporary disable', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+    const configPath = path.join(tmpDir, '.claude.json');
+    const stashPath = path.join(tmpDir, 'state', 'disabled-servers.json');
+    const options = {
+      cwd: tmpDir,
+      env: { CCMCP_HOME: path.join(tmpDir, 'state'), CLAUDE_CONFIG_DIR: tmpDir, CCMCP_BACKEND: 'file' }
+    };
+
+    fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'config-object.json'), configPath);
+
+    function expireNow() {
+      const data = JSON.parse(fs.readFileSync(stashPath, 'utf8'));
+      for (const entry of Object.values(data.servers)) entry.expiresAt = '2000-01-01T00:00:00.000Z';
+      fs.writeFileSync(stashPath, JSON.stringify(data));
+    }
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should record the expiry and show the time remaining', () => {
+      const result = runCLI('disable slack --for 90m --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      const { expiresAt } = JSON.parse(result.stdout);
+      assert.ok(Math.abs(new Date(expiresAt) - Date.now() - 90 * 60 * 1000) < 60 * 1000);
+
+      const slack = JSON.parse(runCLI('list --json', options).stdout).find(s => s.name === 'slack');
+      assert.strictEqual(slack.expiresAt, expiresAt);
+      assert.ok(slack.disabledAt);
+      assert.match(runCLI('list', options).stdout, /EXPIRES IN[\s\S]*1h (30|29)m/);
+    });
+
+    it('should re-enable expired servers on the next run', () => {
+      expireNow();
+      const result = runCLI('list --json', options);
+      const slack = JSON.parse(result.stdout).find(s => s.name === 'slack');
+      assert.strictEqual(slack.status, 'enabled');
+      assert.ok('slack' in JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers);
+    });
+
+    it('should re-enable expired servers with expire', () => {
+      runCLI('disable github --until 23:59', options);
+      expireNow();
+      let result = runCLI('expire --dry-run --json', options);
+      assert.deepStrictEqual(JSON.parse(result.stdout).results.map(r => r.name), ['github']);
+
+      result = runCLI('expire', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.match(result.stdout, /Re-enabled "github"/);
+      assert.strictEqual(runCLI('expire', options).stdout, '');
+    });
+
+    it('should reject bad expiries', () => {
+      assert.strictEqual(runCLI('disable slack --for soon', options).exitCode, 4);
+      assert.strictEqual(runCLI('disable slack --for 1h --until 18:00', options).exitCode, 4);
+      assert.strictEqual(runCLI('enable slack --for 1h', options).exitCode, 4);
+    });
+  });
+
+  describe('sync command', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+    const repoDir = path.join(tmpDir, 'repo');
+    const options = {
+      cwd: path.join(repoDir, 'src'),
+      env: { CCMCP_HOME: path.join(tmpDir, 'state'), CLAUDE_CONFIG_DIR: tmpDir, CCMCP_BACKEND: 'file' }
+    };
+
+    fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'config-object.json'), path.join(tmpDir, '.claude.json'));
+    fs.mkdirSync(path.join(repoDir, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(repoDir, '.ccmcp.json'), JSON.stringify({ enabled: ['github'], disabled: ['slack'] }));
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should report drift with --check', () => {
+      const result = runCLI('sync --check', options);
+      assert.strictEqual(result.exitCode, 1);
+      assert.match(result.stdout, /wants "slack" disabled/);
+      assert.doesNotMatch(result.stdout, /MCP switcher/);
+    });
+
+    it('should apply the desired state', () => {
+      const result = runCLI('sync --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      const output = JSON.parse(result.stdout);
+      assert.deepStrictEqual(output.results.map(r => [r.name, r.action, r.ok]), [['slack', 'disable', true]]);
+      assert.deepStrictEqual(output.unchanged, ['github']);
+
+      const check = runCLI('sync --check', options);
+      assert.strictEqual(check.exitCode, 0);
+      assert.strictEqual(check.stdout, '');
+    });
+
+    it('should refuse a desired state with a misspelled key instead of reporting it in sync', () => {
+      const typoDir = path.join(tmpDir, 'typo');
+      fs.mkdirSync(typoDir);
+      fs.writeFileSync(path.join(typoDir, '.ccmcp.json'), JSON.stringify({ servers: ['github'] }));
+      const result = runCLI('sync --check', { ...options, cwd: typoDir });
+      assert.strictEqual(result.exitCode, 4);
+      assert.match(result.stderr, /unknown key "servers"/);
+    });
+
+    it('should stay quiet outside a repository with a desired state', () => {
+      const result = runCLI('sync --check', { ...options, cwd: tmpDir });
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(result.stdout, '');
+    });
+  });
+
+  describe('history and undo', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+    const configPath = path.join(tmpDir, '.claude.json');
+    const options = {
+      cwd: tmpDir,
+      env: { CCMCP_HOME: path.join(tmpDir, 'state'), CLAUDE_CONFIG_DIR: tmpDir, CCMCP_BACKEND: 'file' }
+    };
+    const status = () => Object.fromEntries(JSON.parse(runCLI('list --json', options).stdout).map(s => [s.name, s.status]));
+
+    fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'config-object.json'), configPath);
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should record enable and disable operations', () => {
+      runCLI('disable slack', options);
+      runCLI('disable --all', options);
+      const result = runCLI('history --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      const entries = JSON.parse(result.stdout).entries;
+      assert.deepStrictEqual(entries.map(e => e.command), ['disable --all', 'disable slack']);
+      assert.deepStrictEqual(entries[0].steps.map(s => [s.action, s.name, s.scope]), [['disable', 'github', 'user']]);
+      assert.match(runCLI('history --limit 1', options).stdout, /disable --all/);
+      assert.strictEqual(runCLI('history --limit 0', options).exitCode, 4);
+    });
+
+    it('should undo the last operations, a batch at a time', () => {
+      runCLI('enable --all', options);
+      assert.deepStrictEqual(status(), { github: 'enabled', slack: 'enabled' });
+
+      let result = runCLI('undo --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(JSON.parse(result.stdout).results[0].results.map(r => r.action), ['disable', 'disable']);
+      assert.deepStrictEqual(status(), { github: 'disabled', slack: 'disabled' });
+
+      result = runCLI('undo 2', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(status(), { github: 'enabled', slack: 'enabled' });
+      const entry = JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers.slack;
+      assert.deepStrictEqual(entry.args, ['-y', '@anthropic-ai/mcp-server-slack']);
+
+      assert.match(runCLI('undo', options).stdout, /Nothing to undo/);
+    });
+
+    it('should refuse to undo when the servers changed since', () => {
+      runCLI('disable slack', options);
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      config.mcpServers.slack = { type: 'stdio', command: 'other' };
+      fs.writeFileSync(configPath, JSON.stringify(config));
+
+      const result = runCLI('undo --json', options);
+      assert.strictEqual(result.exitCode, 4);
+      assert.match(JSON.parse(result.stdout).results[0].error, /"slack" is active again/);
+      assert.strictEqual(JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers.slack.command, 'other');
+    });
+  });
+
+  describe('stash command', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+    const options = {
+      cwd: tmpDir,
+      env: { CCMCP_HOME: path.join(tmpDir, 'state'), CLAUDE_CONFIG_DIR: tmpDir, CCMCP_BACKEND: 'file' }
+    };
+    const stashed = name => JSON.parse(runCLI('list --json --show-secrets', options).stdout).find(s => s.name === name);
+
+    fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'config-object.json'), path.join(tmpDir, '.claude.json'));
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should add, change and rename a disabled server', () => {
+      let result = runCLI('stash add jira https://jira.example.com/mcp --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(JSON.parse(result.stdout).config.transport, 'http');
+
+      result = runCLI('stash set jira --url https://jira2.example.com/mcp', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.match(result.stdout, /Updated stashed server "jira"/);
+      assert.strictEqual(stashed('jira').url, 'https://jira2.example.com/mcp');
+
+      assert.strictEqual(runCLI('stash rename jira jira-cloud', options).exitCode, 0);
+      assert.strictEqual(stashed('jira'), undefined);
+      assert.strictEqual(stashed('jira-cloud').status, 'disabled');
+    });
+
+    it('should reject invalid changes and taken names', () => {
+      let result = runCLI('stash set jira-cloud --arg x --json', options);
+      assert.strictEqual(result.exitCode, 4);
+      assert.deepStrictEqual(JSON.parse(result.stdout).problems, ['--arg only applies to stdio servers']);
+
+      result = runCLI('stash rename jira-cloud github', options);
+      assert.strictEqual(result.exitCode, 4);
+      assert.match(result.stderr, /already active in user scope/);
+
+      assert.strictEqual(runCLI('stash set nope --url https://x', options).exitCode, 2);
+      assert.strictEqual(runCLI('stash frobnicate', options).exitCode, 4);
+    });
+
+    it('should take server arguments that start with "-" after --', () => {
+      let result = runCLI('stash add fetch npx -y mcp-fetch', options);
+      assert.strictEqual(result.exitCode, 4);
+      assert.match(result.stderr, /Unknown option "-y" for stash/);
+
+      result = runCLI('stash add fetch npx --env KEY=value -- -y mcp-fetch', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(stashed('fetch').args, ['-y', 'mcp-fetch']);
+    });
+
+    it('should show one server with its stashed copy and the differences', () => {
+      let result = runCLI('show jira-cloud', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.match(result.stdout, /jira-cloud disabled/);
+      assert.match(result.stdout, /Stashed copy \(disabled from user scope\)/);
+
+      runCLI('disable github', options);
+      fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'config-object.json'), path.join(tmpDir, '.claude.json'));
+      runCLI('stash set github --arg other', options);
+      result = runCLI('show github --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      const shown = JSON.parse(result.stdout);
+      assert.strictEqual(shown.status, 'enabled');
+      assert.deepStrictEqual(shown.stashed[0].diff, [{ field: 'args', live: '-y @anthropic-ai/mcp-server-github', stashed: 'other' }]);
+      assert.match(runCLI('show github', options).stdout, /Differences between the live server and the stashed copy/);
+
+      assert.strictEqual(runCLI('show nope', options).exitCode, 2);
+    });
+
+    it('should save a server edited in $EDITOR', { skip: process.platform === 'win32' }, () => {
+      const edit = script => ({ ...options, env: { ...options.env, VISUAL: '', EDITOR: script } });
+
+      let result = runCLI('stash edit jira-cloud', edit('sed -i.bak "s/jira2.example/jira3.example/"'));
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(stashed('jira-cloud').url, 'https://jira3.example.com/mcp');
+
+      result = runCLI('stash edit jira-cloud', edit('sed -i.bak "s/\\"http\\"/\\"stdio\\"/"'));
+      assert.strictEqual(result.exitCode, 4);
+      assert.match(result.stderr, /command is required for stdio servers/);
+      assert.strictEqual(stashed('jira-cloud').transport, 'http');
+
+      result = runCLI('stash edit jira-cloud', edit('true'));
+      assert.match(result.stdout, /No changes/);
+    });
+  });
+
+  describe('config command', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-cli-'));
+    const options = {
+      cwd: tmpDir,
+      env: { CCMCP_HOME: path.join(tmpDir, 'state'), CLAUDE_CONFIG_DIR: tmpDir, CCMCP_BACKEND: 'file' }
+    };
+
+    fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'config-object.json'), path.join(tmpDir, '.claude.json'));
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should set, get, list and unset settings', () => {
+      let result = runCLI('config set timeout 30000', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.match(result.stdout, /Set timeout to 30000/);
+      assert.strictEqual(runCLI('config get timeout', options).stdout, '30000\n');
+
+      result = runCLI('config list --json', { ...options, env: { ...options.env, CCMCP_TIMEOUT: '500' } });
+      const timeout = JSON.parse(result.stdout).settings.find(entry => entry.key === 'timeout');
+      assert.deepStrictEqual([timeout.value, timeout.source], [500, 'env']);
+
+      result = runCLI('config set timout 1', options);
+      assert.strictEqual(result.exitCode, 4);
+      assert.match(result.stderr, /did you mean timeout\?/);
+      assert.strictEqual(runCLI('config set timeout soon', options).exitCode, 4);
+
+      assert.match(runCLI('config unset timeout', options).stdout, /Removed timeout/);
+      assert.strictEqual(runCLI('config get timeout', options).stdout, '60000\n');
+    });
+
+    it('should apply the banner and format settings', () => {
+      runCLI('config set banner false', options);
+      assert.doesNotMatch(runCLI('list', options).stdout, /Claude Code MCP switcher/);
+
+      runCLI('config set format csv', options);
+      let result = runCLI('list', options);
+      assert.match(result.stdout, /^status,name,scope,transport,commandOrUrl\n/);
+      result = runCLI('list --format table', options);
+      assert.match(result.stdout, /│ STATUS/);
+      runCLI('config unset format', options);
+    });
+
+    it('should ask before a bulk disable and need --yes without a terminal', () => {
+      runCLI('config set confirm bulk', options);
+      let result = runCLI('disable --all', options);
+      assert.strictEqual(result.exitCode, 4);
+      assert.match(result.stderr, /without a terminal \(confirm setting: bulk\); add --yes/);
+      assert.strictEqual(runCLI('disable --all --dry-run', options).exitCode, 0);
+
+      result = runCLI('disable --all -y --json', options);
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(JSON.parse(result.stdout).results.length, 2);
+
+      // One server needs no confirmation with "bulk"; enableScope moves it
+      result = runCLI('enable github --json', { ...options, env: { ...options.env, CCMCP_ENABLE_SCOPE: 'project' } });
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(JSON.parse(result.stdout).scope, 'project');
+    });
   });
 });
@@ -0,0 +1,155 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ccmcp = require('../../src/index');
+const history = require('../../src/lib/history');
+const backend = require('../../src/lib/backend');
+const storage = require('../../src/lib/storage');
+
+describe('programmatic API', () => {
+  let tmpDir;
+  const previousEnv = {};
+
+  function setLive(mcpServers) {
+    fs.writeFileSync(path.join(tmpDir, '.claude.json'), JSON.stringify({ mcpServers }));
+  }
+
+  function liveNames() {
+    return Object.keys(JSON.parse(fs.readFileSync(path.join(tmpDir, '.claude.json'), 'utf8')).mcpServers);
+  }
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-api-'));
+    for (const key of ['CCMCP_HOME', 'CLAUDE_CONFIG_DIR']) previousEnv[key] = process.env[key];
+    process.env.CLAUDE_CONFIG_DIR = tmpDir;
+    ccmcp.useBackend('file');
+  });
+
+  after(() => {
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    process.env.CCMCP_HOME = fs.mkdtempSync(path.join(tmpDir, 'state-'));
+    setLive({
+      github: { type: 'stdio', command: 'npx', args: ['gh-mcp'], env: { GITHUB_TOKEN: 'ghp_secret' } },
+      slack: { type: 'http', url: 'https://slack.example.com/mcp' }
+    });
+  });
+
+  it('should disable and enable servers and return the results', async () => {
+    const disabled = await ccmcp.disable(['github', 'slack']);
+    assert.strictEqual(disabled.action, 'disable');
+    assert.deepStrictEqual(disabled.results.map(r => [r.name, r.scope, r.ok]), [['github', 'user', true], ['slack', 'user', true]]);
+    assert.deepStrictEqual(liveNames(), []);
+    assert.deepStrictEqual((await ccmcp.stash.list()).map(d => d.name).sort(), ['github', 'slack']);
+
+    const enabled = await ccmcp.enable('github');
+    assert.deepStrictEqual(enabled.results.map(r => r.name), ['github']);
+    assert.deepStrictEqual(liveNames(), ['github']);
+    assert.strictEqual(history.listHistory()[0].command, 'enable github');
+  });
+
+  it('should restore the stash entry a disable replaced when the batch rolls back', async () => {
+    storage.storeDisabledServer('github', { scope: 'user', transport: 'stdio', command: 'old-gh-mcp' });
+    const removeServer = backend.removeServer;
+    backend.removeServer = async (name, scope) => (name === 'slack' ? { ok: false, error: 'remove failed' } : removeServer(name, scope));
+    try {
+      await assert.rejects(ccmcp.disable(['github', 'slack']), error => {
+        assert.strictEqual(error.code, 'OPERATION_FAILED');
+        assert.strictEqual(error.rolledBack, true);
+        return true;
+      });
+    } finally {
+      backend.removeServer = removeServer;
+    }
+    assert.deepStrictEqual(liveNames().sort(), ['github', 'slack']);
+    assert.strictEqual(storage.getDisabledServer('github', 'user').command, 'old-gh-mcp');
+  });
+
+  it('should list servers with their status and masked secrets', async () => {
+    await ccmcp.disable('slack');
+    const servers = await ccmcp.list();
+    assert.deepStrictEqual(servers.map(s => [s.name, s.status]), [['github', 'enabled'], ['slack', 'disabled']]);
+
+    const github = await ccmcp.getServer('github');
+    assert.strictEqual(github.status, 'enabled');
+    assert.strictEqual(github.scope, 'user');
+    assert.ok(!github.config.env.some(pair => pair.includes('ghp_secret')));
+    assert.deepStrictEqual((await ccmcp.getServer('github', { showSecrets: true })).config.env, ['GITHUB_TOKEN=ghp_secret']);
+    assert.strictEqual((await ccmcp.getServer('slack')).status, 'disabled');
+  });
+
+  it('should compare a live server with its stashed copy', async () => {
+    await ccmcp.disable('github');
+    setLive({
+      github: { type: 'stdio', command: 'npx', args: ['gh-mcp', '--v2'], env: { GITHUB_TOKEN: 'ghp_secret' } },
+      slack: { type: 'http', url: 'https://slack.example.com/mcp' }
+    });
+
+    const found = await ccmcp.inspect('github');
+    assert.strictEqual(found.status, 'enabled');
+    assert.strictEqual(found.stashed[0].scope, 'user');
+    assert.ok(found.stashed[0].disabledAt);
+    assert.deepStrictEqual(found.stashed[0].diff, [{ field: 'args', live: 'gh-mcp --v2', stashed: 'gh-mcp' }]);
+
+    assert.strictEqual((await ccmcp.inspect('slack')).stashed.length, 0);
+    await assert.rejects(ccmcp.inspect('nope'), ccmcp.NotFoundError);
+  });
+
+  it('should plan without changing anything on a dry run', async () => {
+    const result = await ccmcp.disable('*', { dryRun: true, for: '1h' });
+    assert.strictEqual(result.dryRun, true);
+    assert.ok(result.expiresAt);
+    assert.strictEqual(result.results.length, 2);
+    assert.deepStrictEqual(liveNames(), ['github', 'slack']);
+  });
+
+  it('should add, change and rename stashed servers', async () => {
+    const added = await ccmcp.stash.add({ name: 'jira', url: 'https://jira.example.com/mcp', transport: 'http', env: ['JIRA_TOKEN=old'] });
+    assert.strictEqual(added.scope, 'user');
+    assert.ok(added.config.disabledAt);
+
+    await ccmcp.stash.set('jira', { url: 'https://jira2.example.com/mcp', env: ['JIRA_TOKEN=new'] });
+    await ccmcp.stash.rename('jira', 'jira-cloud');
+    const entry = await ccmcp.stash.get('jira-cloud', { showSecrets: true });
+    assert.strictEqual(entry.config.url, 'https://jira2.example.com/mcp');
+    assert.deepStrictEqual(entry.config.env, ['JIRA_TOKEN=<encrypted>']);
+    assert.strictEqual(entry.config.disabledAt, added.config.disabledAt);
+
+    await assert.rejects(ccmcp.stash.get('jira', { exact: true }), { code: 'NOT_FOUND' });
+    assert.strictEqual((await ccmcp.stash.get('jira')).name, 'jira-cloud');
+    await assert.rejects(ccmcp.stash.add({ name: 'github', command: 'npx' }), ccmcp.ConflictError);
+    await assert.rejects(ccmcp.stash.rename('jira-cloud', 'github'), { code: 'CONFLICT' });
+    await assert.rejects(ccmcp.stash.set('jira-cloud', { transport: 'stdio' }), error => {
+      assert.ok(error instanceof ccmcp.ValidationError);
+      assert.deepStrictEqual(error.problems, ['server.command is required for stdio servers']);
+      return true;
+    });
+
+    await ccmcp.enable('jira-cloud');
+    assert.strictEqual((await ccmcp.getServer('jira-cloud')).config.url, 'https://jira2.example.com/mcp');
+  });
+
+  it('should throw typed errors', async () => {
+    await assert.rejects(ccmcp.enable('github'), error => {
+      assert.ok(error instanceof ccmcp.NotFoundError);
+      assert.ok(error instanceof ccmcp.CcmcpError);
+      assert.strictEqual(error.code, 'NOT_FOUND');
+      return true;
+    });
+    await assert.rejects(ccmcp.getServer('nope'), { code: 'NOT_FOUND' });
+    await assert.rejects(ccmcp.disable([]), { code: 'INVALID_ARGUMENT' });
+    await assert.rejects(ccmcp.disable('github', { scope: 'global' }), { code: 'INVALID_ARGUMENT' });
+    await assert.rejects(ccmcp.list({ sort: 'size' }), { code: 'INVALID_ARGUMENT', message: /expected name, status, transport, disabledAt/ });
+    await assert.rejects(ccmcp.enable('github', { for: '1h' }), { code: 'INVALID_ARGUMENT' });
+    await assert.rejects(ccmcp.stash.get('github'), ccmcp.NotFoundError);
+    assert.throws(() => ccmcp.useBackend('nope'), ccmcp.ValidationError);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { OPTIONS, COMMANDS, parse, describeCommand } = require('../../src/lib/args');
+const { parseArgs } = require('../../src/ccmcp');
+
+describe('args', () => {
+  describe('parse', () => {
+    it('should read both value syntaxes, lists and camelCase keys', () => {
+      const result = parse(['list', '--scope', 'user', '--format=csv', '--show-secrets']);
+      assert.deepStrictEqual(result, { ok: true, args: { _: ['list'], scope: 'user', format: 'csv', showSecrets: true } });
+
+      const stash = parse(['stash', 'set', 'jira', '--env', 'A=1', '--env=B=2', '--arg', '-y']);
+      assert.deepStrictEqual(stash.args, { _: ['stash', 'set', 'jira'], env: ['A=1', 'B=2'], arg: ['-y'] });
+    });
+
+    it('should bundle short flags and take attached short values', () => {
+      assert.deepStrictEqual(parse(['disable', '-an']).args, { _: ['disable'], all: true, dryRun: true });
+      assert.deepStrictEqual(parse(['list', '-suser']).args, { _: ['list'], scope: 'user' });
+      assert.deepStrictEqual(parse(['enable', 'x', '-ns', 'local']).args, { _: ['enable', 'x'], dryRun: true, scope: 'local' });
+    });
+
+    it('should find the command after global options and their values', () => {
+      assert.deepStrictEqual(parse(['--backend', 'file', 'disable', '--for', '1h', 'x']).args, {
+        _: ['disable', 'x'],
+        backend: 'file',
+        for: '1h'
+      });
+      assert.deepStrictEqual(parse(['-s', 'user', 'list']).args, { _: ['list'], scope: 'user' });
+    });
+
+    it('should stop at -- and keep a lone - as a word', () => {
+      assert.deepStrictEqual(parse(['stash', 'add', 'f', 'npx', '--', '-y', '--json']).args, {
+        _: ['stash', 'add', 'f', 'npx', '-y', '--json']
+      });
+      assert.deepStrictEqual(parse(['import', '-', '--stash']).args, { _: ['import', '-'], stash: true });
+    });
+
+    it('should reject unknown options with a suggestion', () => {
+      const typo = parse(['disable', 'github', '--dryrun']);
+      assert.strictEqual(typo.ok, false);
+      assert.strictEqual(typo.error, 'Unknown option "--dryrun" for disable (did you mean --dry-run?)');
+      assert.strictEqual(typo.hint, 'Run "ccmcp disable --help" for the accepted options.');
+
+      // Known elsewhere, but not an option of this command
+      assert.strictEqual(parse(['enable', 'x', '--for', '1h']).error, 'Unknown option "--for" for enable');
+      assert.strictEqual(parse(['list', '-x']).error, 'Unknown option "-x" for list');
+      assert.match(parse(['stash', 'add', 'f', 'npx', '-y']).hint, /after "--"/);
+    });
+
+    it('should reject missing and unexpected values', () => {
+      assert.strictEqual(parse(['list', '--scope']).error, '--scope requires a value (<scope>)');
+      assert.strictEqual(parse(['list', '-s']).error, '-s requires a value (<scope>)');
+      assert.strictEqual(parse(['list', '--json=true']).error, '--json does not take a value');
+    });
+
+    it('should reject values outside the choices of an option', () => {
+      assert.strictEqual(parse(['list', '--status', 'off']).error, 'Invalid --status "off" (expected enabled, disabled)');
+      assert.strictEqual(parse(['list', '-sglobal']).error, 'Invalid --scope "global" (expected user, local, project)');
+      assert.match(parse(['import', 'f', '--on-conflict=merge']).error, /Invalid --on-conflict "merge" \(expected skip, overwrite, rename\)/);
+      assert.match(parse(['list', '--fields', 'name, colour']).error, /Invalid --fields "colour"/);
+      assert.strictEqual(parse(['list', '--fields', 'name,status', '--format', 'csv']).ok, true);
+    });
+
+    it('should keep parseArgs exported from ccmcp.js', () => {
+      assert.deepStrictEqual(parseArgs(['list', '--json', '-s', 'user']), { _: ['list'], json: true, scope: 'user' });
+      assert.throws(() => parseArgs(['list', '--nope']), { code: 'INVALID_ARGUMENT', message: /Unknown option "--nope"/ });
+    });
+
+    it('should leave unknown commands to the caller', () => {
+      assert.deepStrictEqual(parse(['frobnicate', '--all']).args, { _: ['frobnicate'], all: true });
+      assert.strictEqual(parse(['constructor', '--x']).ok, false);
+    });
+  });
+
+  describe('schema', () => {
+    it('should only list declared options', () => {
+      for (const [command, spec] of Object.entries(COMMANDS)) {
+        for (const name of spec.options) assert.ok(OPTIONS[name], `${command}: ${name}`);
+      }
+    });
+
+    it('should describe one command from its options', () => {
+      const help = describeCommand('disable');
+      assert.deepStrictEqual(help.usage, ['ccmcp disable <name|glob>... | --all [options]']);
+      const flags = help.options.map(([f]) => f.trim());
+      assert.ok(flags.includes('-n, --dry-run'));
+      assert.ok(flags.includes('--for <duration>'));
+      assert.ok(flags.includes('--json'));
+      assert.ok(!flags.includes('--on-conflict <how>'));
+      assert.deepStrictEqual(describeCommand('stash').usage[0], 'ccmcp stash add <name> <command|url> [options] [-- args...]');
+      assert.strictEqual(describeCommand('nope'), null);
+    });
+  });
+});
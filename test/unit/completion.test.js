@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('../../src/lib/storage');
+const profiles = require('../../src/lib/profiles');
+const { SHELLS, complete, script } = require('../../src/lib/completion');
+const { COMMANDS } = require('../../src/lib/args');
+
+describe('completion', () => {
+  let tmpDir;
+  const previousEnv = {};
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-completion-'));
+    for (const key of ['CCMCP_HOME', 'CLAUDE_CONFIG_DIR']) previousEnv[key] = process.env[key];
+    process.env.CCMCP_HOME = path.join(tmpDir, 'state');
+    process.env.CLAUDE_CONFIG_DIR = tmpDir;
+    fs.writeFileSync(path.join(tmpDir, '.claude.json'), JSON.stringify({
+      mcpServers: {
+        github: { type: 'stdio', command: 'npx' },
+        gitlab: { type: 'stdio', command: 'npx' }
+      }
+    }));
+    storage.storeDisabledServer('slack', { name: 'slack', scope: 'user', transport: 'sse', url: 'https://slack.example.com/sse' });
+    profiles.saveProfile('frontend', ['github'], ['slack']);
+  });
+
+  after(() => {
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should complete subcommands and flags', async () => {
+    assert.deepStrictEqual(await complete([], 'st'), ['stash']);
+    assert.deepStrictEqual(await complete([], '--v'), ['--version']);
+    assert.deepStrictEqual(await complete(['disable'], '--f'), ['--for']);
+    assert.deepStrictEqual(await complete(['stash'], ''), ['add', 'set', 'rename', 'edit']);
+    assert.deepStrictEqual(await complete([], 'nope'), []);
+  });
+
+  it('should follow the option schema', async () => {
+    assert.deepStrictEqual((await complete([], '')).sort(), Object.keys(COMMANDS).sort());
+    assert.deepStrictEqual(await complete(['enable'], '--f'), []);
+    assert.deepStrictEqual(await complete(['import', '--on-conflict'], 'r'), ['rename']);
+  });
+
+  it('should complete flag values', async () => {
+    assert.deepStrictEqual(await complete(['list', '--scope'], ''), ['user', 'local', 'project']);
+    assert.deepStrictEqual(await complete(['list'], '--format=m'), ['--format=markdown']);
+    assert.deepStrictEqual(await complete(['list', '--fields'], 'name,tr'), ['name,transport']);
+    assert.deepStrictEqual(await complete(['disable', 'github', '--for'], ''), []);
+  });
+
+  it('should offer stashed names to enable and active names to disable', async () => {
+    assert.deepStrictEqual(await complete(['enable'], ''), ['slack']);
+    assert.deepStrictEqual(await complete(['disable'], 'git'), ['github', 'gitlab']);
+    assert.deepStrictEqual(await complete(['disable', 'github', '--scope', 'user'], ''), ['gitlab']);
+    assert.deepStrictEqual(await complete(['show'], ''), ['github', 'gitlab', 'slack']);
+    assert.deepStrictEqual(await complete(['show', 'github'], ''), []);
+    assert.deepStrictEqual(await complete(['stash', 'edit'], ''), ['slack']);
+    assert.deepStrictEqual(await complete(['profile', 'apply'], ''), ['frontend']);
+  });
+
+  it('should print a script for every shell', () => {
+    for (const shell of SHELLS) assert.match(script(shell), /ccmcp __complete "--current=/);
+    assert.strictEqual(script('tcsh'), undefined);
+  });
+});
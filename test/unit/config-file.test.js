@@ -0,0 +1,220 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const configFile = require('../../src/lib/config-file');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+describe('config-file', () => {
+  let tmpDir;
+  let projectDir;
+  let previousConfigDir;
+  let previousHome;
+  let previousCwd;
+
+  function useUserConfig(fixture) {
+    fs.copyFileSync(path.join(FIXTURES, fixture), path.join(tmpDir, '.claude.json'));
+  }
+
+  function readUserConfig() {
+    return JSON.parse(fs.readFileSync(path.join(tmpDir, '.claude.json'), 'utf8'));
+  }
+
+  before(() => {
+    tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-config-')));
+    projectDir = path.join(tmpDir, 'project');
+    fs.mkdirSync(path.join(projectDir, 'sub'), { recursive: true });
+    previousConfigDir = process.env.CLAUDE_CONFIG_DIR;
+    previousHome = process.env.CCMCP_HOME;
+    previousCwd = process.cwd();
+    process.env.CLAUDE_CONFIG_DIR = tmpDir;
+    process.env.CCMCP_HOME = path.join(tmpDir, 'state');
+    process.chdir(path.join(projectDir, 'sub'));
+  });
+
+  after(() => {
+    process.chdir(previousCwd);
+    if (previousConfigDir === undefined) delete process.env.CLAUDE_CONFIG_DIR;
+    else process.env.CLAUDE_CONFIG_DIR = previousConfigDir;
+    if (previousHome === undefined) delete process.env.CCMCP_HOME;
+    else process.env.CCMCP_HOME = previousHome;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(path.join(projectDir, '.mcp.json'), { force: true });
+  });
+
+  describe('isAvailable', () => {
+    it('should be false for an unparsable config', () => {
+      useUserConfig('config-invalid.json');
+      assert.strictEqual(configFile.isAvailable(), false);
+    });
+
+    it('should be true for a valid config', () => {
+      useUserConfig('config-empty.json');
+      assert.strictEqual(configFile.isAvailable(), true);
+    });
+  });
+
+  describe('listServers', () => {
+    it('should list user servers from an object config', () => {
+      useUserConfig('config-object.json');
+      const result = configFile.listServers();
+      assert.ok(result.ok);
+      assert.deepStrictEqual(result.servers.map(s => s.name), ['github', 'slack']);
+      assert.strictEqual(result.servers[0].scope, 'user');
+      assert.strictEqual(result.servers[0].commandOrUrl, 'npx -y @anthropic-ai/mcp-server-github');
+    });
+
+    it('should list enabled servers from an array config', () => {
+      useUserConfig('config-array.json');
+      const result = configFile.listServers();
+      assert.deepStrictEqual(result.servers.map(s => s.name), ['github']);
+    });
+
+    it('should report parse errors', () => {
+      useUserConfig('config-invalid.json');
+      const result = configFile.listServers();
+      assert.strictEqual(result.ok, false);
+    });
+
+    it('should include project servers from the nearest .mcp.json', () => {
+      useUserConfig('config-empty.json');
+      fs.writeFileSync(path.join(projectDir, '.mcp.json'), JSON.stringify({
+        mcpServers: { docs: { type: 'http', url: 'https://example.com/mcp' } }
+      }));
+      const result = configFile.listServers();
+      assert.deepStrictEqual(result.servers, [{
+        name: 'docs',
+        commandOrUrl: 'https://example.com/mcp',
+        transport: 'http',
+        scope: 'project',
+        status: 'enabled',
+        connected: null
+      }]);
+    });
+  });
+
+  describe('getServer', () => {
+    it('should convert env to KEY=value pairs', () => {
+      useUserConfig('config-empty.json');
+      const config = readUserConfig();
+      config.mcpServers.github = { type: 'stdio', command: 'npx', args: ['-y', 'pkg'], env: { TOKEN: 'a b' } };
+      fs.writeFileSync(path.join(tmpDir, '.claude.json'), JSON.stringify(config));
+
+      const result = configFile.getServer('github');
+      assert.ok(result.ok);
+      assert.deepStrictEqual(result.server, {
+        name: 'github',
+        scope: 'user',
+        transport: 'stdio',
+        command: 'npx',
+        args: ['-y', 'pkg'],
+        env: ['TOKEN=a b']
+      });
+    });
+
+    it('should prefer local over user scope', () => {
+      useUserConfig('config-object.json');
+      const config = readUserConfig();
+      config.projects = { [projectDir]: { mcpServers: { github: { type: 'stdio', command: 'docker' } } } };
+      fs.writeFileSync(path.join(tmpDir, '.claude.json'), JSON.stringify(config));
+
+      assert.strictEqual(configFile.getServer('github').server.scope, 'local');
+      assert.strictEqual(configFile.getServer('github', 'user').server.command, 'npx');
+    });
+
+    it('should fail for unknown servers', () => {
+      useUserConfig('config-empty.json');
+      assert.strictEqual(configFile.getServer('nope').ok, false);
+    });
+  });
+
+  describe('addServer / removeServer', () => {
+    it('should round-trip a stdio server in user scope', () => {
+      useUserConfig('config-empty.json');
+      const added = configFile.addServer({
+        name: 'fetch',
+        transport: 'stdio',
+        commandOrUrl: 'uvx',
+        args: ['mcp-server-fetch', '--ignore-robots-txt'],
+        env: ['API_KEY=x=y'],
+        scope: 'user'
+      });
+      assert.ok(added.ok);
+      assert.deepStrictEqual(readUserConfig().mcpServers.fetch, {
+        type: 'stdio',
+        command: 'uvx',
+        args: ['mcp-server-fetch', '--ignore-robots-txt'],
+        env: { API_KEY: 'x=y' }
+      });
+
+      assert.ok(configFile.removeServer('fetch', 'user').ok);
+      assert.deepStrictEqual(readUserConfig().mcpServers, {});
+    });
+
+    it('should keep the permissions of ~/.claude.json and leave no temp or lock file', { skip: process.platform === 'win32' }, () => {
+      useUserConfig('config-object.json');
+      const file = path.join(tmpDir, '.claude.json');
+      fs.chmodSync(file, 0o600);
+      assert.ok(configFile.removeServer('github', 'user').ok);
+      assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+      assert.ok(configFile.addServer({ name: 'github', transport: 'stdio', commandOrUrl: 'npx', scope: 'user' }).ok);
+      assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+      assert.deepStrictEqual(fs.readdirSync(tmpDir).filter(f => f.startsWith('.claude.json.')), []);
+    });
+
+    it('should refuse to add a duplicate', () => {
+      useUserConfig('config-object.json');
+      const result = configFile.addServer({ name: 'github', transport: 'stdio', commandOrUrl: 'npx', scope: 'user' });
+      assert.strictEqual(result.ok, false);
+    });
+
+    it('should write project servers to .mcp.json', () => {
+      useUserConfig('config-empty.json');
+      fs.writeFileSync(path.join(projectDir, '.mcp.json'), JSON.stringify({ mcpServers: {} }));
+      const result = configFile.addServer({
+        name: 'docs',
+        transport: 'http',
+        commandOrUrl: 'https://example.com/mcp',
+        headers: ['Authorization: Bearer abc'],
+        scope: 'project'
+      });
+      assert.ok(result.ok);
+      const project = JSON.parse(fs.readFileSync(path.join(projectDir, '.mcp.json'), 'utf8'));
+      assert.deepStrictEqual(project.mcpServers.docs, {
+        type: 'http',
+        url: 'https://example.com/mcp',
+        headers: { Authorization: 'Bearer abc' }
+      });
+    });
+
+    it('should write local servers under the project entry', () => {
+      useUserConfig('config-empty.json');
+      assert.ok(configFile.addServer({ name: 'tmp', transport: 'stdio', commandOrUrl: 'node', scope: 'local' }).ok);
+      const projects = readUserConfig().projects;
+      const [key] = Object.keys(projects);
+      assert.strictEqual(path.resolve(key), path.resolve(process.cwd()));
+      assert.ok(projects[key].mcpServers.tmp);
+    });
+
+    it('should require a scope when a name exists in several scopes', () => {
+      useUserConfig('config-object.json');
+      fs.writeFileSync(path.join(projectDir, '.mcp.json'), JSON.stringify({
+        mcpServers: { github: { type: 'stdio', command: 'docker' } }
+      }));
+      const result = configFile.removeServer('github');
+      assert.strictEqual(result.ok, false);
+      assert.ok(result.error.includes('multiple scopes'));
+    });
+
+    it('should remove from array configs', () => {
+      useUserConfig('config-array.json');
+      assert.ok(configFile.removeServer('github', 'user').ok);
+      assert.deepStrictEqual(readUserConfig().mcpServers.map(e => e.id), ['slack-mcp']);
+    });
+  });
+});
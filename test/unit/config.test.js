@@ -0,0 +1,111 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/lib/config');
+
+describe('config', () => {
+  let tmpDir;
+  let projectDir;
+  const previousEnv = {};
+  const previousCwd = process.cwd();
+  const userFile = () => path.join(tmpDir, 'state', 'config.json');
+  const source = key => config.list().settings.find(entry => entry.key === key).source;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-config-'));
+    projectDir = path.join(tmpDir, 'repo', 'sub');
+    fs.mkdirSync(projectDir, { recursive: true });
+    for (const key of ['CCMCP_HOME', 'CCMCP_TIMEOUT', 'CCMCP_CLAUDE_BIN', 'CCMCP_CONFIRM']) {
+      previousEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+    process.env.CCMCP_HOME = path.join(tmpDir, 'state');
+    process.chdir(projectDir);
+  });
+
+  after(() => {
+    process.chdir(previousCwd);
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(path.join(tmpDir, 'state'), { recursive: true, force: true });
+    fs.rmSync(path.join(tmpDir, 'repo', '.ccmcp.json'), { force: true });
+    delete process.env.CCMCP_TIMEOUT;
+  });
+
+  it('should return defaults without a config file', () => {
+    assert.strictEqual(config.get('timeout'), 60000);
+    assert.strictEqual(config.get('enableScope'), 'original');
+    assert.strictEqual(source('timeout'), 'default');
+    assert.throws(() => config.get('nope'), /Unknown setting "nope"/);
+  });
+
+  it('should save, parse and remove settings in the user file', () => {
+    assert.deepStrictEqual(config.set('banner', 'off'), { ok: true, file: userFile(), value: false });
+    assert.strictEqual(config.set('timeout', '30000').value, 30000);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(userFile(), 'utf8')), { banner: false, timeout: 30000 });
+    assert.strictEqual(config.get('timeout'), 30000);
+    assert.strictEqual(source('timeout'), 'user');
+
+    assert.strictEqual(config.unset('timeout').removed, true);
+    assert.strictEqual(config.unset('timeout').removed, false);
+    assert.strictEqual(config.get('timeout'), 60000);
+  });
+
+  it('should reject bad values and suggest setting names', () => {
+    assert.deepStrictEqual(config.set('timeout', 'soon'), { ok: false, error: 'timeout must be a number of at least 1' });
+    assert.match(config.set('confirm', 'maybe').error, /never, bulk, always/);
+    assert.match(config.set('timout', '1').error, /Unknown setting "timout" \(did you mean timeout\?\)/);
+    assert.strictEqual(config.parseValue('concurrency', '2.5').ok, false);
+    assert.strictEqual(config.parseValue('cacheTtl', '0').value, 0);
+    assert.strictEqual(fs.existsSync(userFile()), false);
+  });
+
+  it('should let the project file and then the environment override the user file', () => {
+    config.set('format', 'csv');
+    config.set('timeout', '1000');
+    fs.writeFileSync(path.join(tmpDir, 'repo', '.ccmcp.json'), JSON.stringify({ enabled: [], settings: { format: 'yaml', timeout: 2000 } }));
+    assert.strictEqual(config.get('format'), 'yaml');
+    assert.strictEqual(config.list().settings.find(e => e.key === 'format').file, path.join(tmpDir, 'repo', '.ccmcp.json'));
+
+    process.env.CCMCP_TIMEOUT = '3000';
+    assert.strictEqual(config.get('timeout'), 3000);
+    assert.strictEqual(source('timeout'), 'env');
+  });
+
+  it('should skip values that do not fit and report them', () => {
+    fs.writeFileSync(path.join(tmpDir, 'repo', '.ccmcp.json'), JSON.stringify({ settings: { claudeBin: '/tmp/evil', confirm: 'maybe' } }));
+    process.env.CCMCP_TIMEOUT = '0';
+    const { problems } = config.list();
+    assert.strictEqual(config.get('claudeBin'), 'claude');
+    assert.strictEqual(config.get('confirm'), 'never');
+    assert.strictEqual(config.get('timeout'), 60000);
+    assert.strictEqual(problems.length, 3);
+    assert.ok(problems.some(p => p.includes('claudeBin cannot be set in a project file')));
+  });
+
+  it('should ignore enableScope in a project file', () => {
+    fs.writeFileSync(path.join(tmpDir, 'repo', '.ccmcp.json'), JSON.stringify({ settings: { enableScope: 'project' } }));
+    assert.strictEqual(config.get('enableScope'), 'original');
+    assert.strictEqual(source('enableScope'), 'default');
+    assert.ok(config.list().problems.some(p => p.includes('enableScope cannot be set in a project file')));
+
+    config.set('enableScope', 'user');
+    assert.strictEqual(config.get('enableScope'), 'user');
+  });
+
+  it('should not overwrite a user file that is not valid JSON', () => {
+    fs.mkdirSync(path.join(tmpDir, 'state'), { recursive: true });
+    fs.writeFileSync(userFile(), '{ broken');
+    assert.strictEqual(config.get('timeout'), 60000);
+    assert.match(config.set('timeout', '5').error, /is not valid JSON: .*; fix or remove it first/);
+    assert.strictEqual(fs.readFileSync(userFile(), 'utf8'), '{ broken');
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateDesiredState, findDesiredState, planDesiredState } = require('../../src/lib/desired-state');
+
+describe('desired state', () => {
+  describe('validateDesiredState', () => {
+    it('should accept name lists', () => {
+      assert.strictEqual(validateDesiredState({ enabled: ['a'], disabled: ['b*'] }), null);
+      assert.strictEqual(validateDesiredState({}), null);
+      assert.strictEqual(validateDesiredState({ enabled: ['a'], settings: { format: 'json' } }), null);
+    });
+
+    it('should reject bad shapes and contradictions', () => {
+      assert.match(validateDesiredState([]), /JSON object/);
+      assert.match(validateDesiredState({ enabled: 'a' }), /"enabled" must be an array/);
+      assert.match(validateDesiredState({ disabled: [1] }), /"disabled" must be an array/);
+      assert.match(validateDesiredState({ enabled: ['a'], disabled: ['a'] }), /both enabled and disabled: a/);
+    });
+
+    it('should reject unknown keys so a typo does not look in sync', () => {
+      assert.match(validateDesiredState({ enable: ['a'] }), /unknown key "enable" \(expected enabled, disabled or settings\)/);
+      assert.match(validateDesiredState({ enabled: [], servers: ['a'], disable: [] }), /unknown keys "servers", "disable"/);
+    });
+  });
+
+  describe('findDesiredState', () => {
+    let tmpDir;
+
+    before(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-desired-'));
+      fs.mkdirSync(path.join(tmpDir, 'repo', 'src', 'deep'), { recursive: true });
+      fs.mkdirSync(path.join(tmpDir, 'other'));
+    });
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should walk up to the nearest .ccmcp.json', () => {
+      const file = path.join(tmpDir, 'repo', '.ccmcp.json');
+      fs.writeFileSync(file, JSON.stringify({ enabled: ['github'] }));
+      const found = findDesiredState(path.join(tmpDir, 'repo', 'src', 'deep'));
+      assert.strictEqual(found.file, file);
+      assert.deepStrictEqual(found.state, { enabled: ['github'], disabled: [] });
+    });
+
+    it('should read the ccmcp key of .mcp.json and skip .mcp.json files without one', () => {
+      fs.writeFileSync(path.join(tmpDir, '.mcp.json'), JSON.stringify({ mcpServers: {}, ccmcp: { disabled: ['slack'] } }));
+      fs.writeFileSync(path.join(tmpDir, 'other', '.mcp.json'), JSON.stringify({ mcpServers: {} }));
+      const found = findDesiredState(path.join(tmpDir, 'other'));
+      assert.strictEqual(found.file, path.join(tmpDir, '.mcp.json'));
+      assert.deepStrictEqual(found.state.disabled, ['slack']);
+    });
+
+    it('should prefer .ccmcp.json over .mcp.json in the same directory', () => {
+      fs.writeFileSync(path.join(tmpDir, 'repo', '.mcp.json'), JSON.stringify({ ccmcp: { enabled: ['x'] } }));
+      assert.strictEqual(findDesiredState(path.join(tmpDir, 'repo')).file, path.join(tmpDir, 'repo', '.ccmcp.json'));
+    });
+
+    it('should report invalid files', () => {
+      fs.writeFileSync(path.join(tmpDir, 'repo', '.ccmcp.json'), '{ nope');
+      assert.match(findDesiredState(path.join(tmpDir, 'repo')).error, /not valid JSON/);
+    });
+  });
+
+  describe('planDesiredState', () => {
+    const active = ['github', 'slack-dev', 'slack-prod'];
+    const stashed = ['playwright', 'postgres'];
+
+    it('should plan the difference like a profile', () => {
+      const plan = planDesiredState({ enabled: ['postgres', 'github', 'jira'], disabled: ['slack-dev'] }, active, stashed);
+      assert.deepStrictEqual(plan, {
+        enable: ['postgres'],
+        disable: ['slack-dev'],
+        unchanged: ['github'],
+        missing: ['jira']
+      });
+    });
+
+    it('should expand globs, with exact names winning', () => {
+      const plan = planDesiredState({ enabled: ['p*', 'slack-prod'], disabled: ['slack-*', 'postgres'] }, active, stashed);
+      assert.deepStrictEqual(plan.enable.sort(), ['playwright']);
+      assert.deepStrictEqual(plan.disable, ['slack-dev']);
+      assert.deepStrictEqual(plan.unchanged.sort(), ['postgres', 'slack-prod']);
+      assert.deepStrictEqual(plan.missing, []);
+    });
+  });
+});
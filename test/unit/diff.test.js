@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { formatArgs, flattenConfig, changedFields } = require('../../src/lib/diff');
+
+describe('diff', () => {
+  it('should quote arguments a shell would split', () => {
+    assert.strictEqual(formatArgs(['-y', 'my dir', '', 'it\'s']), '-y "my dir" "" "it\'s"');
+  });
+
+  it('should flatten env and headers to one field per name', () => {
+    assert.deepStrictEqual(flattenConfig({
+      name: 'x',
+      scope: 'user',
+      transport: 'sse',
+      url: 'https://x',
+      args: [],
+      env: ['A=1=2'],
+      headers: ['Authorization: Bearer t']
+    }), {
+      scope: 'user',
+      transport: 'sse',
+      url: 'https://x',
+      'env.A': '1=2',
+      'headers.Authorization': 'Bearer t'
+    });
+  });
+
+  it('should list the fields that differ, including missing ones', () => {
+    const live = { scope: 'user', transport: 'stdio', command: 'npx', args: ['gh'], env: ['A=1', 'B=2'] };
+    const stashed = { scope: 'project', transport: 'stdio', command: 'npx', args: ['gh'], env: ['A=1', 'C=3'] };
+    assert.deepStrictEqual(changedFields(live, stashed), ['scope', 'env.B', 'env.C']);
+    assert.deepStrictEqual(changedFields(live, { ...live }), []);
+  });
+});
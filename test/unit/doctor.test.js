@@ -0,0 +1,174 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const backend = require('../../src/lib/backend');
+const storage = require('../../src/lib/storage');
+const { findExecutable, diagnose, applyFixes } = require('../../src/lib/doctor');
+
+const STUB_CLAUDE = path.join(__dirname, '..', 'fixtures', 'bin', 'claude');
+
+describe('doctor', () => {
+  let tmpDir;
+  const previousEnv = {};
+
+  const github = { name: 'github', scope: 'user', transport: 'stdio', command: 'npx', args: ['gh-mcp'] };
+
+  function setLive(mcpServers) {
+    fs.writeFileSync(path.join(tmpDir, '.claude.json'), JSON.stringify({ mcpServers }));
+  }
+
+  function writeStash(data) {
+    storage.ensureStorageDir();
+    fs.writeFileSync(storage.storagePath('disabled-servers.json'), JSON.stringify(data));
+  }
+
+  const problems = findings => findings.filter(f => f.level !== 'ok');
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-doctor-'));
+    for (const key of ['CCMCP_HOME', 'CLAUDE_CONFIG_DIR', 'CCMCP_CLAUDE_BIN']) previousEnv[key] = process.env[key];
+    process.env.CLAUDE_CONFIG_DIR = tmpDir;
+    process.env.CCMCP_CLAUDE_BIN = STUB_CLAUDE;
+    backend.select('file');
+  });
+
+  after(() => {
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    process.env.CCMCP_HOME = fs.mkdtempSync(path.join(tmpDir, 'state-'));
+    setLive({});
+  });
+
+  it('should find executables by path or on PATH', () => {
+    assert.strictEqual(findExecutable(STUB_CLAUDE), STUB_CLAUDE);
+    assert.strictEqual(findExecutable(path.join(tmpDir, 'missing')), null);
+    assert.ok(findExecutable(path.basename(process.execPath)) || process.platform === 'win32');
+  });
+
+  it('should report a healthy setup', { skip: process.platform === 'win32' }, async () => {
+    const findings = await diagnose();
+    assert.deepStrictEqual(problems(findings), []);
+    assert.match(findings.find(f => f.check === 'claude').message, /\d+\.\d+/);
+  });
+
+  it('should warn about a missing claude binary on the file backend', async () => {
+    process.env.CCMCP_CLAUDE_BIN = path.join(tmpDir, 'no-claude');
+    try {
+      const finding = (await diagnose()).find(f => f.check === 'claude');
+      assert.strictEqual(finding.level, 'warning');
+      assert.match(finding.message, /not found/);
+    } finally {
+      process.env.CCMCP_CLAUDE_BIN = STUB_CLAUDE;
+    }
+  });
+
+  it('should move a corrupt stash aside', async () => {
+    storage.ensureStorageDir();
+    fs.writeFileSync(storage.storagePath('disabled-servers.json'), '{ nope');
+    const findings = await diagnose();
+    const finding = findings.find(f => f.check === 'storage');
+    assert.strictEqual(finding.level, 'error');
+
+    await applyFixes(findings);
+    assert.strictEqual(finding.fixed, true);
+    assert.ok(!fs.existsSync(storage.storagePath('disabled-servers.json')));
+    assert.deepStrictEqual(problems(await diagnose()).filter(f => f.check === 'storage'), []);
+  });
+
+  it('should reject a stash from a newer version without a fix', async () => {
+    writeStash({ schemaVersion: storage.SCHEMA_VERSION + 1, servers: {} });
+    const finding = (await diagnose()).find(f => f.check === 'storage');
+    assert.strictEqual(finding.level, 'error');
+    assert.strictEqual(finding.fix, undefined);
+  });
+
+  it('should encrypt plaintext secrets left in the stash', async () => {
+    writeStash({ schemaVersion: storage.SCHEMA_VERSION, servers: { 'user:github': { ...github, env: ['TOKEN=abc'] } } });
+    const findings = await diagnose();
+    assert.ok(findings.some(f => f.level === 'warning' && /unencrypted/.test(f.message)));
+
+    await applyFixes(findings);
+    const raw = fs.readFileSync(storage.storagePath('disabled-servers.json'), 'utf8');
+    assert.ok(!raw.includes('TOKEN=abc'));
+    assert.deepStrictEqual(storage.revealSecrets(storage.getDisabledServer('github', 'user')).config.env, ['TOKEN=abc']);
+  });
+
+  it('should drop a stash entry identical to the active server', async () => {
+    setLive({ github: { type: 'stdio', command: 'npx', args: ['gh-mcp'] } });
+    storage.storeDisabledServer('github', github);
+    const findings = await diagnose();
+    const finding = findings.find(f => f.check === 'duplicates');
+    assert.strictEqual(finding.level, 'warning');
+    assert.ok(finding.fix);
+
+    await applyFixes(findings);
+    assert.strictEqual(storage.getDisabledServer('github', 'user'), null);
+  });
+
+  it('should only suggest a resolution when the duplicates differ', async () => {
+    setLive({ github: { type: 'stdio', command: 'npx', args: ['other'] } });
+    storage.storeDisabledServer('github', github);
+    const finding = (await diagnose()).find(f => f.check === 'duplicates');
+    assert.strictEqual(finding.fix, undefined);
+    assert.match(finding.suggestion, /differ/);
+  });
+
+  it('should fill in a missing stdio transport', async () => {
+    const { transport, ...incomplete } = github;
+    writeStash({ schemaVersion: storage.SCHEMA_VERSION, servers: { 'user:github': incomplete } });
+    const findings = await diagnose();
+    const finding = findings.find(f => f.check === 'stash-entry');
+    assert.strictEqual(finding.level, 'error');
+
+    await applyFixes(findings);
+    assert.strictEqual(storage.getDisabledServer('github', 'user').transport, 'stdio');
+  });
+
+  it('should report stash entries it cannot repair', async () => {
+    writeStash({ schemaVersion: storage.SCHEMA_VERSION, servers: { 'user:api': { name: 'api', scope: 'user', transport: 'http' } } });
+    const finding = (await diagnose()).find(f => f.check === 'stash-entry');
+    assert.match(finding.message, /no url/);
+    assert.strictEqual(finding.fix, undefined);
+  });
+
+  it('should recover interrupted operations', async () => {
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    storage.ensureStorageDir();
+    fs.writeFileSync(storage.storagePath('journal.json'), JSON.stringify([{
+      id: 'op-1',
+      pid: deadPid,
+      hostname: os.hostname(),
+      startedAt: new Date().toISOString(),
+      action: 'disable',
+      name: 'github',
+      scope: 'user',
+      config: github
+    }]));
+    const findings = await diagnose();
+    assert.ok(findings.some(f => f.check === 'journal' && f.fix));
+
+    await applyFixes(findings);
+    assert.deepStrictEqual(storage.listPendingOperations(), []);
+  });
+
+  it('should tighten loose permissions', { skip: process.platform === 'win32' }, async () => {
+    storage.storeDisabledServer('github', github);
+    fs.chmodSync(storage.storageDir(), 0o755);
+    fs.chmodSync(storage.storagePath('disabled-servers.json'), 0o644);
+    const findings = await diagnose();
+    assert.strictEqual(findings.filter(f => f.check === 'permissions').length, 2);
+
+    await applyFixes(findings);
+    assert.strictEqual(fs.statSync(storage.storageDir()).mode & 0o777, 0o700);
+    assert.strictEqual(fs.statSync(storage.storagePath('disabled-servers.json')).mode & 0o777, 0o600);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseDuration, parseUntil, resolveExpiry, isExpired, formatRemaining } = require('../../src/lib/expiry');
+
+describe('expiry', () => {
+  const now = new Date(2025, 0, 15, 12, 0, 0);
+
+  describe('parseDuration', () => {
+    it('should parse single and combined units', () => {
+      assert.strictEqual(parseDuration('45s'), 45 * 1000);
+      assert.strictEqual(parseDuration('90m'), 90 * 60 * 1000);
+      assert.strictEqual(parseDuration('1h30m'), 90 * 60 * 1000);
+      assert.strictEqual(parseDuration('1.5h'), 90 * 60 * 1000);
+      assert.strictEqual(parseDuration('1D'), 24 * 60 * 60 * 1000);
+    });
+
+    it('should reject bare numbers, unknown units and zero', () => {
+      for (const value of ['90', '2w', 'soon', '', '0m', 'm']) {
+        assert.strictEqual(parseDuration(value), null, value);
+      }
+    });
+  });
+
+  describe('parseUntil', () => {
+    it('should pick the next occurrence of a clock time', () => {
+      assert.deepStrictEqual(parseUntil('18:00', now), new Date(2025, 0, 15, 18, 0, 0));
+      assert.deepStrictEqual(parseUntil('9:30', now), new Date(2025, 0, 16, 9, 30, 0));
+      assert.deepStrictEqual(parseUntil('12:00', now), new Date(2025, 0, 16, 12, 0, 0));
+    });
+
+    it('should accept ISO dates and reject anything else', () => {
+      assert.strictEqual(parseUntil('2025-02-01T08:00:00Z', now).toISOString(), '2025-02-01T08:00:00.000Z');
+      assert.strictEqual(parseUntil('25:00', now), null);
+      assert.strictEqual(parseUntil('tomorrow', now), null);
+      assert.strictEqual(parseUntil('2025-13-45', now), null);
+    });
+  });
+
+  describe('resolveExpiry', () => {
+    it('should turn --for and --until into a timestamp', () => {
+      assert.strictEqual(resolveExpiry({ for: '2h' }, now).expiresAt, new Date(2025, 0, 15, 14, 0, 0).toISOString());
+      assert.strictEqual(resolveExpiry({ until: '18:00' }, now).expiresAt, new Date(2025, 0, 15, 18, 0, 0).toISOString());
+      assert.deepStrictEqual(resolveExpiry({}, now), { ok: true });
+    });
+
+    it('should reject invalid, past or combined values', () => {
+      assert.match(resolveExpiry({ for: '2h', until: '18:00' }, now).error, /cannot be combined/);
+      assert.match(resolveExpiry({ for: 'x' }, now).error, /Invalid --for/);
+      assert.match(resolveExpiry({ until: 'x' }, now).error, /Invalid --until/);
+      assert.match(resolveExpiry({ until: '2020-01-01' }, now).error, /in the past/);
+    });
+  });
+
+  it('should tell whether an entry is due', () => {
+    assert.strictEqual(isExpired({ expiresAt: new Date(2025, 0, 15, 11).toISOString() }, now), true);
+    assert.strictEqual(isExpired({ expiresAt: new Date(2025, 0, 15, 13).toISOString() }, now), false);
+    assert.strictEqual(isExpired({}, now), false);
+  });
+
+  it('should format the time remaining', () => {
+    const after = ms => new Date(now.getTime() + ms).toISOString();
+    assert.strictEqual(formatRemaining(after(30 * 1000), now), '30s');
+    assert.strictEqual(formatRemaining(after(90 * 60 * 1000), now), '1h 30m');
+    assert.strictEqual(formatRemaining(after(2 * 60 * 60 * 1000), now), '2h');
+    assert.strictEqual(formatRemaining(after(50 * 60 * 60 * 1000), now), '2d 2h');
+    assert.strictEqual(formatRemaining(after(-1000), now), 'due');
+  });
+});
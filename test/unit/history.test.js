@@ -0,0 +1,81 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('../../src/lib/storage');
+const history = require('../../src/lib/history');
+
+describe('history', () => {
+  let tmpDir;
+  let previousHome;
+
+  const step = (name, extra = {}) => ({
+    name,
+    scope: 'user',
+    action: 'disable',
+    ok: true,
+    stashScope: 'user',
+    config: { name, scope: 'user', transport: 'stdio', command: 'npx', env: ['API_TOKEN=secret'] },
+    ...extra
+  });
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-history-'));
+    previousHome = process.env.CCMCP_HOME;
+  });
+
+  after(() => {
+    if (previousHome === undefined) delete process.env.CCMCP_HOME;
+    else process.env.CCMCP_HOME = previousHome;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    process.env.CCMCP_HOME = fs.mkdtempSync(path.join(tmpDir, 'state-'));
+  });
+
+  it('should record operations newest first with sealed secrets', () => {
+    history.recordOperation({ command: 'disable a', ok: true, steps: [step('a')] });
+    history.recordOperation({ command: 'disable b', ok: true, steps: [step('b')] });
+
+    const entries = history.listHistory();
+    assert.deepStrictEqual(entries.map(e => e.command), ['disable b', 'disable a']);
+    assert.ok(entries[0].id && entries[0].timestamp);
+    assert.deepStrictEqual(history.listHistory(1).map(e => e.command), ['disable b']);
+
+    const raw = fs.readFileSync(storage.storagePath('history.json'), 'utf8');
+    assert.ok(!raw.includes('secret'));
+    assert.deepStrictEqual(storage.revealSecrets(entries[0].steps[0].config).config.env, ['API_TOKEN=secret']);
+  });
+
+  it('should keep a bounded number of entries', () => {
+    storage.ensureStorageDir();
+    const old = Array.from({ length: history.MAX_ENTRIES }, (_, i) => ({ id: `old-${i}`, command: 'x', ok: true, steps: [] }));
+    fs.writeFileSync(storage.storagePath('history.json'), JSON.stringify(old));
+    history.recordOperation({ command: 'newest', ok: true, steps: [step('a')] });
+
+    const entries = history.listHistory();
+    assert.strictEqual(entries.length, history.MAX_ENTRIES);
+    assert.strictEqual(entries[0].command, 'newest');
+    assert.ok(!entries.some(e => e.id === 'old-0'));
+  });
+
+  it('should only offer operations that changed something for undo', () => {
+    history.recordOperation({ command: 'first', ok: true, steps: [step('a')] });
+    history.recordOperation({ command: 'failed', ok: false, steps: [step('b', { rolledBack: true }), step('c', { ok: false, error: 'x' })] });
+    const undone = history.recordOperation({ command: 'undone', ok: true, steps: [step('d')] });
+    const undo = history.recordOperation({ command: 'undo: undone', ok: true, undoes: [undone.id], steps: [step('d', { action: 'enable' })] });
+    history.markUndone([undone.id], undo.id);
+
+    assert.deepStrictEqual(history.undoCandidates(5).map(e => e.command), ['first']);
+    const marked = history.listHistory().find(e => e.id === undone.id);
+    assert.strictEqual(marked.undoneBy, undo.id);
+    assert.ok(marked.undoneAt);
+  });
+
+  it('should report the effective steps of an entry', () => {
+    const entry = { steps: [step('a'), step('b', { rolledBack: true }), step('c', { ok: false }), step('d', { skipped: true, ok: false })] };
+    assert.deepStrictEqual(history.effectiveSteps(entry).map(s => s.name), ['a']);
+  });
+});
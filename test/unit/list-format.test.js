@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseFields, needsDetails, sortEntries, pickFields, formatList } = require('../../src/lib/list-format');
+
+const entries = [
+  { name: 'slack', commandOrUrl: 'https://slack.example.com/sse', transport: 'sse', status: 'enabled' },
+  { name: 'github', transport: 'stdio', command: 'npx', args: ['-y', 'gh mcp'], scope: 'user', disabledAt: '2025-02-01T00:00:00.000Z', status: 'disabled' },
+  { name: 'jira', transport: 'http', url: 'https://jira.example.com/mcp', scope: 'project', disabledAt: '2025-01-01T00:00:00.000Z', status: 'disabled' }
+];
+
+describe('list-format', () => {
+  it('should parse and validate --fields', () => {
+    assert.deepStrictEqual(parseFields('name, transport,url,name'), { ok: true, fields: ['name', 'transport', 'url'] });
+    assert.match(parseFields('name,nme').error, /Unknown field "nme"/);
+    assert.strictEqual(parseFields('').ok, false);
+    assert.ok(needsDetails(['name', 'env']));
+    assert.ok(!needsDetails(['name', 'url', 'disabledAt']));
+  });
+
+  it('should sort with ties broken by name', () => {
+    assert.deepStrictEqual(sortEntries(entries, 'name').map(e => e.name), ['github', 'jira', 'slack']);
+    assert.deepStrictEqual(sortEntries(entries, 'status').map(e => e.name), ['slack', 'github', 'jira']);
+    assert.deepStrictEqual(sortEntries(entries, 'transport').map(e => e.name), ['jira', 'slack', 'github']);
+    assert.deepStrictEqual(sortEntries(entries, 'disabledAt').map(e => e.name), ['jira', 'github', 'slack']);
+  });
+
+  it('should take the URL of an active server from its command line', () => {
+    assert.deepStrictEqual(pickFields(entries, ['name', 'url', 'args']), [
+      { name: 'slack', url: 'https://slack.example.com/sse', args: null },
+      { name: 'github', url: null, args: ['-y', 'gh mcp'] },
+      { name: 'jira', url: 'https://jira.example.com/mcp', args: null }
+    ]);
+  });
+
+  it('should write csv and tsv with a header row', () => {
+    assert.strictEqual(formatList(entries.slice(1, 2), 'csv', ['name', 'args']), 'name,args\ngithub,"-y ""gh mcp"""');
+    assert.strictEqual(formatList(entries.slice(1, 2), 'tsv', ['name', 'command']), 'name\tcommand\ngithub\tnpx');
+    assert.strictEqual(formatList([], 'csv', null), 'status,name,scope,transport,commandOrUrl');
+  });
+
+  it('should write a markdown table', () => {
+    assert.strictEqual(formatList([{ ...entries[0], name: 'a|b' }], 'markdown', ['name', 'transport']), [
+      '| NAME | TRANSPORT |',
+      '| --- | --- |',
+      '| a\\|b | sse |'
+    ].join('\n'));
+  });
+
+  it('should write ndjson and yaml', () => {
+    assert.strictEqual(formatList(entries.slice(0, 2), 'ndjson', ['name', 'status']),
+      '{"name":"slack","status":"enabled"}\n{"name":"github","status":"disabled"}');
+    assert.strictEqual(formatList(entries.slice(1, 2), 'yaml', ['name', 'args', 'url', 'disabledAt']), [
+      '- name: github',
+      '  args:',
+      '    - "-y"',
+      '    - "gh mcp"',
+      '  url: null',
+      '  disabledAt: "2025-02-01T00:00:00.000Z"'
+    ].join('\n'));
+    assert.strictEqual(formatList([{ name: 'yes', url: 'https://x.example.com' }], 'yaml', ['name', 'url']),
+      '- name: "yes"\n  url: https://x.example.com');
+    assert.strictEqual(formatList([], 'yaml', null), '[]');
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { isGlob, globToRegExp, matchNames, editDistance, resolveName } = require('../../src/lib/match');
+
+describe('match', () => {
+  describe('isGlob', () => {
+    it('should detect glob characters', () => {
+      assert.ok(isGlob('playwright*'));
+      assert.ok(isGlob('gh?'));
+      assert.ok(isGlob('[ab]ws'));
+      assert.ok(!isGlob('sequential-thinking'));
+    });
+  });
+
+  describe('globToRegExp', () => {
+    it('should anchor patterns', () => {
+      assert.ok(globToRegExp('git*').test('github'));
+      assert.ok(!globToRegExp('git*').test('my-github'));
+    });
+
+    it('should escape regex characters', () => {
+      assert.ok(globToRegExp('a.b*').test('a.bc'));
+      assert.ok(!globToRegExp('a.b*').test('axbc'));
+    });
+
+    it('should support character classes and negation', () => {
+      assert.ok(globToRegExp('[ak]*').test('aws'));
+      assert.ok(globToRegExp('[!ak]*').test('slack'));
+      assert.ok(!globToRegExp('[!ak]*').test('k8s'));
+    });
+  });
+
+  describe('matchNames', () => {
+    const names = ['playwright', 'playwright-beta', 'github', 'slack'];
+
+    it('should combine exact names and globs without duplicates', () => {
+      const result = matchNames(['playwright*', 'github', 'playwright'], names);
+      assert.deepStrictEqual(result.matched, ['playwright', 'playwright-beta', 'github']);
+      assert.deepStrictEqual(result.unmatched, []);
+    });
+
+    it('should report patterns without matches', () => {
+      const result = matchNames(['figma', 'k8s*'], names);
+      assert.deepStrictEqual(result.matched, []);
+      assert.deepStrictEqual(result.unmatched, ['figma', 'k8s*']);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count insertions, deletions and substitutions', () => {
+      assert.strictEqual(editDistance('github', 'github'), 0);
+      assert.strictEqual(editDistance('githb', 'github'), 1);
+      assert.strictEqual(editDistance('gitlab', 'github'), 2);
+      assert.strictEqual(editDistance('', 'slack'), 5);
+    });
+  });
+
+  describe('resolveName', () => {
+    const names = ['playwright', 'playwright-beta', 'github', 'GitLab', 'slack'];
+
+    it('should prefer an exact name', () => {
+      assert.deepStrictEqual(resolveName('playwright', names), { name: 'playwright' });
+    });
+
+    it('should accept a different case or a unique prefix', () => {
+      assert.deepStrictEqual(resolveName('GitHub', names), { name: 'github' });
+      assert.deepStrictEqual(resolveName('sl', names), { name: 'slack' });
+      assert.deepStrictEqual(resolveName('gitl', names), { name: 'GitLab' });
+    });
+
+    it('should return the candidates of an ambiguous prefix', () => {
+      assert.deepStrictEqual(resolveName('play', names), { candidates: ['playwright', 'playwright-beta'] });
+      assert.deepStrictEqual(resolveName('git', names), { candidates: ['github', 'GitLab'] });
+    });
+
+    it('should only suggest names for a typo', () => {
+      assert.deepStrictEqual(resolveName('githb', names), { suggestions: ['github'] });
+      assert.deepStrictEqual(resolveName('figma', names), { suggestions: [] });
+    });
+
+    it('should skip the loose tiers when exact is set', () => {
+      assert.deepStrictEqual(resolveName('GitHub', names, { exact: true }).suggestions[0], 'github');
+      assert.deepStrictEqual(resolveName('sl', names, { exact: true }).name, undefined);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { COLOR } = require('../../src/lib/ui');
+const { createState, handleKey, pendingChanges, render } = require('../../src/lib/picker');
+
+const ITEMS = [
+  { name: 'github', scope: 'user', transport: 'stdio', enabled: true },
+  { name: 'playwright', scope: 'project', transport: 'stdio', enabled: false },
+  { name: 'slack', scope: 'user', transport: 'sse', enabled: true }
+];
+
+function press(state, ...keys) {
+  let result = { state };
+  for (const name of keys) {
+    result = handleKey(result.state, { name });
+  }
+  return result;
+}
+
+describe('picker', () => {
+  before(() => {
+    COLOR.enabled = false;
+  });
+
+  after(() => {
+    COLOR.enabled = true;
+  });
+
+  it('should start with active servers checked', () => {
+    assert.deepStrictEqual(createState(ITEMS).checked, [true, false, true]);
+  });
+
+  it('should move the cursor and wrap around', () => {
+    assert.strictEqual(press(createState(ITEMS), 'down', 'down').state.cursor, 2);
+    assert.strictEqual(press(createState(ITEMS), 'up').state.cursor, 2);
+    assert.strictEqual(press(createState(ITEMS), 'j', 'j', 'j').state.cursor, 0);
+  });
+
+  it('should toggle the item under the cursor', () => {
+    const { state } = press(createState(ITEMS), 'space', 'down', 'space');
+    assert.deepStrictEqual(state.checked, [false, true, true]);
+    const changes = pendingChanges(state);
+    assert.deepStrictEqual(changes.enable.map(i => i.name), ['playwright']);
+    assert.deepStrictEqual(changes.disable.map(i => i.name), ['github']);
+  });
+
+  it('should toggle all items', () => {
+    assert.deepStrictEqual(press(createState(ITEMS), 'a').state.checked, [true, true, true]);
+    assert.deepStrictEqual(press(createState(ITEMS), 'a', 'a').state.checked, [false, false, false]);
+  });
+
+  it('should finish on enter and cancel on q, escape or ctrl+c', () => {
+    assert.strictEqual(press(createState(ITEMS), 'return').done, 'apply');
+    assert.strictEqual(press(createState(ITEMS), 'q').done, 'cancel');
+    assert.strictEqual(press(createState(ITEMS), 'escape').done, 'cancel');
+    assert.strictEqual(handleKey(createState(ITEMS), { name: 'c', ctrl: true }).done, 'cancel');
+  });
+
+  it('should render checkboxes, the cursor and pending changes', () => {
+    const { state } = press(createState(ITEMS), 'down', 'space');
+    const lines = render(state);
+    assert.strictEqual(lines.length, 4);
+    assert.ok(lines[1].startsWith('  [x] github'));
+    assert.ok(lines[2].startsWith('❯ [x] playwright'));
+    assert.ok(lines[2].endsWith('(enable)'));
+  });
+
+  it('should scroll long lists to keep the cursor visible', () => {
+    const { state } = press(createState(ITEMS), 'end');
+    const lines = render(state, 2);
+    assert.ok(lines[1].includes('playwright'));
+    assert.ok(lines[2].includes('slack'));
+    assert.ok(lines[3].includes('3/3'));
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createPool } = require('../../src/lib/pool');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+describe('createPool', () => {
+  it('should run at most `limit` tasks at once, in submission order', async () => {
+    const run = createPool(2);
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+    const results = gates.map((gate, i) => run(async () => {
+      started.push(i);
+      await gate.promise;
+      return i;
+    }));
+
+    await new Promise(setImmediate);
+    assert.deepStrictEqual(started, [0, 1]);
+
+    gates[1].resolve();
+    await new Promise(setImmediate);
+    assert.deepStrictEqual(started, [0, 1, 2]);
+
+    gates[0].resolve();
+    gates[2].resolve();
+    assert.deepStrictEqual(await Promise.all(results), [0, 1, 2]);
+  });
+
+  it('should pass failures through and keep going', async () => {
+    const run = createPool(1);
+    await assert.rejects(run(async () => { throw new Error('boom'); }), /boom/);
+    assert.strictEqual(await run(() => 'next'), 'next');
+  });
+
+  it('should treat an invalid limit as 1', async () => {
+    const run = createPool(0);
+    let running = 0;
+    let peak = 0;
+    await Promise.all([1, 2, 3].map(() => run(async () => {
+      peak = Math.max(peak, ++running);
+      await new Promise(setImmediate);
+      running--;
+    })));
+    assert.strictEqual(peak, 1);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const portable = require('../../src/lib/portable');
+
+function doc(servers) {
+  return { format: portable.FORMAT, version: portable.FORMAT_VERSION, servers };
+}
+
+describe('portable', () => {
+  describe('toPortable / fromPortable', () => {
+    it('should round-trip a stdio server', () => {
+      const config = {
+        scope: 'local',
+        transport: 'stdio',
+        command: 'npx',
+        args: ['-y', 'gh'],
+        env: ['TOKEN=a=b', 'EMPTY=']
+      };
+      const entry = portable.toPortable('github', config, 'enabled');
+      assert.deepStrictEqual(entry, {
+        name: 'github',
+        status: 'enabled',
+        scope: 'local',
+        transport: 'stdio',
+        command: 'npx',
+        args: ['-y', 'gh'],
+        env: { TOKEN: 'a=b', EMPTY: '' }
+      });
+      assert.deepStrictEqual(portable.fromPortable(entry), { name: 'github', ...config });
+    });
+
+    it('should convert headers of remote servers', () => {
+      const entry = portable.toPortable('web', { transport: 'http', url: 'https://x.test', headers: ['Authorization: Bearer a:b'] }, 'disabled');
+      assert.deepStrictEqual(entry.headers, { Authorization: 'Bearer a:b' });
+      assert.strictEqual(entry.scope, 'user');
+      assert.deepStrictEqual(portable.fromPortable(entry).headers, ['Authorization: Bearer a:b']);
+    });
+  });
+
+  describe('validateDocument', () => {
+    it('should accept an exported document', () => {
+      const entries = [portable.toPortable('a', { transport: 'sse', url: 'https://a.test' }, 'enabled')];
+      assert.deepStrictEqual(portable.validateDocument(portable.createDocument(entries)), []);
+    });
+
+    it('should reject other formats and versions', () => {
+      assert.deepStrictEqual(portable.validateDocument([]), ['file must contain a JSON object']);
+      const errors = portable.validateDocument({ format: 'other', version: 2, servers: [] });
+      assert.strictEqual(errors.length, 2);
+    });
+
+    it('should report invalid entries', () => {
+      const errors = portable.validateDocument(doc([
+        { name: '', transport: 'stdio', command: 'x' },
+        { name: 'b', transport: 'stdio' },
+        { name: 'c', transport: 'http' },
+        { name: 'd', transport: 'stdio', command: 'x', args: 'nope', env: { A: 1 }, scope: 'global' },
+        { name: 'e', transport: 'ftp' }
+      ]));
+      assert.ok(errors.some(e => e.startsWith('servers[0].name')));
+      assert.ok(errors.some(e => e.startsWith('servers[1].command')));
+      assert.ok(errors.some(e => e.startsWith('servers[2].url')));
+      assert.ok(errors.some(e => e.startsWith('servers[3].args')));
+      assert.ok(errors.some(e => e.startsWith('servers[3].env')));
+      assert.ok(errors.some(e => e.startsWith('servers[3].scope')));
+      assert.ok(errors.some(e => e.startsWith('servers[4].transport')));
+    });
+
+    it('should reject a name repeated in the same scope', () => {
+      const entry = { name: 'a', transport: 'stdio', command: 'x' };
+      assert.strictEqual(portable.validateDocument(doc([entry, entry])).length, 1);
+      assert.deepStrictEqual(portable.validateDocument(doc([entry, { ...entry, scope: 'local' }])), []);
+    });
+  });
+
+  describe('planImport', () => {
+    const entries = doc([
+      { name: 'a', transport: 'stdio', command: 'x' },
+      { name: 'b', transport: 'stdio', command: 'x', status: 'disabled' }
+    ]);
+    const taken = new Set(['user:a', 'user:a-2']);
+    const isTaken = async (name, scope) => taken.has(`${scope}:${name}`);
+
+    it('should follow each entry status and skip conflicts by default', async () => {
+      const plan = await portable.planImport(entries, { isTaken });
+      assert.deepStrictEqual(plan.map(p => [p.name, p.target, p.resolution]), [
+        ['a', 'enable', 'skip'],
+        ['b', 'stash', 'new']
+      ]);
+    });
+
+    it('should rename to the next free name', async () => {
+      const plan = await portable.planImport(entries, { isTaken, onConflict: 'rename', mode: 'stash' });
+      assert.deepStrictEqual(plan.map(p => [p.name, p.target]), [['a-3', 'stash'], ['b', 'stash']]);
+    });
+
+    it('should apply the scope override before checking conflicts', async () => {
+      const plan = await portable.planImport(entries, { isTaken, scope: 'project' });
+      assert.ok(plan.every(p => p.scope === 'project' && p.resolution === 'new'));
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { probeServer } = require('../../src/lib/probe');
+const { startHttpServer } = require('../fixtures/mcp-server');
+
+const STUB = path.join(__dirname, '..', 'fixtures', 'mcp-server.js');
+
+function stdio(env = []) {
+  return { transport: 'stdio', command: process.execPath, args: [STUB], env };
+}
+
+describe('probe', () => {
+  describe('stdio', () => {
+    it('should complete the handshake and list tools', async () => {
+      const result = await probeServer(stdio(['MCP_STUB_TOOLS=a,b,c']));
+      assert.strictEqual(result.ok, true);
+      assert.deepStrictEqual(result.serverInfo, { name: 'stub-server', version: '1.2.3' });
+      assert.deepStrictEqual(result.tools, ['a', 'b', 'c']);
+      assert.ok(result.latencyMs >= 0);
+    });
+
+    it('should report a server that exits', async () => {
+      const result = await probeServer(stdio(['MCP_STUB_MODE=crash']));
+      assert.strictEqual(result.ok, false);
+      assert.match(result.error, /exited with code 3: stub crashed on purpose/);
+    });
+
+    it('should time out', async () => {
+      const result = await probeServer(stdio(['MCP_STUB_MODE=hang']), { timeout: 300 });
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(result.stage, 'initialize');
+      assert.match(result.error, /timed out after 300ms/);
+    });
+
+    it('should report JSON-RPC errors', async () => {
+      const result = await probeServer(stdio(['MCP_STUB_MODE=error']));
+      assert.strictEqual(result.error, 'initialize failed: stub refuses to start');
+    });
+
+    it('should report a missing command', async () => {
+      const result = await probeServer({ transport: 'stdio', command: 'ccmcp-no-such-command' });
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(result.stage, 'connect');
+    });
+  });
+
+  describe('remote transports', () => {
+    it('should probe a streamable HTTP server', async () => {
+      const server = await startHttpServer();
+      try {
+        const result = await probeServer({ transport: 'http', url: server.url });
+        assert.strictEqual(result.ok, true);
+        assert.deepStrictEqual(result.tools, ['echo', 'add']);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('should probe a legacy SSE server', async () => {
+      const server = await startHttpServer({ sse: true });
+      try {
+        const result = await probeServer({ transport: 'sse', url: server.url });
+        assert.strictEqual(result.ok, true);
+        assert.strictEqual(result.serverInfo.name, 'stub-server');
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('should fail without a URL', async () => {
+      const result = await probeServer({ transport: 'http' });
+      assert.strictEqual(result.error, 'no URL configured');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const profiles = require('../../src/lib/profiles');
+
+describe('profiles', () => {
+  let tmpDir;
+  let previousHome;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-profiles-'));
+    previousHome = process.env.CCMCP_HOME;
+    process.env.CCMCP_HOME = tmpDir;
+  });
+
+  after(() => {
+    if (previousHome === undefined) delete process.env.CCMCP_HOME;
+    else process.env.CCMCP_HOME = previousHome;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('isValidProfileName', () => {
+    it('should accept simple names', () => {
+      assert.ok(profiles.isValidProfileName('frontend'));
+      assert.ok(profiles.isValidProfileName('infra-work_2.0'));
+    });
+
+    it('should reject names with separators or spaces', () => {
+      assert.ok(!profiles.isValidProfileName('../evil'));
+      assert.ok(!profiles.isValidProfileName('my profile'));
+      assert.ok(!profiles.isValidProfileName(''));
+    });
+  });
+
+  describe('storage', () => {
+    it('should save and read back a profile', () => {
+      const saved = profiles.saveProfile('frontend', ['playwright', 'figma', 'figma'], ['aws']);
+      assert.deepStrictEqual(saved.enabled, ['figma', 'playwright']);
+      assert.deepStrictEqual(saved.disabled, ['aws']);
+      assert.deepStrictEqual(profiles.getProfile('frontend'), saved);
+    });
+
+    it('should list profiles sorted by name', () => {
+      profiles.saveProfile('minimal', [], ['playwright']);
+      const names = profiles.listProfiles().map(p => p.name);
+      assert.deepStrictEqual(names, ['frontend', 'minimal']);
+    });
+
+    it('should delete profiles', () => {
+      assert.strictEqual(profiles.deleteProfile('minimal'), true);
+      assert.strictEqual(profiles.deleteProfile('minimal'), false);
+      assert.strictEqual(profiles.getProfile('minimal'), null);
+    });
+
+    it('should treat __proto__ and constructor as ordinary names', () => {
+      assert.strictEqual(profiles.getProfile('constructor'), null);
+      assert.strictEqual(profiles.getProfile('__proto__'), null);
+      assert.strictEqual(profiles.deleteProfile('constructor'), false);
+
+      profiles.saveProfile('__proto__', ['github'], []);
+      profiles.saveProfile('constructor', [], ['slack']);
+      assert.deepStrictEqual(profiles.getProfile('__proto__').enabled, ['github']);
+      assert.deepStrictEqual(profiles.getProfile('constructor').disabled, ['slack']);
+      assert.deepStrictEqual(profiles.listProfiles().map(p => p.name), ['__proto__', 'constructor', 'frontend']);
+
+      assert.strictEqual(profiles.deleteProfile('__proto__'), true);
+      assert.strictEqual(profiles.deleteProfile('constructor'), true);
+      assert.strictEqual(profiles.getProfile('__proto__'), null);
+    });
+  });
+
+  describe('planProfile', () => {
+    it('should enable stashed servers and disable active ones', () => {
+      const plan = profiles.planProfile(
+        { enabled: ['playwright', 'figma'], disabled: ['aws', 'k8s'] },
+        ['aws', 'figma'],
+        ['playwright', 'k8s']
+      );
+      assert.deepStrictEqual(plan.enable, ['playwright']);
+      assert.deepStrictEqual(plan.disable, ['aws']);
+      assert.deepStrictEqual(plan.unchanged, ['figma', 'k8s']);
+      assert.deepStrictEqual(plan.missing, []);
+    });
+
+    it('should report servers that are neither active nor stashed', () => {
+      const plan = profiles.planProfile({ enabled: ['ghost'], disabled: ['gone'] }, [], []);
+      assert.deepStrictEqual(plan.missing, ['ghost', 'gone']);
+    });
+
+    it('should leave servers outside the profile alone', () => {
+      const plan = profiles.planProfile({ enabled: [], disabled: [] }, ['github'], ['slack']);
+      assert.deepStrictEqual(plan, { enable: [], disable: [], unchanged: [], missing: [] });
+    });
+  });
+});
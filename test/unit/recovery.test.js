@@ -0,0 +1,125 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const backend = require('../../src/lib/backend');
+const storage = require('../../src/lib/storage');
+const { recoverPending } = require('../../src/lib/recovery');
+
+describe('recovery', () => {
+  let tmpDir;
+  let deadPid;
+  const previousEnv = {};
+
+  const config = { name: 'github', scope: 'user', transport: 'stdio', command: 'npx', args: ['gh-mcp'] };
+
+  function setLive(live) {
+    const mcpServers = live ? { github: { type: 'stdio', command: 'npx', args: ['gh-mcp'] } } : {};
+    fs.writeFileSync(path.join(tmpDir, '.claude.json'), JSON.stringify({ mcpServers }));
+  }
+
+  function journal(operation) {
+    storage.ensureStorageDir();
+    fs.writeFileSync(storage.storagePath('journal.json'), JSON.stringify([{
+      id: 'op-1',
+      pid: deadPid,
+      hostname: os.hostname(),
+      startedAt: new Date().toISOString(),
+      ...operation
+    }]));
+  }
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccmcp-recovery-'));
+    for (const key of ['CCMCP_HOME', 'CLAUDE_CONFIG_DIR']) previousEnv[key] = process.env[key];
+    process.env.CCMCP_HOME = path.join(tmpDir, 'state');
+    process.env.CLAUDE_CONFIG_DIR = tmpDir;
+    backend.select('file');
+    // A pid that is guaranteed to have exited
+    deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+  });
+
+  after(() => {
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(process.env.CCMCP_HOME, { recursive: true, force: true });
+  });
+
+  it('should do nothing without pending operations', async () => {
+    assert.deepStrictEqual(await recoverPending(), { results: [], inProgress: [] });
+  });
+
+  it('should roll back a disable that never removed the server', async () => {
+    setLive(true);
+    storage.storeDisabledServer('github', config);
+    journal({ action: 'disable', name: 'github', scope: 'user', config });
+
+    const { results } = await recoverPending();
+    assert.strictEqual(results[0].resolution, 'rolled-back');
+    assert.strictEqual(storage.getDisabledServer('github', 'user'), null);
+    assert.deepStrictEqual(storage.listPendingOperations(), []);
+  });
+
+  it('should restore the previous stash entry when rolling back a disable', async () => {
+    setLive(true);
+    storage.storeDisabledServer('github', { ...config, command: 'new' });
+    journal({ action: 'disable', name: 'github', scope: 'user', config: { ...config, command: 'new' }, previous: config });
+
+    await recoverPending();
+    assert.strictEqual(storage.getDisabledServer('github', 'user').command, 'npx');
+  });
+
+  it('should complete a disable that removed the server', async () => {
+    setLive(false);
+    journal({ action: 'disable', name: 'github', scope: 'user', config });
+
+    const { results } = await recoverPending();
+    assert.strictEqual(results[0].resolution, 'completed');
+    assert.strictEqual(storage.getDisabledServer('github', 'user').command, 'npx');
+  });
+
+  it('should complete an enable that added the server', async () => {
+    setLive(true);
+    storage.storeDisabledServer('github', config);
+    journal({ action: 'enable', name: 'github', scope: 'user', config });
+
+    const { results } = await recoverPending();
+    assert.strictEqual(results[0].resolution, 'completed');
+    assert.strictEqual(storage.getDisabledServer('github', 'user'), null);
+  });
+
+  it('should roll back an enable that never added the server', async () => {
+    setLive(false);
+    journal({ action: 'enable', name: 'github', scope: 'user', config });
+
+    const { results } = await recoverPending();
+    assert.strictEqual(results[0].resolution, 'rolled-back');
+    assert.ok(storage.getDisabledServer('github', 'user'));
+  });
+
+  it('should only report in dry-run mode', async () => {
+    setLive(false);
+    journal({ action: 'disable', name: 'github', scope: 'user', config });
+
+    const { results } = await recoverPending({ dryRun: true });
+    assert.strictEqual(results[0].resolution, 'completed');
+    assert.strictEqual(storage.getDisabledServer('github', 'user'), null);
+    assert.strictEqual(storage.listPendingOperations().length, 1);
+  });
+
+  it('should leave operations of running processes alone unless forced', async () => {
+    setLive(false);
+    journal({ action: 'disable', name: 'github', scope: 'user', config, pid: process.pid });
+
+    assert.strictEqual((await recoverPending()).inProgress.length, 1);
+    assert.strictEqual((await recoverPending({ force: true })).results.length, 1);
+  });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { normalizeScope, isValidScope } = require('../../src/lib/scope');
+
+describe('scope', () => {
+  describe('normalizeScope', () => {
+    it('should map claude mcp get descriptions', () => {
+      assert.strictEqual(normalizeScope('User config (available in all your projects)'), 'user');
+      assert.strictEqual(normalizeScope('Local config (private to you in this project)'), 'local');
+      assert.strictEqual(normalizeScope('Project config (shared via .mcp.json)'), 'project');
+    });
+
+    it('should treat the legacy global scope as user', () => {
+      assert.strictEqual(normalizeScope('global'), 'user');
+    });
+
+    it('should return null for unknown values', () => {
+      assert.strictEqual(normalizeScope('somewhere'), null);
+      assert.strictEqual(normalizeScope(undefined), null);
+    });
+  });
+
+  describe('isValidScope', () => {
+    it('should only accept exact scope names', () => {
+      assert.ok(isValidScope('local'));
+      assert.ok(!isValidScope('Local'));
+      assert.ok(!isValidScope('global'));
+    });
+  });
+});
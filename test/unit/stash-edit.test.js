@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const stashEdit = require('../../src/lib/stash-edit');
+
+const SEALED = 'ccmcp-enc:1:key:aXY=:dGFn:ZGF0YQ==';
+
+describe('stash-edit', () => {
+  const stored = {
+    name: 'jira',
+    scope: 'user',
+    transport: 'http',
+    url: 'https://jira.example.com/mcp',
+    env: [`TOKEN=${SEALED}`],
+    disabledAt: '2025-01-15T10:00:00.000Z',
+    expiresAt: '2025-01-15T12:00:00.000Z'
+  };
+
+  describe('toEditable / fromEditable', () => {
+    it('should show sealed values as <encrypted> and keep them when unchanged', () => {
+      const entry = stashEdit.toEditable(stored);
+      assert.deepStrictEqual(entry, {
+        name: 'jira',
+        scope: 'user',
+        transport: 'http',
+        url: 'https://jira.example.com/mcp',
+        env: { TOKEN: '<encrypted>' }
+      });
+
+      const result = stashEdit.fromEditable({ ...entry, url: 'https://jira2.example.com/mcp' }, stored);
+      assert.ok(result.ok, result.problems);
+      assert.deepStrictEqual(result.config, { ...stored, url: 'https://jira2.example.com/mcp' });
+    });
+
+    it('should take replaced values and reject <encrypted> without a stored value', () => {
+      const entry = stashEdit.toEditable(stored);
+      const replaced = stashEdit.fromEditable({ ...entry, env: { TOKEN: 'new' } }, stored);
+      assert.deepStrictEqual(replaced.config.env, ['TOKEN=new']);
+
+      const unknown = stashEdit.fromEditable({ ...entry, env: { OTHER: '<encrypted>' } }, stored);
+      assert.strictEqual(unknown.ok, false);
+      assert.ok(unknown.problems[0].includes('server.env.OTHER'));
+    });
+
+    it('should keep sealed arguments and URL values shown as <encrypted>', () => {
+      const local = { name: 'gh', scope: 'user', transport: 'stdio', command: 'npx', args: ['--token', SEALED, '-y'] };
+      const entry = stashEdit.toEditable(local);
+      assert.deepStrictEqual(entry.args, ['--token', '<encrypted>', '-y']);
+      assert.deepStrictEqual(stashEdit.fromEditable({ ...entry, args: ['-y', '--token', '<encrypted>'] }, local).config.args, ['-y', '--token', SEALED]);
+      assert.match(stashEdit.fromEditable({ ...entry, args: ['--other=<encrypted>'] }, local).problems[0], /server\.args\[0\]/);
+
+      const remote = { ...stored, url: `https://jira.example.com/mcp?token=${SEALED}` };
+      const shown = stashEdit.toEditable(remote);
+      assert.strictEqual(shown.url, 'https://jira.example.com/mcp?token=<encrypted>');
+      assert.strictEqual(stashEdit.fromEditable(shown, remote).config.url, remote.url);
+      assert.strictEqual(stashEdit.fromEditable({ ...shown, url: 'https://other/?token=<encrypted>' }, remote).ok, false);
+    });
+
+    it('should report what makes an edited entry invalid', () => {
+      assert.strictEqual(stashEdit.fromEditable([], stored).ok, false);
+      const result = stashEdit.fromEditable({ name: 'jira', transport: 'stdio', args: 'x' }, stored);
+      assert.deepStrictEqual(result.problems, ['server.command is required for stdio servers', 'server.args must be an array of strings']);
+    });
+  });
+
+  describe('applySettings', () => {
+    const github = { name: 'github', scope: 'user', transport: 'stdio', command: 'npx', args: ['gh'], env: ['A=1', 'B=2'] };
+
+    it('should replace args and set or remove variables', () => {
+      const result = stashEdit.applySettings(github, { args: ['-y', 'gh'], env: ['A=one', 'B', 'C=3'] });
+      assert.ok(result.ok, result.problems);
+      assert.deepStrictEqual(result.config.args, ['-y', 'gh']);
+      assert.deepStrictEqual(result.config.env, ['A=one', 'C=3']);
+    });
+
+    it('should switch transports and drop the fields of the old one', () => {
+      const result = stashEdit.applySettings(github, { transport: 'http', url: 'https://gh.example.com' });
+      assert.ok(result.ok, result.problems);
+      assert.strictEqual(result.config.command, undefined);
+      assert.strictEqual(result.config.url, 'https://gh.example.com');
+    });
+
+    it('should refuse settings that do not fit the transport', () => {
+      assert.deepStrictEqual(stashEdit.applySettings(github, { url: 'https://x' }).problems,
+        ['--url only applies to sse and http servers (add --transport http or sse)']);
+      assert.deepStrictEqual(stashEdit.applySettings(stored, { args: ['x'] }).problems, ['--arg only applies to stdio servers']);
+      assert.deepStrictEqual(stashEdit.applySettings(github, { transport: 'sse' }).problems, ['sse servers need a URL (add --url)']);
+      assert.deepStrictEqual(stashEdit.applySettings(github, { transport: 'ftp' }).problems, ['--transport must be one of stdio, sse, http']);
+      assert.strictEqual(stashEdit.applySettings(github, { env: ['=x'] }).ok, false);
+    });
+  });
+
+  describe('newServer', () => {
+    it('should pick the transport from the command or URL', () => {
+      assert.deepStrictEqual(stashEdit.newServer({ name: 'gh', commandOrUrl: 'npx', args: ['gh'], env: ['A=1'] }).config,
+        { name: 'gh', scope: 'user', transport: 'stdio', command: 'npx', args: ['gh'], env: ['A=1'] });
+      assert.deepStrictEqual(stashEdit.newServer({ name: 'jira', scope: 'project', commandOrUrl: 'https://jira.example.com' }).config,
+        { name: 'jira', scope: 'project', transport: 'http', url: 'https://jira.example.com' });
+      assert.strictEqual(stashEdit.newServer({ name: 'jira', commandOrUrl: 'https://x', transport: 'sse' }).config.transport, 'sse');
+    });
+
+    it('should refuse arguments for URL servers', () => {
+      assert.strictEqual(stashEdit.newServer({ name: 'jira', commandOrUrl: 'https://x', args: ['y'] }).ok, false);
+    });
+  });
+});
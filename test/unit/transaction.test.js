@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { runTransaction } = require('../../src/lib/transaction');
+
+function step(name, log, { fail = false, failUndo = false, throws = false, throwsUndo = false } = {}) {
+  return {
+    name,
+    scope: 'user',
+    action: 'disable',
+    run: async () => {
+      log.push(`run:${name}`);
+      if (throws) throw new Error(`${name} threw`);
+      return fail ? { ok: false, error: `${name} failed` } : { ok: true };
+    },
+    undo: async () => {
+      log.push(`undo:${name}`);
+      if (throwsUndo) throw new Error('undo threw');
+      return failUndo ? { ok: false, error: 'undo failed' } : { ok: true };
+    }
+  };
+}
+
+describe('transaction', () => {
+  it('should run every step when all succeed', async () => {
+    const log = [];
+    const outcome = await runTransaction([step('a', log), step('b', log)]);
+    assert.strictEqual(outcome.ok, true);
+    assert.strictEqual(outcome.rolledBack, false);
+    assert.deepStrictEqual(log, ['run:a', 'run:b']);
+  });
+
+  it('should undo completed steps in reverse order on failure', async () => {
+    const log = [];
+    const outcome = await runTransaction([step('a', log), step('b', log), step('c', log, { fail: true }), step('d', log)]);
+    assert.strictEqual(outcome.ok, false);
+    assert.strictEqual(outcome.rolledBack, true);
+    assert.deepStrictEqual(log, ['run:a', 'run:b', 'run:c', 'undo:b', 'undo:a']);
+    assert.deepStrictEqual(
+      outcome.results.map(r => [r.name, r.ok, !!r.rolledBack, !!r.skipped]),
+      [['a', true, true, false], ['b', true, true, false], ['c', false, false, false], ['d', false, false, true]]
+    );
+    assert.strictEqual(outcome.results[2].error, 'c failed');
+  });
+
+  it('should report rollback failures', async () => {
+    const log = [];
+    const outcome = await runTransaction([step('a', log, { failUndo: true }), step('b', log, { fail: true })]);
+    assert.strictEqual(outcome.results[0].rolledBack, false);
+    assert.strictEqual(outcome.results[0].rollbackError, 'undo failed');
+  });
+
+  it('should treat a step that throws as failed and still roll back', async () => {
+    const log = [];
+    const outcome = await runTransaction([
+      step('a', log),
+      step('b', log, { throwsUndo: true }),
+      step('c', log, { throws: true }),
+      step('d', log)
+    ]);
+    assert.strictEqual(outcome.ok, false);
+    assert.strictEqual(outcome.rolledBack, true);
+    assert.deepStrictEqual(log, ['run:a', 'run:b', 'run:c', 'undo:b', 'undo:a']);
+    assert.strictEqual(outcome.results[2].error, 'c threw');
+    assert.strictEqual(outcome.results[1].rollbackError, 'undo threw');
+    assert.strictEqual(outcome.results[0].rolledBack, true);
+    assert.strictEqual(outcome.results[3].skipped, true);
+  });
+});
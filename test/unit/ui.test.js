@@ -1,6 +1,22 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
-const { COLOR } = require('../../src/lib/ui');
+const { COLOR, TABLE, displayWidth, truncateMiddle, printTable } = require('../../src/lib/ui');
+
+// Lines printed by fn
+function capture(fn) {
+  const write = process.stdout.write;
+  let out = '';
+  process.stdout.write = chunk => {
+    out += chunk;
+    return true;
+  };
+  try {
+    fn();
+  } finally {
+    process.stdout.write = write;
+  }
+  return out.trimEnd().split('\n');
+}
 
 describe('ui', () => {
   describe('COLOR', () => {
@@ -62,4 +78,49 @@ describe('ui', () => {
       COLOR.enabled = true; // Reset
     });
   });
+
+  describe('displayWidth', () => {
+    it('should count wide characters and emoji as two columns', () => {
+      assert.strictEqual(displayWidth('github'), 6);
+      assert.strictEqual(displayWidth('日本'), 4);
+      assert.strictEqual(displayWidth('🚀 mcp'), 6);
+      assert.strictEqual(displayWidth('👨‍👩‍👧'), 2);
+      assert.strictEqual(displayWidth('e\u0301'), 1);
+    });
+  });
+
+  describe('truncateMiddle', () => {
+    it('should keep the start and the end', () => {
+      assert.strictEqual(truncateMiddle('https://example.com/a/long/path/mcp', 15), 'https:/…ath/mcp');
+      assert.strictEqual(truncateMiddle('short', 15), 'short');
+      assert.strictEqual(displayWidth(truncateMiddle('日本語のサーバー', 7)), 7);
+    });
+  });
+
+  describe('printTable', () => {
+    const env = process.env.COLUMNS;
+
+    it('should fit the table to the width by shortening the widest column', () => {
+      COLOR.enabled = false;
+      process.env.COLUMNS = '40';
+      const lines = capture(() => printTable(['NAME', 'URL'], [['jira', 'https://jira.example.com/rest/api/mcp']]));
+      assert.ok(lines.every(line => displayWidth(line) <= 40));
+      assert.match(lines[3], /^│ jira │ https:\/\/jira.*….*api\/mcp │$/);
+
+      TABLE.wide = true;
+      const wide = capture(() => printTable(['NAME', 'URL'], [['jira', 'https://jira.example.com/rest/api/mcp']]));
+      assert.ok(wide[3].includes('https://jira.example.com/rest/api/mcp'));
+      TABLE.wide = false;
+      COLOR.enabled = true;
+      if (env === undefined) delete process.env.COLUMNS;
+      else process.env.COLUMNS = env;
+    });
+
+    it('should align rows with wide characters', () => {
+      COLOR.enabled = false;
+      const lines = capture(() => printTable(['NAME'], [['🚀rocket'], ['日本'], ['plain']]));
+      assert.deepStrictEqual([...new Set(lines.map(displayWidth))], [12]);
+      COLOR.enabled = true;
+    });
+  });
 });